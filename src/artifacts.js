@@ -0,0 +1,176 @@
+import { LruMap } from './lru.js';
+
+/**
+ * URI template of the generated scores served as MCP resources
+ */
+export const SCORE_URI_TEMPLATE = 'partitura://scores/{id}/{format}';
+
+/**
+ * MIME type of every artifact format
+ */
+export const ARTIFACT_FORMATS = {
+  pdf: 'application/pdf',
+  svg: 'image/svg+xml',
+  midi: 'audio/midi',
+  wav: 'audio/wav',
+  musicxml: 'application/vnd.recordare.musicxml+xml'
+};
+
+/**
+ * File extension of every artifact format
+ */
+const FILE_EXTENSIONS = {
+  pdf: 'pdf',
+  svg: 'svg',
+  midi: 'mid',
+  wav: 'wav',
+  musicxml: 'musicxml'
+};
+
+/**
+ * Derives the file name offered for an artifact from the score title
+ * @param {string|undefined} title - Score or tune title
+ * @param {string} id - Artifact ID, used when there is no title
+ * @param {string} format - Artifact format
+ * @returns {string} File name
+ */
+export function artifactFileName(title, id, format) {
+  const base = (title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase();
+  return `${base || `score-${id}`}.${FILE_EXTENSIONS[format]}`;
+}
+
+/**
+ * Builds the URI of an artifact
+ * @param {string} id - Artifact ID
+ * @param {string} format - One of the ARTIFACT_FORMATS keys
+ * @returns {string} partitura://scores/{id}/{format} URI
+ */
+export function scoreUri(id, format) {
+  return `partitura://scores/${encodeURIComponent(id)}/${format}`;
+}
+
+/**
+ * Splits an artifact URI into ID and format
+ * @param {string} uri - Resource URI
+ * @returns {{id: string, format: string}|null} Parts, or null when the URI is not a score URI
+ */
+export function parseScoreUri(uri) {
+  const match = /^partitura:\/\/scores\/([^/]+)\/([a-z]+)$/.exec(uri);
+  if (!match || !ARTIFACT_FORMATS[match[2]]) {
+    return null;
+  }
+  return { id: decodeURIComponent(match[1]), format: match[2] };
+}
+
+/**
+ * Creates the store holding generated artifacts until clients read them
+ *
+ * Artifacts are kept in memory, least recently used first out, within an
+ * artifact count and a total size. IDs are content addresses, so storing the
+ * same score twice replaces the earlier entry instead of growing the store.
+ *
+ * Each artifact records the principals that generated it, and is only found
+ * for them: a URI alone does not give access to another client's scores.
+ * Without authentication every artifact belongs to the null principal.
+ *
+ * @param {Object} options - Store options
+ * @param {number} options.maxArtifacts - Artifact limit (default 200)
+ * @param {number} options.maxBytes - Total size limit in bytes (default 256 MB)
+ * @returns {{put: Function, get: Function, has: Function, stats: Function}} Store
+ */
+export function createArtifactStore(options = {}) {
+  const maxArtifacts = options.maxArtifacts ?? 200;
+  const maxBytes = options.maxBytes ?? 256 * 1024 * 1024;
+
+  const artifacts = new LruMap();
+  let totalBytes = 0;
+
+  const remove = (uri) => {
+    totalBytes -= artifacts.peek(uri).size;
+    artifacts.delete(uri);
+  };
+
+  return {
+    /**
+     * Stores an artifact
+     * @param {Object} artifact - Artifact
+     * @param {string} artifact.id - Artifact ID
+     * @param {string} artifact.format - One of the ARTIFACT_FORMATS keys
+     * @param {Buffer|string} artifact.data - File contents (SVG and MusicXML as a string)
+     * @param {string} artifact.name - File name offered to clients
+     * @param {string} artifact.description - Human-readable description
+     * @param {string|null} artifact.owner - ID of the principal that generated it (default null)
+     * @returns {{uri: string, name: string, mimeType: string, description: string, size: number}} Resource metadata
+     */
+    put({ id, format, data, name, description, owner = null }) {
+      const mimeType = ARTIFACT_FORMATS[format];
+      if (!mimeType) {
+        throw new Error(`Unknown artifact format: ${format}. Expected one of: ${Object.keys(ARTIFACT_FORMATS).join(', ')}`);
+      }
+
+      const uri = scoreUri(id, format);
+      const size = Buffer.byteLength(data);
+      // Every principal that generated the same score may read it
+      const owners = new Set(artifacts.peek(uri)?.owners).add(owner);
+      if (artifacts.has(uri)) {
+        remove(uri);
+      }
+      const artifact = { uri, name, mimeType, description, size, data, owners };
+      artifacts.set(uri, artifact);
+      totalBytes += size;
+
+      // The artifact just stored is always kept, even when it alone exceeds the size limit
+      while (artifacts.size > 1 && (artifacts.size > maxArtifacts || totalBytes > maxBytes)) {
+        remove(artifacts.oldest()[0]);
+      }
+
+      return { uri, name, mimeType, description, size };
+    },
+
+    /**
+     * Looks up an artifact of a principal
+     * @param {string} uri - Artifact URI
+     * @param {string|null} owner - ID of the principal reading it (default null)
+     * @returns {Object|undefined} Artifact with its data, or undefined once evicted or when generated by other principals only
+     */
+    get(uri, owner = null) {
+      const artifact = artifacts.peek(uri);
+      if (!artifact || !artifact.owners.has(owner)) {
+        return undefined;
+      }
+      return artifacts.get(uri);
+    },
+
+    /**
+     * Tells whether an artifact is still stored, without refreshing it
+     * @param {string} uri - Artifact URI
+     * @returns {boolean}
+     */
+    has(uri) {
+      return artifacts.has(uri);
+    },
+
+    /**
+     * Reports store usage
+     * @returns {{artifacts: number, bytes: number}} Counters
+     */
+    stats() {
+      return { artifacts: artifacts.size, bytes: totalBytes };
+    }
+  };
+}
+
+/**
+ * Store shared by every server in the process, configured from the
+ * environment: ARTIFACT_STORE_SIZE (artifact count) and ARTIFACT_STORE_MAX_MB
+ * (total size)
+ */
+export const sharedArtifactStore = createArtifactStore({
+  maxArtifacts: parseInt(process.env.ARTIFACT_STORE_SIZE, 10) || undefined,
+  maxBytes: process.env.ARTIFACT_STORE_MAX_MB ? parseFloat(process.env.ARTIFACT_STORE_MAX_MB) * 1024 * 1024 : undefined
+});
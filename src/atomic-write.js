@@ -0,0 +1,19 @@
+import { writeFile, rename, unlink } from 'node:fs/promises';
+
+/**
+ * Writes a file through a temporary file in the same directory and a rename,
+ * so that readers, including other processes, never see a partial file
+ * @param {string} path - File path
+ * @param {string|Buffer} data - File contents
+ * @returns {Promise<void>}
+ */
+export async function writeFileAtomic(path, data) {
+  const temporary = `${path}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    await writeFile(temporary, data);
+    await rename(temporary, path);
+  } catch (error) {
+    await unlink(temporary).catch(() => {});
+    throw error;
+  }
+}
@@ -0,0 +1,306 @@
+import { z } from 'zod';
+import { validateAbcNotation, selectTunes, AbcToPdfSchema } from './index.js';
+import { parseTune } from './midi.js';
+import { LimitError } from './limits.js';
+
+/**
+ * Longest audio rendered per call, in seconds, summed across the selected
+ * tunes, to bound memory use
+ */
+const MAX_AUDIO_SECONDS = 600;
+
+/**
+ * Silence kept after the last note so its release can ring out, in seconds
+ */
+const TAIL_SECONDS = 0.5;
+
+/**
+ * Built-in oscillator instruments
+ *
+ * Each instrument is additive: a list of harmonic amplitudes, an ADSR envelope
+ * (seconds, except sustain which is a level) and optional vibrato.
+ */
+export const INSTRUMENTS = {
+  piano: {
+    harmonics: [1, 0.5, 0.25, 0.12, 0.06],
+    attack: 0.005, decay: 0.6, sustain: 0.15, release: 0.2,
+  },
+  organ: {
+    harmonics: [1, 0.7, 0, 0.5, 0, 0.3, 0, 0.2],
+    attack: 0.02, decay: 0.05, sustain: 0.9, release: 0.08,
+  },
+  strings: {
+    harmonics: [1, 0.5, 0.33, 0.25, 0.2, 0.16, 0.14],
+    attack: 0.12, decay: 0.1, sustain: 0.8, release: 0.25,
+    vibrato: { rate: 5.5, depth: 0.004 },
+  },
+  flute: {
+    harmonics: [1, 0.15, 0.05],
+    attack: 0.06, decay: 0.05, sustain: 0.85, release: 0.12,
+    vibrato: { rate: 5, depth: 0.003 },
+  },
+  guitar: {
+    harmonics: [1, 0.6, 0.4, 0.2, 0.1, 0.05],
+    attack: 0.003, decay: 0.9, sustain: 0.05, release: 0.15,
+  },
+  square: {
+    harmonics: [1, 0, 0.33, 0, 0.2, 0, 0.14, 0, 0.11],
+    attack: 0.005, decay: 0.05, sustain: 0.7, release: 0.05,
+  },
+};
+
+/**
+ * Built-in instrument used for each General MIDI program family
+ * (programs are grouped in families of eight)
+ */
+const PROGRAM_FAMILIES = [
+  'piano', 'piano', 'organ', 'guitar', 'guitar', 'strings', 'strings', 'strings',
+  'square', 'flute', 'square', 'square', 'strings', 'piano', 'square', 'square',
+];
+
+/**
+ * Schema for ABC to audio conversion input
+ */
+export const AbcToAudioSchema = z.object({
+  abc_notation: z.string().min(1, 'ABC notation cannot be empty').describe('The ABC notation string to convert to audio'),
+  tunes: AbcToPdfSchema.shape.tunes,
+  tempo: z.number().positive().max(400).optional()
+    .describe('Optional tempo in quarter notes per minute, overriding the Q: field'),
+  instrument: z.enum(Object.keys(INSTRUMENTS)).optional()
+    .describe('Optional built-in instrument for every voice. Defaults to the closest match for each voice\'s %%MIDI program'),
+  sample_rate: z.number().int().min(8000).max(48000).optional()
+    .describe('Sample rate in Hz (default 22050)')
+});
+
+/**
+ * Picks the built-in instrument closest to a General MIDI program
+ * @param {number} program - General MIDI program number (0-127)
+ * @returns {string} Instrument name
+ */
+export function instrumentForProgram(program) {
+  return PROGRAM_FAMILIES[Math.floor((program || 0) / 8)] || 'piano';
+}
+
+/**
+ * Encodes mono samples in the range [-1, 1] as a 16-bit PCM WAV file
+ * @param {Float32Array} samples - Audio samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Buffer} WAV file
+ */
+export function encodeWav(samples, sampleRate) {
+  const dataSize = samples.length * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(dataSize, 40);
+
+  for (let i = 0; i < samples.length; i++) {
+    const clamped = Math.max(-1, Math.min(1, samples[i]));
+    buffer.writeInt16LE(Math.round(clamped * 32767), 44 + i * 2);
+  }
+
+  return buffer;
+}
+
+/**
+ * Adds one synthesized note to the mix
+ * @param {Float32Array} mix - Output samples
+ * @param {Object} note - Note to render
+ * @param {number} note.pitch - MIDI pitch
+ * @param {number} note.start - Start time in seconds
+ * @param {number} note.duration - Held duration in seconds
+ * @param {number} note.velocity - Loudness from 0 to 1
+ * @param {Object} instrument - Entry of INSTRUMENTS
+ * @param {number} sampleRate - Sample rate in Hz
+ */
+function renderNote(mix, note, instrument, sampleRate) {
+  const frequency = 440 * Math.pow(2, (note.pitch - 69) / 12);
+  const nyquist = sampleRate / 2;
+  const { attack, decay, sustain, release, vibrato } = instrument;
+
+  // Drop harmonics above Nyquist to avoid aliasing
+  const harmonics = instrument.harmonics
+    .map((amplitude, index) => ({ amplitude, multiple: index + 1 }))
+    .filter(h => h.amplitude > 0 && frequency * h.multiple < nyquist);
+  const norm = harmonics.reduce((sum, h) => sum + h.amplitude, 0) || 1;
+
+  const startSample = Math.round(note.start * sampleRate);
+  const heldSamples = Math.round(note.duration * sampleRate);
+  const totalSamples = heldSamples + Math.round(release * sampleRate);
+
+  let phase = 0;
+  let releaseLevel = 0;
+
+  for (let i = 0; i < totalSamples && startSample + i < mix.length; i++) {
+    const t = i / sampleRate;
+
+    let level;
+    if (i < heldSamples) {
+      if (t < attack) {
+        level = t / attack;
+      } else if (t < attack + decay) {
+        level = 1 - (1 - sustain) * ((t - attack) / decay);
+      } else {
+        level = sustain;
+      }
+      releaseLevel = level;
+    } else {
+      level = releaseLevel * (1 - (i - heldSamples) / (totalSamples - heldSamples));
+    }
+
+    const currentFrequency = vibrato
+      ? frequency * (1 + vibrato.depth * Math.sin(2 * Math.PI * vibrato.rate * t))
+      : frequency;
+    phase += (2 * Math.PI * currentFrequency) / sampleRate;
+
+    let value = 0;
+    for (const h of harmonics) {
+      value += h.amplitude * Math.sin(phase * h.multiple);
+    }
+
+    mix[startSample + i] += (value / norm) * level * note.velocity;
+  }
+}
+
+/**
+ * Lists the notes of one parsed tune with their start times and durations in seconds
+ * @param {Object} tune - abcjs tune object
+ * @param {Object} options - Synthesis options
+ * @param {number} options.tempo - Optional quarter notes per minute
+ * @param {string} options.instrument - Optional built-in instrument for every voice
+ * @returns {{notes: Array<Object>, end: number}} Notes and the time the last one has rung out
+ */
+function scheduleNotes(tune, options) {
+  const audio = tune.setUpAudio(options.tempo ? { qpm: options.tempo } : {});
+
+  // abcjs times notes in whole notes; convert with the tune's own measure length
+  const secondsPerWholeNote = options.tempo
+    ? 240 / options.tempo
+    : tune.millisecondsPerMeasure() / 1000 / tune.getBarLength();
+
+  const notes = [];
+  let end = 0;
+  for (const track of audio.tracks) {
+    for (const event of track) {
+      // Unpitched percussion (abcjs instrument 128) has no oscillator voice
+      if (event.cmd !== 'note' || event.pitch === undefined || event.instrument === 128) {
+        continue;
+      }
+      const note = {
+        pitch: event.pitch,
+        start: event.start * secondsPerWholeNote,
+        duration: Math.max(0, event.duration - (event.gap || 0)) * secondsPerWholeNote,
+        velocity: (event.volume ?? 100) / 127,
+        instrument: INSTRUMENTS[options.instrument || instrumentForProgram(event.instrument)],
+      };
+      notes.push(note);
+      end = Math.max(end, note.start + note.duration + note.instrument.release);
+    }
+  }
+
+  if (end > MAX_AUDIO_SECONDS) {
+    throw new LimitError(413, `Tune is too long to render as audio (${Math.round(end)}s, maximum ${MAX_AUDIO_SECONDS}s)`, { reason: 'audio_too_long' });
+  }
+
+  return { notes, end };
+}
+
+/**
+ * Mixes scheduled notes to mono samples
+ * @param {{notes: Array<Object>, end: number}} schedule - Notes from scheduleNotes
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Float32Array} Samples
+ */
+function mixNotes({ notes, end }, sampleRate) {
+  const mix = new Float32Array(Math.ceil((end + TAIL_SECONDS) * sampleRate));
+  for (const note of notes) {
+    renderNote(mix, note, note.instrument, sampleRate);
+  }
+
+  // Normalize so that dense chords never clip
+  let peak = 0;
+  for (let i = 0; i < mix.length; i++) {
+    peak = Math.max(peak, Math.abs(mix[i]));
+  }
+  if (peak > 0.9) {
+    const gain = 0.9 / peak;
+    for (let i = 0; i < mix.length; i++) {
+      mix[i] *= gain;
+    }
+  }
+
+  return mix;
+}
+
+/**
+ * Synthesizes one parsed tune to mono samples
+ * @param {Object} tune - abcjs tune object
+ * @param {Object} options - Synthesis options
+ * @param {number} options.sampleRate - Sample rate in Hz
+ * @param {number} options.tempo - Optional quarter notes per minute
+ * @param {string} options.instrument - Optional built-in instrument for every voice
+ * @returns {Float32Array} Samples
+ */
+export function synthesizeTune(tune, options) {
+  return mixNotes(scheduleNotes(tune, options), options.sampleRate);
+}
+
+/**
+ * Converts ABC notation to WAV audio, one file per tune, entirely offline
+ * @param {string} abcNotation - The ABC notation to convert
+ * @param {Object} options - Conversion options
+ * @param {Array<number|string>} options.tunes - Optional X: numbers or titles to convert
+ * @param {number} options.tempo - Optional tempo override in quarter notes per minute
+ * @param {string} options.instrument - Optional built-in instrument for every voice
+ * @param {number} options.sampleRate - Sample rate in Hz (default 22050)
+ * @returns {Promise<Array<{id: string, title: string, wav: Buffer, duration: number}>>} WAV per tune
+ */
+export async function abcToWav(abcNotation, options = {}) {
+  // Validate input
+  validateAbcNotation(abcNotation);
+
+  const sampleRate = options.sampleRate || 22050;
+  const tunes = selectTunes(abcNotation, options.tunes);
+  if (tunes.length === 0) {
+    tunes.push({ id: '', title: '', abc: abcNotation });
+  }
+
+  // Schedule every tune before synthesizing any, so that a tune book whose
+  // tunes each fit the limit cannot add up to an unbounded amount of audio
+  const schedules = tunes.map(tune => {
+    try {
+      return scheduleNotes(parseTune(tune.abc), options);
+    } catch (error) {
+      if (error instanceof LimitError) {
+        throw error;
+      }
+      throw new Error(`Failed to generate audio: ${error.message}`);
+    }
+  });
+  const total = schedules.reduce((sum, schedule) => sum + schedule.end + TAIL_SECONDS, 0);
+  if (total > MAX_AUDIO_SECONDS) {
+    throw new LimitError(413, `Tunes are too long to render as audio together (${Math.round(total)}s, maximum ${MAX_AUDIO_SECONDS}s); select fewer with "tunes"`, { reason: 'audio_too_long' });
+  }
+
+  return tunes.map((tune, index) => {
+    const samples = mixNotes(schedules[index], sampleRate);
+
+    return {
+      id: tune.id,
+      title: tune.title,
+      wav: encodeWav(samples, sampleRate),
+      duration: samples.length / sampleRate
+    };
+  });
+}
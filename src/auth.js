@@ -0,0 +1,373 @@
+import { constants, createHash, createPublicKey, timingSafeEqual, verify } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+
+/**
+ * Allowed clock difference when checking JWT exp and nbf, in seconds
+ */
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+/**
+ * Minimum time between two reloads of the JWKS file for unknown key IDs, in milliseconds
+ */
+const JWKS_RELOAD_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Node.js verification parameters for every accepted JWT algorithm. HMAC and
+ * "none" are deliberately absent: only keys from the JWKS file can sign.
+ */
+const JWT_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', saltLength: 32 },
+  PS384: { hash: 'sha384', saltLength: 48 },
+  PS512: { hash: 'sha512', saltLength: 64 },
+  ES256: { hash: 'sha256', ecdsa: true },
+  ES384: { hash: 'sha384', ecdsa: true },
+  ES512: { hash: 'sha512', ecdsa: true },
+  EdDSA: { hash: null }
+};
+
+/**
+ * Authentication or origin failure answered with an HTTP status
+ */
+export class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Tells whether a tool name matches a list of tool patterns
+ * @param {Array<string>|undefined} patterns - Tool names, "*" or prefixes ending in "*" (e.g. "score_*"); undefined allows every tool
+ * @param {string} tool - Tool name
+ * @returns {boolean}
+ */
+export function toolAllowed(patterns, tool) {
+  if (!patterns) {
+    return true;
+  }
+  return patterns.some(pattern => (pattern.endsWith('*') ? tool.startsWith(pattern.slice(0, -1)) : pattern === tool));
+}
+
+/**
+ * Creates the identity of an authenticated client
+ * @param {string} id - Stable identity, e.g. "api-key:cms" or "jwt:user@example.com"
+ * @param {Array<string>|undefined} tools - Tool patterns the client may use (all when undefined)
+ * @returns {{id: string, tools: Array<string>|undefined, allows: Function}} Principal
+ */
+export function createPrincipal(id, tools) {
+  return {
+    id,
+    tools,
+    allows: tool => toolAllowed(tools, tool)
+  };
+}
+
+/**
+ * Hashes a secret for constant-time comparison
+ * @param {string} secret - Secret
+ * @returns {Buffer} SHA-256 digest
+ */
+function digest(secret) {
+  return createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Prepares static credentials: the secret may be given in clear or as
+ * "sha256:<hex digest>" so that the config file does not hold it
+ * @param {Array<Object>} entries - Credentials from the config
+ * @param {string} field - Name of the secret field ('key' or 'token')
+ * @param {string} kind - Identity prefix
+ * @returns {Array<{digest: Buffer, principal: Object}>} Credentials
+ */
+function staticCredentials(entries = [], field, kind) {
+  return entries.map((entry, index) => {
+    const secret = typeof entry === 'string' ? entry : entry[field];
+    if (!secret) {
+      throw new Error(`Auth config: ${kind} ${index + 1} has no ${field}`);
+    }
+    const hashed = /^sha256:([0-9a-f]{64})$/i.exec(secret);
+    return {
+      digest: hashed ? Buffer.from(hashed[1], 'hex') : digest(secret),
+      principal: createPrincipal(`${kind}:${entry.name || index + 1}`, entry.tools)
+    };
+  });
+}
+
+/**
+ * Finds the credential whose secret matches, comparing in constant time
+ * @param {Array<{digest: Buffer, principal: Object}>} credentials - Credentials
+ * @param {string} secret - Presented secret
+ * @returns {Object|null} Principal
+ */
+function matchCredential(credentials, secret) {
+  const presented = digest(secret);
+  let principal = null;
+  for (const credential of credentials) {
+    if (timingSafeEqual(credential.digest, presented)) {
+      principal = credential.principal;
+    }
+  }
+  return principal;
+}
+
+/**
+ * Decodes one base64url JWT segment as JSON
+ * @param {string} segment - Segment
+ * @returns {Object} Decoded value
+ */
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new AuthError(401, 'Malformed token');
+  }
+}
+
+/**
+ * Creates a verifier for JWTs signed by the keys of a local JWKS file
+ *
+ * The file is read on creation and again (at most every 30 seconds) when a
+ * token names a key ID it does not hold, so that rotated keys are picked up
+ * without a restart.
+ *
+ * @param {Object} options - JWT options
+ * @param {string} options.jwks - Path of the JWKS file
+ * @param {string} options.issuer - Required iss claim (optional)
+ * @param {string|Array<string>} options.audience - Accepted aud claim values (optional)
+ * @param {string} options.toolsClaim - Claim listing the allowed tools (default "partitura_tools")
+ * @param {boolean} options.allowMissingExp - Accept tokens without an exp claim, which never expire (default false)
+ * @returns {{verify: Function}} Verifier; verify(token) returns a principal or throws AuthError
+ */
+export function createJwtVerifier({ jwks, issuer, audience, toolsClaim = 'partitura_tools', allowMissingExp = false }) {
+  const audiences = audience ? [].concat(audience) : null;
+  let keys = [];
+  let loadedAt = 0;
+
+  const load = () => {
+    loadedAt = Date.now();
+    let set;
+    try {
+      set = JSON.parse(readFileSync(jwks, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read JWKS file ${jwks}: ${error.message}`);
+    }
+    keys = (set.keys || []).map(jwk => ({ kid: jwk.kid, alg: jwk.alg, key: createPublicKey({ key: jwk, format: 'jwk' }) }));
+  };
+  load();
+
+  const findKey = (header) => {
+    const candidates = () => keys.filter(key => (!header.kid || key.kid === header.kid) && (!key.alg || key.alg === header.alg));
+    if (candidates().length === 0 && header.kid && Date.now() - loadedAt > JWKS_RELOAD_INTERVAL_MS) {
+      try {
+        load();
+      } catch {
+        // Keep the keys loaded last time
+      }
+    }
+    return candidates();
+  };
+
+  return {
+    verify(token) {
+      const segments = token.split('.');
+      if (segments.length !== 3) {
+        throw new AuthError(401, 'Malformed token');
+      }
+      const [header, payload] = segments.slice(0, 2).map(decodeSegment);
+
+      const algorithm = JWT_ALGORITHMS[header.alg];
+      if (!algorithm) {
+        throw new AuthError(401, `Unsupported token algorithm: ${header.alg}`);
+      }
+
+      const data = Buffer.from(`${segments[0]}.${segments[1]}`);
+      const signature = Buffer.from(segments[2], 'base64url');
+      const valid = findKey(header).some(({ key }) => {
+        try {
+          return verify(algorithm.hash, data, {
+            key,
+            ...(algorithm.saltLength ? { padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: algorithm.saltLength } : {}),
+            ...(algorithm.ecdsa ? { dsaEncoding: 'ieee-p1363' } : {})
+          }, signature);
+        } catch {
+          return false;
+        }
+      });
+      if (!valid) {
+        throw new AuthError(401, 'Invalid token signature');
+      }
+
+      const now = Date.now() / 1000;
+      if (typeof payload.exp !== 'number' && !allowMissingExp) {
+        throw new AuthError(401, 'Token has no expiration time (exp)');
+      }
+      if (typeof payload.exp === 'number' && now > payload.exp + CLOCK_TOLERANCE_SECONDS) {
+        throw new AuthError(401, 'Token has expired');
+      }
+      if (typeof payload.nbf === 'number' && now < payload.nbf - CLOCK_TOLERANCE_SECONDS) {
+        throw new AuthError(401, 'Token is not valid yet');
+      }
+      if (issuer && payload.iss !== issuer) {
+        throw new AuthError(401, 'Token issuer is not accepted');
+      }
+      if (audiences && ![].concat(payload.aud ?? []).some(value => audiences.includes(value))) {
+        throw new AuthError(401, 'Token audience is not accepted');
+      }
+
+      const tools = payload[toolsClaim];
+      return createPrincipal(
+        `jwt:${payload.sub || 'anonymous'}`,
+        typeof tools === 'string' ? tools.split(/\s+/).filter(Boolean) : Array.isArray(tools) ? tools : undefined
+      );
+    }
+  };
+}
+
+/**
+ * Creates the authenticator of the HTTP server
+ *
+ * Clients present an API key in the X-API-Key header, or a static bearer
+ * token or JWT in the Authorization header. Each credential can be limited
+ * to some tools. Without any configured credential, authentication is
+ * disabled and every request is let through.
+ *
+ * @param {Object} config - Auth config (see loadAuthConfig)
+ * @param {Array<Object|string>} config.apiKeys - Static API keys: { key, name, tools } or a bare key
+ * @param {Array<Object|string>} config.bearerTokens - Static bearer tokens: { token, name, tools } or a bare token
+ * @param {Object} config.jwt - JWT options (see createJwtVerifier), optional
+ * @returns {{enabled: boolean, authenticate: Function}} Authenticator
+ */
+export function createAuthenticator(config = {}) {
+  const apiKeys = staticCredentials(config.apiKeys, 'key', 'api-key');
+  const bearerTokens = staticCredentials(config.bearerTokens, 'token', 'bearer');
+  const jwt = config.jwt ? createJwtVerifier(config.jwt) : null;
+  const enabled = apiKeys.length > 0 || bearerTokens.length > 0 || Boolean(jwt);
+
+  return {
+    enabled,
+
+    /**
+     * Identifies the client of a request
+     * @param {IncomingMessage} req - HTTP request
+     * @returns {Object|null} Principal, or null when authentication is disabled
+     * @throws {AuthError} 401 when credentials are missing or wrong
+     */
+    authenticate(req) {
+      if (!enabled) {
+        return null;
+      }
+
+      const apiKey = req.headers['x-api-key'];
+      if (apiKey) {
+        const principal = matchCredential(apiKeys, apiKey);
+        if (!principal) {
+          throw new AuthError(401, 'Invalid API key');
+        }
+        return principal;
+      }
+
+      const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+      if (match) {
+        const token = match[1];
+        const principal = matchCredential(bearerTokens, token);
+        if (principal) {
+          return principal;
+        }
+        if (jwt && token.split('.').length === 3) {
+          return jwt.verify(token);
+        }
+        throw new AuthError(401, 'Invalid bearer token');
+      }
+
+      throw new AuthError(401, 'Authentication required: send an X-API-Key header or an Authorization: Bearer token');
+    }
+  };
+}
+
+/**
+ * Creates the CORS and origin policy of the HTTP server
+ *
+ * Without an allowlist every origin is accepted and answered with a
+ * wildcard. With one, only listed origins (or "*") get CORS headers, and
+ * requests from browsers on other origins are refused outright, which also
+ * protects a server on localhost from DNS rebinding.
+ *
+ * @param {Array<string>} allowedOrigins - Allowed origins, e.g. "https://cms.example.com"
+ * @returns {{allows: Function, headers: Function}} Policy
+ */
+export function createOriginPolicy(allowedOrigins = []) {
+  const origins = new Set(allowedOrigins.map(origin => origin.replace(/\/+$/, '').toLowerCase()));
+  const open = origins.size === 0 || origins.has('*');
+  const allows = origin => !origin || open || origins.has(origin.toLowerCase());
+
+  return {
+    /**
+     * Tells whether a request from this origin may be served
+     * @param {string|undefined} origin - Origin header; requests without one (non-browser clients) are allowed
+     * @returns {boolean}
+     */
+    allows,
+
+    /**
+     * CORS headers for a response
+     * @param {string|undefined} origin - Origin header of the request
+     * @returns {Object<string, string>} Headers
+     */
+    headers(origin) {
+      if (origins.size === 0) {
+        return { 'Access-Control-Allow-Origin': '*' };
+      }
+      if (origin && allows(origin)) {
+        return { 'Access-Control-Allow-Origin': origin, Vary: 'Origin' };
+      }
+      return { Vary: 'Origin' };
+    }
+  };
+}
+
+/**
+ * Splits a comma-separated environment variable
+ * @param {string|undefined} value - Variable value
+ * @returns {Array<string>} Items
+ */
+function listFromEnv(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Reads the auth config: the JSON file named by PARTITURA_AUTH_CONFIG, then
+ * the shortcuts PARTITURA_API_KEYS (comma-separated keys with every tool),
+ * PARTITURA_JWKS_FILE, PARTITURA_JWT_ISSUER, PARTITURA_JWT_AUDIENCE and
+ * PARTITURA_ALLOWED_ORIGINS (comma-separated), which add to the file
+ * @param {Object} env - Environment (default process.env)
+ * @returns {{apiKeys: Array, bearerTokens: Array, jwt: Object|undefined, allowedOrigins: Array<string>}} Config
+ */
+export function loadAuthConfig(env = process.env) {
+  let file = {};
+  if (env.PARTITURA_AUTH_CONFIG) {
+    try {
+      file = JSON.parse(readFileSync(env.PARTITURA_AUTH_CONFIG, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read auth config ${env.PARTITURA_AUTH_CONFIG}: ${error.message}`);
+    }
+  }
+
+  const jwt = env.PARTITURA_JWKS_FILE
+    ? {
+        ...file.jwt,
+        jwks: env.PARTITURA_JWKS_FILE,
+        issuer: env.PARTITURA_JWT_ISSUER || file.jwt?.issuer,
+        audience: env.PARTITURA_JWT_AUDIENCE || file.jwt?.audience
+      }
+    : file.jwt;
+
+  return {
+    apiKeys: [...(file.apiKeys || []), ...listFromEnv(env.PARTITURA_API_KEYS)],
+    bearerTokens: file.bearerTokens || [],
+    jwt,
+    allowedOrigins: [...(file.allowedOrigins || []), ...listFromEnv(env.PARTITURA_ALLOWED_ORIGINS)]
+  };
+}
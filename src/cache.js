@@ -0,0 +1,309 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, readdir, stat, unlink, utimes } from 'node:fs/promises';
+import { join } from 'node:path';
+import { serialize, deserialize } from 'node:v8';
+import { LruMap } from './lru.js';
+import { writeFileAtomic } from './atomic-write.js';
+import { sharedLogger } from './logger.js';
+
+/**
+ * Cache file name suffix on disk
+ */
+const CACHE_FILE_SUFFIX = '.render';
+
+/**
+ * Share of the disk size limit that pruning brings the disk tier down to, so
+ * that the next writes do not scan the directory again
+ */
+const DISK_PRUNE_TARGET = 0.9;
+
+/**
+ * Longest time between two scans of the disk tier, which count the files
+ * written by other processes sharing the directory and remove expired ones
+ */
+const DISK_RESCAN_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Normalizes ABC notation so that insignificant differences (line endings,
+ * trailing whitespace) map to the same cache entry
+ * @param {string} abcNotation - ABC notation
+ * @returns {string} Normalized ABC notation
+ */
+export function normalizeAbc(abcNotation) {
+  return abcNotation
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Turns render options into a canonical JSON-compatible value: object keys
+ * sorted, undefined values dropped and Buffers replaced by their hash
+ * @param {*} value - Options value
+ * @returns {*} Canonical value
+ */
+function canonicalOptions(value) {
+  if (Buffer.isBuffer(value)) {
+    return { sha256: createHash('sha256').update(value).digest('hex') };
+  }
+  if (Array.isArray(value)) {
+    return value.map(canonicalOptions);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => [key, canonicalOptions(value[key])])
+    );
+  }
+  return value;
+}
+
+/**
+ * Computes the content address of a render
+ * @param {string} kind - Render kind ('pdf', 'svg', 'midi', 'audio' or 'musicxml')
+ * @param {string} abcNotation - ABC notation
+ * @param {Object} options - Render options
+ * @returns {string} Hex SHA-256 key
+ */
+export function renderCacheKey(kind, abcNotation, options = {}) {
+  return createHash('sha256')
+    .update(JSON.stringify([kind, normalizeAbc(abcNotation), canonicalOptions(options)]))
+    .digest('hex');
+}
+
+/**
+ * Estimates the memory held by a render result
+ * @param {*} value - Render result
+ * @returns {number} Approximate size in bytes
+ */
+function sizeOf(value) {
+  if (Buffer.isBuffer(value) || typeof value === 'string') {
+    return value.length;
+  }
+  if (Array.isArray(value)) {
+    return value.reduce((sum, item) => sum + sizeOf(item), 0);
+  }
+  if (value && typeof value === 'object') {
+    return Object.values(value).reduce((sum, item) => sum + sizeOf(item), 0);
+  }
+  return 8;
+}
+
+/**
+ * Creates a content-addressed render cache
+ *
+ * The memory tier is an LRU bounded by entry count and total size. The
+ * optional disk tier stores entries as files in a directory, which several
+ * server processes may share; entries older than the TTL are discarded and
+ * the least recently used files are removed when the directory outgrows its
+ * size limit. The directory is only scanned when the bytes written since the
+ * last scan take it over the limit, or every few minutes to count the files
+ * of other processes. Concurrent requests for the same key share a single
+ * render.
+ *
+ * @param {Object} options - Cache options
+ * @param {number} options.maxEntries - Memory tier entry limit (default 100, 0 disables the memory tier)
+ * @param {number} options.maxBytes - Memory tier size limit in bytes (default 64 MB)
+ * @param {string} options.directory - Disk tier directory (disk tier disabled when omitted)
+ * @param {number} options.maxDiskBytes - Disk tier size limit in bytes (default 256 MB)
+ * @param {number} options.ttlSeconds - Disk tier entry lifetime in seconds (default one day)
+ * @returns {{getOrRender: Function, clear: Function, stats: Function}} Cache
+ */
+export function createRenderCache(options = {}) {
+  const maxEntries = options.maxEntries ?? 100;
+  const maxBytes = options.maxBytes ?? 64 * 1024 * 1024;
+  const directory = options.directory || null;
+  const maxDiskBytes = options.maxDiskBytes ?? 256 * 1024 * 1024;
+  const ttlMs = (options.ttlSeconds ?? 24 * 60 * 60) * 1000;
+
+  const memory = new LruMap();
+  const pending = new Map();
+  const counters = { hits: 0, misses: 0 };
+  let memoryBytes = 0;
+  // Size of the disk tier as of the last scan plus the files written since, null before the first scan
+  let diskBytes = null;
+  let lastScan = 0;
+  let pruning = null;
+
+  const remember = (key, value) => {
+    const size = sizeOf(value);
+    if (maxEntries <= 0 || size > maxBytes) {
+      return;
+    }
+    memoryBytes -= memory.peek(key)?.size ?? 0;
+    memory.set(key, { value, size });
+    memoryBytes += size;
+
+    while (memory.size > maxEntries || memoryBytes > maxBytes) {
+      const [oldestKey, oldest] = memory.oldest();
+      memory.delete(oldestKey);
+      memoryBytes -= oldest.size;
+    }
+  };
+
+  const recall = (key) => memory.get(key)?.value;
+
+  const filePath = (key) => join(directory, `${key}${CACHE_FILE_SUFFIX}`);
+
+  const readDisk = async (key) => {
+    if (!directory) {
+      return undefined;
+    }
+    try {
+      const info = await stat(filePath(key));
+      if (Date.now() - info.mtimeMs > ttlMs) {
+        await unlink(filePath(key)).catch(() => {});
+        return undefined;
+      }
+      const value = deserialize(await readFile(filePath(key)));
+      // Touch the file so that pruning removes the least recently used entries first
+      const now = new Date();
+      await utimes(filePath(key), now, now).catch(() => {});
+      return value;
+    } catch {
+      return undefined;
+    }
+  };
+
+  const pruneDisk = async () => {
+    const entries = [];
+    for (const name of await readdir(directory)) {
+      if (!name.endsWith(CACHE_FILE_SUFFIX)) {
+        continue;
+      }
+      try {
+        const info = await stat(join(directory, name));
+        entries.push({ path: join(directory, name), size: info.size, mtimeMs: info.mtimeMs });
+      } catch {
+        // Removed by another process in the meantime
+      }
+    }
+
+    // Past the limit, the least recently used files go until the directory is down to the prune target
+    const now = Date.now();
+    const keptBytes = entries.reduce((sum, entry) => sum + entry.size, 0) > maxDiskBytes ? maxDiskBytes * DISK_PRUNE_TARGET : maxDiskBytes;
+    let total = 0;
+    let kept = 0;
+    for (const entry of entries.sort((a, b) => b.mtimeMs - a.mtimeMs)) {
+      total += entry.size;
+      if (now - entry.mtimeMs > ttlMs || total > keptBytes) {
+        await unlink(entry.path).catch(() => {});
+      } else {
+        kept += entry.size;
+      }
+    }
+    diskBytes = kept;
+    lastScan = now;
+  };
+
+  // One scan at a time, shared by the writes that need it
+  const prune = () => {
+    pruning ??= pruneDisk().finally(() => {
+      pruning = null;
+    });
+    return pruning;
+  };
+
+  const writeDisk = async (key, value) => {
+    if (!directory) {
+      return;
+    }
+    try {
+      await mkdir(directory, { recursive: true });
+      const data = serialize(value);
+      await writeFileAtomic(filePath(key), data);
+      if (diskBytes !== null) {
+        diskBytes += data.length;
+      }
+      if (diskBytes === null || diskBytes > maxDiskBytes || Date.now() - lastScan > DISK_RESCAN_INTERVAL_MS) {
+        await prune();
+      }
+    } catch (error) {
+      // A failing disk tier must not fail the render
+      sharedLogger.warn('Render cache write failed', { directory, error });
+    }
+  };
+
+  return {
+    /**
+     * Returns the cached result for a render, rendering and storing it on a miss
+     * @param {string} kind - Render kind
+     * @param {string} abcNotation - ABC notation
+     * @param {Object} renderOptions - Render options, part of the cache key
+     * @param {Function} render - Produces the result on a miss
+     * @returns {Promise<{value: *, cache: {status: string, tier: string|null, key: string}}>} Result and cache outcome
+     */
+    async getOrRender(kind, abcNotation, renderOptions, render) {
+      const key = renderCacheKey(kind, abcNotation, renderOptions);
+
+      const cached = recall(key);
+      if (cached !== undefined) {
+        counters.hits++;
+        return { value: cached, cache: { status: 'hit', tier: 'memory', key } };
+      }
+
+      if (pending.has(key)) {
+        const value = await pending.get(key);
+        counters.hits++;
+        return { value, cache: { status: 'hit', tier: 'in-flight', key } };
+      }
+
+      const lookup = (async () => {
+        const stored = await readDisk(key);
+        if (stored !== undefined) {
+          return { value: stored, tier: 'disk' };
+        }
+        const value = await render();
+        await writeDisk(key, value);
+        return { value, tier: null };
+      })();
+      const shared = lookup.then(result => result.value);
+      // Only waiters observe a failed render; the owner rethrows it below
+      shared.catch(() => {});
+      pending.set(key, shared);
+
+      try {
+        const { value, tier } = await lookup;
+        remember(key, value);
+        counters[tier ? 'hits' : 'misses']++;
+        return { value, cache: { status: tier ? 'hit' : 'miss', tier, key } };
+      } finally {
+        pending.delete(key);
+      }
+    },
+
+    /**
+     * Empties the memory tier
+     */
+    clear() {
+      memory.clear();
+      memoryBytes = 0;
+    },
+
+    /**
+     * Reports cache usage
+     * @returns {{entries: number, bytes: number, hits: number, misses: number, disk: boolean}} Counters
+     */
+    stats() {
+      return { entries: memory.size, bytes: memoryBytes, ...counters, disk: Boolean(directory) };
+    }
+  };
+}
+
+/**
+ * Cache shared by every server in the process, configured from the environment:
+ * RENDER_CACHE_SIZE (memory entries), RENDER_CACHE_MAX_MB (memory size),
+ * RENDER_CACHE_DIR (enables the disk tier), RENDER_CACHE_DISK_MB (disk size)
+ * and RENDER_CACHE_TTL (disk entry lifetime in seconds)
+ */
+export const sharedRenderCache = createRenderCache({
+  maxEntries: process.env.RENDER_CACHE_SIZE !== undefined ? parseInt(process.env.RENDER_CACHE_SIZE, 10) || 0 : undefined,
+  maxBytes: process.env.RENDER_CACHE_MAX_MB ? parseFloat(process.env.RENDER_CACHE_MAX_MB) * 1024 * 1024 : undefined,
+  directory: process.env.RENDER_CACHE_DIR,
+  maxDiskBytes: process.env.RENDER_CACHE_DISK_MB ? parseFloat(process.env.RENDER_CACHE_DISK_MB) * 1024 * 1024 : undefined,
+  ttlSeconds: process.env.RENDER_CACHE_TTL ? parseFloat(process.env.RENDER_CACHE_TTL) : undefined
+});
@@ -0,0 +1,182 @@
+import { createRequire } from 'node:module';
+import { readdirSync } from 'node:fs';
+import { dirname, join, extname, basename } from 'node:path';
+
+const require = createRequire(import.meta.url);
+const DEJAVU_DIR = join(dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+
+/**
+ * Unicode-capable font families bundled with the server (DejaVu), covering
+ * Latin, Greek, Cyrillic, Hebrew and Arabic as well as the music symbols (♭ ♯ ♮)
+ * used in chord symbols. CJK text needs a custom font.
+ */
+export const BUILTIN_FONTS = {
+  serif: {
+    regular: join(DEJAVU_DIR, 'DejaVuSerif.ttf'),
+    bold: join(DEJAVU_DIR, 'DejaVuSerif-Bold.ttf'),
+    italic: join(DEJAVU_DIR, 'DejaVuSerif-Italic.ttf'),
+    boldItalic: join(DEJAVU_DIR, 'DejaVuSerif-BoldItalic.ttf')
+  },
+  sans: {
+    regular: join(DEJAVU_DIR, 'DejaVuSans.ttf'),
+    bold: join(DEJAVU_DIR, 'DejaVuSans-Bold.ttf'),
+    italic: join(DEJAVU_DIR, 'DejaVuSans-Oblique.ttf'),
+    boldItalic: join(DEJAVU_DIR, 'DejaVuSans-BoldOblique.ttf')
+  },
+  mono: {
+    regular: join(DEJAVU_DIR, 'DejaVuSansMono.ttf'),
+    bold: join(DEJAVU_DIR, 'DejaVuSansMono-Bold.ttf'),
+    italic: join(DEJAVU_DIR, 'DejaVuSansMono-Oblique.ttf'),
+    boldItalic: join(DEJAVU_DIR, 'DejaVuSansMono-BoldOblique.ttf')
+  }
+};
+
+/**
+ * Text roles that can be given their own font
+ */
+export const FONT_ROLES = ['default', 'title', 'lyrics', 'chords', 'annotations'];
+
+/**
+ * Role of the text drawn by abcjs for each of its CSS classes
+ */
+const ABCJS_CLASS_ROLES = {
+  'abcjs-title': 'title',
+  'abcjs-subtitle': 'title',
+  'abcjs-lyric': 'lyrics',
+  'abcjs-chord': 'chords',
+  'abcjs-annotation': 'annotations'
+};
+
+/**
+ * Maps the classes abcjs puts on a text element to a font role
+ * @param {Array<string>} classes - Class names of the element
+ * @returns {string} One of FONT_ROLES
+ */
+export function fontRoleForClasses(classes) {
+  for (const name of classes) {
+    if (ABCJS_CLASS_ROLES[name]) {
+      return ABCJS_CLASS_ROLES[name];
+    }
+  }
+  return 'default';
+}
+
+/**
+ * Lists the TTF and OTF files in the directory named by PARTITURA_FONT_DIR
+ * @returns {Object<string, string>} File paths keyed by lower-case file name without extension
+ */
+function customFontFiles() {
+  const directory = process.env.PARTITURA_FONT_DIR;
+  if (!directory) {
+    return {};
+  }
+
+  const files = {};
+  try {
+    for (const file of readdirSync(directory)) {
+      if (['.ttf', '.otf'].includes(extname(file).toLowerCase())) {
+        files[basename(file, extname(file)).toLowerCase()] = join(directory, file);
+      }
+    }
+  } catch (error) {
+    throw new Error(`Cannot read font directory ${directory}: ${error.message}`);
+  }
+  return files;
+}
+
+/**
+ * Lists the font names that can be chosen by name: the built-in families
+ * followed by the custom fonts installed in PARTITURA_FONT_DIR
+ * @returns {Array<string>} Font names
+ */
+export function listFonts() {
+  return [...Object.keys(BUILTIN_FONTS), ...Object.keys(customFontFiles())];
+}
+
+/**
+ * Resolves a font choice to a family of font sources
+ *
+ * A choice is a built-in family name, the name of a font installed in
+ * PARTITURA_FONT_DIR, a path to a TTF/OTF file, or the file contents. Single
+ * files have no bold or italic variants, so every variant uses the same file.
+ *
+ * @param {string|Buffer} choice - Font choice
+ * @returns {{regular: string|Buffer, bold: string|Buffer, italic: string|Buffer, boldItalic: string|Buffer}} Font family
+ */
+export function resolveFontFamily(choice) {
+  if (Buffer.isBuffer(choice) || /[/\\]|\.(ttf|otf)$/i.test(choice)) {
+    return { regular: choice, bold: choice, italic: choice, boldItalic: choice };
+  }
+
+  const name = String(choice).toLowerCase();
+  if (BUILTIN_FONTS[name]) {
+    return BUILTIN_FONTS[name];
+  }
+
+  const file = customFontFiles()[name];
+  if (!file) {
+    throw new Error(`Unknown font: ${choice}. Available fonts: ${listFonts().join(', ')}`);
+  }
+  return { regular: file, bold: file, italic: file, boldItalic: file };
+}
+
+/**
+ * Classifies a CSS font-family list as one of the built-in families
+ * @param {string} family - CSS font-family list
+ * @returns {string} 'serif', 'sans' or 'mono'
+ */
+export function builtinFamilyFor(family = '') {
+  const name = family.toLowerCase();
+  if (/courier|mono/.test(name)) {
+    return 'mono';
+  }
+  if (/times|georgia|garamond|palatino|(^|[\s,"'])serif/.test(name)) {
+    return 'serif';
+  }
+  return 'sans';
+}
+
+/**
+ * Creates the font selector used while drawing one PDF document
+ *
+ * Fonts are registered with the document on first use. Text whose role has a
+ * configured font uses it (falling back to the configured default font);
+ * otherwise the built-in family closest to the requested CSS family is used.
+ *
+ * @param {PDFDocument} doc - Target document
+ * @param {Object} fonts - Font choices keyed by role (see FONT_ROLES)
+ * @returns {{use: Function}} Selector; use(role, family, weight, style) sets the document font
+ */
+export function createFontSelector(doc, fonts = {}) {
+  for (const role of Object.keys(fonts)) {
+    if (!FONT_ROLES.includes(role)) {
+      throw new Error(`Unknown font role: ${role}. Expected one of: ${FONT_ROLES.join(', ')}`);
+    }
+  }
+
+  // Resolve every configured font up front so that bad choices fail early
+  const families = {};
+  for (const [role, choice] of Object.entries(fonts)) {
+    if (choice) {
+      families[role] = resolveFontFamily(choice);
+    }
+  }
+
+  const registered = new Map();
+
+  return {
+    use(role = 'default', family = '', weight = 'normal', fontStyle = 'normal') {
+      const fontFamily = families[role] || families.default || BUILTIN_FONTS[builtinFamilyFor(family)];
+      const bold = weight === 'bold' || weight === 'bolder' || parseInt(weight, 10) >= 600;
+      const italic = fontStyle === 'italic' || fontStyle === 'oblique';
+      const source = fontFamily[bold ? (italic ? 'boldItalic' : 'bold') : (italic ? 'italic' : 'regular')];
+
+      if (!registered.has(source)) {
+        const name = `font-${registered.size}`;
+        doc.registerFont(name, source);
+        registered.set(source, name);
+      }
+      return doc.font(registered.get(source));
+    }
+  };
+}
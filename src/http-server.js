@@ -2,19 +2,92 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
-import {
-  CallToolRequestSchema,
-  ListToolsRequestSchema,
-  isInitializeRequest,
-} from '@modelcontextprotocol/sdk/types.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
 import { createServer } from 'http';
 import { randomUUID } from 'node:crypto';
-import { abcToPdf, pdfToBase64, AbcToPdfSchema } from './index.js';
+import { setupServerHandlers } from './tools.js';
+import { createRenderPool, DEFAULT_POOL_SIZE } from './render-pool.js';
+import { sharedRenderCache } from './cache.js';
+import { sharedArtifactStore } from './artifacts.js';
+import { handleRenderRequest, REST_FORMATS } from './rest.js';
+import { loadAuthConfig, createAuthenticator, createOriginPolicy, AuthError } from './auth.js';
+import { sharedLimits, createRateLimiter, readLimitedBody, clientAddress, LimitError } from './limits.js';
+import { createSessionRegistry } from './sessions.js';
+import { sharedMetrics } from './metrics.js';
+import { sharedLogger, withLogContext } from './logger.js';
+import { sharedInFlight, handleShutdownSignals, ShutdownError, SHUTDOWN_TIMEOUT_SECONDS } from './shutdown.js';
 
 const PORT = process.env.PORT || 3000;
 
-// Map to store transports by session ID
-const transports = {};
+// Worker threads rendering scores in parallel for every session; a render
+// running longer than RENDER_TIMEOUT seconds is stopped with its worker
+const RENDER_POOL_SIZE = parseInt(process.env.RENDER_POOL_SIZE, 10) || DEFAULT_POOL_SIZE;
+const renderPool = createRenderPool({
+  size: RENDER_POOL_SIZE,
+  timeout: parseFloat(process.env.RENDER_TIMEOUT) * 1000 || undefined
+});
+
+// Credentials and allowed origins, from PARTITURA_AUTH_CONFIG and the PARTITURA_* shortcuts
+const authConfig = loadAuthConfig();
+const authenticator = createAuthenticator(authConfig);
+const originPolicy = createOriginPolicy(authConfig.allowedOrigins);
+
+// Token buckets per client address and per MCP session
+const ipRateLimiter = createRateLimiter(sharedLimits.ipRate);
+const sessionRateLimiter = createRateLimiter(sharedLimits.sessionRate);
+
+// Open MCP sessions: their transports and the identity of the client that opened each,
+// closed when idle for SESSION_IDLE_TTL seconds or when MAX_SESSIONS is exceeded
+const sessions = createSessionRegistry({
+  maxSessions: process.env.MAX_SESSIONS !== undefined ? parseInt(process.env.MAX_SESSIONS, 10) || 0 : undefined,
+  idleTtlSeconds: process.env.SESSION_IDLE_TTL !== undefined ? parseFloat(process.env.SESSION_IDLE_TTL) || 0 : undefined,
+  sweepIntervalSeconds: parseFloat(process.env.SESSION_SWEEP_INTERVAL) || undefined
+});
+
+// Gauges read from the server state at scrape time, next to the counters of sharedMetrics
+const { registry: metricsRegistry } = sharedMetrics;
+const httpRefusals = metricsRegistry.counter('partitura_http_refusals_total', 'HTTP requests refused for their origin, credentials, size or rate, or during shutdown, by status');
+metricsRegistry.gauge('partitura_sessions_active', 'Open MCP sessions', { collect: () => sessions.stats().active });
+metricsRegistry.counter('partitura_sessions_evicted_total', 'MCP sessions closed by the server, by reason', {
+  collect: () => Object.entries(sessions.stats().evicted).map(([reason, value]) => ({ labels: { reason }, value }))
+});
+metricsRegistry.gauge('partitura_render_pool_busy_workers', 'Render workers rendering a score', { collect: () => renderPool.stats().busy });
+metricsRegistry.gauge('partitura_render_pool_queued', 'Renders waiting for a worker', { collect: () => renderPool.stats().queued });
+metricsRegistry.counter('partitura_render_cache_requests_total', 'Render cache lookups by result', {
+  collect: () => {
+    const { hits, misses } = sharedRenderCache.stats();
+    return [{ labels: { result: 'hit' }, value: hits }, { labels: { result: 'miss' }, value: misses }];
+  }
+});
+metricsRegistry.gauge('partitura_render_cache_hit_ratio', 'Share of render cache lookups served from the cache', {
+  collect: () => {
+    const { hits, misses } = sharedRenderCache.stats();
+    return hits + misses > 0 ? hits / (hits + misses) : 0;
+  }
+});
+metricsRegistry.gauge('partitura_render_cache_bytes', 'Size of the in-memory render cache', { collect: () => sharedRenderCache.stats().bytes });
+
+/**
+ * Answers a request that was refused for its credentials, origin, size or rate, or during shutdown
+ * @param {ServerResponse} res - HTTP response
+ * @param {AuthError|LimitError|ShutdownError} error - Refusal
+ * @param {boolean} jsonRpc - Whether to answer with a JSON-RPC error (MCP endpoint)
+ */
+function sendRefusal(res, error, jsonRpc) {
+  httpRefusals.inc({ status: error.status });
+  sharedMetrics.recordFailure(error);
+  const headers = { 'Content-Type': 'application/json' };
+  if (error.status === 401) {
+    headers['WWW-Authenticate'] = 'Bearer realm="partitura-mcp"';
+  }
+  if (error.retryAfter) {
+    headers['Retry-After'] = String(error.retryAfter);
+  }
+  res.writeHead(error.status, headers);
+  res.end(JSON.stringify(jsonRpc
+    ? { jsonrpc: '2.0', error: { code: -32000, message: error.message }, id: null }
+    : { error: error.message }));
+}
 
 /**
  * Create and configure a new MCP server instance
@@ -28,6 +101,8 @@ function createMcpServer() {
     {
       capabilities: {
         tools: {},
+        resources: {},
+        prompts: {},
       },
     }
   );
@@ -36,117 +111,28 @@ function createMcpServer() {
 }
 
 /**
- * Configure MCP server handlers
- */
-function setupServerHandlers(server) {
-  /**
-   * Handler for listing available tools
-   */
-  server.setRequestHandler(ListToolsRequestSchema, async () => {
-    return {
-      tools: [
-        {
-          name: 'abc_to_pdf',
-          description: 'Convert ABC music notation to PDF sheet music. ABC notation is a text-based music notation system that can represent melodies, chords, and rhythms. The tool validates the input, renders it as sheet music, and returns a PDF file.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              abc_notation: {
-                type: 'string',
-                description: 'The ABC notation string to convert. Must be valid ABC notation format. ' +
-                            'Example (use actual newlines, not escape sequences): ' +
-                            'X:1 [newline] T:Scale [newline] M:4/4 [newline] L:1/4 [newline] K:C [newline] C D E F | G A B c |',
-              },
-              title: {
-                type: 'string',
-                description: 'Optional title for the PDF document. If not provided, defaults to "Music Sheet".',
-              },
-              composer: {
-                type: 'string',
-                description: 'Optional composer name for the PDF document metadata.',
-              },
-            },
-            required: ['abc_notation'],
-          },
-        },
-      ],
-    };
-  });
-
-  /**
-   * Handler for tool execution
-   */
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const { name, arguments: args } = request.params;
-
-    if (name !== 'abc_to_pdf') {
-      throw new Error(`Unknown tool: ${name}`);
-    }
-
-    try {
-      // Validate input using Zod schema
-      const validatedArgs = AbcToPdfSchema.parse(args);
-
-      // Convert ABC to PDF
-      const pdfBuffer = await abcToPdf(validatedArgs.abc_notation, {
-        title: validatedArgs.title,
-        composer: validatedArgs.composer,
-      });
-
-      // Convert to base64
-      const base64Pdf = pdfToBase64(pdfBuffer);
-
-      // Return result
-      return {
-        content: [
-          {
-            type: 'resource',
-            resource: {
-              uri: `data:application/pdf;base64,${base64Pdf}`,
-              mimeType: 'application/pdf',
-              text: `Generated PDF from ABC notation${validatedArgs.title ? ` - ${validatedArgs.title}` : ''}`,
-            },
-          },
-          {
-            type: 'text',
-            text: `Successfully generated PDF from ABC notation. Size: ${Math.round(pdfBuffer.length / 1024)}KB`,
-          },
-        ],
-      };
-    } catch (error) {
-      // Return error message
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Error: ${error.message}`,
-          },
-        ],
-        isError: true,
-      };
-    }
-  });
-}
-
-/**
- * Create HTTP server with Streamable HTTP support
+ * Handles one HTTP request
+ * @param {IncomingMessage} req - HTTP request
+ * @param {ServerResponse} res - HTTP response
  */
-const httpServer = createServer(async (req, res) => {
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
+async function handleHttpRequest(req, res) {
+  // Enable CORS for the allowed origins (every origin when no allowlist is configured)
+  for (const [name, value] of Object.entries(originPolicy.headers(req.headers.origin))) {
+    res.setHeader(name, value);
+  }
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, mcp-session-id');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, mcp-session-id, Authorization, X-API-Key, X-Request-Id');
+  res.setHeader('Access-Control-Expose-Headers', 'mcp-session-id, Content-Disposition, X-Cache, Retry-After, X-Request-Id');
 
-  if (req.method === 'OPTIONS') {
-    res.writeHead(200);
-    res.end();
+  // Browsers on other origins are refused outright, not just denied CORS
+  if (!originPolicy.allows(req.headers.origin)) {
+    sendRefusal(res, new AuthError(403, `Origin not allowed: ${req.headers.origin}`), req.url === '/mcp');
     return;
   }
 
-  // Health check endpoint
-  if (req.url === '/health' && req.method === 'GET') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ status: 'ok', service: 'partitura-mcp' }));
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
     return;
   }
 
@@ -173,9 +159,11 @@ const httpServer = createServer(async (req, res) => {
           <ul>
             <li><code>GET /</code> - This documentation page</li>
             <li><code>GET /health</code> - Health check endpoint</li>
+            <li><code>GET /metrics</code> - Prometheus metrics</li>
             <li><code>POST /mcp</code> - MCP endpoint for JSON-RPC messages</li>
             <li><code>GET /mcp</code> - MCP endpoint for SSE streaming (requires mcp-session-id header)</li>
             <li><code>DELETE /mcp</code> - MCP endpoint for session termination</li>
+            ${Object.keys(REST_FORMATS).map(format => `<li><code>POST /render/${format}</code> - Render ABC to ${format.toUpperCase()} over plain HTTP</li>`).join('\n            ')}
           </ul>
           
           <h2>Available Tools</h2>
@@ -188,7 +176,24 @@ const httpServer = createServer(async (req, res) => {
   "composer": "Optional Composer"
 }
           </pre>
+          <h3>abc_to_svg</h3>
+          <p>Convert ABC music notation to standalone SVG for embedding in web pages.</p>
+          <pre>
+{
+  "abc_notation": "X:1\\nT:Scale\\nM:4/4\\nL:1/4\\nK:C\\nC D E F | G A B c |",
+  "staff_width": 600,
+  "scale": 1.5,
+  "responsive": true
+}
+          </pre>
           
+          <h2>REST Rendering</h2>
+          <p>Send raw ABC with options in the query string, or JSON with the same fields as the matching tool. The response is the file itself.</p>
+          <pre>
+curl -X POST --data-binary @tune.abc -H 'Content-Type: text/plain' \\
+  'http://localhost:${PORT}/render/pdf?title=My%20Tune&paper_size=Letter' -o tune.pdf
+          </pre>
+
           <h2>Status</h2>
           <p>Server is running on port ${PORT}</p>
           <p>Transport: MCP Streamable HTTP</p>
@@ -198,114 +203,205 @@ const httpServer = createServer(async (req, res) => {
     return;
   }
 
+  // Everything past this point is rate limited, and needs credentials when authentication is configured.
+  // Addresses are limited before authentication so that credentials cannot be guessed at full speed.
+  // The health check needs none for load balancers, but its credentials are checked when it presents some.
+  const healthCheck = req.url === '/health' && req.method === 'GET';
+  let principal = null;
+  if (req.url === '/mcp' || req.url.startsWith('/render/') || req.url === '/metrics' ||
+      (healthCheck && (req.headers['x-api-key'] || req.headers.authorization))) {
+    const sessionId = req.url === '/mcp' && sessions.has(req.headers['mcp-session-id']) ? req.headers['mcp-session-id'] : null;
+    try {
+      ipRateLimiter.take(clientAddress(req));
+      principal = authenticator.authenticate(req);
+      // Requests with other credentials than the session's are refused below, without using up its bucket
+      if (sessionId && (!principal || sessions.peek(sessionId).principalId === principal.id)) {
+        sessionRateLimiter.take(sessionId);
+      }
+    } catch (error) {
+      if (!(error instanceof AuthError || error instanceof LimitError)) {
+        throw error;
+      }
+      sendRefusal(res, error, req.url === '/mcp');
+      return;
+    }
+  }
+
+  // Health check endpoint, failing while the server drains so that load balancers stop routing to it.
+  // With authentication configured, only clients with credentials see the sessions, pool, cache and store.
+  if (healthCheck) {
+    const draining = sharedInFlight.draining;
+    const health = { status: draining ? 'shutting_down' : 'ok', service: 'partitura-mcp' };
+    if (!authenticator.enabled || principal) {
+      Object.assign(health, { inFlight: sharedInFlight.size(), sessions: sessions.stats(), renderPool: renderPool.stats(), renderCache: sharedRenderCache.stats(), artifacts: sharedArtifactStore.stats() });
+    }
+    res.writeHead(draining ? 503 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(health));
+    return;
+  }
+
+  // Prometheus metrics endpoint
+  if (req.url === '/metrics' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(metricsRegistry.render());
+    return;
+  }
+
+  // REST rendering endpoints for clients that do not speak MCP
+  if (req.url.startsWith('/render/')) {
+    try {
+      await sharedInFlight.run(() => handleRenderRequest(req, res, { renderer: renderPool, principal }));
+    } catch (error) {
+      if (error instanceof ShutdownError) {
+        sendRefusal(res, error, false);
+        return;
+      }
+      sharedLogger.error('Error handling render request', { error });
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Internal server error' }));
+      }
+    }
+    return;
+  }
+
   // MCP Streamable HTTP endpoint - handles GET, POST, and DELETE
   if (req.url === '/mcp') {
     const sessionId = req.headers['mcp-session-id'];
+
+    // A session can only be used with the credentials that opened it, and only their requests keep it open
+    if (principal && sessions.has(sessionId) && sessions.peek(sessionId).principalId !== principal.id) {
+      sendRefusal(res, new AuthError(403, 'Session was opened with other credentials'), true);
+      return;
+    }
+    const session = sessions.get(sessionId);
+
+    // Expired, evicted or terminated sessions are answered with 404 so that clients start a new one
+    if (sessionId && !session) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        jsonrpc: '2.0',
+        error: {
+          code: -32001,
+          message: 'Session not found: it expired or was closed. Send a new initialization request without mcp-session-id'
+        },
+        id: null
+      }));
+      return;
+    }
     
     try {
       if (req.method === 'POST') {
         // Handle POST requests
-        let body = '';
-        
-        req.on('data', chunk => {
-          body += chunk.toString();
-        });
-        
-        req.on('end', async () => {
-          try {
-            const message = JSON.parse(body);
-            
-            let transport;
-            
-            if (sessionId && transports[sessionId]) {
-              // Reuse existing transport
-              transport = transports[sessionId];
-              console.log(`Reusing transport for session: ${sessionId}`);
-            } else if (!sessionId && isInitializeRequest(message)) {
-              // New initialization request
-              console.log('Creating new transport for initialization');
-              
-              transport = new StreamableHTTPServerTransport({
-                sessionIdGenerator: () => randomUUID(),
-                onsessioninitialized: (newSessionId) => {
-                  console.log(`Session initialized with ID: ${newSessionId}`);
-                  transports[newSessionId] = transport;
-                }
-              });
-              
-              // Set up onclose handler to clean up transport when closed
-              transport.onclose = () => {
-                const sid = transport.sessionId;
-                if (sid && transports[sid]) {
-                  console.log(`Transport closed for session ${sid}, removing from transports map`);
-                  delete transports[sid];
-                }
-              };
-              
-              // Create and configure MCP server
-              const server = createMcpServer();
-              setupServerHandlers(server);
-              
-              // Connect the transport to the MCP server
-              await server.connect(transport);
-            } else {
-              // Invalid request - no session ID or not initialization request
-              res.writeHead(400, { 'Content-Type': 'application/json' });
-              res.end(JSON.stringify({
-                jsonrpc: '2.0',
-                error: {
-                  code: -32000,
-                  message: 'Bad Request: No valid session ID provided or not an initialization request'
-                },
-                id: null
-              }));
+        let body;
+        try {
+          body = await readLimitedBody(req);
+        } catch (error) {
+          if (!(error instanceof LimitError)) {
+            throw error;
+          }
+          sendRefusal(res, error, true);
+          return;
+        }
+
+        try {
+          const message = JSON.parse(body.toString('utf8'));
+          
+          let transport;
+          
+          if (session) {
+            // Reuse existing transport
+            transport = session.transport;
+            sharedLogger.debug('Reusing transport for session');
+          } else if (!sessionId && isInitializeRequest(message)) {
+            // No new session opens during shutdown
+            if (sharedInFlight.draining) {
+              sendRefusal(res, new ShutdownError('Server is shutting down, open the session on another instance'), true);
               return;
             }
+
+            // New initialization request
+            sharedLogger.debug('Creating new transport for initialization');
             
-            // Handle the request with the transport
-            await transport.handleRequest(req, res, message);
-          } catch (error) {
-            console.error('Error handling MCP POST request:', error);
-            if (!res.headersSent) {
-              res.writeHead(500, { 'Content-Type': 'application/json' });
-              res.end(JSON.stringify({
-                jsonrpc: '2.0',
-                error: {
-                  code: -32603,
-                  message: 'Internal server error'
-                },
-                id: null
-              }));
-            }
+            transport = new StreamableHTTPServerTransport({
+              sessionIdGenerator: () => randomUUID(),
+              onsessioninitialized: (newSessionId) => {
+                sharedLogger.info('Session initialized', { sessionId: newSessionId, principal: principal?.id });
+                sessions.add(newSessionId, transport, principal?.id);
+              }
+            });
+            
+            // Set up onclose handler to clean up transport when closed
+            transport.onclose = () => {
+              const sid = transport.sessionId;
+              if (sid && sessions.has(sid)) {
+                sharedLogger.info('Transport closed, removing session', { sessionId: sid });
+                sessions.remove(sid);
+              }
+              sessionRateLimiter.remove(sid);
+            };
+            
+            // Create and configure MCP server
+            const server = createMcpServer();
+            setupServerHandlers(server, { renderer: renderPool, principal });
+            
+            // Connect the transport to the MCP server
+            await server.connect(transport);
+          } else {
+            // Invalid request - no session ID or not initialization request
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+              jsonrpc: '2.0',
+              error: {
+                code: -32000,
+                message: 'Bad Request: No valid session ID provided or not an initialization request'
+              },
+              id: null
+            }));
+            return;
+          }
+          
+          // Handle the request with the transport
+          await transport.handleRequest(req, res, message);
+        } catch (error) {
+          sharedLogger.error('Error handling MCP POST request', { error });
+          if (!res.headersSent) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+              jsonrpc: '2.0',
+              error: {
+                code: -32603,
+                message: 'Internal server error'
+              },
+              id: null
+            }));
           }
-        });
+        }
         
         return;
       } else if (req.method === 'GET') {
         // Handle GET requests for SSE streams
-        if (!sessionId || !transports[sessionId]) {
+        if (!session) {
           res.writeHead(400, { 'Content-Type': 'text/plain' });
-          res.end('Invalid or missing session ID');
+          res.end('Missing session ID');
           return;
         }
         
-        console.log(`Establishing SSE stream for session ${sessionId}`);
+        sharedLogger.debug('Establishing SSE stream');
         
-        const transport = transports[sessionId];
-        await transport.handleRequest(req, res);
+        await session.transport.handleRequest(req, res);
         return;
       } else if (req.method === 'DELETE') {
         // Handle DELETE requests for session termination
-        if (!sessionId || !transports[sessionId]) {
+        if (!session) {
           res.writeHead(400, { 'Content-Type': 'text/plain' });
-          res.end('Invalid or missing session ID');
+          res.end('Missing session ID');
           return;
         }
         
-        console.log(`Received session termination request for session ${sessionId}`);
+        sharedLogger.info('Received session termination request');
         
-        const transport = transports[sessionId];
-        await transport.handleRequest(req, res);
+        await session.transport.handleRequest(req, res);
         return;
       } else {
         // Method not allowed
@@ -314,7 +410,7 @@ const httpServer = createServer(async (req, res) => {
         return;
       }
     } catch (error) {
-      console.error('Error handling MCP request:', error);
+      sharedLogger.error('Error handling MCP request', { error });
       if (!res.headersSent) {
         res.writeHead(500, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({
@@ -334,40 +430,117 @@ const httpServer = createServer(async (req, res) => {
   // 404 for unknown routes
   res.writeHead(404, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify({ error: 'Not found' }));
+}
+
+/**
+ * Create HTTP server with Streamable HTTP support
+ *
+ * Every request gets a request ID, taken from a well-formed X-Request-Id
+ * header or generated, and echoed in the response. Every line logged while
+ * handling the request carries it together with the session ID.
+ */
+const httpServer = createServer((req, res) => {
+  const requestId = /^[\w.:-]{1,128}$/.test(req.headers['x-request-id'] || '') ? req.headers['x-request-id'] : randomUUID();
+  res.setHeader('X-Request-Id', requestId);
+
+  const started = process.hrtime.bigint();
+  const context = { requestId, sessionId: req.headers['mcp-session-id'] };
+  res.on('finish', () => {
+    const fields = {
+      ...context,
+      method: req.method,
+      path: req.url.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+      client: clientAddress(req)
+    };
+    // Probes and scrapes would drown the other lines
+    const level = req.url === '/health' || req.url === '/metrics' ? 'debug' : 'info';
+    sharedLogger[level]('Request completed', fields);
+  });
+
+  withLogContext(context, () => handleHttpRequest(req, res)).catch((error) => {
+    sharedLogger.error('Error handling request', { ...context, error });
+    if (!res.headersSent) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Internal server error' }));
+    }
+  });
 });
 
 /**
  * Start the server
  */
 async function main() {
+  sessions.start();
   httpServer.listen(PORT, () => {
-    console.log(`Partitura MCP Streamable HTTP Server started on http://localhost:${PORT}`);
-    console.log(`Health check: http://localhost:${PORT}/health`);
-    console.log(`MCP endpoint: http://localhost:${PORT}/mcp`);
-    console.log(`Transport: Streamable HTTP`);
+    const { max, idleTtlSeconds } = sessions.stats();
+    sharedLogger.info('Partitura MCP Streamable HTTP Server started', {
+      url: `http://localhost:${PORT}`,
+      health: `http://localhost:${PORT}/health`,
+      metrics: `http://localhost:${PORT}/metrics`,
+      mcp: `http://localhost:${PORT}/mcp`,
+      transport: 'streamable-http',
+      renderWorkers: RENDER_POOL_SIZE,
+      sessions: { max, idleTtlSeconds },
+      rateLimits: { perAddress: sharedLimits.ipRate.perMinute, perSession: sharedLimits.sessionRate.perMinute },
+      authentication: authenticator.enabled ? 'required' : 'disabled',
+      allowedOrigins: authConfig.allowedOrigins.length > 0 ? authConfig.allowedOrigins : undefined
+    });
+    if (!authenticator.enabled) {
+      sharedLogger.warn('Authentication is disabled: set PARTITURA_AUTH_CONFIG or PARTITURA_API_KEYS before exposing the server');
+    }
   });
 }
 
-// Handle server shutdown
-process.on('SIGINT', async () => {
-  console.log('Shutting down server...');
-  
+/**
+ * Shuts the server down gracefully: new sessions and renders are refused and
+ * /health answers 503 while the calls in progress finish, within
+ * SHUTDOWN_TIMEOUT seconds; then the sessions, the render workers and the
+ * listener are closed
+ * @returns {Promise<boolean>} True when no call was cut off
+ */
+async function shutdown() {
+  const inFlight = sharedInFlight.size();
+  if (inFlight > 0) {
+    sharedLogger.info('Waiting for calls in progress', { inFlight });
+  }
+  const drained = await sharedInFlight.drain(SHUTDOWN_TIMEOUT_SECONDS * 1000);
+  if (!drained) {
+    sharedLogger.warn('Shutdown deadline passed, abandoning calls in progress', { inFlight: sharedInFlight.size() });
+  }
+  // Let the responses of the last calls reach their transports
+  await new Promise(resolve => setImmediate(resolve));
+
   // Close all active transports
-  for (const sessionId in transports) {
+  sessions.stop();
+  for (const [sessionId, session] of sessions.entries()) {
     try {
-      console.log(`Closing transport for session ${sessionId}`);
-      await transports[sessionId].close();
-      delete transports[sessionId];
+      sharedLogger.info('Closing transport', { sessionId });
+      await session.transport.close();
+      sessions.remove(sessionId);
     } catch (error) {
-      console.error(`Error closing transport for session ${sessionId}:`, error);
+      sharedLogger.error('Error closing transport', { sessionId, error });
     }
   }
-  
-  console.log('Server shutdown complete');
-  process.exit(0);
-});
+
+  await renderPool.close();
+
+  // Stop listening once the last responses are written; open keep-alive connections are dropped
+  await new Promise((resolve) => {
+    httpServer.close(resolve);
+    httpServer.closeIdleConnections();
+    setTimeout(() => {
+      httpServer.closeAllConnections();
+      resolve();
+    }, 1000).unref();
+  });
+  return drained;
+}
+
+handleShutdownSignals(shutdown);
 
 main().catch((error) => {
-  console.error('Fatal error in main():', error);
+  sharedLogger.error('Fatal error in main()', { error });
   process.exit(1);
 });
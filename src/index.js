@@ -2,6 +2,12 @@ import abcjs from 'abcjs';
 import PDFDocument from 'pdfkit';
 import { JSDOM } from 'jsdom';
 import { z } from 'zod';
+import { extractSvgElements, splitIntoSystems, drawSvgElements } from './svg-pdf.js';
+import { createFontSelector, FONT_ROLES } from './fonts.js';
+import { checkAbcLimits } from './limits.js';
+import { sharedLogger } from './logger.js';
+
+export { extractSvgElements, pathBounds, splitIntoSystems } from './svg-pdf.js';
 
 /**
  * Schema for ABC to PDF conversion input
@@ -9,23 +15,92 @@ import { z } from 'zod';
 export const AbcToPdfSchema = z.object({
   abc_notation: z.string().min(1, 'ABC notation cannot be empty').describe('The ABC notation string to convert to PDF'),
   title: z.string().optional().describe('Optional title for the PDF document'),
-  composer: z.string().optional().describe('Optional composer name for the PDF document')
+  composer: z.string().optional().describe('Optional composer name for the PDF document'),
+  tunes: z.array(z.union([z.number().int(), z.string().min(1)])).min(1).optional()
+    .describe('Optional list of tunes to render, selected by X: reference number or title. Defaults to all tunes'),
+  tune_break: z.enum(['system', 'page']).optional()
+    .describe('Whether each tune after the first starts on a new system (default) or a new page'),
+  paper_size: z.union([
+    z.enum(['A4', 'Letter', 'Legal', 'A3', 'B4']),
+    z.object({
+      width: z.number().positive().max(14400),
+      height: z.number().positive().max(14400)
+    })
+  ]).optional().describe('Paper size name, or a custom { width, height } in points (default A4)'),
+  orientation: z.enum(['portrait', 'landscape']).optional().describe('Page orientation (default portrait)'),
+  margins: z.union([
+    z.number().min(0).max(500),
+    z.object({
+      top: z.number().min(0).max(500).optional(),
+      right: z.number().min(0).max(500).optional(),
+      bottom: z.number().min(0).max(500).optional(),
+      left: z.number().min(0).max(500).optional()
+    })
+  ]).optional().describe('Page margins in points, either one value for all sides or per side (default 50)'),
+  staff_width: z.number().positive().max(5000).optional()
+    .describe('Width of the staff in notation units. Defaults to filling the printable width'),
+  scale: z.number().positive().max(10).optional()
+    .describe('Size of one notation unit in points. Defaults to fitting a 600-unit staff on the portrait page width'),
+  staff_spacing: z.number().min(0).max(500).optional()
+    .describe('Vertical space between staff systems in points (default 6)'),
+  fonts: z.object(Object.fromEntries(FONT_ROLES.map(role => [
+    role,
+    z.string().regex(/^[\w-]+$/, 'Font names may only contain letters, digits, underscores and hyphens').optional()
+  ]))).optional()
+    .describe('Optional font name per text role (default, title, lyrics, chords, annotations)')
+});
+
+/**
+ * Schema for ABC to SVG conversion input
+ */
+export const AbcToSvgSchema = z.object({
+  abc_notation: z.string().min(1, 'ABC notation cannot be empty').describe('The ABC notation string to convert to SVG'),
+  tunes: AbcToPdfSchema.shape.tunes,
+  staff_width: z.number().positive().max(5000).optional().describe('Width of the staff in SVG units (default 600)'),
+  scale: z.number().positive().max(10).optional().describe('Notation scale factor (default 1.5)'),
+  responsive: z.boolean().optional().describe('Whether the SVG scales to its container width (default true)')
+});
+
+/**
+ * Default abcjs layout used when no explicit options are given
+ */
+const DEFAULT_STAFF_WIDTH = 600;
+const DEFAULT_SCALE = 1.5;
+
+/**
+ * Schema for ABC validation input
+ */
+export const ValidateAbcSchema = z.object({
+  abc_notation: z.string().describe('The ABC notation string to validate')
 });
 
 /**
- * Validates ABC notation format
+ * Error thrown for ABC notation that fails validation; the reason
+ * ("empty" or "unsafe_content") classifies it for metrics
+ */
+export class AbcValidationError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'AbcValidationError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Validates ABC notation format, including the length and complexity limits
+ * (see sharedLimits in limits.js)
  * @param {string} abcNotation - The ABC notation to validate
  * @returns {boolean} True if valid, throws error otherwise
  */
 export function validateAbcNotation(abcNotation) {
   if (!abcNotation || typeof abcNotation !== 'string') {
-    throw new Error('ABC notation must be a non-empty string');
+    throw new AbcValidationError('ABC notation must be a non-empty string', 'empty');
   }
 
   // Basic ABC notation validation
   const trimmed = abcNotation.trim();
   if (trimmed.length === 0) {
-    throw new Error('ABC notation cannot be empty');
+    throw new AbcValidationError('ABC notation cannot be empty', 'empty');
   }
 
   // Check for potentially malicious content
@@ -40,20 +115,136 @@ export function validateAbcNotation(abcNotation) {
 
   for (const pattern of dangerousPatterns) {
     if (pattern.test(abcNotation)) {
-      throw new Error('ABC notation contains potentially unsafe content');
+      throw new AbcValidationError('ABC notation contains potentially unsafe content', 'unsafe_content');
     }
   }
 
+  checkAbcLimits(abcNotation);
+
   return true;
 }
 
+/**
+ * Parses one abcjs warning string ("Music Line:6:5: message:  context")
+ * @param {string} warning - Warning as reported by abcjs, with HTML markup
+ * @returns {{line: number|null, column: number|null, message: string, snippet: string}}
+ */
+function parseAbcjsWarning(warning) {
+  const decode = (html) => html
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .trim();
+
+  const match = warning.match(/^Music Line:(\d+):(\d+): ([\s\S]*?):  ([\s\S]*)$/);
+  if (!match) {
+    return { line: null, column: null, message: decode(warning), snippet: '' };
+  }
+
+  return {
+    line: parseInt(match[1], 10),
+    column: parseInt(match[2], 10),
+    message: match[3],
+    snippet: decode(match[4])
+  };
+}
+
+/**
+ * Collects the abcjs parser warnings for every tune of an ABC file
+ *
+ * Line numbers are 1-based and relative to the whole input, so they point at
+ * the offending line even in multi-tune files. Columns are 1-based.
+ *
+ * @param {string} abcNotation - ABC notation holding one or more tunes
+ * @returns {Array<{tune: string, line: number|null, column: number|null, message: string, snippet: string}>}
+ *   Warnings in input order
+ */
+export function collectAbcWarnings(abcNotation) {
+  const tunes = selectTunes(abcNotation);
+  const sources = tunes.length > 0
+    ? tunes.map(tune => ({ id: tune.id, text: tune.source, startPos: tune.startPos }))
+    : [{ id: '', text: abcNotation, startPos: 0 }];
+
+  const warnings = [];
+  for (const source of sources) {
+    const lineOffset = abcNotation.slice(0, source.startPos).split('\n').length - 1;
+    const [tune] = abcjs.parseOnly(source.text);
+
+    for (const warning of tune?.warnings || []) {
+      const parsed = parseAbcjsWarning(warning);
+      warnings.push({
+        tune: source.id,
+        ...parsed,
+        line: parsed.line === null ? null : parsed.line + lineOffset
+      });
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Formats parser warnings as a readable list for tool results
+ * @param {Array} warnings - Warnings from collectAbcWarnings
+ * @returns {string} One warning per line
+ */
+export function formatAbcWarnings(warnings) {
+  return warnings.map(warning => {
+    const location = warning.line === null ? '' : `line ${warning.line}, column ${warning.column}: `;
+    const snippet = warning.snippet ? ` (near: ${warning.snippet})` : '';
+    return `- ${location}${warning.message}${snippet}`;
+  }).join('\n');
+}
+
+/**
+ * Splits an ABC file into its tunes (X: sections) and optionally filters them
+ * @param {string} abcNotation - ABC notation holding one or more tunes
+ * @param {Array<number|string>} [selection] - X: reference numbers or titles to keep
+ * @returns {Array<{id: string, title: string, abc: string, source: string, startPos: number}>}
+ *   Selected tunes in file order; abc includes file-wide directives, source is the tune text alone
+ */
+export function selectTunes(abcNotation, selection) {
+  const tunebook = new abcjs.TuneBook(abcNotation);
+  const tunes = tunebook.tunes.map(tune => ({
+    id: tune.id,
+    title: tune.title,
+    abc: tune.abc,
+    source: tune.pure,
+    startPos: tune.startPos
+  }));
+
+  if (!selection || selection.length === 0) {
+    return tunes;
+  }
+
+  const selected = tunes.filter(tune => selection.some(item =>
+    typeof item === 'number'
+      ? tune.id === String(item)
+      : tune.id === item || tune.title.toLowerCase() === item.toLowerCase()
+  ));
+
+  if (selected.length === 0) {
+    throw new Error(`No tunes match the selection: ${selection.join(', ')}`);
+  }
+
+  return selected;
+}
+
 /**
  * Converts ABC notation to SVG using abcjs
+ *
+ * Only the first tune is rendered; use abcToSvgs for multi-tune input.
+ *
  * @param {string} abcNotation - The ABC notation to convert
  * @param {Object} dom - JSDOM instance
+ * @param {Object} options - Layout options
+ * @param {number} options.staffWidth - Staff width in SVG units
+ * @param {number} options.scale - Notation scale factor
+ * @param {boolean} options.responsive - Emit a viewBox-sized SVG that scales to its container
  * @returns {string} SVG string
  */
-export function abcToSvg(abcNotation, dom) {
+export function abcToSvg(abcNotation, dom, options = {}) {
   try {
     const document = dom.window.document;
     
@@ -63,9 +254,11 @@ export function abcToSvg(abcNotation, dom) {
     
     // Render ABC notation to SVG
     const visualObj = abcjs.renderAbc(container, abcNotation, {
-      responsive: 'resize',
-      staffwidth: 600,
-      scale: 1.5
+      responsive: options.responsive === false ? undefined : 'resize',
+      staffwidth: options.staffWidth || DEFAULT_STAFF_WIDTH,
+      scale: options.scale || DEFAULT_SCALE,
+      // Classes identify titles, lyrics, chords and annotations for styling
+      add_classes: true
     });
 
     if (!visualObj || visualObj.length === 0) {
@@ -85,86 +278,115 @@ export function abcToSvg(abcNotation, dom) {
 }
 
 /**
- * Extracts path elements from SVG for PDF rendering
- * @param {string} svgString - SVG string
- * @returns {Array} Array of path elements with their attributes
+ * Converts every tune of an ABC file to its own SVG
+ * @param {string} abcNotation - ABC notation holding one or more tunes
+ * @param {Object} dom - JSDOM instance
+ * @param {Object} options - Rendering options
+ * @param {Array<number|string>} options.tunes - Optional X: numbers or titles to render
+ * @returns {Array<{id: string, title: string, svg: string}>} One entry per rendered tune
+ */
+export function abcToSvgs(abcNotation, dom, options = {}) {
+  const tunes = selectTunes(abcNotation, options.tunes);
+
+  // Input without any recognisable tune is handed to abcjs as-is so that
+  // its own error is reported
+  if (tunes.length === 0) {
+    return [{ id: '', title: '', svg: abcToSvg(abcNotation, dom, options) }];
+  }
+
+  return tunes.map(tune => ({
+    id: tune.id,
+    title: tune.title,
+    svg: abcToSvg(tune.abc, dom, options)
+  }));
+}
+
+/**
+ * Elements that can carry active content and never occur in abcjs output
  */
-export function extractSvgElements(svgString) {
+const UNSAFE_SVG_ELEMENTS = ['script', 'foreignObject', 'iframe', 'object', 'embed', 'image', 'use', 'a'];
+
+/**
+ * Turns abcjs output into a standalone, inert SVG document
+ *
+ * Active content (scripts, event handlers, external references) is removed,
+ * the SVG namespace is declared, and the browser-only inline styles abcjs
+ * uses for scaling are replaced by an explicit viewBox and size.
+ *
+ * @param {string} svgString - SVG markup produced by abcjs
+ * @returns {string} Sanitized SVG markup
+ */
+export function sanitizeSvg(svgString) {
   const dom = new JSDOM(svgString);
-  const document = dom.window.document;
-  const svgElement = document.querySelector('svg');
-  
+  const svgElement = dom.window.document.querySelector('svg');
+
   if (!svgElement) {
     throw new Error('Invalid SVG content');
   }
 
-  const elements = [];
-  
-  // Extract viewBox and dimensions
-  const viewBox = svgElement.getAttribute('viewBox');
-  const width = svgElement.getAttribute('width');
-  const height = svgElement.getAttribute('height');
-  
-  elements.push({
-    type: 'metadata',
-    viewBox,
-    width: width ? parseFloat(width) : 600,
-    height: height ? parseFloat(height) : 800
-  });
+  for (const tag of UNSAFE_SVG_ELEMENTS) {
+    svgElement.querySelectorAll(tag).forEach(node => node.remove());
+  }
 
-  // Extract all paths
-  const paths = document.querySelectorAll('path');
-  paths.forEach(path => {
-    const d = path.getAttribute('d');
-    const stroke = path.getAttribute('stroke') || '#000000';
-    const strokeWidth = path.getAttribute('stroke-width') || '1';
-    const fill = path.getAttribute('fill') || 'none';
-    
-    if (d) {
-      elements.push({
-        type: 'path',
-        d,
-        stroke,
-        strokeWidth: parseFloat(strokeWidth),
-        fill
-      });
+  for (const node of [svgElement, ...svgElement.querySelectorAll('*')]) {
+    for (const attribute of Array.from(node.attributes)) {
+      const name = attribute.name.toLowerCase();
+      const isEventHandler = name.startsWith('on');
+      const isExternalReference = name.endsWith('href') && !attribute.value.startsWith('#');
+      if (isEventHandler || isExternalReference) {
+        node.removeAttribute(attribute.name);
+      }
     }
-  });
+  }
 
-  // Extract text elements
-  const texts = document.querySelectorAll('text');
-  texts.forEach(text => {
-    const content = text.textContent;
-    const x = parseFloat(text.getAttribute('x') || 0);
-    const y = parseFloat(text.getAttribute('y') || 0);
-    const fontSize = text.getAttribute('font-size') || '12';
-    
-    if (content) {
-      elements.push({
-        type: 'text',
-        content,
-        x,
-        y,
-        fontSize: parseFloat(fontSize)
-      });
-    }
-  });
+  // abcjs scales fixed-size output with a CSS transform; bake it into the size
+  const style = svgElement.getAttribute('style') || '';
+  const scaleMatch = style.match(/scale\(([\d.]+)/);
+  const width = parseFloat(svgElement.getAttribute('width'));
+  const height = parseFloat(svgElement.getAttribute('height'));
+  if (!svgElement.getAttribute('viewBox') && width && height) {
+    const scale = scaleMatch ? parseFloat(scaleMatch[1]) : 1;
+    svgElement.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svgElement.setAttribute('width', String(width * scale));
+    svgElement.setAttribute('height', String(height * scale));
+  }
+  svgElement.removeAttribute('style');
+
+  svgElement.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
 
-  return elements;
+  return svgElement.outerHTML;
 }
 
 /**
- * Converts ABC notation to PDF buffer
+ * Converts ABC notation to standalone SVG documents, one per tune
  * @param {string} abcNotation - The ABC notation to convert
  * @param {Object} options - Conversion options
- * @param {string} options.title - Optional title for the PDF
- * @param {string} options.composer - Optional composer name
- * @returns {Promise<Buffer>} PDF as buffer
+ * @param {Array<number|string>} options.tunes - Optional X: numbers or titles to render
+ * @param {number} options.staffWidth - Staff width in SVG units
+ * @param {number} options.scale - Notation scale factor
+ * @param {boolean} options.responsive - Emit SVGs that scale to their container width
+ * @returns {Promise<Array<{id: string, title: string, svg: string}>>} Sanitized SVG per tune
  */
-export async function abcToPdf(abcNotation, options = {}) {
+export async function abcToSvgDocuments(abcNotation, options = {}) {
   // Validate input
   validateAbcNotation(abcNotation);
 
+  return withAbcjsDom(dom =>
+    abcToSvgs(abcNotation, dom, options).map(tune => ({ ...tune, svg: sanitizeSvg(tune.svg) }))
+  );
+}
+
+/**
+ * Runs a function with the browser globals abcjs expects bound to a fresh JSDOM
+ *
+ * fn must be synchronous: the globals are only bound while it runs, so renders
+ * sharing a thread can never observe each other's DOM. Parallel rendering goes
+ * through a worker pool (see render-pool.js), where every worker has its own globals.
+ *
+ * @param {Function} fn - Receives the JSDOM instance
+ * @returns {*} Result of fn
+ */
+function withAbcjsDom(fn) {
   // Setup JSDOM for abcjs with more complete environment
   const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
     url: 'http://localhost',
@@ -185,17 +407,151 @@ export async function abcToPdf(abcNotation, options = {}) {
   global.navigator = dom.window.navigator;
 
   try {
-    // Convert ABC to SVG
-    const svgString = abcToSvg(abcNotation, dom);
-    
-    // Extract SVG elements
-    const elements = extractSvgElements(svgString);
-    const metadata = elements.find(e => e.type === 'metadata');
+    return fn(dom);
+  } finally {
+    // Restore original global values (safer than delete)
+    global.document = originalDocument;
+    global.window = originalWindow;
+    global.navigator = originalNavigator;
+    dom.window.close();
+  }
+}
+
+/**
+ * Paper sizes accepted by abcToPdf, portrait width and height in PDF points
+ */
+export const PAPER_SIZES = {
+  A4: [595.28, 841.89],
+  Letter: [612, 792],
+  Legal: [612, 1008],
+  A3: [841.89, 1190.55],
+  B4: [708.66, 1000.63]
+};
+
+/**
+ * Margin used on every side of the page unless overridden, in PDF points
+ */
+const DEFAULT_MARGIN = 50;
+
+/**
+ * Horizontal padding abcjs adds around the staff, in notation units
+ */
+const SVG_HORIZONTAL_PADDING = 30;
+
+/**
+ * Vertical space kept between consecutive staff systems, in PDF points
+ */
+const SYSTEM_GAP = 6;
+
+/**
+ * Vertical space kept before each tune after the first, in PDF points
+ */
+const TUNE_GAP = 24;
+
+/**
+ * Height reserved at the top of continuation pages for the running header
+ */
+const RUNNING_HEADER_HEIGHT = 24;
+
+/**
+ * Resolves the page layout options of abcToPdf into concrete dimensions
+ *
+ * Unless a scale is given, the notation is drawn at the size that fits a
+ * default-width staff across the page in portrait orientation, so switching to
+ * landscape fits more music on each line rather than enlarging it. Unless a
+ * staff width is given, the staff fills the printable width at that scale.
+ *
+ * @param {Object} options - Conversion options passed to abcToPdf
+ * @returns {{size: Array<number>, margins: Object, printableWidth: number, scale: number, staffWidth: number, staffSpacing: number}} Layout
+ */
+export function resolvePageLayout(options = {}) {
+  const paper = options.paperSize || 'A4';
+  const [paperWidth, paperHeight] = typeof paper === 'string' ? PAPER_SIZES[paper] || [] : [paper.width, paper.height];
+  if (!paperWidth || !paperHeight) {
+    throw new Error(`Unknown paper size: ${paper}`);
+  }
+
+  const shortSide = Math.min(paperWidth, paperHeight);
+  const longSide = Math.max(paperWidth, paperHeight);
+  const size = options.orientation === 'landscape' ? [longSide, shortSide] : [shortSide, longSide];
+
+  const margin = typeof options.margins === 'number' ? options.margins : DEFAULT_MARGIN;
+  const sides = typeof options.margins === 'object' && options.margins !== null ? options.margins : {};
+  const margins = {
+    top: sides.top ?? margin,
+    right: sides.right ?? margin,
+    bottom: sides.bottom ?? margin,
+    left: sides.left ?? margin
+  };
+
+  const printableWidth = size[0] - margins.left - margins.right;
+  const printableHeight = size[1] - margins.top - margins.bottom;
+  if (printableWidth <= 0 || printableHeight <= 0) {
+    throw new Error('Margins leave no printable area on the page');
+  }
+
+  const portraitWidth = shortSide - margins.left - margins.right;
+  const scale = options.scale ||
+    Math.min(Math.max(portraitWidth, 1) / (DEFAULT_STAFF_WIDTH + SVG_HORIZONTAL_PADDING), 1);
+  const staffWidth = options.staffWidth ||
+    Math.max(Math.round(printableWidth / scale) - SVG_HORIZONTAL_PADDING, 100);
+
+  return {
+    size,
+    margins,
+    printableWidth,
+    scale,
+    staffWidth,
+    staffSpacing: options.staffSpacing ?? SYSTEM_GAP
+  };
+}
+
+/**
+ * Converts ABC notation to PDF buffer
+ *
+ * The score is drawn at a fixed scale (see resolvePageLayout), never wider than
+ * the printable width, and flowed system by system across as many pages as needed. Pages
+ * after the first carry a running header, and every page is numbered.
+ * Multi-tune input renders every tune (or the selected ones) in file order.
+ *
+ * @param {string} abcNotation - The ABC notation to convert
+ * @param {Object} options - Conversion options
+ * @param {string} options.title - Optional title for the PDF
+ * @param {string} options.composer - Optional composer name
+ * @param {Array<number|string>} options.tunes - Optional X: numbers or titles to render
+ * @param {string} options.tuneBreak - 'system' (default) or 'page' between tunes
+ * @param {string|{width: number, height: number}} options.paperSize - Paper size name or custom size in points (default 'A4')
+ * @param {string} options.orientation - 'portrait' (default) or 'landscape'
+ * @param {number|Object} options.margins - Margin in points, or { top, right, bottom, left }
+ * @param {number} options.staffWidth - Staff width in notation units
+ * @param {number} options.scale - Size of one notation unit in points
+ * @param {number} options.staffSpacing - Space between staff systems in points
+ * @param {Object} options.fonts - Optional font per role (default, title, lyrics, chords,
+ *   annotations): a font name from listFonts, a TTF/OTF path or the file contents
+ * @param {string} options.generatedOn - Generation date printed in the page footers (default today)
+ * @returns {Promise<Buffer>} PDF as buffer
+ */
+export async function abcToPdf(abcNotation, options = {}) {
+  // Validate input
+  validateAbcNotation(abcNotation);
+
+  const started = Date.now();
+  sharedLogger.debug('Rendering PDF', { abcNotation, paperSize: options.paperSize, tunes: options.tunes });
+
+  try {
+    const layout = resolvePageLayout(options);
+
+    // Convert each tune to SVG
+    const tuneSvgs = withAbcjsDom(dom => abcToSvgs(abcNotation, dom, {
+      tunes: options.tunes,
+      staffWidth: layout.staffWidth
+    }));
     
     // Create PDF document
     const doc = new PDFDocument({
-      size: 'A4',
-      margin: 50,
+      size: layout.size,
+      margins: layout.margins,
+      bufferPages: true,
       info: {
         Title: options.title || 'Music Sheet',
         Author: options.composer || 'Unknown',
@@ -204,6 +560,9 @@ export async function abcToPdf(abcNotation, options = {}) {
       }
     });
 
+    // Text is drawn with embedded Unicode fonts rather than the PDF standard fonts
+    const fonts = createFontSelector(doc, options.fonts);
+
     // Buffer to store PDF
     const chunks = [];
     doc.on('data', chunk => chunks.push(chunk));
@@ -215,81 +574,125 @@ export async function abcToPdf(abcNotation, options = {}) {
 
     // Add title if provided
     if (options.title) {
-      doc.fontSize(20).text(options.title, { align: 'center' });
+      fonts.use('title', 'sans').fontSize(20).text(options.title, { align: 'center' });
       doc.moveDown(0.5);
     }
 
     // Add composer if provided
     if (options.composer) {
-      doc.fontSize(12).text(`Composer: ${options.composer}`, { align: 'center' });
+      fonts.use('default', 'sans').fontSize(12).text(`Composer: ${options.composer}`, { align: 'center' });
       doc.moveDown(1);
     }
 
-    // Calculate scaling to fit page
-    const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
-    const pageHeight = doc.page.height - doc.page.margins.top - doc.page.margins.bottom - 100;
-    
-    const svgWidth = metadata?.width || 600;
-    const svgHeight = metadata?.height || 400;
-    
-    const scaleX = pageWidth / svgWidth;
-    const scaleY = pageHeight / svgHeight;
-    const scale = Math.min(scaleX, scaleY, 1);
+    const pageWidth = layout.printableWidth;
+    const pageBottom = () => doc.page.height - doc.page.margins.bottom;
+    const continuationTop = doc.page.margins.top + RUNNING_HEADER_HEIGHT;
+    const startPage = () => {
+      doc.addPage();
+      addRunningHeader(doc, options, fonts);
+      return continuationTop;
+    };
 
-    // Save current state
-    doc.save();
-    
-    // Translate to center of page
-    const offsetX = doc.page.margins.left + (pageWidth - svgWidth * scale) / 2;
-    const offsetY = doc.y;
-    
-    doc.translate(offsetX, offsetY);
-    doc.scale(scale);
-
-    // Render SVG elements to PDF
-    elements.forEach(element => {
-      if (element.type === 'path') {
-        // Draw path
-        doc.path(element.d);
-        
-        if (element.fill && element.fill !== 'none') {
-          doc.fill(element.fill);
-        }
-        
-        if (element.stroke && element.stroke !== 'none') {
-          doc.lineWidth(element.strokeWidth);
-          doc.stroke(element.stroke);
+    let cursorY = doc.y;
+
+    tuneSvgs.forEach((tune, index) => {
+      const elements = extractSvgElements(tune.svg);
+      const metadata = elements.find(e => e.type === 'metadata');
+      const systems = splitIntoSystems(elements);
+
+      if (index > 0) {
+        cursorY = options.tuneBreak === 'page' ? startPage() : cursorY + TUNE_GAP;
+      }
+
+      // Fixed scale, reduced only when the notation is wider than the page
+      const svgWidth = metadata?.width || 600;
+      const scale = Math.min(pageWidth / svgWidth, layout.scale);
+      const offsetX = doc.page.margins.left + (pageWidth - svgWidth * scale) / 2;
+
+      for (const system of systems) {
+        const systemHeight = (system.bottom - system.top) * scale;
+
+        // Start a new page when the system does not fit below the previous one
+        if (cursorY + systemHeight > pageBottom() && cursorY > continuationTop) {
+          cursorY = startPage();
         }
-      } else if (element.type === 'text') {
-        // Draw text with standard font
-        doc.fontSize(element.fontSize)
-           .text(element.content, element.x, element.y, { lineBreak: false });
+
+        // A single system taller than a whole page is shrunk to fit it
+        const available = pageBottom() - cursorY;
+        const systemScale = systemHeight > available ? scale * (available / systemHeight) : scale;
+
+        doc.save();
+        doc.translate(offsetX, cursorY - system.top * systemScale);
+        doc.scale(systemScale);
+        drawSvgElements(doc, system.elements, fonts);
+        doc.restore();
+
+        cursorY += (system.bottom - system.top) * systemScale + layout.staffSpacing;
       }
     });
 
-    // Restore state
-    doc.restore();
-
-    // Add footer with timestamp
-    doc.fontSize(8)
-       .text(
-         `Generated on ${new Date().toLocaleString()}`,
-         doc.page.margins.left,
-         doc.page.height - doc.page.margins.bottom + 20,
-         { align: 'center' }
-       );
+    addPageFooters(doc, fonts, options.generatedOn || new Date().toLocaleDateString());
+    const pages = doc.bufferedPageRange().count;
 
     // Finalize PDF
     doc.end();
 
-    return await pdfPromise;
+    const pdf = await pdfPromise;
+    sharedLogger.debug('PDF rendered', { tunes: tuneSvgs.length, pages, bytes: pdf.length, durationMs: Date.now() - started });
+    return pdf;
   } catch (error) {
+    sharedLogger.warn('PDF rendering failed', { durationMs: Date.now() - started, error });
     throw new Error(`Failed to generate PDF: ${error.message}`);
-  } finally {
-    // Restore original global values (safer than delete)
-    global.document = originalDocument;
-    global.window = originalWindow;
-    global.navigator = originalNavigator;
+  }
+}
+
+/**
+ * Writes the running header (title and composer) at the top of the current page
+ * @param {PDFDocument} doc - Target document
+ * @param {Object} options - Conversion options passed to abcToPdf
+ * @param {Object} fonts - Font selector from createFontSelector
+ */
+function addRunningHeader(doc, options, fonts) {
+  const header = [options.title || 'Music Sheet', options.composer].filter(Boolean).join(' - ');
+  fonts.use('default', 'sans').fontSize(9)
+     .text(header, doc.page.margins.left, doc.page.margins.top, {
+       width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+       align: 'center',
+       lineBreak: false
+     });
+}
+
+/**
+ * Writes the page number and generation date at the bottom of every page
+ * @param {PDFDocument} doc - Document created with bufferPages enabled
+ * @param {Object} fonts - Font selector from createFontSelector
+ * @param {string} date - Generation date
+ */
+function addPageFooters(doc, fonts, date) {
+  const generatedOn = `Generated on ${date}`;
+  const range = doc.bufferedPageRange();
+
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+
+    // Writing inside the bottom margin would otherwise trigger a page break
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    fonts.use('default', 'sans').fontSize(8)
+       .text(
+         `Page ${i - range.start + 1} of ${range.count} · ${generatedOn}`,
+         doc.page.margins.left,
+         // Stay on the page even when the bottom margin is narrow
+         Math.min(doc.page.height - bottomMargin + 20, doc.page.height - 15),
+         {
+           width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+           align: 'center',
+           lineBreak: false
+         }
+       );
+
+    doc.page.margins.bottom = bottomMargin;
   }
 }
 
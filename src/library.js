@@ -0,0 +1,345 @@
+import { randomBytes } from 'node:crypto';
+import { mkdir, readFile, readdir, unlink } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { z } from 'zod';
+import { validateAbcNotation, selectTunes } from './index.js';
+import { createRenderCache } from './cache.js';
+import { writeFileAtomic } from './atomic-write.js';
+
+/**
+ * Score file name suffix in the library directory
+ */
+const SCORE_FILE_SUFFIX = '.json';
+
+/**
+ * Default library directory
+ */
+export const DEFAULT_LIBRARY_DIR = join(homedir(), '.partitura', 'library');
+
+/**
+ * Schema for score IDs; they become file names, so only safe characters are allowed
+ */
+const ScoreIdSchema = z.string().regex(/^[a-z0-9][a-z0-9-]{0,79}$/, 'Invalid score ID')
+  .describe('Score ID as returned by score_save, score_list or score_search');
+
+/**
+ * Schema for free-text tags
+ */
+const TagsSchema = z.array(z.string().trim().min(1).max(50)).max(20);
+
+/**
+ * Schema for saving a score
+ */
+export const ScoreSaveSchema = z.object({
+  abc_notation: z.string().min(1, 'ABC notation cannot be empty').max(200000, 'ABC notation is too long')
+    .describe('The ABC notation to save'),
+  id: ScoreIdSchema.optional().describe('ID of a saved score to replace; a new score is created when omitted'),
+  title: z.string().trim().min(1).max(200).optional().describe('Title, defaults to the T: field'),
+  composer: z.string().trim().min(1).max(200).optional().describe('Composer, defaults to the C: field'),
+  tags: TagsSchema.optional().describe('Free-text tags')
+});
+
+/**
+ * Schema for listing scores
+ */
+export const ScoreListSchema = z.object({
+  limit: z.number().int().min(1).max(500).optional().describe('Maximum number of scores (default 50)'),
+  offset: z.number().int().min(0).optional().describe('Number of scores to skip')
+});
+
+/**
+ * Schema for searching scores
+ */
+export const ScoreSearchSchema = z.object({
+  query: z.string().trim().max(200).optional().describe('Words to find in any field'),
+  title: z.string().trim().max(200).optional(),
+  composer: z.string().trim().max(200).optional(),
+  key: z.string().trim().max(20).optional(),
+  meter: z.string().trim().max(20).optional(),
+  rhythm: z.string().trim().max(100).optional(),
+  tags: TagsSchema.optional(),
+  saved_after: z.string().datetime({ offset: true }).or(z.string().date()).optional(),
+  saved_before: z.string().datetime({ offset: true }).or(z.string().date()).optional(),
+  limit: ScoreListSchema.shape.limit
+});
+
+/**
+ * Schema for loading a score
+ */
+export const ScoreGetSchema = z.object({
+  id: ScoreIdSchema,
+  render: z.enum(['pdf', 'svg', 'midi', 'audio']).optional().describe('Also render the score')
+});
+
+/**
+ * Schema for deleting a score
+ */
+export const ScoreDeleteSchema = z.object({
+  id: ScoreIdSchema
+});
+
+/**
+ * Reads the header fields of an ABC tune, up to its K: line
+ * @param {string} tuneAbc - ABC notation of one tune
+ * @returns {{title: string, composer: string, key: string, meter: string, rhythm: string}} Fields ('' when absent)
+ */
+export function readAbcHeaders(tuneAbc) {
+  const fields = { title: '', composer: '', key: '', meter: '', rhythm: '' };
+  const names = { T: 'title', C: 'composer', K: 'key', M: 'meter', R: 'rhythm' };
+
+  for (const line of tuneAbc.split(/\r\n?|\n/)) {
+    const match = /^([A-Za-z]):\s*(.*?)\s*(%.*)?$/.exec(line);
+    if (!match) {
+      continue;
+    }
+    const [, field, value] = match;
+    // Only the first T: and C: lines; later ones are subtitles and arrangers
+    if (names[field] && !fields[names[field]]) {
+      fields[names[field]] = value;
+    }
+    if (field === 'K') {
+      break;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Normalizes a key so that "D", "Dmaj" and "D major" or "Em" and "E minor" compare equal
+ * @param {string} key - Key as written in K: or by a user
+ * @returns {string} Normalized key
+ */
+export function normalizeKey(key) {
+  return key
+    .toLowerCase()
+    .replace(/\s+/g, '')
+    .replace(/♭/g, 'b')
+    .replace(/♯/g, '#')
+    .replace(/(major|maj|ionian|ion)$/, '')
+    .replace(/(minor|min|aeolian|aeo)$/, 'm');
+}
+
+/**
+ * Normalizes a meter so that "C" equals "4/4" and "C|" equals "2/2"
+ * @param {string} meter - Meter as written in M: or by a user
+ * @returns {string} Normalized meter
+ */
+export function normalizeMeter(meter) {
+  const compact = meter.replace(/\s+/g, '').toUpperCase();
+  return { C: '4/4', 'C|': '2/2' }[compact] || compact;
+}
+
+/**
+ * Turns a title into the readable part of a score ID
+ * @param {string} title - Score title
+ * @returns {string} Slug
+ */
+function slugify(title) {
+  return title
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Score metadata without the ABC source, as returned by list and search
+ * @param {Object} score - Stored score
+ * @returns {Object} Summary
+ */
+function summarize({ abc, ...summary }) {
+  return summary;
+}
+
+/**
+ * Creates a file-backed score library
+ *
+ * Each score is one JSON file holding the ABC source and the metadata read
+ * from its headers (title, composer, key, meter, rhythm) plus free-text tags.
+ * Renders of library scores are cached on disk next to the scores, in the
+ * renders subdirectory, so that loading a saved score again is instant.
+ *
+ * @param {Object} options - Library options
+ * @param {string} options.directory - Storage directory (default DEFAULT_LIBRARY_DIR)
+ * @param {number} options.maxRenderBytes - Size limit of the render cache in bytes (default 256 MB)
+ * @returns {{directory: string, renderCache: Object, save: Function, get: Function, list: Function, search: Function, remove: Function}} Library
+ */
+export function createScoreLibrary(options = {}) {
+  const directory = options.directory || DEFAULT_LIBRARY_DIR;
+  const renderCache = createRenderCache({
+    maxEntries: 0,
+    directory: join(directory, 'renders'),
+    maxDiskBytes: options.maxRenderBytes,
+    ttlSeconds: 365 * 24 * 60 * 60
+  });
+
+  const filePath = (id) => join(directory, `${ScoreIdSchema.parse(id)}${SCORE_FILE_SUFFIX}`);
+
+  const read = async (id) => {
+    try {
+      return JSON.parse(await readFile(filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  const get = async (id) => {
+    const score = await read(id);
+    if (!score) {
+      throw new Error(`Score not found: ${id}`);
+    }
+    return score;
+  };
+
+  const readAll = async () => {
+    let names;
+    try {
+      names = await readdir(directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const scores = [];
+    for (const name of names.filter(file => file.endsWith(SCORE_FILE_SUFFIX))) {
+      try {
+        scores.push(JSON.parse(await readFile(join(directory, name), 'utf8')));
+      } catch {
+        // Deleted meanwhile or not a score file
+      }
+    }
+    // Most recently saved first
+    return scores.sort((a, b) => b.updated.localeCompare(a.updated));
+  };
+
+  return {
+    directory,
+    renderCache,
+
+    /**
+     * Saves a new score or replaces a saved one
+     * @param {Object} score - Score to save
+     * @param {string} score.abc - ABC notation
+     * @param {string} score.id - ID of the score to replace (optional)
+     * @param {string} score.title - Title overriding T: (optional)
+     * @param {string} score.composer - Composer overriding C: (optional)
+     * @param {Array<string>} score.tags - Tags (optional)
+     * @returns {Promise<Object>} Saved score
+     */
+    async save({ abc, id, title, composer, tags = [] }) {
+      validateAbcNotation(abc);
+      const tunes = selectTunes(abc);
+      // Metadata comes from the first tune
+      const headers = readAbcHeaders(tunes[0]?.source || '');
+      if (!headers.key) {
+        throw new Error('ABC notation contains no tune: a tune needs a K: (key) field');
+      }
+
+      const previous = id ? await read(id) : null;
+      if (id && !previous) {
+        throw new Error(`Score not found: ${id}`);
+      }
+
+      const now = new Date().toISOString();
+      const score = {
+        id: id || `${slugify(title || headers.title) || 'score'}-${randomBytes(3).toString('hex')}`,
+        title: title || headers.title || 'Untitled',
+        composer: composer || headers.composer,
+        key: headers.key,
+        meter: headers.meter,
+        rhythm: headers.rhythm,
+        tags: [...new Set(tags.map(tag => tag.trim().toLowerCase()))],
+        tunes: tunes.length,
+        created: previous ? previous.created : now,
+        updated: now,
+        abc
+      };
+
+      await mkdir(directory, { recursive: true });
+      await writeFileAtomic(filePath(score.id), JSON.stringify(score, null, 2));
+      return score;
+    },
+
+    /**
+     * Loads a score
+     * @param {string} id - Score ID
+     * @returns {Promise<Object>} Score with its ABC source
+     */
+    get,
+
+    /**
+     * Lists saved scores, most recently saved first
+     * @param {Object} page - Page
+     * @param {number} page.limit - Maximum number of scores (default 50)
+     * @param {number} page.offset - Number of scores to skip (default 0)
+     * @returns {Promise<{total: number, scores: Array<Object>}>} Score summaries
+     */
+    async list({ limit = 50, offset = 0 } = {}) {
+      const scores = await readAll();
+      return { total: scores.length, scores: scores.slice(offset, offset + limit).map(summarize) };
+    },
+
+    /**
+     * Finds scores matching every given criterion
+     *
+     * Text criteria match case-insensitively as substrings; key and meter
+     * match exactly after normalization; every query word must appear in one
+     * of the fields; every tag must be present.
+     *
+     * @param {Object} criteria - Search criteria (see ScoreSearchSchema)
+     * @returns {Promise<{total: number, scores: Array<Object>}>} Matching score summaries, most recently saved first
+     */
+    async search(criteria = {}) {
+      const { query, title, composer, key, meter, rhythm, tags, limit = 50 } = criteria;
+      const contains = (value, text) => value.toLowerCase().includes(text.toLowerCase());
+      const savedAfter = criteria.saved_after ? new Date(criteria.saved_after).toISOString() : null;
+      const savedBefore = criteria.saved_before ? new Date(criteria.saved_before).toISOString() : null;
+
+      const matches = (await readAll()).filter(score => {
+        if (title && !contains(score.title, title)) return false;
+        if (composer && !contains(score.composer, composer)) return false;
+        if (rhythm && !contains(score.rhythm, rhythm)) return false;
+        if (key && normalizeKey(score.key) !== normalizeKey(key)) return false;
+        if (meter && normalizeMeter(score.meter) !== normalizeMeter(meter)) return false;
+        if (tags && !tags.every(tag => score.tags.includes(tag.toLowerCase()))) return false;
+        if (savedAfter && score.updated < savedAfter) return false;
+        if (savedBefore && score.updated >= savedBefore) return false;
+        if (query) {
+          const haystack = [score.title, score.composer, score.key, score.meter, score.rhythm, ...score.tags].join(' ');
+          if (!query.split(/\s+/).filter(Boolean).every(word => contains(haystack, word))) return false;
+        }
+        return true;
+      });
+
+      return { total: matches.length, scores: matches.slice(0, limit).map(summarize) };
+    },
+
+    /**
+     * Deletes a score
+     * @param {string} id - Score ID
+     * @returns {Promise<Object>} Summary of the deleted score
+     */
+    async remove(id) {
+      const score = await get(id);
+      await unlink(filePath(id));
+      return summarize(score);
+    }
+  };
+}
+
+/**
+ * Library shared by every server in the process, stored in the directory
+ * named by PARTITURA_LIBRARY_DIR (default ~/.partitura/library)
+ */
+export const sharedScoreLibrary = createScoreLibrary({
+  directory: process.env.PARTITURA_LIBRARY_DIR
+});
@@ -0,0 +1,247 @@
+import { LruMap } from './lru.js';
+
+/**
+ * Error answered with a specific HTTP status: 413 for oversized input, 429
+ * for rate-limited clients (with the seconds to wait in retryAfter). The
+ * reason names the exceeded limit for metrics.
+ */
+export class LimitError extends Error {
+  constructor(status, message, { reason, retryAfter } = {}) {
+    super(message);
+    this.name = 'LimitError';
+    this.status = status;
+    this.reason = reason;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Reads a positive number from the environment
+ * @param {string|undefined} value - Environment value
+ * @param {number} fallback - Value when unset or not a number
+ * @returns {number} Number (0 disables the limit)
+ */
+function envNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Limits shared by both servers, configured from the environment:
+ * MAX_BODY_MB (HTTP request body), ABC_MAX_LENGTH (characters),
+ * ABC_MAX_TUNES, ABC_MAX_VOICES (per tune), ABC_MAX_BARS (whole input),
+ * RATE_LIMIT_IP and RATE_LIMIT_SESSION (requests per minute),
+ * RATE_LIMIT_IP_BURST and RATE_LIMIT_SESSION_BURST (requests at once).
+ * A limit set to 0 is disabled.
+ */
+export const sharedLimits = {
+  maxBodyBytes: Math.floor(envNumber(process.env.MAX_BODY_MB, 1) * 1024 * 1024),
+  abc: {
+    maxLength: envNumber(process.env.ABC_MAX_LENGTH, 200000),
+    maxTunes: envNumber(process.env.ABC_MAX_TUNES, 100),
+    maxVoices: envNumber(process.env.ABC_MAX_VOICES, 16),
+    maxBars: envNumber(process.env.ABC_MAX_BARS, 5000)
+  },
+  ipRate: { perMinute: envNumber(process.env.RATE_LIMIT_IP, 300), burst: envNumber(process.env.RATE_LIMIT_IP_BURST, 60) },
+  sessionRate: { perMinute: envNumber(process.env.RATE_LIMIT_SESSION, 120), burst: envNumber(process.env.RATE_LIMIT_SESSION_BURST, 30) }
+};
+
+/**
+ * Measures the structural size of ABC notation without parsing it, so that
+ * oversized input is refused before abcjs spends time on it
+ *
+ * Tunes are counted by X: lines, voices by distinct V: IDs (header lines and
+ * inline [V:] fields) within a tune, and bars by bar lines in music lines;
+ * chord symbols, annotations, decorations and comments are ignored.
+ *
+ * @param {string} abcNotation - ABC notation
+ * @returns {{length: number, tunes: number, voices: number, bars: number}} Sizes (voices is the maximum over the tunes)
+ */
+export function measureAbc(abcNotation) {
+  let tunes = 0;
+  let voices = 0;
+  let bars = 0;
+  let tuneVoices = new Set();
+
+  for (const line of abcNotation.split(/\r\n?|\n/)) {
+    if (/^X:/.test(line)) {
+      tunes++;
+      tuneVoices = new Set();
+      continue;
+    }
+
+    const field = /^([A-Za-z]):\s*(.*)$/.exec(line);
+    if (field) {
+      if (field[1] === 'V') {
+        tuneVoices.add(field[2].split(/\s/)[0]);
+        voices = Math.max(voices, tuneVoices.size);
+      }
+      continue;
+    }
+
+    const music = line
+      .replace(/%.*$/, '')
+      .replace(/"[^"]*"/g, '')
+      .replace(/![^!]*!/g, '')
+      .replace(/\[V:\s*([^\]\s]*)[^\]]*\]/g, (inline, id) => {
+        tuneVoices.add(id);
+        voices = Math.max(voices, tuneVoices.size);
+        return '';
+      });
+    // "|", "||", "|]", "[|", "|:", ":|", "::" and ":|:" each end one bar
+    bars += (music.match(/\[\||:*\|[|\]]?:*|::/g) || []).length;
+  }
+
+  return { length: abcNotation.length, tunes: Math.max(tunes, 1), voices: Math.max(voices, 1), bars };
+}
+
+/**
+ * Checks ABC notation against the length and complexity limits
+ * @param {string} abcNotation - ABC notation
+ * @param {Object} limits - Limits (default sharedLimits.abc)
+ * @param {number} limits.maxLength - Maximum length in characters
+ * @param {number} limits.maxTunes - Maximum number of tunes
+ * @param {number} limits.maxVoices - Maximum number of voices in one tune
+ * @param {number} limits.maxBars - Maximum number of bars over all tunes
+ * @throws {LimitError} 413 when a limit is exceeded
+ */
+export function checkAbcLimits(abcNotation, limits = sharedLimits.abc) {
+  const { maxLength, maxTunes, maxVoices, maxBars } = limits;
+  if (maxLength && abcNotation.length > maxLength) {
+    throw new LimitError(413, `ABC notation is too long: ${abcNotation.length} characters (limit ${maxLength})`, { reason: 'abc_too_long' });
+  }
+
+  const size = measureAbc(abcNotation);
+  if (maxTunes && size.tunes > maxTunes) {
+    throw new LimitError(413, `ABC notation has too many tunes: ${size.tunes} (limit ${maxTunes})`, { reason: 'too_many_tunes' });
+  }
+  if (maxVoices && size.voices > maxVoices) {
+    throw new LimitError(413, `ABC notation has too many voices: ${size.voices} in one tune (limit ${maxVoices})`, { reason: 'too_many_voices' });
+  }
+  if (maxBars && size.bars > maxBars) {
+    throw new LimitError(413, `ABC notation has too many bars: ${size.bars} (limit ${maxBars})`, { reason: 'too_many_bars' });
+  }
+}
+
+/**
+ * Reads a request body, refusing it as soon as it exceeds the size limit
+ *
+ * An oversized body is refused from its Content-Length before anything is
+ * read, or once the received bytes pass the limit; the rest of the body is
+ * then discarded instead of buffered.
+ *
+ * @param {IncomingMessage} req - HTTP request
+ * @param {number} maxBytes - Size limit in bytes (0 for none)
+ * @returns {Promise<Buffer>} Body
+ * @throws {LimitError} 413 when the body is too large
+ */
+export function readLimitedBody(req, maxBytes = sharedLimits.maxBodyBytes) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => new LimitError(413, `Request body is too large (limit ${maxBytes} bytes)`, { reason: 'body_too_large' });
+    if (maxBytes && parseInt(req.headers['content-length'], 10) > maxBytes) {
+      req.resume();
+      reject(tooLarge());
+      return;
+    }
+
+    const chunks = [];
+    let received = 0;
+    const onData = (chunk) => {
+      received += chunk.length;
+      if (maxBytes && received > maxBytes) {
+        req.removeListener('data', onData);
+        req.resume();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Creates a token-bucket rate limiter keyed by client (IP address, session ID)
+ *
+ * Every key starts with a full bucket of burst tokens, refilled at
+ * perMinute tokens per minute; each request takes one token. Buckets are
+ * kept least recently used first and the oldest are dropped past maxKeys,
+ * which only ever lets a forgotten client start again with a full bucket.
+ *
+ * @param {Object} options - Limiter options
+ * @param {number} options.perMinute - Sustained requests per minute (0 disables the limiter)
+ * @param {number} options.burst - Requests allowed at once (default perMinute)
+ * @param {number} options.maxKeys - Number of tracked clients (default 10000)
+ * @param {Function} options.now - Clock in milliseconds (default Date.now)
+ * @returns {{enabled: boolean, take: Function, remove: Function, size: Function}} Limiter
+ */
+export function createRateLimiter({ perMinute, burst, maxKeys = 10000, now = Date.now }) {
+  const enabled = perMinute > 0;
+  const capacity = Math.max(burst || perMinute, 1);
+  const perMillisecond = perMinute / 60000;
+  const buckets = new LruMap();
+
+  return {
+    enabled,
+
+    /**
+     * Takes one token from the bucket of a client
+     * @param {string} key - Client key
+     * @throws {LimitError} 429 when the bucket is empty, with the seconds until the next token
+     */
+    take(key) {
+      if (!enabled) {
+        return;
+      }
+
+      const time = now();
+      const bucket = buckets.get(key) || { tokens: capacity, updated: time };
+      bucket.tokens = Math.min(capacity, bucket.tokens + (time - bucket.updated) * perMillisecond);
+      bucket.updated = time;
+
+      buckets.set(key, bucket);
+      while (buckets.size > maxKeys) {
+        buckets.delete(buckets.oldest()[0]);
+      }
+
+      if (bucket.tokens < 1) {
+        const retryAfter = Math.ceil((1 - bucket.tokens) / perMillisecond / 1000);
+        throw new LimitError(429, `Rate limit exceeded: retry in ${retryAfter} second${retryAfter === 1 ? '' : 's'}`, { retryAfter });
+      }
+      bucket.tokens -= 1;
+    },
+
+    /**
+     * Forgets a client, e.g. a closed session
+     * @param {string} key - Client key
+     */
+    remove(key) {
+      buckets.delete(key);
+    },
+
+    /**
+     * Reports the number of tracked clients
+     * @returns {number}
+     */
+    size() {
+      return buckets.size;
+    }
+  };
+}
+
+/**
+ * Finds the address of the client of a request; X-Forwarded-For is only
+ * trusted when TRUST_PROXY is set, since clients can forge it
+ * @param {IncomingMessage} req - HTTP request
+ * @param {boolean} trustProxy - Whether to use X-Forwarded-For (default TRUST_PROXY)
+ * @returns {string} Client address
+ */
+export function clientAddress(req, trustProxy = Boolean(process.env.TRUST_PROXY)) {
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.socket.remoteAddress || 'unknown';
+}
@@ -0,0 +1,157 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/**
+ * Log levels by name, in increasing severity
+ */
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+/**
+ * Fields holding scores, by the format named in their redaction, replaced by
+ * their length unless ABC logging is enabled
+ */
+const SCORE_FIELDS = new Map([
+  ['abc_notation', 'ABC'],
+  ['abcNotation', 'ABC'],
+  ['abc', 'ABC'],
+  ['musicxml', 'MusicXML'],
+  ['musicxml_base64', 'MusicXML'],
+  ['midi_base64', 'MIDI']
+]);
+
+/**
+ * Correlation fields (requestId, sessionId, tool...) of the code running
+ * now, carried across awaits so that every line logged while handling a
+ * request names it
+ */
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Runs a function with correlation fields added to every line it logs
+ * @param {Object} fields - Fields such as requestId, sessionId or tool
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of the function
+ */
+export function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Returns the correlation fields of the code running now, e.g. to hand them to a worker thread
+ * @returns {Object} Fields
+ */
+export function currentLogContext() {
+  return { ...logContext.getStore() };
+}
+
+/**
+ * Prepares a value for a log line: errors become {name, message}, and ABC,
+ * MusicXML and MIDI fields are replaced by their length when redacted
+ * @param {*} value - Value to log
+ * @param {Object} options - Options
+ * @param {boolean} options.redactAbc - Whether to redact ABC, MusicXML and MIDI fields
+ * @param {boolean} options.stack - Whether to include error stacks
+ * @param {number} depth - Nesting depth, limited to keep lines short
+ * @returns {*} Loggable value
+ */
+export function redact(value, { redactAbc = true, stack = false } = {}, depth = 0) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.reason ? { reason: value.reason } : {}),
+      ...(stack ? { stack: value.stack } : {})
+    };
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[${value.length} bytes]`;
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= 5) {
+    return '[nested]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, { redactAbc, stack }, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    redactAbc && SCORE_FIELDS.has(key) && typeof item === 'string'
+      ? `[redacted ${SCORE_FIELDS.get(key)}, ${item.length} characters]`
+      : redact(item, { redactAbc, stack }, depth + 1)
+  ]));
+}
+
+/**
+ * Creates a logger writing one JSON object per line
+ *
+ * Each line holds the time, level and message, then the fields of the
+ * logger, the correlation fields of the running request (see
+ * withLogContext) and the fields passed to the call.
+ *
+ * @param {Object} options - Logger options
+ * @param {string} options.level - Minimum level: debug, info (default), warn, error or silent
+ * @param {boolean} options.redactAbc - Whether to replace ABC, MusicXML and MIDI payloads by their length (default true)
+ * @param {Object} options.stream - Destination with a write method (default process.stderr, which keeps stdout free for the stdio transport)
+ * @param {Object} options.fields - Fields added to every line
+ * @param {Function} options.now - Clock returning a Date (default new Date())
+ * @returns {{level: string, enabled: Function, debug: Function, info: Function, warn: Function, error: Function, child: Function}} Logger
+ */
+export function createLogger(options = {}) {
+  const level = LOG_LEVELS[options.level] !== undefined ? options.level : 'info';
+  const redactAbc = options.redactAbc ?? true;
+  const stream = options.stream || process.stderr;
+  const fields = options.fields || {};
+  const now = options.now || (() => new Date());
+
+  const enabled = name => LOG_LEVELS[name] >= LOG_LEVELS[level];
+
+  const write = (name, message, extra) => {
+    if (!enabled(name)) {
+      return;
+    }
+    const line = {
+      time: now().toISOString(),
+      level: name,
+      msg: message,
+      ...fields,
+      ...logContext.getStore(),
+      ...redact(extra, { redactAbc, stack: name === 'error' || level === 'debug' })
+    };
+    stream.write(`${JSON.stringify(line)}\n`);
+  };
+
+  return {
+    level,
+    enabled,
+    debug: (message, extra) => write('debug', message, extra),
+    info: (message, extra) => write('info', message, extra),
+    warn: (message, extra) => write('warn', message, extra),
+    error: (message, extra) => write('error', message, extra),
+
+    /**
+     * Creates a logger adding more fields to every line
+     * @param {Object} childFields - Fields
+     * @returns {Object} Logger
+     */
+    child(childFields) {
+      return createLogger({ level, redactAbc, stream, now, fields: { ...fields, ...childFields } });
+    }
+  };
+}
+
+/**
+ * Logger shared by both servers and the render workers, configured from the
+ * environment: LOG_LEVEL (default info) and LOG_ABC=true to log score payloads
+ * in full
+ */
+export const sharedLogger = createLogger({
+  level: process.env.LOG_LEVEL,
+  redactAbc: process.env.LOG_ABC !== 'true'
+});
@@ -0,0 +1,52 @@
+/**
+ * Map that keeps its entries in least recently used order, for the bounded
+ * caches and registries of the server
+ *
+ * Map iteration order is insertion order, so an entry moves to the end
+ * whenever it is stored or read with get; the first entry (see oldest) is
+ * always the least recently used, the next one to evict.
+ */
+export class LruMap extends Map {
+  /**
+   * Looks up a value and marks it as the most recently used
+   * @param {*} key - Key
+   * @returns {*} Value, or undefined when absent
+   */
+  get(key) {
+    if (!super.has(key)) {
+      return undefined;
+    }
+    const value = super.get(key);
+    super.delete(key);
+    super.set(key, value);
+    return value;
+  }
+
+  /**
+   * Looks up a value without marking it as used
+   * @param {*} key - Key
+   * @returns {*} Value, or undefined when absent
+   */
+  peek(key) {
+    return super.get(key);
+  }
+
+  /**
+   * Stores a value as the most recently used
+   * @param {*} key - Key
+   * @param {*} value - Value
+   * @returns {LruMap} This map
+   */
+  set(key, value) {
+    super.delete(key);
+    return super.set(key, value);
+  }
+
+  /**
+   * Returns the least recently used entry
+   * @returns {Array|undefined} Key and value, or undefined when empty
+   */
+  oldest() {
+    return this.entries().next().value;
+  }
+}
@@ -0,0 +1,255 @@
+import { ZodError } from 'zod';
+
+/**
+ * Upper bounds of the duration histograms, in seconds
+ */
+const DURATION_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Upper bounds of the output size histogram, in bytes
+ */
+const SIZE_BUCKETS = [1024, 10240, 51200, 102400, 262144, 524288, 1048576, 5242880, 10485760];
+
+/**
+ * Escapes a label value for the Prometheus text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats a label set, e.g. {tool="abc_to_pdf",status="ok"}
+ * @param {Object<string, *>} labels - Label values
+ * @returns {string} Label set, empty without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Formats a sample value; Prometheus spells infinity +Inf
+ * @param {number} value - Value
+ * @returns {string}
+ */
+function formatValue(value) {
+  return value === Infinity ? '+Inf' : String(value);
+}
+
+/**
+ * Creates a registry of metrics exposed in the Prometheus text format
+ *
+ * Counters and gauges either hold values set by the code (inc, set) or are
+ * read at scrape time from a collect function returning a number or a list
+ * of {labels, value}, for values another module already counts.
+ *
+ * @returns {{counter: Function, gauge: Function, histogram: Function, render: Function}} Registry
+ */
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  /**
+   * Registers a counter or a gauge
+   */
+  const scalar = (type, name, help, { collect } = {}) => {
+    const values = new Map();
+    metrics.push({
+      name,
+      help,
+      type,
+      samples() {
+        if (collect) {
+          const collected = collect();
+          return typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+        }
+        return [...values.values()];
+      }
+    });
+    const entry = labels => {
+      const key = formatLabels(labels);
+      if (!values.has(key)) {
+        values.set(key, { labels, value: 0 });
+      }
+      return values.get(key);
+    };
+    return {
+      inc(labels = {}, amount = 1) {
+        entry(labels).value += amount;
+      },
+      set(labels = {}, value) {
+        entry(labels).value = value;
+      }
+    };
+  };
+
+  return {
+    /**
+     * Registers a counter
+     * @param {string} name - Metric name, ending in _total
+     * @param {string} help - Description
+     * @param {Object} options - Options
+     * @param {Function} options.collect - Reads the value at scrape time (optional)
+     * @returns {{inc: Function}} Counter
+     */
+    counter(name, help, options) {
+      return scalar('counter', name, help, options);
+    },
+
+    /**
+     * Registers a gauge
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Object} options - Options
+     * @param {Function} options.collect - Reads the value at scrape time (optional)
+     * @returns {{set: Function, inc: Function}} Gauge
+     */
+    gauge(name, help, options) {
+      return scalar('gauge', name, help, options);
+    },
+
+    /**
+     * Registers a histogram
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Object} options - Options
+     * @param {Array<number>} options.buckets - Bucket upper bounds, ascending (default durations in seconds)
+     * @returns {{observe: Function}} Histogram
+     */
+    histogram(name, help, { buckets = DURATION_BUCKETS } = {}) {
+      const series = new Map();
+      metrics.push({
+        name,
+        help,
+        type: 'histogram',
+        samples() {
+          const samples = [];
+          for (const { labels, counts, sum, count } of series.values()) {
+            [...buckets, Infinity].forEach((bound, index) => {
+              samples.push({ suffix: '_bucket', labels: { ...labels, le: formatValue(bound) }, value: counts[index] });
+            });
+            samples.push({ suffix: '_sum', labels, value: sum });
+            samples.push({ suffix: '_count', labels, value: count });
+          }
+          return samples;
+        }
+      });
+      return {
+        observe(labels, value) {
+          const key = formatLabels(labels);
+          if (!series.has(key)) {
+            series.set(key, { labels, counts: new Array(buckets.length + 1).fill(0), sum: 0, count: 0 });
+          }
+          const entry = series.get(key);
+          // Buckets are cumulative: every bucket at or above the value counts it
+          buckets.forEach((bound, index) => {
+            if (value <= bound) {
+              entry.counts[index]++;
+            }
+          });
+          entry.counts[buckets.length]++;
+          entry.sum += value;
+          entry.count++;
+        }
+      };
+    },
+
+    /**
+     * Renders every metric in the Prometheus text exposition format
+     * @returns {string} Metrics text
+     */
+    render() {
+      const lines = [];
+      for (const metric of metrics) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        for (const { suffix = '', labels, value } of metric.samples()) {
+          lines.push(`${metric.name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+      }
+      return `${lines.join('\n')}\n`;
+    }
+  };
+}
+
+/**
+ * Reason of a validation failure, or null when the error is not one
+ *
+ * Validation errors carry their reason (see AbcValidationError and
+ * LimitError); argument schema errors are "invalid_arguments".
+ *
+ * @param {Error} error - Error thrown by a tool or a REST request
+ * @returns {string|null} Reason
+ */
+export function validationFailureReason(error) {
+  if (error instanceof ZodError) {
+    return 'invalid_arguments';
+  }
+  return error?.reason || null;
+}
+
+/**
+ * Creates the metrics of the servers
+ *
+ * Renders are counted when a score is actually rendered, so cache hits count
+ * as tool calls but not as renders.
+ *
+ * @param {Object} registry - Metrics registry (default a new one)
+ * @returns {Object} Metrics: the registry, the instruments and the timeRender and recordFailure helpers
+ */
+export function createServerMetrics(registry = createMetricsRegistry()) {
+  const metrics = {
+    registry,
+    toolCalls: registry.counter('partitura_tool_calls_total', 'MCP tool calls by tool and outcome'),
+    toolDuration: registry.histogram('partitura_tool_duration_seconds', 'MCP tool call latency by tool'),
+    renders: registry.counter('partitura_renders_total', 'Scores rendered by output format and outcome, cache hits excluded'),
+    renderDuration: registry.histogram('partitura_render_duration_seconds', 'Render latency by output format'),
+    outputSize: registry.histogram('partitura_output_size_bytes', 'Size of rendered files by output format', { buckets: SIZE_BUCKETS }),
+    validationFailures: registry.counter('partitura_validation_failures_total', 'Requests refused by input validation, by reason'),
+    restRequests: registry.counter('partitura_rest_requests_total', 'REST render requests by format and HTTP status'),
+
+    /**
+     * Renders a score, recording its latency, outcome and output size
+     * @param {string} format - Render kind ('pdf', 'svg', 'midi', 'audio' or 'musicxml')
+     * @param {Function} renderScore - Renders the score
+     * @returns {Promise<*>} Render result
+     */
+    async timeRender(format, renderScore) {
+      const started = process.hrtime.bigint();
+      try {
+        const value = await renderScore();
+        metrics.renders.inc({ format, status: 'ok' });
+        // Multi-tune formats produce one file per tune
+        for (const file of Array.isArray(value) ? value.map(tune => tune.svg ?? tune.midi ?? tune.wav ?? tune.musicxml) : [value]) {
+          if (file !== undefined) {
+            metrics.outputSize.observe({ format }, Buffer.byteLength(file));
+          }
+        }
+        return value;
+      } catch (error) {
+        metrics.renders.inc({ format, status: 'error' });
+        throw error;
+      } finally {
+        metrics.renderDuration.observe({ format }, Number(process.hrtime.bigint() - started) / 1e9);
+      }
+    },
+
+    /**
+     * Counts an error as a validation failure when it is one
+     * @param {Error} error - Error thrown by a tool or a REST request
+     */
+    recordFailure(error) {
+      const reason = validationFailureReason(error);
+      if (reason) {
+        metrics.validationFailures.inc({ reason });
+      }
+    }
+  };
+  return metrics;
+}
+
+/**
+ * Metrics shared by every server in the process
+ */
+export const sharedMetrics = createServerMetrics();
@@ -0,0 +1,932 @@
+import abcjs from 'abcjs';
+import { z } from 'zod';
+import { validateAbcNotation, selectTunes, AbcToPdfSchema } from './index.js';
+import { LimitError, sharedLimits } from './limits.js';
+
+/**
+ * Schema for ABC to MIDI conversion input
+ */
+export const AbcToMidiSchema = z.object({
+  abc_notation: z.string().min(1, 'ABC notation cannot be empty').describe('The ABC notation string to convert to MIDI'),
+  tunes: AbcToPdfSchema.shape.tunes,
+  tempo: z.number().positive().max(400).optional()
+    .describe('Optional tempo in quarter notes per minute, overriding the Q: field')
+});
+
+/**
+ * Parses a single tune into the abcjs tune object used by the synth
+ * @param {string} tuneAbc - ABC notation of one tune
+ * @returns {Object} abcjs tune object
+ */
+export function parseTune(tuneAbc) {
+  const [tune] = abcjs.parseOnly(tuneAbc);
+
+  if (!tune || !tune.lines || tune.lines.length === 0) {
+    throw new Error('Failed to parse ABC notation');
+  }
+
+  return tune;
+}
+
+/**
+ * Converts ABC notation to Standard MIDI Files, one per tune
+ *
+ * Tempo (Q:), meter, repeats, voices (V:) and %%MIDI directives such as
+ * %%MIDI program are honoured by the abcjs MIDI generator.
+ *
+ * @param {string} abcNotation - The ABC notation to convert
+ * @param {Object} options - Conversion options
+ * @param {Array<number|string>} options.tunes - Optional X: numbers or titles to convert
+ * @param {number} options.tempo - Optional tempo override in quarter notes per minute
+ * @returns {Promise<Array<{id: string, title: string, midi: Buffer}>>} MIDI file per tune
+ */
+export async function abcToMidi(abcNotation, options = {}) {
+  // Validate input
+  validateAbcNotation(abcNotation);
+
+  const tunes = selectTunes(abcNotation, options.tunes);
+  if (tunes.length === 0) {
+    tunes.push({ id: '', title: '', abc: abcNotation });
+  }
+
+  return tunes.map(tune => {
+    try {
+      const midi = abcjs.synth.getMidiFile(parseTune(tune.abc), {
+        midiOutputType: 'binary',
+        qpm: options.tempo
+      });
+
+      return { id: tune.id, title: tune.title, midi: Buffer.from(midi) };
+    } catch (error) {
+      throw new Error(`Failed to generate MIDI: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Size limit of an imported .mid file
+ */
+const MAX_MIDI_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Schema for MIDI to ABC conversion input
+ */
+export const MidiToAbcSchema = z.object({
+  midi_base64: z.string().min(1, 'MIDI file cannot be empty')
+    .max(Math.ceil(MAX_MIDI_BYTES / 3) * 4, `MIDI file is too large (limit ${MAX_MIDI_BYTES} bytes)`).describe('Base64-encoded Standard MIDI File (.mid)'),
+  quantize: z.enum(['1/4', '1/8', '1/16', '1/32']).optional()
+    .describe('Grid that note starts and ends snap to: the shortest note value written (default 1/16)'),
+  triplets: z.boolean().optional().describe('Detect triplets between the grid lines (default true)'),
+  key: z.string().refine(key => readKey(key) !== null, 'Unknown key: give a tonic and an optional mode, e.g. "G", "F#m" or "DDor"').optional()
+    .describe('Key, overriding the key signature of the file and key detection'),
+  meter: z.string().regex(/^(C\|?|[1-9]\d?\/(1|2|4|8|16|32))$/, 'Meter must be C, C| or a fraction such as 3/4 or 6/8').optional()
+    .describe('Meter, overriding the time signature of the file and meter detection'),
+  title: z.string().optional().describe('Title of the tune, overriding the name in the file'),
+  composer: z.string().optional().describe('Composer of the tune'),
+  bars_per_line: z.number().int().min(1).max(32).optional().describe('Bars per ABC line (default 4)'),
+  render: z.enum(['pdf']).optional().describe('Optionally render the converted ABC straight to PDF')
+});
+
+/**
+ * Error thrown for input that is not a readable Standard MIDI File; the
+ * reason classifies it for metrics
+ */
+export class MidiError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MidiError';
+    this.reason = 'invalid_midi';
+  }
+}
+
+/**
+ * Length of a whole note in the time units of MIDI import: divisible by the
+ * 1/32 grid and by eighth-note triplets
+ */
+const WHOLE = 96;
+
+/**
+ * Quantization grids in time units
+ */
+const GRIDS = { '1/4': 24, '1/8': 12, '1/16': 6, '1/32': 3 };
+
+/**
+ * Channel that General MIDI reserves for percussion (channel 10, counting from 1)
+ */
+const PERCUSSION_CHANNEL = 9;
+
+/**
+ * Length limit of the converted tune in whole notes, against files whose notes never end
+ */
+const MAX_WHOLE_NOTES = 10000;
+
+/**
+ * Key tonics by number of fifths, from Cb (-7) to A# (10)
+ */
+const FIFTHS_TONICS = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#'];
+
+/**
+ * Modes by ABC suffix: offset of the tonic from the major key with the same signature, in fifths
+ */
+const MODES = { '': 0, m: 3, Dor: 2, Phr: 4, Lyd: -1, Mix: 1, Loc: 5 };
+
+/**
+ * ABC suffixes by the first three letters of a mode name
+ */
+const MODE_SUFFIXES = { '': '', maj: '', ion: '', m: 'm', min: 'm', aeo: 'm', dor: 'Dor', phr: 'Phr', lyd: 'Lyd', mix: 'Mix', loc: 'Loc' };
+
+/**
+ * Krumhansl-Kessler key profiles: how well each degree of the scale fits the key
+ */
+const KEY_PROFILES = {
+  '': [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+  m: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+};
+
+/**
+ * Semitones of the natural notes above C
+ */
+const NATURALS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * ABC accidentals by alteration in semitones
+ */
+const ACCIDENTALS = { '-1': '_', 0: '=', 1: '^' };
+
+/**
+ * Note values in time units, longest first, with the plain value they dot
+ */
+const NOTE_VALUES = [[192, 192], [144, 96], [96, 96], [72, 48], [48, 48], [36, 24], [24, 24], [18, 12], [12, 12], [9, 6], [6, 6], [3, 3]];
+
+/**
+ * Greatest common divisor
+ */
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Formats a note length in units of L:1/8
+ * @param {number} units - Length in time units
+ * @returns {string} ABC length suffix, empty for one eighth
+ */
+function formatLength(units) {
+  const divisor = gcd(units, WHOLE / 8);
+  const [num, den] = [units / divisor, WHOLE / 8 / divisor];
+  if (den === 1) {
+    return num === 1 ? '' : String(num);
+  }
+  return `${num === 1 ? '' : num}/${den}`;
+}
+
+/**
+ * Escapes text for an ABC header field or voice name
+ * @param {string} text - Text
+ * @returns {string} Text on one line without double quotes
+ */
+function fieldText(text) {
+  return text.replace(/\s+/g, ' ').replace(/"/g, "'").trim();
+}
+
+/**
+ * Reads an ABC key such as "G", "F#m" or "D dorian"
+ * @param {string} text - Key
+ * @returns {{name: string, fifths: number, mode: string}|null} Key, or null when unknown or beyond seven sharps or flats
+ */
+function readKey(text) {
+  const match = /^\s*([A-G])([#b]?)\s*([A-Za-z]*)\s*$/.exec(text);
+  const mode = match && MODE_SUFFIXES[match[3].toLowerCase().slice(0, 3)];
+  if (mode === undefined || mode === null) {
+    return null;
+  }
+  const tonic = 'FCGDAEB'.indexOf(match[1]) - 1 + { '': 0, '#': 7, b: -7 }[match[2]];
+  const fifths = tonic - MODES[mode];
+  return Math.abs(fifths) <= 7 ? { name: `${match[1]}${match[2]}${mode}`, fifths, mode } : null;
+}
+
+/**
+ * Names the key of a MIDI key signature
+ * @param {number} fifths - Sharps (positive) or flats (negative)
+ * @param {boolean} minor - Whether the key is minor
+ * @returns {{name: string, fifths: number, mode: string}} Key
+ */
+function signatureKey(fifths, minor) {
+  const mode = minor ? 'm' : '';
+  fifths = Math.max(-7, Math.min(7, fifths));
+  return { name: `${FIFTHS_TONICS[fifths + MODES[mode] + 7]}${mode}`, fifths, mode };
+}
+
+/**
+ * Finds the major or minor key whose profile best matches how long each
+ * pitch class sounds
+ * @param {Array<Object>} notes - Notes with pitch, start and end
+ * @returns {{name: string, fifths: number, mode: string}} Key
+ */
+function detectKey(notes) {
+  const weights = new Array(12).fill(0);
+  for (const note of notes) {
+    weights[note.pitch % 12] += note.end - note.start;
+  }
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const correlation = (a, b) => {
+    const [meanA, meanB] = [mean(a), mean(b)];
+    let [product, squaresA, squaresB] = [0, 0, 0];
+    a.forEach((value, index) => {
+      product += (value - meanA) * (b[index] - meanB);
+      squaresA += (value - meanA) ** 2;
+      squaresB += (b[index] - meanB) ** 2;
+    });
+    return product / (Math.sqrt(squaresA * squaresB) || 1);
+  };
+
+  let best = null;
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const rotated = weights.map((_, degree) => weights[(tonic + degree) % 12]);
+    for (const [mode, profile] of Object.entries(KEY_PROFILES)) {
+      const score = correlation(rotated, profile);
+      if (!best || score > best.score) {
+        best = { score, tonic, mode };
+      }
+    }
+  }
+  // The signature of the relative major, with six sharps at most
+  const fifths = ((best.tonic + MODES[best.mode]) * 7) % 12;
+  return signatureKey(fifths > 6 ? fifths - 12 : fifths, best.mode === 'm');
+}
+
+/**
+ * Alteration of each step under a key signature
+ * @param {number} fifths - Sharps (positive) or flats (negative)
+ * @returns {Object<string, number>} Alteration by step
+ */
+function keyAlterations(fifths) {
+  const alterations = { C: 0, D: 0, E: 0, F: 0, G: 0, A: 0, B: 0 };
+  const steps = fifths >= 0 ? 'FCGDAEB' : 'BEADGCF';
+  for (const step of steps.slice(0, Math.abs(fifths))) {
+    alterations[step] = Math.sign(fifths);
+  }
+  return alterations;
+}
+
+/**
+ * Spells the twelve pitch classes in a key: notes of the scale as the key
+ * signature has them, the raised seventh of minor keys as a sharpened
+ * degree, and other black keys as sharps in sharp keys and flats in flat keys
+ * @param {Object} key - Key from readKey, signatureKey or detectKey
+ * @returns {Array<{step: string, alter: number}>} Spelling by pitch class
+ */
+function keySpellings(key) {
+  const alterations = keyAlterations(key.fifths);
+  const spellings = new Array(12);
+  for (const [step, semitones] of Object.entries(NATURALS)) {
+    spellings[(semitones + alterations[step] + 12) % 12] = { step, alter: alterations[step] };
+  }
+  if (key.mode === 'm') {
+    const steps = 'CDEFGAB';
+    const tonic = key.name[0];
+    const seventh = steps[(steps.indexOf(tonic) + 6) % 7];
+    const leading = (NATURALS[tonic] + alterations[tonic] + 11) % 12;
+    spellings[leading] ??= { step: seventh, alter: ((leading - NATURALS[seventh] + 18) % 12) - 6 };
+  }
+  for (let pitchClass = 0; pitchClass < 12; pitchClass++) {
+    if (!spellings[pitchClass]) {
+      const natural = Object.keys(NATURALS).find(step => NATURALS[step] === pitchClass);
+      const sharpened = Object.keys(NATURALS).find(step => NATURALS[step] === pitchClass - 1);
+      const flattened = Object.keys(NATURALS).find(step => NATURALS[step] === (pitchClass + 1) % 12);
+      spellings[pitchClass] = natural ? { step: natural, alter: 0 }
+        : key.fifths >= 0 ? { step: sharpened, alter: 1 } : { step: flattened, alter: -1 };
+    }
+  }
+  return spellings;
+}
+
+/**
+ * Reads an ABC or MIDI time signature
+ * @param {string} text - Meter, e.g. "3/4", "C" or "C|"
+ * @returns {{text: string, length: number, beat: number, compound: boolean}} Meter with bar and beat lengths in time units
+ * @throws {MidiError} When the meter is not C, C| or a fraction with a note value from 1 to 32
+ */
+function readMeter(text) {
+  const [num, den] = text === 'C' ? [4, 4] : text === 'C|' ? [2, 2] : String(text).split('/').map(Number);
+  if (!Number.isInteger(num) || num < 1 || ![1, 2, 4, 8, 16, 32].includes(den)) {
+    throw new MidiError(`Invalid meter: ${text}`);
+  }
+  // 6/8, 9/8 and 12/8 count dotted beats
+  const compound = den >= 8 && num > 3 && num % 3 === 0;
+  return { text, length: num * WHOLE / den, beat: (compound ? 3 : 1) * WHOLE / den, compound };
+}
+
+/**
+ * Guesses the meter of a file without a time signature from where the long
+ * and loud notes fall, with bars starting at the beginning of the file
+ *
+ * 3/4 wins over 4/4 when its downbeats stand out more from its other beats;
+ * it becomes 6/8 when the middle of its bars is stronger than its beats.
+ *
+ * @param {Array<Object>} notes - Notes with start and end in time units and velocity
+ * @returns {string} 4/4, 3/4 or 6/8
+ */
+function detectMeter(notes) {
+  const sixteenth = WHOLE / 16;
+  const weights = new Map();
+  let last = 0;
+  for (const note of notes) {
+    const position = Math.round(note.start / sixteenth) * sixteenth;
+    weights.set(position, (weights.get(position) || 0) + note.velocity * Math.min(note.end - note.start, WHOLE / 2));
+    last = Math.max(last, position);
+  }
+  const meanWeight = (bar, offsets) => {
+    let total = 0;
+    let count = 0;
+    for (let start = 0; start <= last; start += bar) {
+      for (const offset of offsets) {
+        total += weights.get(start + offset) || 0;
+        count++;
+      }
+    }
+    return total / count;
+  };
+  const quarter = WHOLE / 4;
+  const accent = (bar) => {
+    const beats = Array.from({ length: bar / quarter - 1 }, (_, index) => (index + 1) * quarter);
+    return meanWeight(bar, [0]) - meanWeight(bar, beats);
+  };
+
+  if (accent(3 * quarter) <= accent(4 * quarter)) {
+    return '4/4';
+  }
+  return meanWeight(3 * quarter, [1.5 * quarter]) > meanWeight(3 * quarter, [quarter, 2 * quarter]) ? '6/8' : '3/4';
+}
+
+/**
+ * Reads one track chunk
+ * @param {Buffer} data - Track data after the chunk header
+ * @returns {{name: string|undefined, text: string|undefined, notes: Array<Object>, programs: Map<number, number>, meta: Array<Object>}} Track: notes in ticks, program by channel, and tempo, time and key signature events
+ * @throws {MidiError} When the track is malformed
+ */
+function readTrack(data) {
+  const track = { name: undefined, text: undefined, notes: [], programs: new Map(), meta: [] };
+  const sounding = new Map();
+  let offset = 0;
+  let tick = 0;
+  let status = 0;
+
+  const need = (count) => {
+    if (offset + count > data.length) {
+      throw new MidiError('Invalid MIDI file: a track ends in the middle of an event');
+    }
+  };
+  const readLength = () => {
+    let value = 0;
+    for (let index = 0; index < 4; index++) {
+      need(1);
+      const byte = data[offset++];
+      value = value * 128 + (byte & 0x7f);
+      if (!(byte & 0x80)) {
+        return value;
+      }
+    }
+    throw new MidiError('Invalid MIDI file: variable-length number longer than four bytes');
+  };
+  const noteOff = (channel, pitch) => {
+    // Overlapping notes of one pitch end in the order they started
+    const started = sounding.get(channel * 128 + pitch)?.shift();
+    if (started) {
+      started.end = tick;
+      track.notes.push(started);
+    }
+  };
+
+  while (offset < data.length) {
+    tick += readLength();
+    need(1);
+    if (data[offset] & 0x80) {
+      status = data[offset++];
+    } else if (status === 0) {
+      throw new MidiError('Invalid MIDI file: data byte without a status byte');
+    }
+
+    if (status === 0xff) {
+      need(1);
+      const type = data[offset++];
+      const length = readLength();
+      need(length);
+      const payload = data.subarray(offset, offset + length);
+      offset += length;
+      // Meta and system exclusive events cancel running status
+      status = 0;
+      if (type === 0x2f) {
+        break;
+      } else if (type === 0x03 && track.name === undefined) {
+        track.name = payload.toString('utf8').trim() || undefined;
+      } else if (type === 0x01 && track.text === undefined) {
+        track.text = payload.toString('utf8').trim() || undefined;
+      } else if (type === 0x51 && length === 3 && payload.readUIntBE(0, 3) > 0) {
+        track.meta.push({ tick, type: 'tempo', microseconds: payload.readUIntBE(0, 3) });
+      } else if (type === 0x58 && length >= 2) {
+        track.meta.push({ tick, type: 'meter', num: payload[0], den: 2 ** payload[1] });
+      } else if (type === 0x59 && length === 2) {
+        track.meta.push({ tick, type: 'key', fifths: payload.readInt8(0), minor: payload[1] === 1 });
+      }
+    } else if (status === 0xf0 || status === 0xf7) {
+      const length = readLength();
+      need(length);
+      offset += length;
+      status = 0;
+    } else {
+      const type = status & 0xf0;
+      const channel = status & 0x0f;
+      const size = type === 0xc0 || type === 0xd0 ? 1 : 2;
+      need(size);
+      const [pitch, velocity] = [data[offset], data[offset + 1]];
+      offset += size;
+      if (type === 0x90 && velocity > 0) {
+        const key = channel * 128 + pitch;
+        if (!sounding.has(key)) {
+          sounding.set(key, []);
+        }
+        sounding.get(key).push({ pitch, velocity, channel, start: tick });
+      } else if (type === 0x80 || type === 0x90) {
+        noteOff(channel, pitch);
+      } else if (type === 0xc0 && !track.programs.has(channel)) {
+        track.programs.set(channel, pitch);
+      }
+    }
+  }
+
+  // Notes still held end with the track
+  for (const key of sounding.keys()) {
+    while (sounding.get(key).length > 0) {
+      noteOff(Math.floor(key / 128), key % 128);
+    }
+  }
+  return track;
+}
+
+/**
+ * Reads a Standard MIDI File of format 0, 1 or 2
+ * @param {Buffer} buffer - File contents
+ * @returns {{ticksPerQuarter: number, tracks: Array<Object>}} File
+ * @throws {MidiError} When the file is not a readable Standard MIDI File
+ */
+function readMidiFile(buffer) {
+  if (buffer.length < 14 || buffer.toString('latin1', 0, 4) !== 'MThd') {
+    throw new MidiError('Not a Standard MIDI File: the MThd header is missing');
+  }
+  const division = buffer.readUInt16BE(12);
+  if (division & 0x8000) {
+    throw new MidiError('MIDI files timed in SMPTE frames are not supported, only files timed in beats');
+  }
+  if (division === 0) {
+    throw new MidiError('Invalid MIDI file: zero ticks per quarter note');
+  }
+
+  const tracks = [];
+  let offset = 8 + buffer.readUInt32BE(4);
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset + 4);
+    // Unknown chunk types are skipped, as the standard asks
+    if (buffer.toString('latin1', offset, offset + 4) === 'MTrk') {
+      tracks.push(readTrack(buffer.subarray(offset + 8, offset + 8 + length)));
+    }
+    offset += 8 + length;
+  }
+  if (tracks.length === 0) {
+    throw new MidiError('Invalid MIDI file: no MTrk track chunk');
+  }
+  return { ticksPerQuarter: division, tracks };
+}
+
+/**
+ * Triplet grids, coarsest first: quarter-note triplets over half a bar's
+ * worth of beats and eighth-note triplets over one beat
+ */
+const TRIPLET_LEVELS = [{ step: WHOLE / 6, span: WHOLE / 2 }, { step: WHOLE / 12, span: WHOLE / 4 }];
+
+/**
+ * Quantizes the notes of one voice
+ *
+ * Each stretch of a simple meter is written straight or as triplets,
+ * whichever grid its note starts fit best: half bars try quarter-note
+ * triplets against the best choice for their beats, and beats try
+ * eighth-note triplets against the straight grid. Triplets need at least two
+ * notes, one of them between the straight grid lines. Notes then snap to the
+ * grid of the stretch they start and end in. Repeated notes of one pitch end
+ * where the next begins, and notes overlapping the next note by at most one
+ * grid step (legato playing) end where it begins.
+ *
+ * @param {Array<Object>} notes - Notes with pitch, start and end in time units
+ * @param {Object} layout - Bars and grids
+ * @param {Function} layout.barAt - Finds the bar holding a position
+ * @param {number} layout.grid - Straight grid step
+ * @param {boolean} layout.triplets - Whether to detect triplets
+ * @returns {{notes: Array<Object>, triplets: Map<number, {step: number, span: number}>}} Quantized notes sorted by start, and the triplet grids by start
+ */
+function quantizeVoice(notes, { barAt, grid, triplets: detect }) {
+  // Triplets finer than the grid are not written
+  const levels = detect ? TRIPLET_LEVELS.filter(level => level.step >= grid * 2 / 3) : [];
+  const triplets = new Map();
+
+  const onsets = new Map();
+  for (const note of notes) {
+    const bar = barAt(note.start);
+    if (!bar.meter.compound) {
+      onsets.set(bar, [...(onsets.get(bar) || []), note.start]);
+    }
+  }
+  const error = (offsets, step) => offsets.reduce((sum, offset) => sum + Math.abs(offset - Math.round(offset / step) * step), 0);
+  const choose = (starts, start, index) => {
+    const { step, span } = levels[index];
+    const offsets = starts.filter(position => position >= start && position < start + span).map(position => position - start);
+    const finer = levels[index + 1];
+    let best = { error: error(offsets, grid), triplets: [] };
+    if (finer) {
+      const parts = Array.from({ length: span / finer.span }, (_, part) => choose(starts, start + part * finer.span, index + 1));
+      best = { error: parts.reduce((sum, part) => sum + part.error, 0), triplets: parts.flatMap(part => part.triplets) };
+    }
+    const between = offsets.some((offset) => {
+      const snapped = Math.round(offset / step) * step;
+      return snapped < span && snapped % grid !== 0;
+    });
+    if (offsets.length >= 2 && between && error(offsets, step) < best.error) {
+      best = { error: error(offsets, step), triplets: [[start, levels[index]]] };
+    }
+    return best;
+  };
+  for (const [bar, starts] of onsets) {
+    // The bar is tiled with the coarsest windows that fit
+    for (let offset = 0; offset < bar.meter.length;) {
+      const index = levels.findIndex(level => offset % level.span === 0 && offset + level.span <= bar.meter.length);
+      if (index === -1) {
+        break;
+      }
+      for (const [start, level] of choose(starts, bar.start + offset, index).triplets) {
+        triplets.set(start, level);
+      }
+      offset += levels[index].span;
+    }
+  }
+
+  const tripletAt = (position) => {
+    const bar = barAt(position);
+    for (const level of levels) {
+      const start = bar.start + Math.floor((position - bar.start) / level.span) * level.span;
+      if (triplets.get(start) === level) {
+        return { start, ...level };
+      }
+    }
+    return null;
+  };
+  const stepAt = position => tripletAt(position)?.step ?? grid;
+  const snap = (position) => {
+    const origin = tripletAt(position)?.start ?? barAt(position).start;
+    const step = stepAt(position);
+    return origin + Math.round((position - origin) / step) * step;
+  };
+
+  const quantized = notes
+    .map((note) => {
+      const start = snap(note.start);
+      return { pitch: note.pitch, start, end: Math.max(snap(note.end), start + stepAt(start)) };
+    })
+    .sort((a, b) => a.start - b.start || a.pitch - b.pitch);
+
+  const previous = new Map();
+  for (const note of quantized) {
+    const before = previous.get(note.pitch);
+    if (before && before.end > note.start) {
+      if (before.start === note.start) {
+        note.end = Math.max(note.end, before.end);
+      }
+      before.end = note.start;
+    }
+    previous.set(note.pitch, note);
+  }
+  const kept = quantized.filter(note => note.end > note.start);
+
+  const starts = [...new Set(kept.map(note => note.start))];
+  let following = 0;
+  for (const note of kept) {
+    while (following < starts.length && starts[following] <= note.start) {
+      following++;
+    }
+    const next = starts[following];
+    if (next !== undefined && note.end > next && note.end - next <= stepAt(next)) {
+      note.end = next;
+    }
+  }
+  return { notes: kept, triplets };
+}
+
+/**
+ * Splits a length into note values that start on their own subdivision of
+ * the beat, so that ties show where the beats fall
+ * @param {number} position - Start within the bar, in time units
+ * @param {number} length - Length in time units
+ * @param {number} beat - Beat length in time units
+ * @returns {Array<number>} Note values
+ */
+function splitLength(position, length, beat) {
+  const values = [];
+  while (length > 0) {
+    const [value] = NOTE_VALUES.find(([candidate, plain]) => (
+      candidate <= length && position % Math.max(3, Math.min(plain / 2, beat)) === 0
+    )) || [length];
+    values.push(value);
+    position += value;
+    length -= value;
+  }
+  return values;
+}
+
+/**
+ * Writes one bar of one voice
+ * @param {Array<Object>} slots - Time slots of the bar, with start, end and the notes sounding in them
+ * @param {Object} bar - Bar with start and meter
+ * @param {Object} context - Voice context: triplet grids by start, pitch spellings and key alterations
+ * @returns {string} ABC music of the bar
+ */
+function writeBar(slots, bar, { triplets, spellings, alterations }) {
+  const barAlterations = new Map();
+  const { beat } = bar.meter;
+
+  const pitchText = (pitch) => {
+    const { step, alter } = spellings[pitch % 12];
+    const octave = Math.round((pitch - alter - NATURALS[step]) / 12) - 1;
+    const key = `${step}${octave}`;
+    const current = barAlterations.has(key) ? barAlterations.get(key) : alterations[step];
+    let accidental = '';
+    if (alter !== current) {
+      accidental = ACCIDENTALS[alter];
+      barAlterations.set(key, alter);
+    }
+    return accidental + (octave >= 5 ? `${step.toLowerCase()}${"'".repeat(octave - 5)}` : `${step}${','.repeat(Math.max(0, 4 - octave))}`);
+  };
+
+  const tokens = [];
+  let group = null;
+  for (const slot of slots) {
+    if (triplets.has(slot.start)) {
+      const { span } = triplets.get(slot.start);
+      group = { start: slot.start, end: slot.start + span, first: tokens.length };
+    }
+    // Triplet notes are written with their nominal length, half as long again
+    const scale = group ? 3 / 2 : 1;
+    const origin = group ? group.start : bar.start;
+    const values = splitLength((slot.start - origin) * scale, (slot.end - slot.start) * scale, group ? (group.end - group.start) * scale : beat);
+    let start = slot.start;
+    values.forEach((value, index) => {
+      const length = formatLength(value);
+      let text;
+      if (slot.notes.length === 0) {
+        text = `z${length}`;
+      } else {
+        const tie = note => (note.tie || index < values.length - 1 ? '-' : '');
+        text = slot.notes.length === 1
+          ? `${pitchText(slot.notes[0].pitch)}${length}${tie(slot.notes[0])}`
+          : `[${slot.notes.map(note => `${pitchText(note.pitch)}${tie(note)}`).join('')}]${length}`;
+      }
+      start += value / scale;
+      tokens.push({ text, end: start - bar.start, beamed: slot.notes.length > 0 && value < WHOLE / 4 });
+    });
+    if (group && slot.end >= group.end) {
+      const count = tokens.length - group.first;
+      tokens[group.first].text = `${count === 3 ? '(3' : `(3:2:${count}`}${tokens[group.first].text}`;
+      group = null;
+    }
+  }
+
+  // Eighths and shorter share beams within a beat
+  return tokens.map((token, index) => {
+    const next = tokens[index + 1];
+    return next && token.beamed && next.beamed && token.end % beat !== 0 ? token.text : `${token.text} `;
+  }).join('').trimEnd();
+}
+
+/**
+ * Converts a Standard MIDI File to ABC notation
+ *
+ * Every track becomes one V: voice per MIDI channel it plays on, named after
+ * the track and with its instrument as a %%MIDI program directive; the
+ * percussion channel is left out. Notes are quantized to the grid, with
+ * triplets where they fit better, and written as chords and tied notes where
+ * they overlap or cross beats and bar lines. The key and meter come from the
+ * options, else from the key and time signatures of the file, else they are
+ * detected from the notes. The tempo at the start becomes the Q: field.
+ *
+ * @param {Buffer|Uint8Array} input - Contents of a .mid file
+ * @param {Object} options - Conversion options
+ * @param {string} options.quantize - Grid: 1/4, 1/8, 1/16 or 1/32 (default 1/16)
+ * @param {boolean} options.triplets - Whether to detect triplets (default true)
+ * @param {string} options.key - Key overriding the file, e.g. "Em"
+ * @param {string} options.meter - Meter overriding the file, e.g. "6/8"
+ * @param {string} options.title - Title overriding the name in the file
+ * @param {string} options.composer - Composer
+ * @param {number} options.barsPerLine - Bars per line (default 4)
+ * @param {Object} options.limits - Voice and bar limits of the ABC (default sharedLimits.abc)
+ * @returns {{abc: string, title: string|undefined, voices: number, measures: number, key: string, meter: string, keySource: string, meterSource: string}} ABC notation, what it holds, and whether the key and meter were given ('option'), read ('file') or 'detected'
+ * @throws {MidiError} When the input is not a readable MIDI file or has no notes
+ * @throws {LimitError} 413 when the ABC would have more voices or bars than the limits
+ */
+export function midiToAbc(input, options = {}) {
+  const file = readMidiFile(Buffer.from(input));
+  const units = tick => tick * WHOLE / 4 / file.ticksPerQuarter;
+
+  // One voice per track and channel
+  const [firstTrack] = file.tracks;
+  const titleTrack = file.tracks.length === 1 || firstTrack.notes.length === 0;
+  const voices = [];
+  for (const track of file.tracks) {
+    const channels = [...new Set(track.notes.map(note => note.channel))].filter(channel => channel !== PERCUSSION_CHANNEL).sort((a, b) => a - b);
+    for (const channel of channels) {
+      voices.push({
+        name: track === firstTrack && titleTrack ? undefined : track.name,
+        // Some writers, abcjs among them, change the program of a one-channel track on
+        // another channel than its notes; program 0, the piano, is the default
+        program: (track.programs.get(channel) ?? (channels.length === 1 ? track.programs.values().next().value : undefined)) || undefined,
+        notes: track.notes
+          .filter(note => note.channel === channel)
+          .map(note => ({ pitch: note.pitch, velocity: note.velocity, start: units(note.start), end: units(note.end) }))
+      });
+    }
+  }
+  const allNotes = voices.flatMap(voice => voice.notes);
+  if (allNotes.length === 0) {
+    throw new MidiError('The MIDI file has no notes to convert');
+  }
+  const lastNoteEnd = allNotes.reduce((last, note) => Math.max(last, note.end), 0);
+  if (lastNoteEnd > MAX_WHOLE_NOTES * WHOLE) {
+    throw new MidiError(`The MIDI file is too long: more than ${MAX_WHOLE_NOTES} whole notes`);
+  }
+  const { maxVoices, maxBars } = options.limits ?? sharedLimits.abc;
+  if (maxVoices && voices.length > maxVoices) {
+    throw new LimitError(413, `The MIDI file has too many voices: ${voices.length} (limit ${maxVoices})`, { reason: 'too_many_voices' });
+  }
+
+  const meta = file.tracks.flatMap(track => track.meta).sort((a, b) => a.tick - b.tick);
+  const meterEvents = meta.filter(event => event.type === 'meter' && event.num > 0 && event.den <= 32);
+  const keyEvents = meta.filter(event => event.type === 'key');
+
+  let meterSource = 'option';
+  let meterChanges = [];
+  if (options.meter) {
+    meterChanges = [{ position: 0, meter: readMeter(options.meter) }];
+  } else if (meterEvents.length > 0) {
+    meterSource = 'file';
+    meterChanges = meterEvents.map(event => ({ position: Math.round(units(event.tick)), meter: readMeter(`${event.num}/${event.den}`) }));
+  } else {
+    meterSource = 'detected';
+    meterChanges = [{ position: 0, meter: readMeter(detectMeter(allNotes)) }];
+  }
+
+  let keySource = 'option';
+  let keyChanges = [];
+  if (options.key) {
+    keyChanges = [{ position: 0, key: readKey(options.key) }];
+  } else if (keyEvents.length > 0) {
+    keySource = 'file';
+    keyChanges = keyEvents.map(event => ({ position: Math.round(units(event.tick)), key: signatureKey(event.fifths, event.minor) }));
+  } else {
+    keySource = 'detected';
+    keyChanges = [{ position: 0, key: detectKey(allNotes) }];
+  }
+
+  // Bars from the start of the file; signature changes apply from the bar they fall in or the next
+  const grid = GRIDS[options.quantize || '1/16'];
+  const lastEnd = lastNoteEnd + grid;
+  const bars = [];
+  let meter = meterChanges[0].meter;
+  let key = keyChanges[0].key;
+  for (let start = 0; start < lastEnd; start += meter.length) {
+    meter = meterChanges.findLast(change => change.position <= start)?.meter ?? meter;
+    key = keyChanges.findLast(change => change.position <= start)?.key ?? key;
+    bars.push({ start, meter, key });
+  }
+  const barAt = (position) => {
+    let low = 0;
+    let high = bars.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (bars[middle].start <= position) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return bars[low];
+  };
+
+  for (const voice of voices) {
+    Object.assign(voice, quantizeVoice(voice.notes, { barAt, grid, triplets: options.triplets !== false }));
+  }
+
+  // Empty bars before the first note are left out, and so are bars after the last one
+  const quantizedNotes = voices.flatMap(voice => voice.notes);
+  const first = bars.indexOf(barAt(quantizedNotes.reduce((start, note) => Math.min(start, note.start), Infinity)));
+  const end = quantizedNotes.reduce((last, note) => Math.max(last, note.end), 0);
+  const written = bars.slice(first).filter(bar => bar.start < end);
+
+  // Every voice writes every bar, so the ABC is refused before it is written
+  if (maxBars && voices.length * written.length > maxBars) {
+    throw new LimitError(413, `The MIDI file is too long: ${written.length} bars in ${voices.length} voices make ${voices.length * written.length} bars of ABC (limit ${maxBars})`, { reason: 'too_many_bars' });
+  }
+  const last = written.at(-1);
+  const pieceEnd = last.start + last.meter.length;
+
+  const lines = ['X:1'];
+  const title = options.title ?? (titleTrack ? firstTrack.name ?? firstTrack.text : undefined);
+  if (title) {
+    lines.push(`T:${fieldText(title)}`);
+  }
+  if (options.composer) {
+    lines.push(`C:${fieldText(options.composer)}`);
+  }
+  const tempo = meta.filter(event => event.type === 'tempo').findLast(event => units(event.tick) <= written[0].start);
+  lines.push(`M:${written[0].meter.text}`, 'L:1/8', `Q:1/4=${tempo ? Math.round(60000000 / tempo.microseconds) : 120}`);
+
+  for (const [index, voice] of voices.entries()) {
+    voice.id = String(index + 1);
+    const pitches = voice.notes.map(note => note.pitch).sort((a, b) => a - b);
+    voice.clef = pitches[Math.floor(pitches.length / 2)] < 60 ? 'bass' : 'treble';
+  }
+  if (voices.length === 1) {
+    lines.push(`K:${written[0].key.name}${voices[0].clef === 'bass' ? ' clef=bass' : ''}`);
+    if (voices[0].program !== undefined) {
+      lines.push(`%%MIDI program ${voices[0].program}`);
+    }
+  } else {
+    lines.push(`K:${written[0].key.name}`);
+    for (const voice of voices) {
+      lines.push(`V:${voice.id} clef=${voice.clef}${voice.name ? ` name="${fieldText(voice.name)}"` : ''}`);
+    }
+  }
+
+  // Each voice is cut into time slots, grouped by bar, at bar lines, triplet beats and note starts and ends
+  for (const voice of voices) {
+    const cuts = new Set([...written.map(bar => bar.start), pieceEnd]);
+    for (const note of voice.notes) {
+      cuts.add(note.start).add(note.end);
+    }
+    for (const [start, { span }] of voice.triplets) {
+      cuts.add(start).add(start + span);
+    }
+    const positions = [...cuts].filter(position => position >= written[0].start && position <= pieceEnd).sort((a, b) => a - b);
+
+    voice.slots = new Map(written.map(bar => [bar, []]));
+    let next = 0;
+    let sounding = [];
+    for (let index = 0; index < positions.length - 1; index++) {
+      const [start, slotEnd] = [positions[index], positions[index + 1]];
+      while (next < voice.notes.length && voice.notes[next].start <= start) {
+        sounding.push(voice.notes[next++]);
+      }
+      sounding = sounding.filter(note => note.end > start);
+      voice.slots.get(barAt(start)).push({
+        start,
+        end: slotEnd,
+        notes: sounding.map(note => ({ pitch: note.pitch, tie: note.end > slotEnd })).sort((a, b) => a.pitch - b.pitch)
+      });
+    }
+  }
+
+  const barsPerLine = options.barsPerLine || 4;
+  for (let lineStart = 0; lineStart < written.length; lineStart += barsPerLine) {
+    for (const voice of voices) {
+      if (voices.length > 1) {
+        lines.push(`V:${voice.id}`);
+        if (lineStart === 0 && voice.program !== undefined) {
+          lines.push(`%%MIDI program ${voice.program}`);
+        }
+      }
+      const music = written.slice(lineStart, lineStart + barsPerLine).map((bar, index) => {
+        const barIndex = lineStart + index;
+        const previous = written[barIndex - 1];
+        let fields = '';
+        if (previous && previous.key !== bar.key && previous.key.name !== bar.key.name) {
+          fields += `[K:${bar.key.name}] `;
+        }
+        if (previous && previous.meter.text !== bar.meter.text) {
+          fields += `[M:${bar.meter.text}] `;
+        }
+        const text = writeBar(voice.slots.get(bar), bar, {
+          triplets: voice.triplets,
+          spellings: keySpellings(bar.key),
+          alterations: keyAlterations(bar.key.fifths)
+        });
+        return `${fields}${text} ${barIndex === written.length - 1 ? '|]' : '|'}`;
+      });
+      lines.push(music.join(' '));
+    }
+  }
+
+  return {
+    abc: `${lines.join('\n')}\n`,
+    title,
+    voices: voices.length,
+    measures: written.length,
+    key: written[0].key.name,
+    meter: written[0].meter.text,
+    keySource,
+    meterSource
+  };
+}
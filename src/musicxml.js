@@ -0,0 +1,2196 @@
+import { inflateRawSync } from 'node:zlib';
+import { JSDOM } from 'jsdom';
+import { z } from 'zod';
+import { validateAbcNotation, selectTunes, AbcToPdfSchema } from './index.js';
+import { parseTune } from './midi.js';
+
+/**
+ * Size limit of a MusicXML document, uncompressed, and of an .mxl file;
+ * the uncompressed limit also guards against ZIP bombs
+ */
+const MAX_MUSICXML_BYTES = 8 * 1024 * 1024;
+
+/**
+ * Schema for MusicXML to ABC conversion input
+ */
+export const MusicXmlToAbcSchema = z.object({
+  musicxml: z.string().min(1, 'MusicXML cannot be empty')
+    .max(MAX_MUSICXML_BYTES, `MusicXML is too large (limit ${MAX_MUSICXML_BYTES} characters)`).optional()
+    .describe('Uncompressed MusicXML document (.musicxml or .xml file contents)'),
+  musicxml_base64: z.string().min(1, 'MusicXML cannot be empty')
+    .max(Math.ceil(MAX_MUSICXML_BYTES / 3) * 4, `MusicXML file is too large (limit ${MAX_MUSICXML_BYTES} bytes)`).optional()
+    .describe('Base64-encoded .mxl (compressed) or .musicxml file'),
+  title: z.string().optional().describe('Title of the tune, overriding the title of the score'),
+  composer: z.string().optional().describe('Composer of the tune, overriding the composer of the score'),
+  bars_per_line: z.number().int().min(1).max(32).optional()
+    .describe('Bars per ABC line when the score has no system breaks (default 4)'),
+  render: z.enum(['pdf']).optional().describe('Optionally render the converted ABC straight to PDF')
+}).refine(
+  args => (args.musicxml === undefined) !== (args.musicxml_base64 === undefined),
+  { message: 'Provide exactly one of musicxml or musicxml_base64' }
+);
+
+/**
+ * Schema for ABC to MusicXML conversion input
+ */
+export const AbcToMusicXmlSchema = z.object({
+  abc_notation: z.string().min(1, 'ABC notation cannot be empty').describe('The ABC notation string to convert to MusicXML'),
+  tunes: AbcToPdfSchema.shape.tunes
+});
+
+/**
+ * Error thrown for input that is not a readable MusicXML score; the reason
+ * classifies it for metrics
+ */
+export class MusicXmlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MusicXmlError';
+    this.reason = 'invalid_musicxml';
+  }
+}
+
+/**
+ * Key tonics by number of fifths, from Fb (-8) to B# (12)
+ */
+const FIFTHS_TONICS = ['Fb', 'Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#', 'E#', 'B#'];
+
+/**
+ * Modes: offset of the tonic from the major key with the same signature, in fifths, and ABC suffix
+ */
+const MODES = {
+  major: [0, ''],
+  ionian: [0, ''],
+  minor: [3, 'm'],
+  aeolian: [3, 'm'],
+  dorian: [2, 'Dor'],
+  phrygian: [4, 'Phr'],
+  lydian: [-1, 'Lyd'],
+  mixolydian: [1, 'Mix'],
+  locrian: [5, 'Loc']
+};
+
+/**
+ * ABC accidentals by alteration in semitones
+ */
+const ACCIDENTALS = { '-2': '__', '-1': '_', 0: '=', 1: '^', 2: '^^' };
+
+/**
+ * Chord symbol suffixes by MusicXML harmony kind
+ */
+const CHORD_KINDS = {
+  major: '',
+  minor: 'm',
+  augmented: 'aug',
+  diminished: 'dim',
+  dominant: '7',
+  'major-seventh': 'maj7',
+  'minor-seventh': 'm7',
+  'diminished-seventh': 'dim7',
+  'augmented-seventh': 'aug7',
+  'half-diminished': 'm7b5',
+  'major-minor': 'm(maj7)',
+  'major-sixth': '6',
+  'minor-sixth': 'm6',
+  'dominant-ninth': '9',
+  'major-ninth': 'maj9',
+  'minor-ninth': 'm9',
+  'dominant-11th': '11',
+  'major-11th': 'maj11',
+  'minor-11th': 'm11',
+  'dominant-13th': '13',
+  'major-13th': 'maj13',
+  'minor-13th': 'm13',
+  'suspended-second': 'sus2',
+  'suspended-fourth': 'sus4',
+  power: '5'
+};
+
+/**
+ * ABC decorations by MusicXML articulation and ornament
+ */
+const DECORATIONS = {
+  staccato: '.',
+  accent: '!accent!',
+  'strong-accent': '!marcato!',
+  tenuto: '!tenuto!',
+  staccatissimo: '!wedge!',
+  'breath-mark': '!breath!',
+  'trill-mark': '!trill!',
+  mordent: '!lowermordent!',
+  'inverted-mordent': '!uppermordent!',
+  turn: '!turn!',
+  'inverted-turn': '!invertedturn!',
+  'up-bow': '!upbow!',
+  'down-bow': '!downbow!'
+};
+
+/**
+ * Dynamics that ABC renders as decorations
+ */
+const DYNAMICS = new Set(['pppp', 'ppp', 'pp', 'p', 'mp', 'mf', 'f', 'ff', 'fff', 'ffff', 'sfz']);
+
+/**
+ * Note types as fractions of a whole note, longest first
+ */
+const NOTE_TYPES = {
+  long: [4, 1],
+  breve: [2, 1],
+  whole: [1, 1],
+  half: [1, 2],
+  quarter: [1, 4],
+  eighth: [1, 8],
+  '16th': [1, 16],
+  '32nd': [1, 32],
+  '64th': [1, 64],
+  '128th': [1, 128]
+};
+
+/**
+ * Child elements of an element, in document order
+ *
+ * Walks the siblings rather than the children collection, which jsdom
+ * rebuilds on access and makes large scores quadratic.
+ *
+ * @param {Element} element - Parent element
+ * @param {string} name - Tag name (default all)
+ * @returns {Array<Element>}
+ */
+function childElements(element, name) {
+  const children = [];
+  for (let child = element?.firstElementChild; child; child = child.nextElementSibling) {
+    if (!name || child.tagName === name) {
+      children.push(child);
+    }
+  }
+  return children;
+}
+
+/**
+ * First child element of an element by tag name
+ * @param {Element} element - Parent element
+ * @param {string} name - Tag name
+ * @returns {Element|undefined}
+ */
+function childElement(element, name) {
+  for (let child = element?.firstElementChild; child; child = child.nextElementSibling) {
+    if (child.tagName === name) {
+      return child;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Trimmed text of a child element
+ * @param {Element} element - Parent element
+ * @param {string} name - Tag name
+ * @returns {string|undefined}
+ */
+function childText(element, name) {
+  return childElement(element, name)?.textContent.trim();
+}
+
+/**
+ * Numeric value of a child element
+ * @param {Element} element - Parent element
+ * @param {string} name - Tag name
+ * @param {number} fallback - Value when the child is missing or not a number
+ * @returns {number}
+ */
+function childNumber(element, name, fallback) {
+  const number = parseFloat(childText(element, name));
+  return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Greatest common divisor
+ */
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Formats a note length in units of L:1/8
+ * @param {number} num - Numerator
+ * @param {number} den - Denominator
+ * @returns {string} ABC length suffix, empty for one unit
+ */
+function formatLength(num, den) {
+  // Durations are integers in MusicXML, but some exporters write decimals
+  const scale = Number.isInteger(num) && Number.isInteger(den) ? 1 : 1000;
+  num = Math.round(num * scale);
+  den = Math.round(den * scale);
+  const divisor = gcd(num, den) || 1;
+  num /= divisor;
+  den /= divisor;
+  if (den === 1) {
+    return num === 1 ? '' : String(num);
+  }
+  return `${num === 1 ? '' : num}/${den}`;
+}
+
+/**
+ * Names an ABC key from a MusicXML key signature
+ * @param {number} fifths - Sharps (positive) or flats (negative)
+ * @param {string} mode - Mode (default major)
+ * @returns {string} Key, e.g. "Bb", "F#m" or "DDor"
+ */
+function keyName(fifths, mode) {
+  const [offset, suffix] = MODES[mode] || MODES.major;
+  const tonic = FIFTHS_TONICS[fifths + offset + 8];
+  return tonic ? `${tonic}${suffix}` : 'C';
+}
+
+/**
+ * Alteration of each step under a key signature
+ * @param {number} fifths - Sharps (positive) or flats (negative)
+ * @returns {Object<string, number>} Alteration by step
+ */
+function keyAlterations(fifths) {
+  const alterations = { C: 0, D: 0, E: 0, F: 0, G: 0, A: 0, B: 0 };
+  const steps = fifths >= 0 ? 'FCGDAEB' : 'BEADGCF';
+  for (const step of steps.slice(0, Math.min(Math.abs(fifths), 7))) {
+    alterations[step] = Math.sign(fifths);
+  }
+  return alterations;
+}
+
+/**
+ * Names an ABC clef from a MusicXML clef
+ * @param {Element} clef - <clef> element
+ * @returns {string} ABC clef
+ */
+function clefName(clef) {
+  const sign = childText(clef, 'sign');
+  const line = childNumber(clef, 'line', sign === 'F' ? 4 : sign === 'C' ? 3 : 2);
+  const octave = childNumber(clef, 'clef-octave-change', 0);
+  let name;
+  if (sign === 'F') {
+    name = line === 3 ? 'bass3' : 'bass';
+  } else if (sign === 'C') {
+    name = line === 4 ? 'tenor' : 'alto';
+  } else if (sign === 'percussion') {
+    return 'perc';
+  } else if (sign === 'none' || sign === 'TAB') {
+    return 'none';
+  } else {
+    name = 'treble';
+  }
+  return octave ? `${name}${octave > 0 ? '+' : '-'}8` : name;
+}
+
+/**
+ * Formats a MusicXML harmony as a chord symbol
+ * @param {Element} harmony - <harmony> element
+ * @returns {string|null} Chord symbol, e.g. "F#m7/C#"
+ */
+function chordSymbol(harmony) {
+  const root = childElement(harmony, 'root');
+  const kind = childElement(harmony, 'kind');
+  if (kind?.textContent.trim() === 'none') {
+    return 'N.C.';
+  }
+  if (!root) {
+    return null;
+  }
+  const alter = value => (value > 0 ? '#'.repeat(value) : 'b'.repeat(-value));
+  let symbol = `${childText(root, 'root-step')}${alter(childNumber(root, 'root-alter', 0))}`;
+  const kindName = kind?.textContent.trim() || 'major';
+  symbol += kindName in CHORD_KINDS ? CHORD_KINDS[kindName] : (kind.getAttribute('text') || '');
+  for (const degree of childElements(harmony, 'degree')) {
+    if (childText(degree, 'degree-type') === 'add') {
+      symbol += `add${alter(childNumber(degree, 'degree-alter', 0))}${childText(degree, 'degree-value')}`;
+    }
+  }
+  const bass = childElement(harmony, 'bass');
+  if (bass) {
+    symbol += `/${childText(bass, 'bass-step')}${alter(childNumber(bass, 'bass-alter', 0))}`;
+  }
+  return symbol;
+}
+
+/**
+ * Escapes text for an ABC annotation or header field
+ * @param {string} text - Text
+ * @returns {string} Text on one line without double quotes
+ */
+function fieldText(text) {
+  return text.replace(/\s+/g, ' ').replace(/"/g, "'").trim();
+}
+
+/**
+ * Escapes a lyric syllable for a w: line
+ * @param {string} text - Syllable
+ * @returns {string} Escaped syllable
+ */
+function lyricText(text) {
+  return text.trim()
+    .replace(/[*_|]/g, '')
+    .replace(/-/g, '\\-')
+    .replace(/%/g, '\\%')
+    .replace(/\s+/g, '~');
+}
+
+/**
+ * Reads the ZIP container of an .mxl file and returns the MusicXML it holds
+ *
+ * The score is the root file named by META-INF/container.xml or, failing
+ * that, the first .musicxml or .xml file outside META-INF. Stored and
+ * deflated entries are supported, which covers every .mxl writer.
+ *
+ * @param {Buffer} buffer - .mxl file
+ * @returns {Buffer} Uncompressed MusicXML
+ * @throws {MusicXmlError} When the archive cannot be read
+ */
+function readMxl(buffer) {
+  // The end of central directory record is within the last 64 KiB, after the archive comment
+  let end = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      end = offset;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new MusicXmlError('Invalid .mxl file: ZIP directory not found');
+  }
+
+  const entries = new Map();
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let count = buffer.readUInt16LE(end + 10); count > 0; count--) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new MusicXmlError('Invalid .mxl file: corrupt ZIP directory');
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    entries.set(buffer.toString('utf8', offset + 46, offset + 46 + nameLength), {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  const read = (name) => {
+    const entry = entries.get(name);
+    if (!entry) {
+      throw new MusicXmlError(`Invalid .mxl file: ${name} is missing`);
+    }
+    if (entry.size > MAX_MUSICXML_BYTES) {
+      throw new MusicXmlError(`MusicXML is too large: ${entry.size} bytes uncompressed (limit ${MAX_MUSICXML_BYTES})`);
+    }
+    const local = entry.localOffset;
+    if (local + 30 > buffer.length || buffer.readUInt32LE(local) !== 0x04034b50) {
+      throw new MusicXmlError(`Invalid .mxl file: corrupt entry ${name}`);
+    }
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+    if (entry.method === 0) {
+      return data;
+    }
+    if (entry.method !== 8) {
+      throw new MusicXmlError(`Invalid .mxl file: unsupported compression method ${entry.method}`);
+    }
+    try {
+      return inflateRawSync(data, { maxOutputLength: MAX_MUSICXML_BYTES });
+    } catch (error) {
+      throw new MusicXmlError(`Invalid .mxl file: ${name} cannot be decompressed (${error.message})`);
+    }
+  };
+
+  let rootFile;
+  if (entries.has('META-INF/container.xml')) {
+    const container = parseXml(decodeText(read('META-INF/container.xml')));
+    rootFile = Array.from(container.getElementsByTagName('rootfile'))
+      .find(file => !file.getAttribute('media-type') || file.getAttribute('media-type').includes('musicxml'))
+      ?.getAttribute('full-path');
+  }
+  rootFile ??= [...entries.keys()].find(name => !name.startsWith('META-INF/') && /\.(musicxml|xml)$/i.test(name));
+  if (!rootFile) {
+    throw new MusicXmlError('Invalid .mxl file: no MusicXML score inside');
+  }
+  return read(rootFile);
+}
+
+/**
+ * Decodes an XML file, honouring UTF-16 byte order marks (Finale writes UTF-16)
+ * @param {Buffer} buffer - File contents
+ * @returns {string} Text
+ */
+function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.toString('utf16le', 2);
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return Buffer.from(buffer.subarray(2, buffer.length - buffer.length % 2)).swap16().toString('utf16le');
+  }
+  return buffer.toString('utf8');
+}
+
+/**
+ * Parses an XML document; external DTDs (the MusicXML DOCTYPE) are never fetched
+ * @param {string} xml - XML text
+ * @returns {Document}
+ * @throws {MusicXmlError} When the XML is malformed
+ */
+function parseXml(xml) {
+  try {
+    return new JSDOM(xml.replace(/^﻿/, ''), { contentType: 'application/xml' }).window.document;
+  } catch (error) {
+    throw new MusicXmlError(`Invalid MusicXML: ${error.message}`);
+  }
+}
+
+/**
+ * Reads the parts of a score, partwise or timewise, as lists of measures
+ * @param {Document} document - MusicXML document
+ * @returns {{title: string|undefined, composer: string|undefined, parts: Array<{id: string, name: string, abbreviation: string, measures: Array<Element>}>}} Score
+ */
+function readScore(document) {
+  const root = document.documentElement;
+  const partList = childElements(childElement(root, 'part-list'), 'score-part');
+  const parts = partList.map(part => ({
+    id: part.getAttribute('id'),
+    name: childText(part, 'part-name') || '',
+    abbreviation: childText(part, 'part-abbreviation') || '',
+    measures: []
+  }));
+  const partById = id => parts.find(part => part.id === id);
+
+  if (root.tagName === 'score-partwise') {
+    for (const part of childElements(root, 'part')) {
+      const entry = partById(part.getAttribute('id'));
+      if (entry) {
+        entry.measures = childElements(part, 'measure');
+      }
+    }
+  } else if (root.tagName === 'score-timewise') {
+    // Each <part> of a timewise measure holds the same children as a partwise measure
+    for (const measure of childElements(root, 'measure')) {
+      for (const part of childElements(measure, 'part')) {
+        partById(part.getAttribute('id'))?.measures.push(part);
+      }
+    }
+  } else {
+    throw new MusicXmlError(`Not a MusicXML score: the root element is <${root.tagName}>, expected <score-partwise> or <score-timewise>`);
+  }
+
+  const scoreParts = parts.filter(part => part.measures.length > 0);
+  if (scoreParts.length === 0) {
+    throw new MusicXmlError('The MusicXML score has no parts');
+  }
+
+  const identification = childElement(root, 'identification');
+  const composer = childElements(identification, 'creator').find(creator => creator.getAttribute('type') === 'composer');
+  return {
+    title: childText(childElement(root, 'work'), 'work-title') || childText(root, 'movement-title'),
+    composer: composer?.textContent.trim(),
+    parts: scoreParts
+  };
+}
+
+/**
+ * Reads one note element
+ * @param {Element} note - <note> element
+ * @returns {Object} Note event, without position
+ */
+function readNote(note) {
+  const notations = childElements(note, 'notations');
+  const notationChildren = name => notations.flatMap(element => childElements(element, name));
+
+  const pitch = childElement(note, 'pitch');
+  const unpitched = childElement(note, 'unpitched');
+  const timeModification = childElement(note, 'time-modification');
+  const tuplet = notationChildren('tuplet')[0];
+
+  const decorations = [];
+  for (const fermata of notationChildren('fermata')) {
+    decorations.push(fermata.getAttribute('type') === 'inverted' ? '!invertedfermata!' : '!fermata!');
+  }
+  for (const group of [...notationChildren('articulations'), ...notationChildren('ornaments')]) {
+    for (const mark of childElements(group)) {
+      if (DECORATIONS[mark.tagName]) {
+        decorations.push(DECORATIONS[mark.tagName]);
+      }
+    }
+  }
+  for (const dynamics of notationChildren('dynamics')) {
+    for (const mark of childElements(dynamics)) {
+      if (DYNAMICS.has(mark.tagName)) {
+        decorations.push(`!${mark.tagName}!`);
+      }
+    }
+  }
+
+  const ties = [...childElements(note, 'tie'), ...notationChildren('tied')];
+  const slurs = notationChildren('slur');
+  return {
+    duration: childNumber(note, 'duration', 0),
+    voice: childText(note, 'voice') || '1',
+    staff: childNumber(note, 'staff', 1),
+    grace: childElement(note, 'grace'),
+    chord: Boolean(childElement(note, 'chord')),
+    rest: !pitch && !unpitched,
+    invisible: note.getAttribute('print-object') === 'no',
+    pitches: pitch || unpitched ? [{
+      step: childText(pitch, 'step') || childText(unpitched, 'display-step') || 'B',
+      octave: childNumber(pitch, 'octave', childNumber(unpitched, 'display-octave', 4)),
+      alter: Math.round(childNumber(pitch, 'alter', 0)),
+      tie: ties.some(tie => tie.getAttribute('type') === 'start')
+    }] : [],
+    timeModification: timeModification ? {
+      actual: childNumber(timeModification, 'actual-notes', 1),
+      normal: childNumber(timeModification, 'normal-notes', 1)
+    } : null,
+    tupletStart: tuplet?.getAttribute('type') === 'start',
+    tupletStop: notationChildren('tuplet').some(element => element.getAttribute('type') === 'stop'),
+    slurStarts: slurs.filter(slur => slur.getAttribute('type') === 'start').length,
+    slurStops: slurs.filter(slur => slur.getAttribute('type') === 'stop').length,
+    decorations,
+    annotations: [],
+    beamed: childElements(note, 'beam').some(beam => (beam.getAttribute('number') || '1') === '1' && ['begin', 'continue'].includes(beam.textContent.trim())),
+    lyrics: childElements(note, 'lyric')
+      .filter(lyric => lyric.getAttribute('print-object') !== 'no')
+      .map(lyric => ({
+        verse: lyric.getAttribute('number') || '1',
+        text: childElements(lyric, 'text').map(text => text.textContent).join(' '),
+        syllabic: childText(lyric, 'syllabic') || 'single',
+        extend: childElement(lyric, 'extend')?.getAttribute('type') ?? (childElement(lyric, 'extend') ? 'start' : null)
+      })),
+    graces: []
+  };
+}
+
+/**
+ * Reads a <direction> element: text, dynamics, rehearsal marks and tempo
+ * @param {Element} direction - <direction> element
+ * @returns {{annotations: Array<string>, decorations: Array<string>, tempo: string|null}} Marks
+ */
+function readDirection(direction) {
+  const annotations = [];
+  const decorations = [];
+  let tempo = null;
+  const position = direction.getAttribute('placement') === 'below' ? '_' : '^';
+
+  for (const type of childElements(direction, 'direction-type')) {
+    const words = [...childElements(type, 'words'), ...childElements(type, 'rehearsal')]
+      .map(element => fieldText(element.textContent)).filter(Boolean);
+    if (words.length > 0) {
+      annotations.push(`"${position}${words.join(' ')}"`);
+    }
+    for (const dynamics of childElements(type, 'dynamics')) {
+      for (const mark of childElements(dynamics)) {
+        if (DYNAMICS.has(mark.tagName)) {
+          decorations.push(`!${mark.tagName}!`);
+        }
+      }
+    }
+    if (childElement(type, 'segno')) {
+      decorations.push('!segno!');
+    }
+    if (childElement(type, 'coda')) {
+      decorations.push('!coda!');
+    }
+    const metronome = childElement(type, 'metronome');
+    const unit = NOTE_TYPES[childText(metronome, 'beat-unit')];
+    const perMinute = childNumber(metronome, 'per-minute', NaN);
+    if (unit && Number.isFinite(perMinute)) {
+      const [num, den] = childElement(metronome, 'beat-unit-dot') ? [unit[0] * 3, unit[1] * 2] : unit;
+      tempo = `${num}/${den}=${Math.round(perMinute)}`;
+    }
+  }
+
+  const sound = parseFloat(childElement(direction, 'sound')?.getAttribute('tempo'));
+  if (!tempo && Number.isFinite(sound)) {
+    tempo = `1/4=${Math.round(sound)}`;
+  }
+  return { annotations, decorations, tempo };
+}
+
+/**
+ * Reads the bar line of one side of a measure
+ * @param {Element} measure - Measure element
+ * @param {string} location - 'left' or 'right'
+ * @returns {{style: string|null, repeat: boolean, ending: string|null, endingStop: boolean}} Bar line
+ */
+function readBarline(measure, location) {
+  const barline = childElements(measure, 'barline').find(element => (element.getAttribute('location') || 'right') === location);
+  const ending = childElement(barline, 'ending');
+  const endingType = ending?.getAttribute('type');
+  const repeat = childElement(barline, 'repeat')?.getAttribute('direction');
+  return {
+    style: childText(barline, 'bar-style') || null,
+    repeat: repeat === (location === 'left' ? 'forward' : 'backward'),
+    ending: endingType === 'start' ? (ending.getAttribute('number') || '1').replace(/[^\d,]/g, '') || '1' : null,
+    endingStop: endingType === 'stop' || endingType === 'discontinue'
+  };
+}
+
+/**
+ * Reads a part into voices and measures of timed events
+ *
+ * Positions are in divisions of a quarter note from the start of the
+ * measure, following <backup> and <forward>. Each MusicXML voice of the part
+ * becomes one ABC voice.
+ *
+ * @param {Object} part - Part from readScore
+ * @returns {{voices: Map<string, Object>, measures: Array<Object>}} Part
+ */
+function readPart(part) {
+  const voices = new Map();
+  let divisions = 1;
+
+  const measures = part.measures.map((measureElement) => {
+    const measure = {
+      length: 0,
+      events: new Map(),
+      fields: [],
+      marks: [],
+      left: readBarline(measureElement, 'left'),
+      right: readBarline(measureElement, 'right'),
+      newSystem: childElements(measureElement, 'print')
+        .some(print => print.getAttribute('new-system') === 'yes' || print.getAttribute('new-page') === 'yes')
+    };
+    const graces = new Map();
+    let position = 0;
+
+    const voiceEvents = (voice, staff) => {
+      if (!voices.has(voice)) {
+        voices.set(voice, { number: voice, staff, verses: [] });
+      }
+      if (!measure.events.has(voice)) {
+        measure.events.set(voice, []);
+      }
+      return measure.events.get(voice);
+    };
+
+    for (const element of childElements(measureElement)) {
+      switch (element.tagName) {
+        case 'attributes': {
+          divisions = childNumber(element, 'divisions', divisions);
+          const key = childElement(element, 'key');
+          if (key && childElement(key, 'fifths')) {
+            const fifths = childNumber(key, 'fifths', 0);
+            measure.fields.push({ position, type: 'key', value: keyName(fifths, childText(key, 'mode')), alterations: keyAlterations(fifths) });
+          }
+          const time = childElement(element, 'time');
+          if (time) {
+            const symbol = time.getAttribute('symbol');
+            const beats = childText(time, 'beats');
+            const beatType = childText(time, 'beat-type');
+            let meter = childElement(time, 'senza-misura') ? 'none' : `${beats}/${beatType}`;
+            if (symbol === 'common' && meter === '4/4') {
+              meter = 'C';
+            } else if (symbol === 'cut' && meter === '2/2') {
+              meter = 'C|';
+            }
+            measure.fields.push({ position, type: 'meter', value: meter });
+          }
+          for (const clef of childElements(element, 'clef')) {
+            measure.fields.push({ position, type: 'clef', staff: parseInt(clef.getAttribute('number'), 10) || 1, value: clefName(clef) });
+          }
+          break;
+        }
+        case 'note': {
+          const note = readNote(element);
+          const events = voiceEvents(note.voice, note.staff);
+          if (note.grace) {
+            if (!graces.has(note.voice)) {
+              graces.set(note.voice, []);
+            }
+            const pending = graces.get(note.voice);
+            if (note.chord && pending.length > 0) {
+              pending.at(-1).pitches.push(...note.pitches);
+            } else {
+              pending.push({ ...note, slash: note.grace.getAttribute('slash') === 'yes' });
+            }
+            break;
+          }
+          if (note.chord && events.length > 0) {
+            const previous = events.at(-1);
+            previous.pitches.push(...note.pitches);
+            previous.decorations.push(...note.decorations.filter(mark => !previous.decorations.includes(mark)));
+            previous.slurStarts += note.slurStarts;
+            previous.slurStops += note.slurStops;
+            previous.tupletStop ||= note.tupletStop;
+            break;
+          }
+          note.position = position;
+          note.graces = graces.get(note.voice) || [];
+          graces.delete(note.voice);
+          for (const lyric of note.lyrics) {
+            if (!voices.get(note.voice).verses.includes(lyric.verse)) {
+              voices.get(note.voice).verses.push(lyric.verse);
+            }
+          }
+          events.push(note);
+          position += note.duration;
+          break;
+        }
+        case 'backup':
+          position -= childNumber(element, 'duration', 0);
+          break;
+        case 'forward':
+          position += childNumber(element, 'duration', 0);
+          break;
+        case 'direction': {
+          const { annotations, decorations, tempo } = readDirection(element);
+          const offset = childNumber(element, 'offset', 0);
+          const voice = childText(element, 'voice');
+          const staff = childNumber(element, 'staff', 1);
+          if (annotations.length > 0 || decorations.length > 0) {
+            measure.marks.push({ position: position + offset, voice, staff, annotations, decorations });
+          }
+          if (tempo) {
+            measure.fields.push({ position: position + offset, type: 'tempo', value: tempo });
+          }
+          break;
+        }
+        case 'sound': {
+          const tempo = parseFloat(element.getAttribute('tempo'));
+          if (Number.isFinite(tempo)) {
+            measure.fields.push({ position, type: 'tempo', value: `1/4=${Math.round(tempo)}` });
+          }
+          break;
+        }
+        case 'harmony': {
+          const symbol = chordSymbol(element);
+          if (symbol) {
+            measure.marks.push({ position: position + childNumber(element, 'offset', 0), staff: childNumber(element, 'staff', 1), annotations: [`"${fieldText(symbol)}"`], decorations: [], chord: true });
+          }
+          break;
+        }
+        default:
+          break;
+      }
+      measure.length = Math.max(measure.length, position);
+    }
+
+    // Harmonies and directions go on the next note of their voice, or of the first voice of their staff
+    for (const mark of measure.marks) {
+      const candidates = mark.voice && measure.events.has(mark.voice)
+        ? [mark.voice]
+        : [...measure.events.keys()].filter(voice => voices.get(voice).staff === mark.staff).sort(compareVoices);
+      for (const voice of candidates) {
+        const target = measure.events.get(voice).find(event => event.position >= mark.position);
+        if (target) {
+          // Chord symbols come first: ABC reads the first quoted string as the chord
+          target.annotations[mark.chord ? 'unshift' : 'push'](...mark.annotations);
+          target.decorations.push(...mark.decorations);
+          break;
+        }
+      }
+    }
+
+    measure.divisions = divisions;
+    return measure;
+  });
+
+  return { voices, measures };
+}
+
+/**
+ * Orders MusicXML voice numbers numerically
+ */
+function compareVoices(a, b) {
+  return (parseInt(a, 10) || 0) - (parseInt(b, 10) || 0) || a.localeCompare(b);
+}
+
+/**
+ * Groups the events of one voice in one measure into tuplets
+ *
+ * Tuplets are delimited by their <tuplet> start and stop notations, or,
+ * when an exporter left those out, by consecutive notes with the same time
+ * modification that add up to a whole group.
+ *
+ * @param {Array<Object>} events - Events of the voice in the measure
+ * @returns {Map<number, {actual: number, normal: number, count: number}>} Tuplets by index of their first event
+ */
+function findTuplets(events) {
+  const tuplets = new Map();
+  let index = 0;
+  while (index < events.length) {
+    const event = events[index];
+    const modification = event.timeModification;
+    if (!modification || modification.actual === modification.normal) {
+      index++;
+      continue;
+    }
+
+    let end = index;
+    if (event.tupletStart) {
+      while (end < events.length - 1 && !events[end].tupletStop) {
+        end++;
+      }
+    } else {
+      // Nominal lengths in the smallest note of the group: the group is whole at `actual` of them
+      let total = 0;
+      let smallest = Infinity;
+      for (end = index; end < events.length; end++) {
+        const next = events[end].timeModification;
+        if (!next || next.actual !== modification.actual || next.normal !== modification.normal) {
+          end--;
+          break;
+        }
+        const nominal = events[end].duration * modification.actual / modification.normal;
+        total += nominal;
+        smallest = Math.min(smallest, nominal);
+        if (total >= modification.actual * smallest - 1e-9) {
+          break;
+        }
+      }
+      end = Math.min(end, events.length - 1);
+    }
+    tuplets.set(index, { actual: modification.actual, normal: modification.normal, count: end - index + 1 });
+    index = end + 1;
+  }
+  return tuplets;
+}
+
+/**
+ * Writes the music of one voice in one measure
+ * @param {Array<Object>} events - Note and rest events of the voice, in order
+ * @param {Array<Object>} fields - Inline fields for the voice: key, meter, clef and tempo changes
+ * @param {number} length - Length of the measure in divisions
+ * @param {Array<number>} scale - Factors turning divisions into L:1/8 units
+ * @param {Object} state - Voice state carried across measures: key alterations and lyric extenders
+ * @param {Array<string>} verses - Verse numbers of the voice
+ * @returns {{music: string, lyrics: Map<string, Array<string>>}} ABC music and w: tokens by verse
+ */
+function writeMeasure(events, fields, length, scale, state, verses) {
+  const tokens = [];
+  const lyrics = new Map(verses.map(verse => [verse, []]));
+  const barAlterations = new Map();
+  const tuplets = findTuplets(events);
+  const length8 = (num, den = 1) => formatLength(num * scale[0], den * scale[1]);
+  let cursor = 0;
+  let tuplet = null;
+
+  const gap = (until) => {
+    if (until > cursor) {
+      tokens.push(`x${length8(until - cursor)} `);
+      cursor = until;
+    }
+  };
+
+  const pitchText = ({ step, octave, alter }) => {
+    const key = `${step}${octave}`;
+    const current = barAlterations.has(key) ? barAlterations.get(key) : state.alterations[step];
+    let accidental = '';
+    if (alter !== current && ACCIDENTALS[alter] !== undefined) {
+      accidental = ACCIDENTALS[alter];
+      barAlterations.set(key, alter);
+    }
+    const name = octave >= 5 ? `${step.toLowerCase()}${"'".repeat(octave - 5)}` : `${step}${','.repeat(Math.max(0, 4 - octave))}`;
+    return accidental + name;
+  };
+
+  const items = [
+    ...fields.map(field => ({ position: field.position, field })),
+    ...events.map((event, index) => ({ position: event.position, event, index }))
+  ].sort((a, b) => a.position - b.position || (a.field ? -1 : 0) - (b.field ? -1 : 0));
+
+  for (const item of items) {
+    gap(item.position);
+    if (item.field) {
+      const { type, value } = item.field;
+      if (type === 'key') {
+        state.alterations = item.field.alterations;
+        barAlterations.clear();
+      }
+      tokens.push(`[${{ key: 'K', meter: 'M', clef: 'K', tempo: 'Q' }[type]}:${type === 'clef' ? `clef=${value}` : value}] `);
+      continue;
+    }
+
+    const { event, index } = item;
+    let text = '';
+    if (tuplets.has(index)) {
+      tuplet = tuplets.get(index);
+      tuplet.remaining = tuplet.count;
+      const { actual, normal, count } = tuplet;
+      text += actual === 3 && normal === 2 && count === 3 ? '(3' : `(${actual}:${normal}:${count}`;
+    }
+    text += '('.repeat(event.slurStarts);
+    if (event.graces.length > 0) {
+      text += `{${event.graces[0].slash ? '/' : ''}${event.graces.map(grace => (
+        grace.pitches.length > 1 ? `[${grace.pitches.map(pitchText).join('')}]` : pitchText(grace.pitches[0])
+      )).join('')}}`;
+    }
+    text += event.annotations.join('') + event.decorations.join('');
+
+    // Inside a tuplet, notes are written with their nominal length
+    const [num, den] = tuplet ? [event.duration * tuplet.actual, tuplet.normal] : [event.duration, 1];
+    const length = length8(num, den);
+    if (event.rest) {
+      text += `${event.invisible ? 'x' : 'z'}${length}`;
+    } else if (event.pitches.length === 1) {
+      text += `${pitchText(event.pitches[0])}${length}${event.pitches[0].tie ? '-' : ''}`;
+    } else {
+      const pitches = [...event.pitches].sort((a, b) => a.octave - b.octave || 'CDEFGAB'.indexOf(a.step) - 'CDEFGAB'.indexOf(b.step));
+      text += `[${pitches.map(pitch => `${pitchText(pitch)}${pitch.tie ? '-' : ''}`).join('')}]${length}`;
+    }
+    text += ')'.repeat(event.slurStops);
+    cursor = event.position + event.duration;
+
+    if (tuplet && --tuplet.remaining === 0) {
+      tuplet = null;
+    }
+    tokens.push(event.beamed && !event.rest && index < events.length - 1 ? text : `${text} `);
+
+    if (!event.rest) {
+      for (const verse of verses) {
+        const lyric = event.lyrics.find(candidate => candidate.verse === verse);
+        const extending = state.extending.get(verse);
+        if (lyric && lyric.text.trim()) {
+          lyrics.get(verse).push(`${lyricText(lyric.text)}${['begin', 'middle'].includes(lyric.syllabic) ? '-' : ''}`);
+          state.extending.set(verse, ['begin', 'middle'].includes(lyric.syllabic) || (lyric.extend !== null && lyric.extend !== 'stop'));
+        } else {
+          // Notes without a syllable hold the previous one through a melisma, or are skipped
+          lyrics.get(verse).push(extending ? '_' : '*');
+          if (lyric?.extend === 'stop') {
+            state.extending.set(verse, false);
+          }
+        }
+      }
+    }
+  }
+  gap(length);
+
+  return { music: tokens.join('').trimEnd(), lyrics };
+}
+
+/**
+ * Writes the bar line between two measures
+ * @param {Object|undefined} measure - Measure before the bar line
+ * @param {Object|undefined} next - Measure after it
+ * @returns {string} ABC bar line
+ */
+function barLine(measure, next) {
+  let bar = '|';
+  if (measure?.right.repeat) {
+    bar = ':|';
+  } else if (measure?.right.style === 'light-heavy') {
+    bar = '|]';
+  } else if (measure?.right.style === 'light-light' || measure?.right.endingStop) {
+    // ABC endings run until the next double or repeat bar line
+    bar = '||';
+  } else if (measure?.right.style === 'heavy-light') {
+    bar = '[|';
+  }
+  if (next?.left.repeat) {
+    bar = bar === ':|' ? '::' : '|:';
+  }
+  return bar;
+}
+
+/**
+ * Converts MusicXML to ABC notation
+ *
+ * Every part becomes one ABC voice per MusicXML voice, grouped by staff in a
+ * %%score directive, with the part name and clef on its V: line. Ties,
+ * tuplets, slurs, grace notes, chords, lyrics (one w: line per verse),
+ * chord symbols, dynamics, text directions, repeats, first and second
+ * endings, and key, meter, clef and tempo changes are converted. Lines
+ * follow the system breaks of the score, or hold bars_per_line bars.
+ *
+ * @param {string|Buffer} input - MusicXML text, or the contents of a .musicxml or .mxl file
+ * @param {Object} options - Conversion options
+ * @param {string} options.title - Title overriding the one of the score
+ * @param {string} options.composer - Composer overriding the one of the score
+ * @param {number} options.barsPerLine - Bars per line without system breaks (default 4)
+ * @returns {{abc: string, title: string|undefined, parts: number, voices: number, measures: number}} ABC notation and what it holds
+ * @throws {MusicXmlError} When the input is not a readable MusicXML score
+ */
+export function musicXmlToAbc(input, options = {}) {
+  let xml = input;
+  if (typeof input !== 'string') {
+    const buffer = Buffer.from(input);
+    if (buffer.length > MAX_MUSICXML_BYTES) {
+      throw new MusicXmlError(`MusicXML file is too large: ${buffer.length} bytes (limit ${MAX_MUSICXML_BYTES})`);
+    }
+    // ZIP archives start with a local file header, "PK\x03\x04"
+    xml = decodeText(buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50 ? readMxl(buffer) : buffer);
+  }
+  if (xml.length > MAX_MUSICXML_BYTES) {
+    throw new MusicXmlError(`MusicXML is too large: ${xml.length} characters (limit ${MAX_MUSICXML_BYTES})`);
+  }
+  if (!xml.trim()) {
+    throw new MusicXmlError('MusicXML cannot be empty');
+  }
+
+  const score = readScore(parseXml(xml));
+  const parts = score.parts.map(part => ({ ...part, ...readPart(part) }));
+  const measureCount = Math.max(...parts.map(part => part.measures.length));
+
+  // Header fields come from the start of the first part
+  const initial = (part, type) => part.measures[0]?.fields.find(field => field.type === type && field.position === 0);
+  const headerKey = initial(parts[0], 'key');
+  const meter = initial(parts[0], 'meter')?.value || 'none';
+  const tempo = parts.map(part => initial(part, 'tempo')).find(Boolean)?.value;
+
+  // One ABC voice per MusicXML voice, in part order, then by staff and voice number
+  const voices = [];
+  for (const part of parts) {
+    const numbers = [...part.voices.keys()].sort((a, b) => part.voices.get(a).staff - part.voices.get(b).staff || compareVoices(a, b));
+    numbers.forEach((number, index) => {
+      const { staff, verses } = part.voices.get(number);
+      const clef = part.measures[0]?.fields.find(field => field.type === 'clef' && field.staff === staff && field.position === 0)?.value || 'treble';
+      voices.push({ id: String(voices.length + 1), part, number, staff, verses, clef, first: index === 0 });
+    });
+  }
+
+  const lines = ['X:1'];
+  const title = options.title ?? score.title;
+  const composer = options.composer ?? score.composer;
+  if (title) {
+    lines.push(`T:${fieldText(title)}`);
+  }
+  if (composer) {
+    lines.push(`C:${fieldText(composer)}`);
+  }
+  lines.push(`M:${meter}`, 'L:1/8');
+  if (tempo) {
+    lines.push(`Q:${tempo}`);
+  }
+
+  if (voices.length > 1) {
+    const groups = parts.map((part) => {
+      const partVoices = voices.filter(voice => voice.part === part);
+      const staves = [...new Set(partVoices.map(voice => voice.staff))].map((staff) => {
+        const ids = partVoices.filter(voice => voice.staff === staff).map(voice => voice.id);
+        return ids.length > 1 ? `(${ids.join(' ')})` : ids[0];
+      });
+      return staves.length > 1 ? `{${staves.join(' ')}}` : staves[0];
+    });
+    lines.push(`%%score ${groups.join(' ')}`);
+  }
+
+  const key = headerKey?.value || 'C';
+  if (voices.length === 1) {
+    lines.push(`K:${key}${voices[0].clef === 'treble' ? '' : ` clef=${voices[0].clef}`}`);
+  } else {
+    lines.push(`K:${key}`);
+    for (const voice of voices) {
+      const { name, abbreviation } = voice.part;
+      const names = voice.first && name ? ` name="${fieldText(name)}"${abbreviation ? ` snm="${fieldText(abbreviation)}"` : ''}` : '';
+      lines.push(`V:${voice.id} clef=${voice.clef}${names}`);
+    }
+  }
+
+  // Lines break at the system breaks of the first part, or every barsPerLine bars
+  const breaks = parts[0].measures.map(measure => measure.newSystem);
+  const barsPerLine = options.barsPerLine || 4;
+  const starts = [0];
+  for (let index = 1; index < measureCount; index++) {
+    if (breaks.some(Boolean) ? breaks[index] : index % barsPerLine === 0) {
+      starts.push(index);
+    }
+  }
+
+  for (const voice of voices) {
+    voice.state = {
+      alterations: headerKey?.alterations || keyAlterations(0),
+      extending: new Map(),
+      key,
+      meter,
+      clef: voice.clef,
+      tempo
+    };
+  }
+
+  starts.forEach((start, lineIndex) => {
+    const end = starts[lineIndex + 1] ?? measureCount;
+    for (const [voiceIndex, voice] of voices.entries()) {
+      const { measures } = voice.part;
+      const { state } = voice;
+      let music = start === 0 && measures[0]?.left.repeat ? '|:' : '';
+      const lyrics = new Map(voice.verses.map(verse => [verse, []]));
+
+      for (let index = start; index < end; index++) {
+        const measure = measures[index];
+        if (!measure) {
+          // Parts that end early rest for the length of the bar in the first part
+          const reference = parts[0].measures[index] || { length: 0, divisions: 1 };
+          music += `${writeMeasure([], [], reference.length, [2, reference.divisions], state, []).music} |${index < end - 1 ? ' ' : ''}`;
+          continue;
+        }
+        // Changes that the voice has not applied yet: the header covers the first ones
+        const fields = measure.fields.filter((field) => {
+          if (field.type === 'clef' && field.staff !== voice.staff) {
+            return false;
+          }
+          if (field.type === 'tempo' && voiceIndex !== 0) {
+            return false;
+          }
+          if (state[field.type] === field.value) {
+            if (field.type === 'key') {
+              state.alterations = field.alterations;
+            }
+            return false;
+          }
+          state[field.type] = field.value;
+          return true;
+        });
+
+        const { music: bar, lyrics: words } = writeMeasure(
+          measure.events.get(voice.number) || [],
+          fields,
+          measure.length,
+          [2, measure.divisions],
+          state,
+          voice.verses
+        );
+        music += `${measure.left.ending ? `[${measure.left.ending} ` : ''}${bar} ${barLine(measure, measures[index + 1])}`;
+        for (const [verse, tokens] of words) {
+          lyrics.get(verse).push(...tokens, '|');
+        }
+        music += index < end - 1 ? ' ' : '';
+      }
+
+      if (voices.length > 1) {
+        lines.push(`V:${voice.id}`);
+      }
+      lines.push(music);
+      for (const tokens of lyrics.values()) {
+        while (tokens.length > 0 && ['*', '|'].includes(tokens.at(-1))) {
+          tokens.pop();
+        }
+        if (tokens.length > 0) {
+          lines.push(`w:${tokens.join(' ')}`);
+        }
+      }
+    }
+  });
+
+  return {
+    abc: `${lines.join('\n')}\n`,
+    title,
+    parts: parts.length,
+    voices: voices.length,
+    measures: measureCount
+  };
+}
+
+/**
+ * Alteration and MusicXML accidental of every abcjs accidental
+ */
+const ABCJS_ACCIDENTALS = {
+  sharp: [1, 'sharp'],
+  flat: [-1, 'flat'],
+  natural: [0, 'natural'],
+  dblsharp: [2, 'double-sharp'],
+  dblflat: [-2, 'flat-flat'],
+  quartersharp: [0.5, 'quarter-sharp'],
+  quarterflat: [-0.5, 'quarter-flat']
+};
+
+/**
+ * MusicXML modes by abcjs key mode
+ */
+const ABCJS_MODES = {
+  '': 'major',
+  m: 'minor',
+  min: 'minor',
+  maj: 'major',
+  ion: 'ionian',
+  aeo: 'aeolian',
+  dor: 'dorian',
+  phr: 'phrygian',
+  lyd: 'lydian',
+  mix: 'mixolydian',
+  loc: 'locrian'
+};
+
+/**
+ * MusicXML clef sign of every abcjs clef
+ */
+const CLEF_SIGNS = { treble: 'G', bass: 'F', alto: 'C', tenor: 'C', perc: 'percussion', none: 'none' };
+
+/**
+ * MusicXML harmony kinds by chord symbol suffix, as abcjs spells them
+ */
+const CHORD_SUFFIXES = {
+  ...Object.fromEntries(Object.entries(CHORD_KINDS).map(([kind, suffix]) => [suffix, kind])),
+  min: 'minor',
+  '-': 'minor',
+  maj: 'major',
+  M7: 'major-seventh',
+  '+': 'augmented',
+  o: 'diminished',
+  o7: 'diminished-seventh',
+  'ø': 'half-diminished',
+  'm7(b5)': 'half-diminished',
+  sus: 'suspended-fourth',
+  min7: 'minor-seventh'
+};
+
+/**
+ * MusicXML notation of every abcjs decoration: the notations child holding
+ * it and the element name
+ */
+const NOTATIONS = {
+  staccato: ['articulations', 'staccato'],
+  accent: ['articulations', 'accent'],
+  marcato: ['articulations', 'strong-accent'],
+  umarcato: ['articulations', 'strong-accent'],
+  tenuto: ['articulations', 'tenuto'],
+  wedge: ['articulations', 'staccatissimo'],
+  breath: ['articulations', 'breath-mark'],
+  trill: ['ornaments', 'trill-mark'],
+  lowermordent: ['ornaments', 'mordent'],
+  mordent: ['ornaments', 'mordent'],
+  uppermordent: ['ornaments', 'inverted-mordent'],
+  pralltriller: ['ornaments', 'inverted-mordent'],
+  turn: ['ornaments', 'turn'],
+  invertedturn: ['ornaments', 'inverted-turn'],
+  upbow: ['technical', 'up-bow'],
+  downbow: ['technical', 'down-bow'],
+  open: ['technical', 'open-string'],
+  thumb: ['technical', 'thumb-position']
+};
+
+/**
+ * Hairpin decorations: wedge type, or stop
+ */
+const WEDGES = {
+  'crescendo(': 'crescendo',
+  'crescendo)': 'stop',
+  'diminuendo(': 'diminuendo',
+  'diminuendo)': 'stop'
+};
+
+/**
+ * Text directions by abcjs decoration
+ */
+const DECORATION_WORDS = {
+  'D.C.': 'D.C.',
+  'D.S.': 'D.S.',
+  fine: 'Fine',
+  'D.C.alcoda': 'D.C. al Coda',
+  'D.C.alfine': 'D.C. al Fine',
+  'D.S.alcoda': 'D.S. al Coda',
+  'D.S.alfine': 'D.S. al Fine'
+};
+
+/**
+ * Builds an XML element for serializeXml
+ * @param {string} name - Tag name
+ * @param {Array|string|number} children - Child elements, or text content
+ * @param {Object} attributes - Attributes; undefined values are left out
+ * @returns {{name: string, children: Array|string, attributes: Object}} Element
+ */
+function xmlNode(name, children = [], attributes = {}) {
+  return { name, children: Array.isArray(children) ? children.filter(Boolean) : String(children), attributes };
+}
+
+/**
+ * Escapes text for XML content and attribute values
+ */
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Serializes an element built by xmlNode, two spaces per level
+ * @param {Object} node - Element
+ * @param {string} indent - Indentation of the element
+ * @returns {string} XML
+ */
+function serializeXml(node, indent = '') {
+  const attributes = Object.entries(node.attributes)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+  if (typeof node.children === 'string') {
+    return `${indent}<${node.name}${attributes}>${escapeXml(node.children)}</${node.name}>`;
+  }
+  if (node.children.length === 0) {
+    return `${indent}<${node.name}${attributes}/>`;
+  }
+  const children = node.children.map(child => serializeXml(child, `${indent}  `));
+  return `${indent}<${node.name}${attributes}>\n${children.join('\n')}\n${indent}</${node.name}>`;
+}
+
+/**
+ * Least common multiple
+ */
+function lcm(a, b) {
+  return (a / gcd(a, b)) * b;
+}
+
+/**
+ * Turns an abcjs duration into a fraction
+ * @param {number} value - Duration as a fraction of a whole note
+ * @returns {Array<number>} Numerator and denominator
+ */
+function toFraction(value) {
+  // Continued fraction expansion, enough for any tuplet of dotted notes
+  let [num, den, previousNum, previousDen] = [1, 0, 0, 1];
+  let rest = value;
+  for (let step = 0; step < 12; step++) {
+    const whole = Math.floor(rest);
+    [num, previousNum] = [whole * num + previousNum, num];
+    [den, previousDen] = [whole * den + previousDen, den];
+    if (Math.abs(num / den - value) < 1e-9 || rest === whole) {
+      break;
+    }
+    rest = 1 / (rest - whole);
+  }
+  return [num, den];
+}
+
+/**
+ * Names the note type of a duration, with its dots
+ * @param {number} duration - Written duration as a fraction of a whole note
+ * @returns {{type: string, dots: number}|null} Note type, or null when no dotted value matches
+ */
+function noteType(duration) {
+  for (const [type, [num, den]] of Object.entries(NOTE_TYPES)) {
+    for (let dots = 0; dots <= 3; dots++) {
+      if (Math.abs((num / den) * (2 - 2 ** -dots) - duration) < 1e-9) {
+        return { type, dots };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads an abcjs key signature
+ * @param {Object} key - abcjs key
+ * @returns {{signature: string, fifths: number|null, mode: string|undefined, alterations: Object<string, number>, steps: Array}} Key
+ */
+function readAbcjsKey(key) {
+  const alterations = keyAlterations(0);
+  const steps = [];
+  for (const { acc, note } of key.accidentals || []) {
+    const alter = ABCJS_ACCIDENTALS[acc]?.[0] ?? 0;
+    alterations[note.toUpperCase()] = alter;
+    if (alter !== 0) {
+      steps.push([note.toUpperCase(), alter]);
+    }
+  }
+  // A signature in circle-of-fifths order has a number of fifths, anything else is spelled out
+  const sharps = 'FCGDAEB'.slice(0, steps.length);
+  const flats = 'BEADGCF'.slice(0, steps.length);
+  const letters = steps.map(([step]) => step).sort().join('');
+  let fifths = null;
+  if (steps.every(([, alter]) => alter === 1) && letters === [...sharps].sort().join('')) {
+    fifths = steps.length;
+  } else if (steps.every(([, alter]) => alter === -1) && letters === [...flats].sort().join('')) {
+    fifths = -steps.length;
+  }
+  // Highland pipe and K:none keys have no mode
+  const mode = ['none', 'HP', 'Hp'].includes(key.root) ? undefined : ABCJS_MODES[(key.mode || '').toLowerCase().slice(0, 3)] ?? 'major';
+  return {
+    signature: `${steps.map(([step, alter]) => `${step}${alter}`).join(',')}|${mode}`,
+    fifths,
+    mode,
+    alterations,
+    steps
+  };
+}
+
+/**
+ * Reads an abcjs meter
+ * @param {Object} meter - abcjs meter
+ * @returns {{signature: string, beats: Array<Array<string>>, symbol: string|undefined, length: number|null}|null} Meter, null for free meter
+ */
+function readAbcjsMeter(meter) {
+  if (meter.type === 'common_time') {
+    return { signature: 'C', beats: [['4', '4']], symbol: 'common', length: 1 };
+  }
+  if (meter.type === 'cut_time') {
+    return { signature: 'C|', beats: [['2', '2']], symbol: 'cut', length: 1 };
+  }
+  if (meter.type !== 'specified' || !meter.value?.length) {
+    return null;
+  }
+  const beats = meter.value.map(({ num, den }) => [String(num), String(den)]);
+  // Additive numerators such as 2+3 add up
+  const length = beats.reduce((sum, [num, den]) => sum + num.split('+').reduce((total, part) => total + Number(part), 0) / Number(den), 0);
+  return { signature: beats.map(pair => pair.join('/')).join(' '), beats, symbol: undefined, length: Number.isFinite(length) ? length : null };
+}
+
+/**
+ * Reads an abcjs clef
+ * @param {Object} clef - abcjs clef
+ * @returns {{signature: string, sign: string, line: number|undefined, octave: number}} Clef
+ */
+function readAbcjsClef(clef) {
+  const [, name = 'treble', octave] = /^(treble|bass|alto|tenor|perc|none)([+-]8)?/.exec(clef?.type || '') || [];
+  const sign = CLEF_SIGNS[name];
+  // clefPos counts staff positions from the bottom line, two per line
+  const line = ['percussion', 'none'].includes(sign) ? undefined : (clef.clefPos ? clef.clefPos / 2 : { G: 2, F: 4, C: 3 }[sign]);
+  return {
+    signature: `${sign}${line}${octave || ''}`,
+    sign,
+    line,
+    octave: octave ? Number(`${octave[0]}1`) : 0
+  };
+}
+
+/**
+ * Builds a <direction> for a tempo mark
+ * @param {Object} tempo - abcjs tempo
+ * @returns {Object|null} Direction element
+ */
+function tempoDirection(tempo) {
+  const types = [];
+  const text = [tempo.preString, tempo.postString].filter(Boolean).join(' ');
+  if (text) {
+    types.push(xmlNode('direction-type', [xmlNode('words', text)]));
+  }
+  let sound;
+  if (tempo.bpm && tempo.duration?.length) {
+    const beat = tempo.duration.reduce((sum, value) => sum + value, 0);
+    const unit = tempo.duration.length === 1 ? noteType(beat) : null;
+    if (unit) {
+      types.push(xmlNode('direction-type', [xmlNode('metronome', [
+        xmlNode('beat-unit', unit.type),
+        ...Array.from({ length: unit.dots }, () => xmlNode('beat-unit-dot')),
+        xmlNode('per-minute', tempo.bpm)
+      ])]));
+    }
+    // The sound tempo is always in quarter notes per minute
+    sound = xmlNode('sound', [], { tempo: Math.round(tempo.bpm * beat * 4 * 100) / 100 });
+  }
+  return types.length > 0 ? { types, sound, placement: 'above' } : null;
+}
+
+/**
+ * Builds a <harmony> from an abcjs chord symbol
+ * @param {string} name - Chord symbol, e.g. "F♯m7/C♯"
+ * @returns {Object|null} Harmony element, or null when the text is not a chord
+ */
+function harmonyNode(name) {
+  const symbol = name.replace(/♯/g, '#').replace(/♭/g, 'b').trim();
+  if (/^(N\.?C\.?)$/i.test(symbol)) {
+    return xmlNode('harmony', [
+      xmlNode('root', [xmlNode('root-step', 'C', { text: '' })]),
+      xmlNode('kind', 'none', { text: 'N.C.' })
+    ]);
+  }
+  const match = /^([A-G])([#b]?)([^/]*)(?:\/([A-G])([#b]?))?$/.exec(symbol);
+  if (!match) {
+    return null;
+  }
+  const [, step, alter, suffix, bassStep, bassAlter] = match;
+  const alterValue = sign => (sign === '#' ? 1 : sign === 'b' ? -1 : 0);
+  return xmlNode('harmony', [
+    xmlNode('root', [
+      xmlNode('root-step', step),
+      alter && xmlNode('root-alter', alterValue(alter))
+    ]),
+    xmlNode('kind', CHORD_SUFFIXES[suffix] ?? 'other', { text: suffix }),
+    bassStep && xmlNode('bass', [
+      xmlNode('bass-step', bassStep),
+      bassAlter && xmlNode('bass-alter', alterValue(bassAlter))
+    ])
+  ]);
+}
+
+/**
+ * Collects the voices of an abcjs tune, split into measures
+ *
+ * abcjs drops the staves of a line whose voices are all silent, so staves
+ * and voices are matched by position from line to line, as the abcjs MIDI
+ * output does.
+ *
+ * @param {Object} tune - abcjs tune object
+ * @returns {Array<Object>} Staves, each with its voices
+ */
+function readStaves(tune) {
+  const staves = [];
+  let firstLine = true;
+  for (const line of tune.lines) {
+    if (!line.staff) {
+      continue;
+    }
+    line.staff.forEach((staff, staffIndex) => {
+      staves[staffIndex] ??= { names: staff.title || [], abbreviations: [], brace: staff.brace, bracket: staff.bracket, voices: [] };
+      if (!firstLine && staves[staffIndex].abbreviations.length === 0 && staff.title) {
+        // Later lines show the snm: subnames
+        staves[staffIndex].abbreviations = staff.title;
+      }
+      staff.voices.forEach((elements, voiceIndex) => {
+        staves[staffIndex].voices[voiceIndex] ??= [];
+        // The line start restates the clef, key and meter in force
+        staves[staffIndex].voices[voiceIndex].push(
+          { el_type: 'system', first: firstLine, clef: staff.clef, key: staff.key, meter: staff.meter },
+          ...elements
+        );
+      });
+    });
+    firstLine = false;
+  }
+  return staves.filter(Boolean).map(staff => ({ ...staff, voices: staff.voices.map(splitMeasures) }));
+}
+
+/**
+ * Splits the elements of one abcjs voice into measures
+ * @param {Array<Object>} elements - abcjs voice elements
+ * @returns {Array<Object>} Measures: items, written length, barlines and line breaks
+ */
+function splitMeasures(elements) {
+  const measures = [];
+  let measure = null;
+  let pendingLeft = {};
+  let pendingSystem = false;
+  let ending = null;
+  let tuplet = null;
+
+  const current = () => {
+    if (!measure) {
+      measure = { items: [], length: 0, notes: 0, left: pendingLeft, right: {}, newSystem: pendingSystem };
+      pendingLeft = {};
+      pendingSystem = false;
+    }
+    return measure;
+  };
+  const close = () => {
+    measures.push(measure);
+    measure = null;
+  };
+  const addNote = (element, duration, extra = {}) => {
+    const target = current();
+    target.items.push({ type: 'note', element, duration, ...extra });
+    target.length += duration;
+    target.notes++;
+  };
+
+  for (const element of elements) {
+    switch (element.el_type) {
+      case 'system': {
+        if (!element.first) {
+          // A line broken inside a bar starts a system at the next bar
+          if (measure?.notes) {
+            pendingSystem = true;
+          } else {
+            current().newSystem = true;
+          }
+        }
+        const target = current();
+        target.items.push({ type: 'clef', clef: readAbcjsClef(element.clef) });
+        if (element.key) {
+          target.items.push({ type: 'key', key: readAbcjsKey(element.key) });
+        }
+        if (element.meter) {
+          target.items.push({ type: 'meter', meter: readAbcjsMeter(element.meter) });
+        }
+        break;
+      }
+      case 'clef':
+        current().items.push({ type: 'clef', clef: readAbcjsClef(element) });
+        break;
+      case 'key':
+        current().items.push({ type: 'key', key: readAbcjsKey(element) });
+        break;
+      case 'meter':
+        current().items.push({ type: 'meter', meter: readAbcjsMeter(element) });
+        break;
+      case 'tempo':
+        current().items.push({ type: 'tempo', tempo: element });
+        break;
+      case 'note': {
+        if (element.rest?.type === 'spacer') {
+          break;
+        }
+        if (element.rest?.type === 'multimeasure') {
+          // Zn rests for n bars
+          const bars = Math.max(1, Number(element.rest.text) || 1);
+          for (let bar = 0; bar < bars; bar++) {
+            if (bar > 0) {
+              close();
+            }
+            addNote(element, element.duration / bars, { measureRest: true });
+          }
+          break;
+        }
+        if (element.startTriplet) {
+          tuplet = {
+            actual: element.startTriplet,
+            normal: Math.round(element.startTriplet * element.tripletMultiplier),
+            multiplier: element.tripletMultiplier,
+            remaining: element.tripletR || element.startTriplet
+          };
+        }
+        let extra = {};
+        if (tuplet) {
+          extra = { tuplet, start: !!element.startTriplet, stop: tuplet.remaining === 1 || !!element.endTriplet };
+          tuplet.remaining--;
+        }
+        addNote(element, element.duration * (tuplet ? tuplet.multiplier : 1), extra);
+        if (extra.stop) {
+          tuplet = null;
+        }
+        break;
+      }
+      case 'bar': {
+        const right = {
+          style: {
+            bar_thin_thin: 'light-light',
+            bar_thin_thick: 'light-heavy',
+            bar_thick_thin: 'heavy-light',
+            bar_right_repeat: 'light-heavy',
+            bar_dbl_repeat: 'light-heavy',
+            bar_invisible: 'none'
+          }[element.type],
+          repeat: ['bar_right_repeat', 'bar_dbl_repeat'].includes(element.type),
+          ending: element.endEnding && ending ? { ...ending, type: element.type === 'bar_right_repeat' || element.type === 'bar_dbl_repeat' ? 'stop' : 'discontinue' } : null
+        };
+        if (right.ending) {
+          ending = null;
+        }
+        if (measure?.notes) {
+          measure.right = right;
+          close();
+        } else if (right.ending && measures.length > 0) {
+          // An ending closed at the start of a line belongs to the previous bar
+          measures.at(-1).right.ending ??= right.ending;
+        }
+        const left = measure ? measure.left : pendingLeft;
+        if (['bar_left_repeat', 'bar_dbl_repeat'].includes(element.type)) {
+          left.repeat = true;
+        }
+        if (element.startEnding) {
+          // "1,2" and "1-3" become the MusicXML ending numbers "1, 2" and "1, 2, 3"
+          const numbers = element.startEnding.split(',').flatMap((range) => {
+            const [from, to = from] = range.split('-').map(Number);
+            return Number.isInteger(from) && Number.isInteger(to) && to >= from
+              ? Array.from({ length: to - from + 1 }, (_, index) => from + index)
+              : [];
+          });
+          ending = { number: numbers.length > 0 ? numbers.join(', ') : '1', text: `${element.startEnding}.` };
+          left.ending = ending;
+        }
+        break;
+      }
+    }
+  }
+  if (measure?.notes) {
+    close();
+  }
+  if (ending && measures.length > 0) {
+    measures.at(-1).right.ending ??= { ...ending, type: 'discontinue' };
+  }
+  return measures;
+}
+
+/**
+ * Groups staves into parts: braced staves form one part, like a piano
+ * @param {Array<Object>} staves - Staves from readStaves
+ * @returns {Array<Object>} Parts with their staves
+ */
+function groupParts(staves) {
+  const parts = [];
+  let braced = null;
+  for (const staff of staves) {
+    if (braced) {
+      braced.staves.push(staff);
+      if (staff.brace === 'end') {
+        braced = null;
+      }
+      continue;
+    }
+    const part = { staves: [staff], bracket: staff.bracket };
+    parts.push(part);
+    if (staff.brace === 'start') {
+      braced = part;
+    }
+  }
+  return parts;
+}
+
+/**
+ * Writes the notes, directions and attribute changes of one voice in one measure
+ * @param {Object} measure - Measure of the voice
+ * @param {Object} voice - Voice state: number, staff and running alterations, ties, slurs, beams and lyrics
+ * @param {Object} part - Part state: key, meter, clefs and number of staves
+ * @param {number} divisions - Divisions per quarter note
+ * @param {Object} leading - Attribute changes at the start of the bar, shared by the voices of the part
+ * @returns {Array<Object>} Elements, with attribute changes as {changes} placeholders
+ */
+function writeVoiceMeasure(measure, voice, part, divisions, leading) {
+  const nodes = [];
+  const staff = part.staves > 1 ? xmlNode('staff', voice.staff) : null;
+  let started = false;
+  let changes = null;
+  voice.barAlterations = new Map();
+
+  // Changes before the first note apply from the start of the bar
+  const change = () => {
+    if (!started) {
+      return leading;
+    }
+    if (!changes) {
+      changes = { key: null, time: null, clefs: [] };
+      nodes.push({ changes });
+    }
+    return changes;
+  };
+  const direction = (types, { placement, sound } = {}) => {
+    nodes.push(xmlNode('direction', [...types, xmlNode('voice', voice.number), staff, sound], { placement }));
+  };
+
+  for (const item of measure.items) {
+    if (item.type === 'key') {
+      voice.keyAlterations = item.key.alterations;
+      if (part.key !== item.key.signature) {
+        part.key = item.key.signature;
+        change().key = item.key;
+      }
+      continue;
+    }
+    if (item.type === 'meter') {
+      if (item.meter && part.meter !== item.meter.signature) {
+        part.meter = item.meter.signature;
+        change().time = item.meter;
+      }
+      continue;
+    }
+    if (item.type === 'clef') {
+      if (part.clefs[voice.staff] !== item.clef.signature) {
+        part.clefs[voice.staff] = item.clef.signature;
+        change().clefs.push({ ...item.clef, number: part.staves > 1 ? voice.staff : undefined });
+      }
+      continue;
+    }
+    started = true;
+    changes = null;
+    if (item.type === 'tempo') {
+      const tempo = tempoDirection(item.tempo);
+      if (tempo) {
+        direction(tempo.types, tempo);
+      }
+      continue;
+    }
+    nodes.push(...writeNote(item, voice, staff, divisions, direction));
+  }
+  return nodes;
+}
+
+/**
+ * Writes one abcjs note or rest with its grace notes, chord symbols and directions
+ * @param {Object} item - Note item from splitMeasures
+ * @param {Object} voice - Voice state
+ * @param {Object|null} staff - <staff> element for parts with several staves
+ * @param {number} divisions - Divisions per quarter note
+ * @param {Function} direction - Adds a <direction> before the note
+ * @returns {Array<Object>} Elements
+ */
+function writeNote(item, voice, staff, divisions, direction) {
+  const { element } = item;
+  const nodes = [];
+  const notations = { articulations: [], ornaments: [], technical: [], other: [] };
+
+  for (const chord of element.chord || []) {
+    const harmony = chord.position === 'default' ? harmonyNode(chord.name) : null;
+    if (harmony) {
+      if (staff) {
+        harmony.children.push(staff);
+      }
+      nodes.push(harmony);
+    } else {
+      direction([xmlNode('direction-type', [xmlNode('words', chord.name)])], { placement: chord.position === 'below' ? 'below' : 'above' });
+    }
+  }
+
+  for (const decoration of new Set(element.decoration || [])) {
+    if (DYNAMICS.has(decoration)) {
+      direction([xmlNode('direction-type', [xmlNode('dynamics', [xmlNode(decoration)])])], { placement: 'below' });
+    } else if (WEDGES[decoration]) {
+      const type = WEDGES[decoration];
+      // A hairpin end without a start is dropped
+      if (type !== 'stop' || voice.wedge) {
+        voice.wedge = type !== 'stop';
+        direction([xmlNode('direction-type', [xmlNode('wedge', [], { type })])], { placement: 'below' });
+      }
+    } else if (decoration === 'segno' || decoration === 'coda') {
+      direction([xmlNode('direction-type', [xmlNode(decoration)])], { placement: 'above' });
+    } else if (DECORATION_WORDS[decoration]) {
+      direction([xmlNode('direction-type', [xmlNode('words', DECORATION_WORDS[decoration])])], { placement: 'above' });
+    } else if (NOTATIONS[decoration]) {
+      const [group, name] = NOTATIONS[decoration];
+      if (!notations[group].some(node => node.name === name)) {
+        notations[group].push(xmlNode(name));
+      }
+    } else if (decoration === 'fermata' || decoration === 'invertedfermata') {
+      notations.other.push(xmlNode('fermata', [], { type: decoration === 'fermata' ? 'upright' : 'inverted' }));
+    } else if (decoration === 'arpeggio') {
+      notations.other.push(xmlNode('arpeggiate'));
+    } else if (/^[0-5]$/.test(decoration)) {
+      notations.technical.push(xmlNode('fingering', decoration));
+    }
+  }
+
+  const typeNodes = (duration) => {
+    const type = noteType(duration);
+    return type ? [xmlNode('type', type.type), ...Array.from({ length: type.dots }, () => xmlNode('dot'))] : [];
+  };
+  const pitchNode = (pitch, { ties = false } = {}) => {
+    const step = 'CDEFGAB'[((pitch.pitch % 7) + 7) % 7];
+    const octave = 4 + Math.floor(pitch.pitch / 7);
+    let alter;
+    const accidental = ABCJS_ACCIDENTALS[pitch.accidental];
+    if (accidental) {
+      [alter] = accidental;
+      voice.barAlterations.set(pitch.pitch, alter);
+    } else if (pitch.endTie && voice.tied.has(pitch.pitch)) {
+      // A tie carries the alteration across the bar line
+      alter = voice.tied.get(pitch.pitch);
+    } else {
+      alter = voice.barAlterations.get(pitch.pitch) ?? voice.keyAlterations[step] ?? 0;
+    }
+    if (ties) {
+      voice.tied.delete(pitch.pitch);
+      if (pitch.startTie) {
+        voice.tied.set(pitch.pitch, alter);
+      }
+    }
+    return {
+      pitch: xmlNode('pitch', [xmlNode('step', step), alter !== 0 && xmlNode('alter', alter), xmlNode('octave', octave)]),
+      accidental: accidental && xmlNode('accidental', accidental[1])
+    };
+  };
+
+  // Grace notes take no time and come first
+  const graces = element.gracenotes || [];
+  graces.forEach((grace, index) => {
+    const { pitch, accidental } = pitchNode(grace);
+    const beamed = graces.length > 1 && grace.duration < 0.25;
+    nodes.push(xmlNode('note', [
+      xmlNode('grace', [], { slash: grace.acciaccatura ? 'yes' : undefined }),
+      pitch,
+      xmlNode('voice', voice.number),
+      ...typeNodes(grace.duration),
+      accidental,
+      staff,
+      beamed && xmlNode('beam', index === 0 ? 'begin' : index === graces.length - 1 ? 'end' : 'continue', { number: 1 })
+    ]));
+  });
+
+  const duration = xmlNode('duration', Math.round(item.duration * 4 * divisions));
+  const written = item.measureRest ? [] : typeNodes(element.duration);
+  const timeModification = item.tuplet && xmlNode('time-modification', [
+    xmlNode('actual-notes', item.tuplet.actual),
+    xmlNode('normal-notes', item.tuplet.normal)
+  ]);
+  const tupletNotation = item.tuplet && (item.start || item.stop)
+    ? xmlNode('tuplet', [], { type: item.start ? 'start' : 'stop', bracket: item.start ? 'yes' : undefined })
+    : null;
+
+  // Beams follow the abcjs grouping; only notes shorter than a quarter carry one
+  let beam = null;
+  if (!element.rest && element.duration < 0.25) {
+    if (element.startBeam && !element.endBeam) {
+      beam = 'begin';
+      voice.beamed = true;
+    } else if (voice.beamed) {
+      beam = element.endBeam ? 'end' : 'continue';
+      voice.beamed = !element.endBeam;
+    }
+  } else {
+    voice.beamed = false;
+  }
+
+  if (element.rest) {
+    voice.held.clear();
+  }
+  const lyrics = (element.lyric || []).map((lyric, index) => {
+    const verse = index + 1;
+    if (!lyric?.syllable) {
+      // abcjs reports both _ and * as an empty syllable: either way the last word is held
+      const held = voice.held.get(verse);
+      if (held && !element.rest && !held.children.some(child => child.name === 'extend')) {
+        held.children.push(xmlNode('extend'));
+      }
+      return null;
+    }
+    const continuing = voice.verses.get(verse);
+    const hyphen = lyric.divider === '-';
+    voice.verses.set(verse, hyphen);
+    const syllabic = continuing ? (hyphen ? 'middle' : 'end') : (hyphen ? 'begin' : 'single');
+    const node = xmlNode('lyric', [
+      xmlNode('syllabic', syllabic),
+      xmlNode('text', lyric.syllable),
+      lyric.divider === '_' && xmlNode('extend')
+    ], { number: verse });
+    voice.held.set(verse, hyphen ? null : node);
+    return node;
+  });
+
+  const notationsNode = (extra) => {
+    const children = [
+      ...extra,
+      tupletNotation,
+      ...['ornaments', 'technical', 'articulations'].filter(group => notations[group].length > 0)
+        .map(group => xmlNode(group, notations[group])),
+      ...notations.other
+    ];
+    return children.some(Boolean) ? xmlNode('notations', children) : null;
+  };
+
+  if (element.rest) {
+    nodes.push(xmlNode('note', [
+      xmlNode('rest', [], { measure: item.measureRest ? 'yes' : undefined }),
+      duration,
+      xmlNode('voice', voice.number),
+      ...written,
+      timeModification,
+      staff,
+      notationsNode([]),
+      ...lyrics
+    ], { 'print-object': element.rest.type === 'invisible' ? 'no' : undefined }));
+    return nodes;
+  }
+
+  (element.pitches || []).forEach((pitch, index) => {
+    const { pitch: pitchElement, accidental } = pitchNode(pitch, { ties: true });
+    const slurs = [];
+    for (const label of [...(pitch.endSlur || []), ...(index === 0 ? element.endSlur || [] : [])]) {
+      if (voice.slurs.has(label)) {
+        slurs.push(xmlNode('slur', [], { type: 'stop', number: voice.slurs.get(label) }));
+        voice.slurs.delete(label);
+      }
+    }
+    for (const { label } of [...(pitch.startSlur || []), ...(index === 0 ? element.startSlur || [] : [])]) {
+      // MusicXML numbers slurs from 1 to 16, reusing numbers once slurs end
+      const used = new Set(voice.slurs.values());
+      const number = Array.from({ length: 16 }, (_, n) => n + 1).find(n => !used.has(n)) ?? 1;
+      voice.slurs.set(label, number);
+      slurs.push(xmlNode('slur', [], { type: 'start', number }));
+    }
+    const ties = [pitch.endTie && 'stop', pitch.startTie && 'start'].filter(Boolean);
+    const connections = [...ties.map(type => xmlNode('tied', [], { type })), ...slurs];
+    nodes.push(xmlNode('note', [
+      index > 0 && xmlNode('chord'),
+      pitchElement,
+      duration,
+      ...ties.map(type => xmlNode('tie', [], { type })),
+      xmlNode('voice', voice.number),
+      ...written,
+      accidental,
+      timeModification,
+      staff,
+      index === 0 && beam && xmlNode('beam', beam, { number: 1 }),
+      // Decorations, tuplets and lyrics belong to the first note of a chord
+      index === 0 ? notationsNode(connections) : connections.length > 0 && xmlNode('notations', connections),
+      ...(index === 0 ? lyrics : [])
+    ]));
+  });
+  return nodes;
+}
+
+/**
+ * Builds an <attributes> element
+ * @param {Object} changes - Divisions, staves, key, time and clefs, each optional
+ * @returns {Object|null} Attributes element, or null when nothing changes
+ */
+function attributesNode({ divisions, staves, key, time, clefs }) {
+  const children = [];
+  if (divisions) {
+    children.push(xmlNode('divisions', divisions));
+  }
+  if (key) {
+    children.push(key.fifths === null
+      ? xmlNode('key', key.steps.flatMap(([step, alter]) => [xmlNode('key-step', step), xmlNode('key-alter', alter)]))
+      : xmlNode('key', [xmlNode('fifths', key.fifths), key.mode && xmlNode('mode', key.mode)]));
+  }
+  if (time) {
+    children.push(xmlNode('time', time.beats.flatMap(([beats, type]) => [xmlNode('beats', beats), xmlNode('beat-type', type)]), { symbol: time.symbol }));
+  }
+  if (staves > 1) {
+    children.push(xmlNode('staves', staves));
+  }
+  for (const clef of clefs) {
+    children.push(xmlNode('clef', [
+      xmlNode('sign', clef.sign),
+      clef.line && xmlNode('line', clef.line),
+      clef.octave && xmlNode('clef-octave-change', clef.octave)
+    ], { number: clef.number }));
+  }
+  return children.length > 0 ? xmlNode('attributes', children) : null;
+}
+
+/**
+ * Builds a <barline>
+ * @param {string} location - 'left' or 'right'
+ * @param {Object} bar - Style, repeat and ending from splitMeasures
+ * @returns {Object|null} Barline element, or null for a plain bar line
+ */
+function barlineNode(location, { style, repeat, ending }) {
+  if (!style && !repeat && !ending) {
+    return null;
+  }
+  const forward = location === 'left';
+  return xmlNode('barline', [
+    style ? xmlNode('bar-style', style) : repeat && forward && xmlNode('bar-style', 'heavy-light'),
+    ending && xmlNode('ending', forward ? ending.text : [], { number: ending.number, type: forward ? 'start' : ending.type }),
+    repeat && xmlNode('repeat', [], { direction: forward ? 'forward' : 'backward' })
+  ], { location });
+}
+
+/**
+ * Converts one abcjs tune to a MusicXML 4.0 partwise score
+ * @param {Object} tune - abcjs tune object
+ * @returns {string} MusicXML document
+ */
+function tuneToMusicXml(tune) {
+  const staves = readStaves(tune);
+  const voiceMeasures = staves.flatMap(staff => staff.voices);
+  if (voiceMeasures.every(measures => measures.length === 0)) {
+    throw new Error('The tune has no notes');
+  }
+  const parts = groupParts(staves);
+  const measureCount = Math.max(...voiceMeasures.map(measures => measures.length));
+
+  // Every duration must be a whole number of divisions per quarter note
+  let divisions = 1;
+  const barLengths = Array(measureCount).fill(0);
+  for (const measures of voiceMeasures) {
+    measures.forEach((measure, index) => {
+      barLengths[index] = Math.max(barLengths[index], measure.length);
+      for (const item of measure.items) {
+        if (item.type === 'note') {
+          divisions = lcm(divisions, toFraction(item.duration * 4)[1]);
+        }
+      }
+    });
+  }
+  const toDivisions = length => Math.round(length * 4 * divisions);
+
+  // Bar lines, system breaks and the pickup come from the first voice
+  const reference = voiceMeasures.find(measures => measures.length > 0);
+  const meter = reference[0].items.find(item => item.type === 'meter')?.meter;
+  const pickup = meter?.length && reference[0].length < meter.length - 1e-9 ? 1 : 0;
+
+  const partList = [];
+  let openGroup = false;
+  const partNodes = parts.map((part, partIndex) => {
+    const id = `P${partIndex + 1}`;
+    const label = names => part.staves.flatMap(names).find(Boolean)?.replace(/\s+/g, ' ').trim();
+    const name = label(staff => staff.names);
+    const abbreviation = label(staff => staff.abbreviations);
+    if (part.bracket === 'start' && !openGroup) {
+      partList.push(xmlNode('part-group', [xmlNode('group-symbol', 'bracket'), xmlNode('group-barline', 'yes')], { type: 'start', number: 1 }));
+      openGroup = true;
+    }
+    partList.push(xmlNode('score-part', [
+      xmlNode('part-name', name || ''),
+      abbreviation && xmlNode('part-abbreviation', abbreviation)
+    ], { id }));
+    if (openGroup && part.staves.at(-1).bracket === 'end') {
+      partList.push(xmlNode('part-group', [], { type: 'stop', number: 1 }));
+      openGroup = false;
+    }
+
+    const state = { key: null, meter: null, clefs: {}, staves: part.staves.length };
+    const voices = part.staves.flatMap((staff, staffIndex) => staff.voices.map(measures => ({
+      measures,
+      staff: staffIndex + 1,
+      keyAlterations: keyAlterations(0),
+      tied: new Map(),
+      slurs: new Map(),
+      verses: new Map(),
+      held: new Map(),
+      wedge: false,
+      beamed: false
+    })));
+    voices.forEach((voice, index) => {
+      voice.number = index + 1;
+    });
+
+    const measures = [];
+    for (let index = 0; index < measureCount; index++) {
+      const bars = (voices.find(voice => voice.measures[index]) || { measures: reference }).measures[index] || { left: {}, right: {} };
+      const leading = { divisions: index === 0 ? divisions : undefined, staves: index === 0 ? state.staves : undefined, key: null, time: null, clefs: [] };
+      const body = [];
+      let previous = null;
+      for (const voice of voices) {
+        const measure = voice.measures[index];
+        if (!measure) {
+          continue;
+        }
+        if (previous !== null) {
+          body.push(xmlNode('backup', [xmlNode('duration', toDivisions(previous))]));
+        }
+        body.push(...writeVoiceMeasure(measure, voice, state, divisions, leading));
+        previous = measure.length;
+      }
+      if (previous === null) {
+        // Parts without music in this bar rest for its length
+        body.push(xmlNode('note', [
+          xmlNode('rest', [], { measure: 'yes' }),
+          xmlNode('duration', toDivisions(barLengths[index])),
+          xmlNode('voice', 1),
+          state.staves > 1 && xmlNode('staff', 1)
+        ]));
+      }
+
+      const tempo = index === 0 && partIndex === 0 && tune.metaText.tempo ? tempoDirection(tune.metaText.tempo) : null;
+      measures.push(xmlNode('measure', [
+        index > 0 && reference[index]?.newSystem && xmlNode('print', [], { 'new-system': 'yes' }),
+        barlineNode('left', bars.left),
+        attributesNode(leading),
+        tempo && xmlNode('direction', [...tempo.types, state.staves > 1 && xmlNode('staff', 1), tempo.sound], { placement: 'above' }),
+        ...body.map(node => (node.changes ? attributesNode(node.changes) : node)),
+        barlineNode('right', bars.right)
+      ], { number: index + 1 - pickup, implicit: index === 0 && pickup ? 'yes' : undefined }));
+    }
+    return xmlNode('part', measures, { id });
+  });
+  if (openGroup) {
+    partList.push(xmlNode('part-group', [], { type: 'stop', number: 1 }));
+  }
+
+  const { title, composer } = tune.metaText;
+  const score = xmlNode('score-partwise', [
+    title && xmlNode('work', [xmlNode('work-title', title)]),
+    xmlNode('identification', [
+      composer && xmlNode('creator', composer.replace(/\s*\n\s*/g, ', '), { type: 'composer' }),
+      xmlNode('encoding', [xmlNode('software', 'partitura-mcp')])
+    ]),
+    xmlNode('part-list', partList),
+    ...partNodes
+  ], { version: '4.0' });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    serializeXml(score),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Converts ABC notation to MusicXML 4.0, one score per tune
+ *
+ * The abcjs tune object is converted: voices (braced staves become one part
+ * with several staves), clefs, key and meter changes, ties, slurs, tuplets,
+ * grace notes, dynamics and hairpins, articulations, lyrics, chord symbols,
+ * tempo marks, repeats and endings. Line breaks become system breaks.
+ *
+ * @param {string} abcNotation - The ABC notation to convert
+ * @param {Object} options - Conversion options
+ * @param {Array<number|string>} options.tunes - Optional X: numbers or titles to convert
+ * @returns {Promise<Array<{id: string, title: string, musicxml: string}>>} MusicXML document per tune
+ */
+export async function abcToMusicXml(abcNotation, options = {}) {
+  // Validate input
+  validateAbcNotation(abcNotation);
+
+  const tunes = selectTunes(abcNotation, options.tunes);
+  if (tunes.length === 0) {
+    tunes.push({ id: '', title: '', abc: abcNotation });
+  }
+
+  return tunes.map((tune) => {
+    try {
+      return { id: tune.id, title: tune.title, musicxml: tuneToMusicXml(parseTune(tune.abc)) };
+    } catch (error) {
+      throw new Error(`Failed to generate MusicXML: ${error.message}`);
+    }
+  });
+}
@@ -0,0 +1,257 @@
+import { z } from 'zod';
+import { validateAbcNotation, collectAbcWarnings, formatAbcWarnings } from './index.js';
+
+/**
+ * ABC conventions embedded in every prompt, so that the model writes ABC
+ * that abcjs renders without warnings
+ */
+const ABC_CONVENTIONS = `ABC conventions to follow:
+- Start every tune with X:1, then T: (title), C: (composer, optional), M: (meter), L: (unit note length), Q: (tempo, optional) and K: (key). K: is always the last header line.
+- Write the ABC with real line breaks, one header field per line; never use "\\n" escape sequences.
+- C D E F G A B is the octave from middle C upwards and c d e f g a b the octave above it; add ' to go up an octave (c') and , to go down (C,).
+- Durations are multiples of L: (A2 twice as long, A/2 or A/ half as long). Every bar must add up to exactly the meter; a pickup (anacrusis) bar may be shorter.
+- Accidentals go before the note: ^ sharp, _ flat, = natural. Key signatures use K:D, K:Bb, K:Em, K:Ador, K:Gmix.
+- Bar lines: | bar, || double bar, |] final bar, |: and :| repeats, [1 and [2 first and second endings. End the tune with |] or :|.
+- Chord symbols go in double quotes right before the note they sound with: "G"G2 B2 | "D7"A4 |.
+- Several voices use V: lines: declare each voice after K: (V:1 name="Melody"), then prefix its music with V:1, V:2, ...; every voice needs the same number of bars.
+- Break the music into lines of 4 bars. Do not include HTML, scripts or markup.`;
+
+/**
+ * Steps that hand the result to the rendering tools
+ */
+const RENDER_WORKFLOW = `When the ABC is ready:
+1. Call validate_abc with it and fix every error and warning it reports, repeating until it reports "valid": true.
+2. Call abc_to_pdf with the validated ABC to produce the sheet music (abc_to_midi or abc_to_audio if a recording is wanted).
+3. Show the final ABC in a fenced code block.`;
+
+/**
+ * Schema for ABC passed to a prompt
+ */
+const PromptAbcSchema = z.string().min(1, 'ABC notation cannot be empty').max(100000, 'ABC notation is too long')
+  .describe('ABC notation');
+
+/**
+ * Schema for short free-text prompt arguments such as a style or a key
+ */
+const PromptTextSchema = z.string().trim().min(1).max(200);
+
+/**
+ * Schema for compose_tune arguments
+ */
+export const ComposeTunePromptSchema = z.object({
+  style: PromptTextSchema.describe('Style or genre of the tune'),
+  key: PromptTextSchema.optional().describe('Key of the tune'),
+  meter: PromptTextSchema.optional().describe('Meter of the tune'),
+  bars: z.string().regex(/^\d{1,3}$/, 'bars must be a whole number').optional().describe('Length in bars'),
+  title: PromptTextSchema.optional().describe('Title of the tune')
+});
+
+/**
+ * Schema for harmonize_melody arguments
+ */
+export const HarmonizeMelodyPromptSchema = z.object({
+  abc_notation: PromptAbcSchema,
+  style: PromptTextSchema.optional().describe('Harmonic style'),
+  chords_per_bar: z.enum(['1', '2', 'auto']).optional().describe('Harmonic rhythm')
+});
+
+/**
+ * Schema for fix_abc arguments
+ */
+export const FixAbcPromptSchema = z.object({
+  abc_notation: PromptAbcSchema,
+  error: z.string().max(2000).optional().describe('Error message or symptom seen by the user')
+});
+
+/**
+ * Schema for second_voice arguments
+ */
+export const SecondVoicePromptSchema = z.object({
+  abc_notation: PromptAbcSchema,
+  voice: PromptTextSchema.optional().describe('Kind of second voice'),
+  instrument: PromptTextSchema.optional().describe('Instrument of the second voice')
+});
+
+/**
+ * Prompt definitions advertised by both the stdio and the HTTP server
+ */
+export const PROMPTS = [
+  {
+    name: 'compose_tune',
+    title: 'Compose a tune',
+    description: 'Compose an original tune in ABC notation in a given style, key and meter, then render it to PDF sheet music.',
+    arguments: [
+      { name: 'style', description: 'Style or genre, e.g. "Irish reel", "baroque minuet", "blues", "lullaby".', required: true },
+      { name: 'key', description: 'Key, e.g. "D", "G major", "E minor", "A dorian". Chosen to suit the style when omitted.', required: false },
+      { name: 'meter', description: 'Meter, e.g. "4/4", "3/4", "6/8". Chosen to suit the style when omitted.', required: false },
+      { name: 'bars', description: 'Length in bars, e.g. "16". Defaults to the usual form of the style.', required: false },
+      { name: 'title', description: 'Title of the tune. Invented when omitted.', required: false },
+    ],
+  },
+  {
+    name: 'harmonize_melody',
+    title: 'Harmonize a melody',
+    description: 'Add chord symbols to an ABC melody without changing its notes, then render the lead sheet to PDF.',
+    arguments: [
+      { name: 'abc_notation', description: 'The ABC melody to harmonize.', required: true },
+      { name: 'style', description: 'Harmonic style, e.g. "simple folk triads", "jazz with sevenths", "hymn". Defaults to simple diatonic harmony.', required: false },
+      { name: 'chords_per_bar', description: 'Harmonic rhythm: "1", "2" or "auto" (default).', required: false },
+    ],
+  },
+  {
+    name: 'fix_abc',
+    title: 'Fix ABC so it renders',
+    description: 'Repair ABC notation that fails to render or renders incorrectly. The current validate_abc report is included in the prompt.',
+    arguments: [
+      { name: 'abc_notation', description: 'The ABC notation to fix.', required: true },
+      { name: 'error', description: 'The error message or the problem seen, if any.', required: false },
+    ],
+  },
+  {
+    name: 'second_voice',
+    title: 'Write a second voice',
+    description: 'Write a second voice (harmony, counter-melody or bass line) for an ABC melody as a two-voice V: score, then render it to PDF.',
+    arguments: [
+      { name: 'abc_notation', description: 'The ABC melody to add a voice to.', required: true },
+      { name: 'voice', description: 'Kind of voice, e.g. "harmony a third below", "counter-melody", "bass line". Defaults to a harmony line below the melody.', required: false },
+      { name: 'instrument', description: 'Instrument of the second voice, e.g. "cello"; sets its clef, range and %%MIDI program.', required: false },
+    ],
+  },
+];
+
+/**
+ * Formats ABC for embedding in a prompt
+ * @param {string} abcNotation - ABC notation
+ * @returns {string} Fenced code block
+ */
+function abcBlock(abcNotation) {
+  return `\`\`\`abc\n${abcNotation.trim()}\n\`\`\``;
+}
+
+/**
+ * Builds a prompt result made of one user message
+ * @param {string} description - Description of the filled-in prompt
+ * @param {Array<string>} sections - Paragraphs of the message
+ * @returns {{description: string, messages: Array}} GetPrompt result
+ */
+function userPrompt(description, sections) {
+  return {
+    description,
+    messages: [
+      {
+        role: 'user',
+        content: { type: 'text', text: sections.join('\n\n') },
+      },
+    ],
+  };
+}
+
+/**
+ * Fills in compose_tune
+ */
+function composeTune(args) {
+  const { style, key, meter, bars, title } = ComposeTunePromptSchema.parse(args);
+
+  const brief = [
+    `- Style: ${style}`,
+    `- Key: ${key || `a key typical of ${style}`}`,
+    `- Meter: ${meter || `a meter typical of ${style}`}`,
+    `- Length: ${bars ? `${bars} bars` : `the usual form of ${style} (repeat signs are welcome)`}`,
+    `- Title: ${title || 'invent a fitting title'}`,
+  ].join('\n');
+
+  return userPrompt(`Compose a ${style} tune in ABC notation`, [
+    `Compose an original tune in ABC notation.\n\n${brief}`,
+    'Give the melody a clear shape with phrases that answer each other, make it idiomatic for the style, and add chord symbols if the style is usually accompanied.',
+    ABC_CONVENTIONS,
+    RENDER_WORKFLOW,
+  ]);
+}
+
+/**
+ * Fills in harmonize_melody
+ */
+function harmonizeMelody(args) {
+  const { abc_notation: abc, style, chords_per_bar: chordsPerBar = 'auto' } = HarmonizeMelodyPromptSchema.parse(args);
+
+  const rhythm = chordsPerBar === 'auto'
+    ? 'Change chord where the melody calls for it, usually once or twice per bar.'
+    : `Use ${chordsPerBar === '1' ? 'one chord' : 'two chords'} per bar.`;
+
+  return userPrompt('Harmonize an ABC melody with chord symbols', [
+    `Harmonize this melody with chord symbols in ${style || 'simple diatonic harmony'}.\n\n${abcBlock(abc)}`,
+    `${rhythm} Write chords as quoted symbols placed before the note they start on ("Am", "G7", "D/F#"). Keep every header, note, duration and bar line of the melody exactly as it is and only insert chord symbols; replace any chord symbols already present. Choose chords that contain the strong-beat melody notes, and end phrases on cadences.`,
+    ABC_CONVENTIONS,
+    RENDER_WORKFLOW,
+  ]);
+}
+
+/**
+ * Fills in fix_abc, including the current validation report
+ */
+function fixAbc(args) {
+  const { abc_notation: abc, error } = FixAbcPromptSchema.parse(args);
+
+  let report;
+  try {
+    validateAbcNotation(abc);
+    const warnings = collectAbcWarnings(abc);
+    report = warnings.length > 0
+      ? `validate_abc reports ${warnings.length} warning${warnings.length === 1 ? '' : 's'}:\n${formatAbcWarnings(warnings)}`
+      : 'validate_abc reports no warnings, so the problem is probably musical (wrong bar lengths, notes or key) rather than syntactic.';
+  } catch (validationError) {
+    report = `validate_abc rejects the input: ${validationError.message}`;
+  }
+
+  return userPrompt('Fix ABC notation so that it renders', [
+    `This ABC notation does not render correctly. Fix it.\n\n${abcBlock(abc)}`,
+    ...(error ? [`Problem reported: ${error}`] : []),
+    report,
+    'Make the smallest changes that fix the problems and keep the music as intended: do not recompose it. Check that every bar matches the meter. Afterwards, list each change you made in one line.',
+    ABC_CONVENTIONS,
+    RENDER_WORKFLOW,
+  ]);
+}
+
+/**
+ * Fills in second_voice
+ */
+function secondVoice(args) {
+  const { abc_notation: abc, voice, instrument } = SecondVoicePromptSchema.parse(args);
+
+  const part = voice || 'harmony line below the melody, mostly in thirds and sixths';
+  const instrumentNote = instrument
+    ? ` Write it for ${instrument}: keep it in the range of the instrument, give V:2 the matching clef (e.g. V:2 clef=bass) and add a %%MIDI program line for it after the V:2 declaration.`
+    : '';
+
+  return userPrompt('Write a second voice for an ABC melody', [
+    `Write a second voice for this melody: a ${part}.\n\n${abcBlock(abc)}`,
+    `Return a two-voice score: the original melody unchanged as V:1 and the new part as V:2, declared after K: with names (V:1 name="Melody", V:2 name="${instrument || 'Second voice'}"). Give both voices exactly the same bars, repeats and endings, and avoid parallel fifths and octaves between them.${instrumentNote}`,
+    ABC_CONVENTIONS,
+    RENDER_WORKFLOW,
+  ]);
+}
+
+/**
+ * Prompt builders keyed by prompt name
+ */
+const PROMPT_BUILDERS = {
+  compose_tune: composeTune,
+  harmonize_melody: harmonizeMelody,
+  fix_abc: fixAbc,
+  second_voice: secondVoice,
+};
+
+/**
+ * Fills in a prompt template
+ * @param {string} name - Prompt name, one of PROMPTS
+ * @param {Object<string, string>} args - Prompt arguments
+ * @returns {{description: string, messages: Array}} GetPrompt result
+ */
+export function getPrompt(name, args = {}) {
+  const builder = PROMPT_BUILDERS[name];
+  if (!builder) {
+    throw new Error(`Unknown prompt: ${name}. Available prompts: ${Object.keys(PROMPT_BUILDERS).join(', ')}`);
+  }
+  return builder(args);
+}
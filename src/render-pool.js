@@ -0,0 +1,292 @@
+import { Worker } from 'node:worker_threads';
+import { cpus } from 'node:os';
+import { abcToPdf, abcToSvgDocuments, collectAbcWarnings } from './index.js';
+import { abcToMidi, midiToAbc } from './midi.js';
+import { abcToWav } from './audio.js';
+import { abcToMusicXml, musicXmlToAbc } from './musicxml.js';
+import { transposeAbc } from './transpose.js';
+import { currentLogContext } from './logger.js';
+
+/**
+ * Render functions by kind, shared by the inline renderer and the workers
+ *
+ * Besides the output formats, the kinds include the other work that parses
+ * scores: abcjs warnings, transposition, and MusicXML and MIDI import, whose
+ * input is the file rather than ABC notation.
+ */
+export const RENDERERS = {
+  pdf: abcToPdf,
+  svg: abcToSvgDocuments,
+  midi: abcToMidi,
+  audio: abcToWav,
+  musicxml: abcToMusicXml,
+  warnings: collectAbcWarnings,
+  transpose: (abcNotation, { semitones, ...options }) => transposeAbc(abcNotation, semitones, options),
+  'musicxml-import': musicXmlToAbc,
+  'midi-import': midiToAbc
+};
+
+/**
+ * Error for a render that outlived the pool's render timeout. Its worker is
+ * terminated, since a synchronous render cannot be interrupted any other way.
+ */
+export class RenderTimeoutError extends Error {
+  /**
+   * @param {number} timeout - Render timeout in milliseconds
+   */
+  constructor(timeout) {
+    super(`Render did not finish within ${timeout / 1000}s`);
+    this.name = 'RenderTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Fields of an error that survive the trip from a worker: its class name,
+ * and the reason and HTTP status that callers classify it by
+ * @param {Error} error - Error thrown on a worker
+ * @returns {{name: string, message: string, reason: string|undefined, status: number|undefined, retryAfter: number|undefined}} Serializable error
+ */
+export function serializeError(error) {
+  const { name, message, reason, status, retryAfter } = error ?? {};
+  return { name: name ?? 'Error', message: message ?? String(error), reason, status, retryAfter };
+}
+
+/**
+ * Rebuilds an error posted by a worker (see serializeError)
+ * @param {Object} fields - Serialized error
+ * @returns {Error} Error with the name, reason and status of the original
+ */
+function reviveError({ name, message, ...fields }) {
+  const error = new Error(message);
+  error.name = name;
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) {
+      error[key] = value;
+    }
+  }
+  return error;
+}
+
+/**
+ * Default number of render workers: one per spare CPU core
+ */
+export const DEFAULT_POOL_SIZE = Math.max(1, cpus().length - 1);
+
+/**
+ * Default longest time one render may run on a worker, in milliseconds
+ */
+export const DEFAULT_RENDER_TIMEOUT = 60000;
+
+/**
+ * Renders on the calling thread. Used by the stdio server, where a single
+ * client never needs renders in parallel.
+ */
+export const inlineRenderer = {
+  /**
+   * Renders ABC notation
+   * @param {string} kind - Render kind, a key of RENDERERS
+   * @param {string|Buffer} abcNotation - The ABC notation to render, or the file to import
+   * @param {Object} options - Options of the render function
+   * @returns {Promise<*>} Result of the render function
+   */
+  async render(kind, abcNotation, options = {}) {
+    const renderer = RENDERERS[kind];
+    if (!renderer) {
+      throw new Error(`Unknown render kind: ${kind}`);
+    }
+    return renderer(abcNotation, options);
+  }
+};
+
+/**
+ * Turns the Uint8Arrays that Buffers become when posted between threads
+ * back into Buffers
+ * @param {*} value - Value received from a worker
+ * @returns {*} Value with Buffers restored
+ */
+function reviveBuffers(value) {
+  if (value instanceof Uint8Array) {
+    return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  }
+  if (Array.isArray(value)) {
+    return value.map(reviveBuffers);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, reviveBuffers(item)]));
+  }
+  return value;
+}
+
+/**
+ * Creates a pool of worker threads that render in parallel
+ *
+ * Every worker owns its own JSDOM and globals, so concurrent renders are
+ * isolated and the event loop of the calling thread stays responsive.
+ * Workers are started on demand up to the pool size; renders beyond that
+ * wait in a FIFO queue. A worker that crashes fails its render and is
+ * replaced by the next one started. A render still running after the
+ * timeout is rejected with a RenderTimeoutError and its worker terminated
+ * and replaced the same way; the timeout counts from the moment the worker
+ * picks the render up, so it leaves out queueing and worker start-up.
+ *
+ * @param {Object} options - Pool options
+ * @param {number} options.size - Maximum number of workers (default DEFAULT_POOL_SIZE)
+ * @param {number} options.timeout - Longest render in milliseconds (default DEFAULT_RENDER_TIMEOUT)
+ * @returns {{render: Function, stats: Function, close: Function, size: number}} Pool
+ */
+export function createRenderPool(options = {}) {
+  const size = options.size || DEFAULT_POOL_SIZE;
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(`Render pool size must be a positive integer, got ${options.size}`);
+  }
+  const timeout = options.timeout || DEFAULT_RENDER_TIMEOUT;
+  if (!(timeout > 0)) {
+    throw new Error(`Render timeout must be a positive number of milliseconds, got ${options.timeout}`);
+  }
+
+  const workers = new Set();
+  const idle = [];
+  const queue = [];
+  let nextId = 1;
+  let closed = false;
+
+  /**
+   * Takes a worker out of the pool, failing its render, and starts queued
+   * renders on the workers left or on a replacement
+   */
+  const discard = (worker, error) => {
+    workers.delete(worker);
+    const index = idle.indexOf(worker);
+    if (index !== -1) {
+      idle.splice(index, 1);
+    }
+    if (worker.task) {
+      clearTimeout(worker.task.timer);
+      worker.task.reject(error);
+      worker.task = null;
+    }
+    dispatch();
+  };
+
+  const startWorker = () => {
+    const worker = new Worker(new URL('./render-worker.js', import.meta.url));
+    worker.task = null;
+
+    worker.on('message', ({ id, started, result, error }) => {
+      const task = worker.task;
+      if (!task || task.id !== id) {
+        return;
+      }
+      if (started) {
+        task.timer = setTimeout(() => {
+          discard(worker, new RenderTimeoutError(timeout));
+          worker.terminate();
+        }, timeout);
+        return;
+      }
+      clearTimeout(task.timer);
+      worker.task = null;
+      if (error) {
+        task.reject(reviveError(error));
+      } else {
+        task.resolve(reviveBuffers(result));
+      }
+      release(worker);
+    });
+
+    const fail = (error) => {
+      discard(worker, new Error(`Render worker failed: ${error.message}`));
+    };
+    worker.on('error', fail);
+    worker.on('exit', code => {
+      if (workers.has(worker)) {
+        fail(new Error(`exited with code ${code}`));
+      }
+    });
+
+    workers.add(worker);
+    return worker;
+  };
+
+  const assign = (worker, task) => {
+    worker.task = task;
+    worker.postMessage({ id: task.id, kind: task.kind, abcNotation: task.abcNotation, options: task.options, logContext: task.logContext });
+  };
+
+  const release = (worker) => {
+    if (queue.length > 0) {
+      assign(worker, queue.shift());
+    } else {
+      idle.push(worker);
+    }
+  };
+
+  const dispatch = () => {
+    while (queue.length > 0 && !closed) {
+      if (idle.length > 0) {
+        assign(idle.pop(), queue.shift());
+      } else if (workers.size < size) {
+        assign(startWorker(), queue.shift());
+      } else {
+        break;
+      }
+    }
+  };
+
+  return {
+    size,
+
+    /**
+     * Renders ABC notation on a worker
+     * @param {string} kind - Render kind, a key of RENDERERS
+     * @param {string|Buffer} abcNotation - The ABC notation to render, or the file to import
+     * @param {Object} renderOptions - Options of the render function
+     * @returns {Promise<*>} Result of the render function
+     */
+    render(kind, abcNotation, renderOptions = {}) {
+      if (closed) {
+        return Promise.reject(new Error('Render pool is closed'));
+      }
+      if (!RENDERERS[kind]) {
+        return Promise.reject(new Error(`Unknown render kind: ${kind}`));
+      }
+
+      return new Promise((resolve, reject) => {
+        // The worker logs with the correlation fields of the request that queued the render
+        queue.push({ id: nextId++, kind, abcNotation, options: renderOptions, logContext: currentLogContext(), resolve, reject });
+        dispatch();
+      });
+    },
+
+    /**
+     * Reports the pool occupancy
+     * @returns {{size: number, workers: number, busy: number, queued: number}} Counts
+     */
+    stats() {
+      return { size, workers: workers.size, busy: workers.size - idle.length, queued: queue.length };
+    },
+
+    /**
+     * Stops every worker; queued and running renders are rejected
+     * @returns {Promise<void>}
+     */
+    async close() {
+      closed = true;
+      for (const task of queue.splice(0)) {
+        task.reject(new Error('Render pool is closed'));
+      }
+      const running = Array.from(workers);
+      workers.clear();
+      idle.length = 0;
+      for (const worker of running) {
+        if (worker.task) {
+          clearTimeout(worker.task.timer);
+          worker.task.reject(new Error('Render pool is closed'));
+          worker.task = null;
+        }
+      }
+      await Promise.all(running.map(worker => worker.terminate()));
+    }
+  };
+}
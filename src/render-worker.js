@@ -0,0 +1,19 @@
+import { parentPort } from 'node:worker_threads';
+import { RENDERERS, serializeError } from './render-pool.js';
+import { withLogContext } from './logger.js';
+
+/**
+ * Render worker: runs one render at a time for the pool in render-pool.js.
+ * Each worker thread has its own globals, so abcjs never shares a DOM
+ * with a render running on another thread.
+ */
+parentPort.on('message', async ({ id, kind, abcNotation, options, logContext }) => {
+  // The pool's render timeout starts now, once this worker has loaded
+  parentPort.postMessage({ id, started: true });
+  try {
+    const result = await withLogContext(logContext, () => RENDERERS[kind](abcNotation, options));
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: serializeError(error) });
+  }
+});
@@ -0,0 +1,207 @@
+import { ZodError } from 'zod';
+import { validateAbcNotation, AbcToPdfSchema, AbcToSvgSchema } from './index.js';
+import { AbcToMidiSchema } from './midi.js';
+import { AbcToAudioSchema } from './audio.js';
+import { AbcToMusicXmlSchema } from './musicxml.js';
+import { ARTIFACT_FORMATS, artifactFileName } from './artifacts.js';
+import { RENDER_OPTIONS, datedRenderOptions } from './tools.js';
+import { inlineRenderer } from './render-pool.js';
+import { sharedRenderCache, renderCacheKey } from './cache.js';
+import { readLimitedBody, sharedLimits } from './limits.js';
+import { sharedMetrics } from './metrics.js';
+import { sharedLogger } from './logger.js';
+
+/**
+ * Formats served under POST /render/{format}: the equivalent tool (its
+ * schema validates the options and its name scopes credentials), the render
+ * kind and the artifact format of the response
+ */
+export const REST_FORMATS = {
+  pdf: { tool: 'abc_to_pdf', schema: AbcToPdfSchema, kind: 'pdf', artifact: 'pdf' },
+  svg: { tool: 'abc_to_svg', schema: AbcToSvgSchema, kind: 'svg', artifact: 'svg' },
+  midi: { tool: 'abc_to_midi', schema: AbcToMidiSchema, kind: 'midi', artifact: 'midi' },
+  audio: { tool: 'abc_to_audio', schema: AbcToAudioSchema, kind: 'audio', artifact: 'wav' },
+  musicxml: { tool: 'abc_to_musicxml', schema: AbcToMusicXmlSchema, kind: 'musicxml', artifact: 'musicxml' }
+};
+
+/**
+ * Content types whose body is the ABC notation itself. Form encoding is what
+ * curl sends for --data-binary by default; its body is taken verbatim.
+ */
+const RAW_CONTENT_TYPES = ['text/plain', 'text/vnd.abc', 'application/octet-stream', 'application/x-www-form-urlencoded'];
+
+/**
+ * Error answered with a specific HTTP status; the reason classifies it for metrics
+ */
+class RestError extends Error {
+  constructor(status, message, reason) {
+    super(message);
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Writes a JSON error response
+ * @param {ServerResponse} res - HTTP response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ */
+function sendError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: message }));
+}
+
+/**
+ * Converts one query string option to the type its schema expects: the
+ * string itself, its JSON value (numbers, booleans, objects) or a
+ * comma-separated list, whichever the schema accepts first
+ * @param {ZodType} fieldSchema - Schema of the option
+ * @param {string} value - Raw query string value
+ * @returns {*} Option value; the raw string when nothing fits, so that validation reports it
+ */
+function queryValue(fieldSchema, value) {
+  const candidates = [value];
+  try {
+    candidates.push(JSON.parse(value));
+  } catch {
+    // Not JSON
+  }
+  candidates.push(value.split(',').map(item => (/^\d+$/.test(item.trim()) ? Number(item) : item.trim())));
+  return candidates.find(candidate => fieldSchema.safeParse(candidate).success) ?? value;
+}
+
+/**
+ * Builds the tool arguments of a render request: a JSON body holds
+ * abc_notation and the options; any other body is the ABC notation itself,
+ * with the options in the query string
+ * @param {IncomingMessage} req - HTTP request
+ * @param {URL} url - Parsed request URL
+ * @param {ZodObject} schema - Tool schema of the format
+ * @param {number} maxBodyBytes - Request body size limit
+ * @returns {Promise<Object>} Unvalidated tool arguments
+ */
+async function readRenderArguments(req, url, schema, maxBodyBytes) {
+  const contentType = (req.headers['content-type'] || 'text/plain').split(';')[0].trim().toLowerCase();
+  const body = (await readLimitedBody(req, maxBodyBytes)).toString('utf8');
+
+  let args;
+  if (contentType === 'application/json') {
+    try {
+      args = JSON.parse(body);
+    } catch (error) {
+      throw new RestError(400, `Invalid JSON body: ${error.message}`, 'invalid_arguments');
+    }
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+      throw new RestError(400, 'JSON body must be an object', 'invalid_arguments');
+    }
+  } else if (RAW_CONTENT_TYPES.includes(contentType)) {
+    args = { abc_notation: body };
+    for (const [name, value] of url.searchParams) {
+      if (name !== 'abc_notation' && schema.shape[name]) {
+        args[name] = queryValue(schema.shape[name], value);
+      } else {
+        args[name] = value;
+      }
+    }
+  } else {
+    throw new RestError(415, `Unsupported Content-Type: ${contentType}. Send ABC as text/plain or options as application/json`, 'unsupported_content_type');
+  }
+
+  const unknown = Object.keys(args).filter(name => !schema.shape[name]);
+  if (unknown.length > 0) {
+    throw new RestError(400, `Unknown option${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`, 'invalid_arguments');
+  }
+  return args;
+}
+
+/**
+ * Handles POST /render/{format}: renders ABC notation and answers with the
+ * file itself, for clients that do not speak MCP
+ *
+ * Multi-tune output formats (SVG, MIDI, audio, MusicXML) produce one file per tune, so
+ * the request must select a single tune when the ABC holds several.
+ *
+ * @param {IncomingMessage} req - HTTP request
+ * @param {ServerResponse} res - HTTP response
+ * @param {Object} options - Rendering options
+ * @param {Object} options.renderer - Renders scores (default inlineRenderer)
+ * @param {Object|null} options.cache - Render cache (default sharedRenderCache, null disables caching)
+ * @param {Object|null} options.principal - Authenticated client, allowed the format when allowed its tool
+ * @param {number} options.maxBodyBytes - Request body size limit (default sharedLimits.maxBodyBytes)
+ * @param {Object} options.metrics - Metrics recording requests and renders (default sharedMetrics)
+ */
+export async function handleRenderRequest(req, res, { renderer = inlineRenderer, cache = sharedRenderCache, principal = null, maxBodyBytes = sharedLimits.maxBodyBytes, metrics = sharedMetrics } = {}) {
+  const url = new URL(req.url, 'http://localhost');
+  const formatName = url.pathname.slice('/render/'.length);
+  const format = REST_FORMATS[formatName];
+  // Unknown formats share one label so that arbitrary paths do not create series
+  res.on('finish', () => metrics.restRequests.inc({ format: format ? formatName : 'unknown', status: res.statusCode }));
+  if (!format) {
+    sendError(res, 404, `Unknown render format. Use one of: ${Object.keys(REST_FORMATS).map(name => `/render/${name}`).join(', ')}`);
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    sendError(res, 405, 'Method Not Allowed');
+    return;
+  }
+  if (principal && !principal.allows(format.tool)) {
+    sendError(res, 403, `Rendering ${formatName} (${format.tool}) is not allowed for these credentials`);
+    return;
+  }
+
+  let validatedArgs;
+  try {
+    validatedArgs = format.schema.parse(await readRenderArguments(req, url, format.schema, maxBodyBytes));
+    // Empty or unsafe scores are refused with 400, and oversized ones with 413, before they reach the renderer
+    validateAbcNotation(validatedArgs.abc_notation);
+  } catch (error) {
+    metrics.recordFailure(error);
+    if (error instanceof ZodError) {
+      sendError(res, 400, error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; '));
+    } else {
+      sendError(res, error.status || 400, error.message);
+    }
+    return;
+  }
+
+  const abcNotation = validatedArgs.abc_notation;
+  const renderOptions = datedRenderOptions(format.kind, RENDER_OPTIONS[format.kind](validatedArgs));
+  const renderScore = () => metrics.timeRender(format.kind, () => renderer.render(format.kind, abcNotation, renderOptions));
+
+  let result;
+  try {
+    result = cache
+      ? await cache.getOrRender(format.kind, abcNotation, renderOptions, renderScore)
+      : { value: await renderScore(), cache: null };
+  } catch (error) {
+    // The input was well-formed but could not be rendered, unless a worker refused it with a status
+    metrics.recordFailure(error);
+    sharedLogger.warn('REST render failed', { format: formatName, error });
+    sendError(res, error.status || 422, error.message);
+    return;
+  }
+
+  let data = result.value;
+  let title = validatedArgs.title;
+  if (Array.isArray(data)) {
+    if (data.length !== 1) {
+      sendError(res, 422, `The ABC holds ${data.length} tunes but ${format.artifact.toUpperCase()} output is one file per tune. Select one with the tunes option.`);
+      return;
+    }
+    const [tune] = data;
+    data = Buffer.from(tune.svg ?? tune.midi ?? tune.wav ?? tune.musicxml);
+    title = tune.title;
+  }
+
+  const key = result.cache ? result.cache.key : renderCacheKey(format.kind, abcNotation, renderOptions);
+  const fileName = artifactFileName(title, key.slice(0, 16), format.artifact);
+  res.writeHead(200, {
+    'Content-Type': format.artifact === 'svg' ? `${ARTIFACT_FORMATS.svg}; charset=utf-8` : ARTIFACT_FORMATS[format.artifact],
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Content-Length': data.length,
+    ...(result.cache ? { 'X-Cache': result.cache.status === 'hit' ? `hit (${result.cache.tier})` : 'miss' } : {})
+  });
+  res.end(data);
+}
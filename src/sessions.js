@@ -0,0 +1,162 @@
+import { LruMap } from './lru.js';
+import { sharedLogger } from './logger.js';
+
+/**
+ * Creates the registry of the MCP sessions of the HTTP server
+ *
+ * Each session holds a transport and the server connected to it, so
+ * sessions are closed once idle for longer than the idle TTL (by a periodic
+ * sweep) and the least recently used session is closed when a new one would
+ * exceed the session limit. A session counts as used whenever one of its
+ * requests is accepted (see get); peek looks a session up without that.
+ *
+ * @param {Object} options - Registry options
+ * @param {number} options.maxSessions - Concurrent session limit (default 1000, 0 for none)
+ * @param {number} options.idleTtlSeconds - Idle time before a session is closed (default 1800, 0 for never)
+ * @param {number} options.sweepIntervalSeconds - Time between sweeps (default 60)
+ * @param {Function} options.now - Clock in milliseconds (default Date.now)
+ * @returns {Object} Registry
+ */
+export function createSessionRegistry(options = {}) {
+  const maxSessions = options.maxSessions ?? 1000;
+  const idleTtlSeconds = options.idleTtlSeconds ?? 1800;
+  const sweepIntervalSeconds = options.sweepIntervalSeconds ?? 60;
+  const now = options.now || Date.now;
+
+  const sessions = new LruMap();
+  const evicted = { idle: 0, capacity: 0 };
+  let sweeper = null;
+
+  /**
+   * Removes a session and closes its transport
+   */
+  const close = (id, reason) => {
+    const session = sessions.peek(id);
+    sessions.delete(id);
+    evicted[reason]++;
+    sharedLogger.info('Closing session', { sessionId: id, reason, idleSeconds: Math.round((now() - session.lastUsed) / 1000) });
+    // The transport's onclose handler calls remove(), which is a no-op by now
+    Promise.resolve()
+      .then(() => session.transport.close())
+      .catch(error => sharedLogger.error('Error closing session', { sessionId: id, error }));
+  };
+
+  const registry = {
+    /**
+     * Registers a new session, closing the least recently used ones past the session limit
+     * @param {string} id - Session ID
+     * @param {Object} transport - Transport of the session
+     * @param {string|undefined} principalId - Identity of the client that opened it
+     */
+    add(id, transport, principalId) {
+      const time = now();
+      sessions.set(id, { transport, principalId, created: time, lastUsed: time });
+      while (maxSessions && sessions.size > maxSessions) {
+        close(sessions.oldest()[0], 'capacity');
+      }
+    },
+
+    /**
+     * Looks up a session and marks it as used
+     * @param {string} id - Session ID
+     * @returns {{transport: Object, principalId: string|undefined, created: number, lastUsed: number}|undefined} Session
+     */
+    get(id) {
+      const session = id === undefined ? undefined : sessions.get(id);
+      if (session) {
+        session.lastUsed = now();
+      }
+      return session;
+    },
+
+    /**
+     * Looks up a session without marking it as used, e.g. to check who opened it
+     * @param {string} id - Session ID
+     * @returns {{transport: Object, principalId: string|undefined, created: number, lastUsed: number}|undefined} Session
+     */
+    peek(id) {
+      return id === undefined ? undefined : sessions.peek(id);
+    },
+
+    /**
+     * Tells whether a session is open, without marking it as used
+     * @param {string} id - Session ID
+     * @returns {boolean}
+     */
+    has(id) {
+      return id !== undefined && sessions.has(id);
+    },
+
+    /**
+     * Forgets a session whose transport closed
+     * @param {string} id - Session ID
+     */
+    remove(id) {
+      sessions.delete(id);
+    },
+
+    /**
+     * Closes the sessions idle for longer than the idle TTL
+     * @returns {number} Number of closed sessions
+     */
+    sweep() {
+      if (!idleTtlSeconds) {
+        return 0;
+      }
+      const cutoff = now() - idleTtlSeconds * 1000;
+      const idle = [...sessions].filter(([, session]) => session.lastUsed < cutoff).map(([id]) => id);
+      for (const id of idle) {
+        close(id, 'idle');
+      }
+      return idle.length;
+    },
+
+    /**
+     * Starts sweeping periodically; the timer does not keep the process alive
+     */
+    start() {
+      if (!sweeper && idleTtlSeconds && sweepIntervalSeconds) {
+        sweeper = setInterval(() => registry.sweep(), sweepIntervalSeconds * 1000);
+        sweeper.unref();
+      }
+    },
+
+    /**
+     * Stops sweeping
+     */
+    stop() {
+      clearInterval(sweeper);
+      sweeper = null;
+    },
+
+    /**
+     * Iterates over the open sessions
+     * @returns {Array<[string, Object]>} Session IDs and sessions
+     */
+    entries() {
+      return [...sessions];
+    },
+
+    /**
+     * Reports session counts and ages
+     * @returns {{active: number, max: number, idleTtlSeconds: number, evicted: {idle: number, capacity: number}, oldestAgeSeconds: number, averageAgeSeconds: number, longestIdleSeconds: number}} Statistics
+     */
+    stats() {
+      const time = now();
+      const ages = [...sessions.values()].map(session => time - session.created);
+      const idle = [...sessions.values()].map(session => time - session.lastUsed);
+      const seconds = milliseconds => Math.round(milliseconds / 1000);
+      return {
+        active: sessions.size,
+        max: maxSessions,
+        idleTtlSeconds,
+        evicted: { ...evicted },
+        oldestAgeSeconds: seconds(Math.max(0, ...ages)),
+        averageAgeSeconds: seconds(ages.length ? ages.reduce((sum, age) => sum + age, 0) / ages.length : 0),
+        longestIdleSeconds: seconds(Math.max(0, ...idle))
+      };
+    }
+  };
+
+  return registry;
+}
@@ -0,0 +1,138 @@
+import { sharedLogger } from './logger.js';
+
+/**
+ * Time given to work in progress to finish once shutdown starts, from
+ * SHUTDOWN_TIMEOUT in seconds (default 25, under the 30 second grace period
+ * Kubernetes and Docker allow before killing the process)
+ */
+export const SHUTDOWN_TIMEOUT_SECONDS = (() => {
+  const seconds = parseFloat(process.env.SHUTDOWN_TIMEOUT);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : 25;
+})();
+
+/**
+ * Error thrown when new work is submitted while the server drains, answered
+ * with 503 by the HTTP server
+ */
+export class ShutdownError extends Error {
+  constructor(message = 'Server is shutting down') {
+    super(message);
+    this.name = 'ShutdownError';
+    this.status = 503;
+  }
+}
+
+/**
+ * Creates a tracker of the work in progress: tool calls and REST renders
+ *
+ * Once drain() is called the tracker admits no new work, and it resolves as
+ * soon as the work in progress is done or the deadline passes, whichever
+ * comes first.
+ *
+ * @returns {{draining: boolean, size: Function, run: Function, drain: Function}} Tracker
+ */
+export function createInFlightTracker() {
+  let active = 0;
+  let draining = false;
+  const waiting = [];
+
+  return {
+    /**
+     * Whether drain() was called
+     * @returns {boolean}
+     */
+    get draining() {
+      return draining;
+    },
+
+    /**
+     * Reports the number of tasks in progress
+     * @returns {number}
+     */
+    size() {
+      return active;
+    },
+
+    /**
+     * Runs a task, counting it as in progress until it settles
+     * @param {Function} task - Task returning a promise
+     * @returns {Promise<*>} Result of the task
+     * @throws {ShutdownError} When the tracker is draining
+     */
+    async run(task) {
+      if (draining) {
+        throw new ShutdownError();
+      }
+      active++;
+      try {
+        return await task();
+      } finally {
+        active--;
+        if (active === 0) {
+          waiting.splice(0).forEach(resolve => resolve());
+        }
+      }
+    },
+
+    /**
+     * Stops admitting work and waits for the work in progress
+     * @param {number} timeoutMs - Deadline in milliseconds
+     * @returns {Promise<boolean>} True when everything finished, false when the deadline passed first
+     */
+    drain(timeoutMs) {
+      draining = true;
+      if (active === 0) {
+        return Promise.resolve(true);
+      }
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => resolve(false), timeoutMs);
+        waiting.push(() => {
+          clearTimeout(timer);
+          resolve(true);
+        });
+      });
+    }
+  };
+}
+
+/**
+ * Tracker shared by the tool handlers and the REST endpoints of the process
+ */
+export const sharedInFlight = createInFlightTracker();
+
+/**
+ * Runs a shutdown procedure on SIGINT and SIGTERM, then exits
+ *
+ * The process exits with 0 when the procedure reports a clean shutdown and
+ * with 1 when it reports abandoned work or fails. A second signal during
+ * shutdown exits at once.
+ *
+ * @param {Function} shutdown - Shutdown procedure, given the signal name and resolving to true when nothing was abandoned
+ * @param {Object} options - Options
+ * @param {Object} options.target - Emitter of the signals (default process)
+ * @param {Function} options.exit - Exits the process (default process.exit)
+ * @param {Object} options.logger - Logger (default sharedLogger)
+ */
+export function handleShutdownSignals(shutdown, { target = process, exit = code => process.exit(code), logger = sharedLogger } = {}) {
+  let shuttingDown = false;
+  const onSignal = async (signal) => {
+    if (shuttingDown) {
+      logger.warn('Second shutdown signal received, exiting immediately', { signal });
+      exit(1);
+      return;
+    }
+    shuttingDown = true;
+    logger.info('Shutting down server', { signal, timeoutSeconds: SHUTDOWN_TIMEOUT_SECONDS });
+    try {
+      const clean = await shutdown(signal);
+      logger.info('Server shutdown complete', { clean });
+      exit(clean ? 0 : 1);
+    } catch (error) {
+      logger.error('Error during shutdown', { error });
+      exit(1);
+    }
+  };
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    target.on(signal, onSignal);
+  }
+}
@@ -0,0 +1,785 @@
+import { JSDOM } from 'jsdom';
+import { createFontSelector, fontRoleForClasses } from './fonts.js';
+
+/**
+ * Presentation properties read from attributes, class rules and inline styles
+ */
+const PRESENTATION_PROPERTIES = [
+  'color', 'display', 'visibility', 'opacity',
+  'fill', 'fill-opacity', 'fill-rule',
+  'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray', 'stroke-linecap', 'stroke-linejoin',
+  'font-family', 'font-size', 'font-weight', 'font-style',
+  'text-anchor', 'dominant-baseline'
+];
+
+/**
+ * Properties that are not passed down from a group to its children
+ * (group opacity is approximated by multiplying it into the children)
+ */
+const NON_INHERITED_PROPERTIES = ['display', 'opacity'];
+
+/**
+ * Initial values of the inherited properties, as in a browser
+ */
+const INITIAL_STYLE = {
+  'color': '#000000',
+  'fill': '#000000',
+  'fill-opacity': '1',
+  'fill-rule': 'nonzero',
+  'stroke': 'none',
+  'stroke-width': '1',
+  'stroke-opacity': '1',
+  'stroke-dasharray': 'none',
+  'stroke-linecap': 'butt',
+  'stroke-linejoin': 'miter',
+  'font-family': 'Times New Roman',
+  'font-size': '16',
+  'font-weight': 'normal',
+  'font-style': 'normal',
+  'text-anchor': 'start',
+  'dominant-baseline': 'auto',
+  'visibility': 'visible'
+};
+
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Multiplies two affine matrices given as [a, b, c, d, e, f]
+ * @param {Array<number>} m1 - Outer matrix
+ * @param {Array<number>} m2 - Inner matrix
+ * @returns {Array<number>} m1 × m2
+ */
+function multiplyMatrices(m1, m2) {
+  const [a1, b1, c1, d1, e1, f1] = m1;
+  const [a2, b2, c2, d2, e2, f2] = m2;
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1
+  ];
+}
+
+/**
+ * Parses an SVG transform attribute into a single matrix
+ * @param {string} transform - Transform list, e.g. "translate(10 20) scale(2)"
+ * @returns {Array<number>} Matrix [a, b, c, d, e, f]
+ */
+export function parseTransform(transform) {
+  let matrix = IDENTITY_MATRIX;
+  if (!transform) {
+    return matrix;
+  }
+
+  for (const [, name, rawArgs] of transform.matchAll(/(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g)) {
+    const args = rawArgs.split(/[\s,]+/).filter(Boolean).map(Number);
+    let step;
+
+    switch (name) {
+      case 'matrix':
+        step = args.length === 6 ? args : IDENTITY_MATRIX;
+        break;
+      case 'translate':
+        step = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case 'scale':
+        step = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0];
+        break;
+      case 'rotate': {
+        const angle = ((args[0] || 0) * Math.PI) / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const [cx = 0, cy = 0] = args.slice(1);
+        // rotate(a cx cy) is translate(cx cy) rotate(a) translate(-cx -cy)
+        step = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+        break;
+      }
+      case 'skewX':
+        step = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        step = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+        break;
+    }
+
+    matrix = multiplyMatrices(matrix, step);
+  }
+
+  return matrix;
+}
+
+/**
+ * Applies a matrix to a point
+ * @param {Array<number>} matrix - Matrix [a, b, c, d, e, f]
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {Array<number>} Transformed [x, y]
+ */
+function applyMatrix(matrix, x, y) {
+  const [a, b, c, d, e, f] = matrix;
+  return [a * x + c * y + e, b * x + d * y + f];
+}
+
+/**
+ * Parses a CSS declaration block ("fill: red; stroke: none") into an object
+ * @param {string} declarations - Declaration block
+ * @returns {Object} Property values keyed by property name
+ */
+function parseDeclarations(declarations) {
+  const result = {};
+  for (const declaration of declarations.split(';')) {
+    const colon = declaration.indexOf(':');
+    if (colon === -1) {
+      continue;
+    }
+    const property = declaration.slice(0, colon).trim().toLowerCase();
+    const value = declaration.slice(colon + 1).replace(/!important/i, '').trim();
+    if (PRESENTATION_PROPERTIES.includes(property) && value) {
+      result[property] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Collects the simple rules (`tag`, `.class`, `tag.class`, `*`) of the
+ * document's <style> elements; combinators and pseudo-classes are skipped
+ * @param {Element} svgElement - Root SVG element
+ * @returns {Array<{tag: string|null, classes: Array<string>, style: Object}>} Rules in document order
+ */
+function collectStyleRules(svgElement) {
+  const rules = [];
+
+  for (const styleElement of svgElement.querySelectorAll('style')) {
+    const css = styleElement.textContent.replace(/\/\*[\s\S]*?\*\//g, '');
+    for (const [, selectorList, declarations] of css.matchAll(/([^{}]+)\{([^}]*)\}/g)) {
+      const style = parseDeclarations(declarations);
+      if (Object.keys(style).length === 0) {
+        continue;
+      }
+      for (const selector of selectorList.split(',').map(s => s.trim())) {
+        const match = selector.match(/^(\*|[a-zA-Z][\w-]*)?((?:\.[\w-]+)*)$/);
+        if (!match || !selector) {
+          continue;
+        }
+        rules.push({
+          tag: match[1] && match[1] !== '*' ? match[1].toLowerCase() : null,
+          classes: match[2].split('.').filter(Boolean),
+          style
+        });
+      }
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Resolves the style of an element: inherited values, then presentation
+ * attributes, then matching class rules, then the inline style attribute
+ * @param {Element} node - SVG element
+ * @param {Object} parentStyle - Computed style of the parent
+ * @param {Array} rules - Rules from collectStyleRules
+ * @returns {Object} Computed style
+ */
+function computeStyle(node, parentStyle, rules) {
+  const style = { ...parentStyle };
+  for (const property of NON_INHERITED_PROPERTIES) {
+    delete style[property];
+  }
+
+  for (const property of PRESENTATION_PROPERTIES) {
+    const value = node.getAttribute(property);
+    if (value !== null && value !== '') {
+      style[property] = value.trim();
+    }
+  }
+
+  const tag = node.tagName.toLowerCase();
+  const classes = (node.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+  for (const rule of rules) {
+    if ((!rule.tag || rule.tag === tag) && rule.classes.every(c => classes.includes(c))) {
+      Object.assign(style, rule.style);
+    }
+  }
+
+  Object.assign(style, parseDeclarations(node.getAttribute('style') || ''));
+
+  // Relative font sizes are resolved against the parent's size
+  style['font-size'] = String(parseLength(style['font-size'], parseFloat(parentStyle['font-size'])));
+  style.groupOpacity = (parentStyle.groupOpacity ?? 1) * parseOpacity(style.opacity);
+
+  return style;
+}
+
+/**
+ * Parses an SVG length, resolving em and percentage units
+ * @param {string} value - Length such as "12", "12px", "0.7em" or "70%"
+ * @param {number} reference - Size that em and percentages are relative to
+ * @returns {number} Length in user units
+ */
+function parseLength(value, reference) {
+  const number = parseFloat(value);
+  if (Number.isNaN(number)) {
+    return reference;
+  }
+  if (/em$/.test(value)) {
+    return number * reference;
+  }
+  if (/%$/.test(value)) {
+    return (number / 100) * reference;
+  }
+  return number;
+}
+
+/**
+ * Parses an opacity value, clamped to [0, 1]
+ * @param {string} value - Opacity, possibly undefined
+ * @returns {number} Opacity
+ */
+function parseOpacity(value) {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? 1 : Math.max(0, Math.min(1, number));
+}
+
+/**
+ * Resolves an SVG paint value to something pdfkit accepts
+ * @param {string} value - Paint such as "none", "currentColor", "#333" or "rgb(0, 0, 0)"
+ * @param {string} currentColor - Value of the color property
+ * @returns {{color: string|Array<number>, alpha: number}|null} Paint, or null when nothing is painted
+ */
+function parsePaint(value, currentColor) {
+  if (!value || value === 'none' || value === 'transparent' || value.startsWith('url(')) {
+    return null;
+  }
+  if (value === 'currentColor') {
+    return parsePaint(currentColor, '#000000');
+  }
+
+  const rgb = value.match(/^rgba?\(([^)]*)\)$/i);
+  if (rgb) {
+    const parts = rgb[1].split(/[\s,/]+/).filter(Boolean);
+    const channels = parts.slice(0, 3).map(part => (
+      part.endsWith('%') ? (parseFloat(part) * 255) / 100 : parseFloat(part)
+    ));
+    return { color: channels, alpha: parts[3] === undefined ? 1 : parseOpacity(parts[3]) };
+  }
+
+  return { color: value.toLowerCase(), alpha: 1 };
+}
+
+/**
+ * Converts a basic shape element to equivalent path data
+ * @param {Element} node - rect, circle, ellipse, line, polygon or polyline element
+ * @returns {string|null} Path data, or null when the shape is empty
+ */
+function shapeToPath(node) {
+  const number = (name) => parseFloat(node.getAttribute(name)) || 0;
+
+  switch (node.tagName.toLowerCase()) {
+    case 'rect': {
+      const x = number('x');
+      const y = number('y');
+      const width = number('width');
+      const height = number('height');
+      if (width <= 0 || height <= 0) {
+        return null;
+      }
+      let rx = node.hasAttribute('rx') ? number('rx') : number('ry');
+      let ry = node.hasAttribute('ry') ? number('ry') : number('rx');
+      rx = Math.min(rx, width / 2);
+      ry = Math.min(ry, height / 2);
+      if (rx <= 0 || ry <= 0) {
+        return `M ${x} ${y} H ${x + width} V ${y + height} H ${x} Z`;
+      }
+      return `M ${x + rx} ${y} H ${x + width - rx} A ${rx} ${ry} 0 0 1 ${x + width} ${y + ry} ` +
+        `V ${y + height - ry} A ${rx} ${ry} 0 0 1 ${x + width - rx} ${y + height} ` +
+        `H ${x + rx} A ${rx} ${ry} 0 0 1 ${x} ${y + height - ry} ` +
+        `V ${y + ry} A ${rx} ${ry} 0 0 1 ${x + rx} ${y} Z`;
+    }
+    case 'circle':
+    case 'ellipse': {
+      const cx = number('cx');
+      const cy = number('cy');
+      const rx = node.tagName.toLowerCase() === 'circle' ? number('r') : number('rx');
+      const ry = node.tagName.toLowerCase() === 'circle' ? number('r') : number('ry');
+      if (rx <= 0 || ry <= 0) {
+        return null;
+      }
+      return `M ${cx - rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx + rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx - rx} ${cy} Z`;
+    }
+    case 'line':
+      return `M ${number('x1')} ${number('y1')} L ${number('x2')} ${number('y2')}`;
+    case 'polygon':
+    case 'polyline': {
+      const points = (node.getAttribute('points') || '').split(/[\s,]+/).filter(Boolean).map(Number);
+      if (points.length < 4) {
+        return null;
+      }
+      const pairs = [];
+      for (let i = 0; i + 1 < points.length; i += 2) {
+        pairs.push(`${points[i]} ${points[i + 1]}`);
+      }
+      return `M ${pairs.join(' L ')}${node.tagName.toLowerCase() === 'polygon' ? ' Z' : ''}`;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Builds the drawing attributes shared by every shape from a computed style
+ * @param {Object} style - Computed style
+ * @returns {Object} Paint and stroke attributes
+ */
+function paintAttributes(style) {
+  const opacity = style.groupOpacity;
+  const fill = parsePaint(style.fill, style.color);
+  const stroke = parsePaint(style.stroke, style.color);
+  const dashes = style['stroke-dasharray'] === 'none'
+    ? []
+    : style['stroke-dasharray'].split(/[\s,]+/).map(parseFloat).filter(n => n > 0);
+
+  return {
+    fill: fill ? fill.color : 'none',
+    fillOpacity: fill ? fill.alpha * parseOpacity(style['fill-opacity']) * opacity : 0,
+    fillRule: style['fill-rule'] === 'evenodd' ? 'even-odd' : 'non-zero',
+    stroke: stroke ? stroke.color : 'none',
+    strokeOpacity: stroke ? stroke.alpha * parseOpacity(style['stroke-opacity']) * opacity : 0,
+    strokeWidth: parseFloat(style['stroke-width']) || 0,
+    strokeDasharray: dashes.length % 2 === 1 ? dashes.concat(dashes) : dashes,
+    strokeLinecap: style['stroke-linecap'],
+    strokeLinejoin: style['stroke-linejoin']
+  };
+}
+
+/**
+ * Splits a <text> element into positioned runs, one per text node, following
+ * the x, y and dy attributes of the text and its nested <tspan> elements
+ * @param {Element} node - Text element
+ * @param {Object} style - Computed style of the text element
+ * @param {Array} rules - Rules from collectStyleRules
+ * @returns {Array<Object>} Runs; a run with x === null continues after the previous one
+ */
+function collectTextRuns(node, style, rules) {
+  const runs = [];
+  const position = { x: null, y: 0 };
+  const firstNumber = (value) => parseFloat(String(value).split(/[\s,]+/)[0]);
+
+  const visit = (element, elementStyle) => {
+    const fontSize = parseFloat(elementStyle['font-size']);
+    if (element.hasAttribute('x')) {
+      position.x = firstNumber(element.getAttribute('x'));
+    }
+    if (element.hasAttribute('y')) {
+      position.y = firstNumber(element.getAttribute('y'));
+    }
+    if (element.hasAttribute('dx') && position.x !== null) {
+      position.x += parseLength(element.getAttribute('dx').split(/[\s,]+/)[0], fontSize);
+    }
+    if (element.hasAttribute('dy')) {
+      position.y += parseLength(element.getAttribute('dy').split(/[\s,]+/)[0], fontSize);
+    }
+
+    for (const child of element.childNodes) {
+      if (child.nodeType === 3) {
+        const content = child.textContent.replace(/\s+/g, ' ');
+        if (content.trim() === '' || elementStyle.visibility === 'hidden') {
+          continue;
+        }
+        runs.push({
+          content,
+          x: position.x,
+          y: position.y,
+          fontSize,
+          fontFamily: elementStyle['font-family'],
+          fontWeight: elementStyle['font-weight'],
+          fontStyle: elementStyle['font-style'],
+          ...paintAttributes(elementStyle)
+        });
+        // Following text continues where this run ends
+        position.x = null;
+      } else if (child.nodeType === 1 && child.tagName.toLowerCase() === 'tspan') {
+        const childStyle = computeStyle(child, elementStyle, rules);
+        if (childStyle.display !== 'none') {
+          visit(child, childStyle);
+        }
+      }
+    }
+  };
+
+  visit(node, style);
+  return runs;
+}
+
+/**
+ * Extracts drawable elements from SVG for PDF rendering
+ *
+ * The tree is walked depth-first so that nested <g> transforms, presentation
+ * attributes, <style> class rules and inline styles all apply as they do in a
+ * browser. Basic shapes are converted to path data, and text is split into
+ * runs carrying their own font and position. Each text element is tagged with
+ * the font role (title, lyrics, ...) that its abcjs class stands for.
+ *
+ * @param {string} svgString - SVG string
+ * @returns {Array} Metadata followed by path and text elements in paint order
+ */
+export function extractSvgElements(svgString) {
+  const dom = new JSDOM(svgString);
+  const document = dom.window.document;
+  const svgElement = document.querySelector('svg');
+
+  if (!svgElement) {
+    throw new Error('Invalid SVG content');
+  }
+
+  const elements = [];
+
+  // Extract viewBox and dimensions; responsive output only carries a viewBox
+  const viewBox = svgElement.getAttribute('viewBox');
+  const viewBoxSize = viewBox ? viewBox.split(/[\s,]+/).map(parseFloat).slice(2) : [];
+  const width = svgElement.getAttribute('width') || viewBoxSize[0];
+  const height = svgElement.getAttribute('height') || viewBoxSize[1];
+
+  elements.push({
+    type: 'metadata',
+    viewBox,
+    width: width ? parseFloat(width) : 600,
+    height: height ? parseFloat(height) : 800
+  });
+
+  const rules = collectStyleRules(svgElement);
+  const rootStyle = computeStyle(svgElement, INITIAL_STYLE, rules);
+
+  // group is the index of the top-level child (title block or staff system)
+  // holding a node, used later to paginate the score system by system
+  const walk = (node, style, matrix, group) => {
+    for (const child of node.children) {
+      const tag = child.tagName.toLowerCase();
+      if (['style', 'title', 'desc', 'defs', 'metadata', 'clippath', 'mask', 'symbol'].includes(tag)) {
+        continue;
+      }
+
+      const childStyle = computeStyle(child, style, rules);
+      if (childStyle.display === 'none') {
+        continue;
+      }
+      const childMatrix = child.hasAttribute('transform')
+        ? multiplyMatrices(matrix, parseTransform(child.getAttribute('transform')))
+        : matrix;
+      const childGroup = group ?? Array.prototype.indexOf.call(svgElement.children, child);
+
+      if (tag === 'g' || tag === 'svg') {
+        walk(child, childStyle, childMatrix, childGroup);
+      } else if (tag === 'text') {
+        const runs = collectTextRuns(child, childStyle, rules);
+        if (runs.length > 0) {
+          elements.push({
+            type: 'text',
+            content: runs.map(run => run.content).join(''),
+            x: runs[0].x ?? 0,
+            y: runs[0].y,
+            fontSize: parseFloat(childStyle['font-size']),
+            role: fontRoleForClasses((child.getAttribute('class') || '').split(/\s+/)),
+            anchor: childStyle['text-anchor'],
+            baseline: childStyle['dominant-baseline'],
+            runs,
+            matrix: childMatrix,
+            group: childGroup
+          });
+        }
+      } else if (childStyle.visibility !== 'hidden') {
+        const d = tag === 'path' ? child.getAttribute('d') : shapeToPath(child);
+        if (d) {
+          const paint = paintAttributes(childStyle);
+          elements.push({
+            type: 'path',
+            d,
+            ...paint,
+            // Lines have no interior to fill
+            fill: tag === 'line' ? 'none' : paint.fill,
+            matrix: childMatrix,
+            group: childGroup
+          });
+        }
+      }
+    }
+  };
+
+  walk(svgElement, rootStyle, parseTransform(svgElement.getAttribute('transform')), null);
+
+  return elements;
+}
+
+/**
+ * Computes the bounding box of an SVG path, including curve control points
+ * @param {string} d - Path data
+ * @returns {{left: number, top: number, right: number, bottom: number}|null} Bounds, or null for an empty path
+ */
+export function pathBBox(d) {
+  const tokens = d.match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+  // Number of arguments per command; coordinates come in x, y pairs except
+  // for H/V and arcs, which are handled separately
+  const argCounts = { m: 2, l: 2, t: 2, h: 1, v: 1, c: 6, s: 4, q: 4, a: 7, z: 0 };
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  const box = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+  let command = null;
+  let i = 0;
+
+  const include = (px, py) => {
+    box.left = Math.min(box.left, px);
+    box.right = Math.max(box.right, px);
+    box.top = Math.min(box.top, py);
+    box.bottom = Math.max(box.bottom, py);
+  };
+
+  while (i < tokens.length) {
+    if (/[a-z]/i.test(tokens[i])) {
+      command = tokens[i++];
+    }
+    if (!command) {
+      break;
+    }
+
+    const lower = command.toLowerCase();
+    const relative = command === lower;
+
+    if (lower === 'z') {
+      x = startX;
+      y = startY;
+      command = null;
+      continue;
+    }
+
+    const count = argCounts[lower];
+    if (count === undefined || i + count > tokens.length) {
+      break;
+    }
+    const args = tokens.slice(i, i + count).map(Number);
+    i += count;
+
+    if (lower === 'h') {
+      x = relative ? x + args[0] : args[0];
+    } else if (lower === 'v') {
+      y = relative ? y + args[0] : args[0];
+    } else if (lower === 'a') {
+      // Arcs bulge at most by their radii beyond the end points
+      const endX = relative ? x + args[5] : args[5];
+      const endY = relative ? y + args[6] : args[6];
+      include(Math.min(x, endX) - Math.abs(args[0]), Math.min(y, endY) - Math.abs(args[1]));
+      include(Math.max(x, endX) + Math.abs(args[0]), Math.max(y, endY) + Math.abs(args[1]));
+      x = endX;
+      y = endY;
+    } else {
+      for (let k = 0; k < count; k += 2) {
+        include(relative ? x + args[k] : args[k], relative ? y + args[k + 1] : args[k + 1]);
+      }
+      x = relative ? x + args[count - 2] : args[count - 2];
+      y = relative ? y + args[count - 1] : args[count - 1];
+    }
+    include(x, y);
+
+    if (lower === 'm') {
+      startX = x;
+      startY = y;
+      // Further coordinate pairs after a moveto are implicit linetos
+      command = relative ? 'l' : 'L';
+    }
+  }
+
+  return box.top === Infinity ? null : box;
+}
+
+/**
+ * Computes the vertical extent of an SVG path, including curve control points
+ * @param {string} d - Path data
+ * @returns {{top: number, bottom: number}|null} Bounds, or null for an empty path
+ */
+export function pathBounds(d) {
+  const box = pathBBox(d);
+  return box ? { top: box.top, bottom: box.bottom } : null;
+}
+
+/**
+ * Estimates the vertical extent of an extracted element in SVG user space
+ * @param {Object} element - Path or text element from extractSvgElements
+ * @returns {{top: number, bottom: number}|null} Bounds, or null when nothing is drawn
+ */
+function elementBounds(element) {
+  let box;
+  if (element.type === 'path') {
+    box = pathBBox(element.d);
+  } else {
+    // Text is anchored on its baseline unless centred on it
+    const runs = element.runs || [element];
+    const last = runs[runs.length - 1];
+    box = element.baseline === 'middle' || element.baseline === 'central'
+      ? { left: element.x, right: element.x, top: element.y - element.fontSize / 2, bottom: last.y + element.fontSize / 2 }
+      : { left: element.x, right: element.x, top: element.y - element.fontSize, bottom: last.y + element.fontSize * 0.25 };
+  }
+  if (!box || !element.matrix) {
+    return box;
+  }
+
+  const corners = [
+    applyMatrix(element.matrix, box.left, box.top),
+    applyMatrix(element.matrix, box.right, box.top),
+    applyMatrix(element.matrix, box.left, box.bottom),
+    applyMatrix(element.matrix, box.right, box.bottom)
+  ];
+  const ys = corners.map(corner => corner[1]);
+  return { top: Math.min(...ys), bottom: Math.max(...ys) };
+}
+
+/**
+ * Groups extracted SVG elements into vertically stacked blocks (title area and
+ * staff systems) that can be placed on pages independently
+ * @param {Array} elements - Elements returned by extractSvgElements
+ * @returns {Array<{elements: Array, top: number, bottom: number}>} Blocks in score order
+ */
+export function splitIntoSystems(elements) {
+  const blocks = new Map();
+
+  for (const element of elements) {
+    if (element.type === 'metadata') {
+      continue;
+    }
+
+    const bounds = elementBounds(element);
+    if (!bounds) {
+      continue;
+    }
+
+    const key = element.group ?? -1;
+    if (!blocks.has(key)) {
+      blocks.set(key, { elements: [], top: Infinity, bottom: -Infinity });
+    }
+    const block = blocks.get(key);
+    block.elements.push(element);
+    block.top = Math.min(block.top, bounds.top);
+    block.bottom = Math.max(block.bottom, bounds.bottom);
+  }
+
+  return Array.from(blocks.keys())
+    .sort((a, b) => a - b)
+    .map(key => blocks.get(key));
+}
+
+/**
+ * pdfkit text baseline matching an SVG dominant-baseline value
+ */
+const TEXT_BASELINES = {
+  middle: 'svg-middle',
+  central: 'svg-central',
+  hanging: 'hanging',
+  'text-before-edge': 'top',
+  'text-after-edge': 'bottom',
+  ideographic: 'ideographic'
+};
+
+/**
+ * Draws one path element
+ * @param {PDFDocument} doc - Target document
+ * @param {Object} element - Path element from extractSvgElements
+ */
+function drawPath(doc, element) {
+  const fill = element.fill && element.fill !== 'none';
+  const stroke = element.stroke && element.stroke !== 'none' && element.strokeWidth > 0;
+  if (!fill && !stroke) {
+    return;
+  }
+
+  doc.path(element.d);
+
+  if (fill) {
+    doc.fillColor(element.fill, element.fillOpacity ?? 1);
+  }
+  if (stroke) {
+    doc.strokeColor(element.stroke, element.strokeOpacity ?? 1)
+       .lineWidth(element.strokeWidth)
+       .lineCap(element.strokeLinecap || 'butt')
+       .lineJoin(element.strokeLinejoin || 'miter');
+    if (element.strokeDasharray?.length) {
+      doc.dash(element.strokeDasharray);
+    } else {
+      doc.undash();
+    }
+  }
+
+  const rule = element.fillRule || 'non-zero';
+  if (fill && stroke) {
+    doc.fillAndStroke(rule);
+  } else if (fill) {
+    doc.fill(rule);
+  } else {
+    doc.stroke();
+  }
+}
+
+/**
+ * Draws one text element, honouring text-anchor per chunk (a chunk starts at
+ * every run with its own x position) and the SVG alphabetic baseline
+ * @param {PDFDocument} doc - Target document
+ * @param {Object} element - Text element from extractSvgElements
+ * @param {Object} fonts - Font selector from createFontSelector
+ */
+function drawText(doc, element, fonts) {
+  const runs = element.runs || [{ ...element, fill: '#000000', fillOpacity: 1 }];
+  const baseline = TEXT_BASELINES[element.baseline] || 'alphabetic';
+
+  const useFont = (run) => fonts
+    .use(element.role, run.fontFamily, run.fontWeight, run.fontStyle)
+    .fontSize(run.fontSize);
+
+  let cursorX = 0;
+  for (let i = 0; i < runs.length; i++) {
+    if (runs[i].x !== null && runs[i].x !== undefined) {
+      // Measure the whole chunk to place it according to text-anchor
+      let chunkWidth = 0;
+      for (let j = i; j < runs.length && (j === i || runs[j].x === null); j++) {
+        chunkWidth += useFont(runs[j]).widthOfString(runs[j].content);
+      }
+      const shift = element.anchor === 'middle' ? chunkWidth / 2 : element.anchor === 'end' ? chunkWidth : 0;
+      cursorX = runs[i].x - shift;
+    }
+
+    const run = runs[i];
+    useFont(run);
+    const width = doc.widthOfString(run.content);
+    if (run.fill && run.fill !== 'none') {
+      doc.fillColor(run.fill, run.fillOpacity ?? 1)
+         .text(run.content, cursorX, run.y, { lineBreak: false, baseline });
+    }
+    cursorX += width;
+  }
+}
+
+/**
+ * Draws extracted SVG elements onto the current PDF page
+ * @param {PDFDocument} doc - Target document, already translated and scaled
+ * @param {Array} elements - Elements to draw
+ * @param {Object} fonts - Font selector from createFontSelector (default: built-in fonts)
+ */
+export function drawSvgElements(doc, elements, fonts = createFontSelector(doc)) {
+  for (const element of elements) {
+    const transformed = element.matrix && element.matrix.some((value, i) => value !== IDENTITY_MATRIX[i]);
+
+    doc.save();
+    if (transformed) {
+      doc.transform(...element.matrix);
+    }
+
+    if (element.type === 'path') {
+      drawPath(doc, element);
+    } else if (element.type === 'text') {
+      drawText(doc, element, fonts);
+    }
+
+    doc.restore();
+  }
+}
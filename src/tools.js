@@ -0,0 +1,1258 @@
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode,
+} from '@modelcontextprotocol/sdk/types.js';
+import { ZodError } from 'zod';
+import {
+  validateAbcNotation,
+  formatAbcWarnings,
+  AbcToPdfSchema,
+  AbcToSvgSchema,
+  ValidateAbcSchema,
+} from './index.js';
+import { AbcToMidiSchema, MidiToAbcSchema } from './midi.js';
+import { AbcToAudioSchema, INSTRUMENTS } from './audio.js';
+import { intervalToSemitones, AbcTransposeSchema, INTERVALS } from './transpose.js';
+import { MusicXmlToAbcSchema, AbcToMusicXmlSchema } from './musicxml.js';
+import { FONT_ROLES } from './fonts.js';
+import { inlineRenderer } from './render-pool.js';
+import { sharedRenderCache, renderCacheKey } from './cache.js';
+import { checkAbcLimits } from './limits.js';
+import { sharedArtifactStore, artifactFileName, SCORE_URI_TEMPLATE, ARTIFACT_FORMATS } from './artifacts.js';
+import { PROMPTS, getPrompt } from './prompts.js';
+import { sharedMetrics, validationFailureReason } from './metrics.js';
+import { sharedLogger, withLogContext } from './logger.js';
+import { sharedInFlight } from './shutdown.js';
+import {
+  sharedScoreLibrary,
+  ScoreSaveSchema,
+  ScoreListSchema,
+  ScoreSearchSchema,
+  ScoreGetSchema,
+  ScoreDeleteSchema,
+} from './library.js';
+
+/**
+ * JSON-RPC error code for unknown resources, as defined by the MCP specification
+ */
+const RESOURCE_NOT_FOUND = -32002;
+
+/**
+ * JSON schema for the ABC input shared by every tool
+ */
+const ABC_NOTATION_PROPERTY = {
+  type: 'string',
+  description: 'The ABC notation string to convert. Must be valid ABC notation format. ' +
+              'Example (use actual newlines, not escape sequences): ' +
+              'X:1 [newline] T:Scale [newline] M:4/4 [newline] L:1/4 [newline] K:C [newline] C D E F | G A B c |',
+};
+
+/**
+ * JSON schema for selecting tunes from a multi-tune ABC file
+ */
+const TUNES_PROPERTY = {
+  type: 'array',
+  items: { type: ['integer', 'string'] },
+  description: 'Optional list of tunes to render from a multi-tune ABC file, selected by X: reference number or by title. All tunes are rendered when omitted.',
+};
+
+/**
+ * Tool definitions advertised by both the stdio and the HTTP server
+ */
+export const TOOLS = [
+  {
+    name: 'validate_abc',
+    description: 'Check ABC music notation before rendering it. Reports every abcjs parser warning with its line, column, message and the offending snippet, so the ABC can be corrected and re-checked. Returns a JSON report with "valid", "errors" and "warnings".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        abc_notation: {
+          type: 'string',
+          description: 'The ABC notation string to validate.',
+        },
+      },
+      required: ['abc_notation'],
+    },
+  },
+  {
+    name: 'abc_to_pdf',
+    description: 'Convert ABC music notation to PDF sheet music. ABC notation is a text-based music notation system that can represent melodies, chords, and rhythms. The tool validates the input, renders it as sheet music, and returns a link to the PDF, which can be read as a partitura://scores resource.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        abc_notation: ABC_NOTATION_PROPERTY,
+        title: {
+          type: 'string',
+          description: 'Optional title for the PDF document. If not provided, defaults to "Music Sheet".',
+        },
+        composer: {
+          type: 'string',
+          description: 'Optional composer name for the PDF document metadata.',
+        },
+        tunes: TUNES_PROPERTY,
+        tune_break: {
+          type: 'string',
+          enum: ['system', 'page'],
+          description: 'Whether each tune after the first starts on a new system (default) or on a new page.',
+        },
+        paper_size: {
+          oneOf: [
+            { type: 'string', enum: ['A4', 'Letter', 'Legal', 'A3', 'B4'] },
+            {
+              type: 'object',
+              properties: {
+                width: { type: 'number' },
+                height: { type: 'number' },
+              },
+              required: ['width', 'height'],
+            },
+          ],
+          description: 'Paper size: A4 (default), Letter, Legal, A3, B4, or a custom { width, height } in points (72 points = 1 inch).',
+        },
+        orientation: {
+          type: 'string',
+          enum: ['portrait', 'landscape'],
+          description: 'Page orientation. Defaults to portrait.',
+        },
+        margins: {
+          oneOf: [
+            { type: 'number' },
+            {
+              type: 'object',
+              properties: {
+                top: { type: 'number' },
+                right: { type: 'number' },
+                bottom: { type: 'number' },
+                left: { type: 'number' },
+              },
+            },
+          ],
+          description: 'Page margins in points, as one number for every side or per side. Defaults to 50.',
+        },
+        staff_width: {
+          type: 'number',
+          description: 'Width of the staff in notation units; wider staves fit more bars on each line. Defaults to filling the printable width.',
+        },
+        scale: {
+          type: 'number',
+          description: 'Size of one notation unit in points, i.e. how large the notation is printed. Defaults to about 0.79 on A4 portrait. Reduced automatically if the staff would not fit the page.',
+        },
+        staff_spacing: {
+          type: 'number',
+          description: 'Vertical space between staff systems in points. Defaults to 6.',
+        },
+        fonts: {
+          type: 'object',
+          properties: Object.fromEntries(FONT_ROLES.map(role => [role, { type: 'string' }])),
+          description: 'Optional font name per text role: default, title, lyrics, chords, annotations. ' +
+                      'Built-in Unicode fonts are "serif", "sans" and "mono"; the server may install more (TTF/OTF files in PARTITURA_FONT_DIR, named after the file). ' +
+                      'Without a choice, text uses the built-in family closest to the one abcjs asks for.',
+        },
+      },
+      required: ['abc_notation'],
+    },
+  },
+  {
+    name: 'abc_to_svg',
+    description: 'Convert ABC music notation to SVG sheet music for embedding in web pages. Returns one sanitized, standalone SVG document per tune, both as text and as a link to an image/svg+xml resource.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        abc_notation: ABC_NOTATION_PROPERTY,
+        tunes: TUNES_PROPERTY,
+        staff_width: {
+          type: 'number',
+          description: 'Width of the staff in SVG units. Defaults to 600.',
+        },
+        scale: {
+          type: 'number',
+          description: 'Notation scale factor. Defaults to 1.5. Only applies when responsive is false.',
+        },
+        responsive: {
+          type: 'boolean',
+          description: 'If true (default), the SVG has no fixed size and scales to the width of its container.',
+        },
+      },
+      required: ['abc_notation'],
+    },
+  },
+  {
+    name: 'abc_to_midi',
+    description: 'Convert ABC music notation to a Standard MIDI File so the music can be played back. Honours tempo (Q:), meter, repeats, multiple voices (V:) and %%MIDI program directives. Returns a link to one MIDI file per tune.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        abc_notation: ABC_NOTATION_PROPERTY,
+        tunes: TUNES_PROPERTY,
+        tempo: {
+          type: 'number',
+          description: 'Optional tempo in quarter notes per minute. Overrides the Q: field of the tune.',
+        },
+      },
+      required: ['abc_notation'],
+    },
+  },
+  {
+    name: 'abc_to_audio',
+    description: 'Convert ABC music notation to a WAV audio file that any client can play. Audio is synthesized offline with built-in instruments, so no MIDI support is needed. Returns a link to one WAV file per tune.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        abc_notation: ABC_NOTATION_PROPERTY,
+        tunes: TUNES_PROPERTY,
+        tempo: {
+          type: 'number',
+          description: 'Optional tempo in quarter notes per minute. Overrides the Q: field of the tune.',
+        },
+        instrument: {
+          type: 'string',
+          enum: Object.keys(INSTRUMENTS),
+          description: 'Optional instrument for every voice. By default each voice uses the instrument closest to its %%MIDI program (piano when none is given).',
+        },
+        sample_rate: {
+          type: 'integer',
+          description: 'Sample rate in Hz, between 8000 and 48000. Defaults to 22050.',
+        },
+      },
+      required: ['abc_notation'],
+    },
+  },
+  {
+    name: 'abc_transpose',
+    description: 'Transpose ABC music notation up or down and return the transposed ABC. Rewrites the K: key signature, notes, accidentals and quoted chord symbols (e.g. "Am", "G7/B"). Use this instead of transposing ABC by hand. Give either semitones or a named interval.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        abc_notation: ABC_NOTATION_PROPERTY,
+        semitones: {
+          type: 'integer',
+          description: 'Number of semitones to transpose by, from -24 to 24. Negative values transpose down (e.g. -2 for "a tone lower").',
+        },
+        interval: {
+          type: 'string',
+          enum: Object.keys(INTERVALS),
+          description: 'Named interval to transpose by instead of semitones: P1, m2, M2 (a tone), m3, M3, P4, A4, d5, P5, m6, M6, m7, M7, P8 (an octave).',
+        },
+        direction: {
+          type: 'string',
+          enum: ['up', 'down'],
+          description: 'Direction for interval transposition. Defaults to up.',
+        },
+        tunes: TUNES_PROPERTY,
+        render: {
+          type: 'string',
+          enum: ['pdf'],
+          description: 'Set to "pdf" to also render the transposed ABC to PDF sheet music.',
+        },
+        title: {
+          type: 'string',
+          description: 'Optional title for the PDF document when render is "pdf".',
+        },
+        composer: {
+          type: 'string',
+          description: 'Optional composer name for the PDF document when render is "pdf".',
+        },
+      },
+      required: ['abc_notation'],
+    },
+  },
+  {
+    name: 'musicxml_to_abc',
+    description: 'Convert a MusicXML score, as exported by MuseScore, Finale, Sibelius or Dorico, to ABC notation that the other tools accept. Parts and voices, ties, tuplets, lyrics, chord symbols, repeats and key and meter changes are converted. Give either the MusicXML text or a base64-encoded .mxl or .musicxml file.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        musicxml: {
+          type: 'string',
+          description: 'Uncompressed MusicXML document: the contents of a .musicxml or .xml file.',
+        },
+        musicxml_base64: {
+          type: 'string',
+          description: 'Base64-encoded file instead of musicxml: a compressed .mxl file or a .musicxml file.',
+        },
+        title: {
+          type: 'string',
+          description: 'Optional title of the tune, overriding the title of the score.',
+        },
+        composer: {
+          type: 'string',
+          description: 'Optional composer of the tune, overriding the composer of the score.',
+        },
+        bars_per_line: {
+          type: 'integer',
+          description: 'Bars per ABC line, from 1 to 32, when the score has no system breaks. Defaults to 4.',
+        },
+        render: {
+          type: 'string',
+          enum: ['pdf'],
+          description: 'Set to "pdf" to also render the converted ABC to PDF sheet music.',
+        },
+      },
+    },
+  },
+  {
+    name: 'abc_to_musicxml',
+    description: 'Convert ABC music notation to MusicXML 4.0, so the score can be opened and edited in MuseScore, Dorico, Finale or Sibelius. Voices, clefs, key and meter changes, ties, slurs, tuplets, dynamics, lyrics and chord symbols are converted. Returns a link to one MusicXML file per tune.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        abc_notation: ABC_NOTATION_PROPERTY,
+        tunes: TUNES_PROPERTY,
+      },
+      required: ['abc_notation'],
+    },
+  },
+  {
+    name: 'midi_to_abc',
+    description: 'Convert a Standard MIDI File, such as a melody recorded on a keyboard, to ABC notation that the other tools accept. Notes are quantized to a grid, with triplets where they fit; the key and meter come from the file or are detected unless given; each track becomes a V: voice. Give the file base64-encoded.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        midi_base64: {
+          type: 'string',
+          description: 'Base64-encoded Standard MIDI File (.mid).',
+        },
+        quantize: {
+          type: 'string',
+          enum: ['1/4', '1/8', '1/16', '1/32'],
+          description: 'Grid that note starts and ends snap to, i.e. the shortest note written. Defaults to 1/16.',
+        },
+        triplets: {
+          type: 'boolean',
+          description: 'Whether to detect eighth-note and quarter-note triplets. Defaults to true.',
+        },
+        key: {
+          type: 'string',
+          description: 'Optional key such as "G", "Em" or "DDor", overriding the key signature of the file and key detection.',
+        },
+        meter: {
+          type: 'string',
+          description: 'Optional meter such as "4/4", "3/4", "6/8" or "C", overriding the time signature of the file and meter detection.',
+        },
+        title: {
+          type: 'string',
+          description: 'Optional title of the tune, overriding the name in the file.',
+        },
+        composer: {
+          type: 'string',
+          description: 'Optional composer of the tune.',
+        },
+        bars_per_line: {
+          type: 'integer',
+          description: 'Bars per ABC line, from 1 to 32. Defaults to 4.',
+        },
+        render: {
+          type: 'string',
+          enum: ['pdf'],
+          description: 'Set to "pdf" to also render the converted ABC to PDF sheet music.',
+        },
+      },
+      required: ['midi_base64'],
+    },
+  },
+  {
+    name: 'score_save',
+    description: 'Save ABC notation to the score library so it can be found and rendered again in later conversations. Title, composer, key, meter and rhythm are read from the T:, C:, K:, M: and R: fields. Returns the saved score with its ID. Pass the ID of a saved score to replace it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        abc_notation: {
+          type: 'string',
+          description: 'The ABC notation to save. May hold several tunes.',
+        },
+        id: {
+          type: 'string',
+          description: 'Optional ID of a saved score to replace. A new score is created when omitted.',
+        },
+        title: {
+          type: 'string',
+          description: 'Optional title. Defaults to the T: field.',
+        },
+        composer: {
+          type: 'string',
+          description: 'Optional composer. Defaults to the C: field.',
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Optional free-text tags, e.g. ["session", "beginner"].',
+        },
+      },
+      required: ['abc_notation'],
+    },
+  },
+  {
+    name: 'score_list',
+    description: 'List the scores in the score library, most recently saved first. Returns JSON with the total count and, per score, its ID, title, composer, key, meter, rhythm, tags and save dates (no ABC; use score_get for that).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: {
+          type: 'integer',
+          description: 'Maximum number of scores to return, 1 to 500. Defaults to 50.',
+        },
+        offset: {
+          type: 'integer',
+          description: 'Number of scores to skip, for paging. Defaults to 0.',
+        },
+      },
+    },
+  },
+  {
+    name: 'score_search',
+    description: 'Search the score library. Every given criterion must match: query words may appear in any field; title, composer and rhythm match substrings; key and meter match exactly ("D" equals "D major", "C" equals "4/4"); every tag must be present. Results are most recently saved first, in the same format as score_list.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Words to find in the title, composer, key, meter, rhythm or tags, e.g. "hornpipe".',
+        },
+        title: { type: 'string', description: 'Part of the title.' },
+        composer: { type: 'string', description: 'Part of the composer name.' },
+        key: { type: 'string', description: 'Key, e.g. "D", "Em", "A dorian".' },
+        meter: { type: 'string', description: 'Meter, e.g. "6/8".' },
+        rhythm: { type: 'string', description: 'Part of the R: field, e.g. "reel", "jig", "hornpipe".' },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Tags that must all be present.',
+        },
+        saved_after: {
+          type: 'string',
+          description: 'Only scores saved at or after this ISO 8601 date or date-time, e.g. "2024-05-01".',
+        },
+        saved_before: {
+          type: 'string',
+          description: 'Only scores saved before this ISO 8601 date or date-time.',
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum number of scores to return, 1 to 500. Defaults to 50.',
+        },
+      },
+    },
+  },
+  {
+    name: 'score_get',
+    description: 'Load a score from the score library by ID. Returns its metadata and ABC notation, which can be passed to abc_transpose or the other tools. Set render to also render it; renders of library scores are cached.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Score ID from score_save, score_list or score_search.',
+        },
+        render: {
+          type: 'string',
+          enum: ['pdf', 'svg', 'midi', 'audio'],
+          description: 'Optionally render the score, as abc_to_pdf, abc_to_svg, abc_to_midi or abc_to_audio would with default options.',
+        },
+      },
+      required: ['id'],
+    },
+  },
+  {
+    name: 'score_delete',
+    description: 'Delete a score from the score library by ID. Returns the deleted score metadata.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Score ID from score_save, score_list or score_search.',
+        },
+      },
+      required: ['id'],
+    },
+  },
+];
+
+/**
+ * Executes validate_abc
+ */
+async function handleValidateAbc(args, { renderer, metrics }) {
+  const validatedArgs = ValidateAbcSchema.parse(args);
+
+  const errors = [];
+  let warnings = [];
+  try {
+    validateAbcNotation(validatedArgs.abc_notation);
+    warnings = await renderer.render('warnings', validatedArgs.abc_notation);
+  } catch (error) {
+    errors.push(error.message);
+    metrics.recordFailure(error);
+  }
+  if (warnings.length > 0) {
+    metrics.validationFailures.inc({ reason: 'abc_syntax' });
+  }
+
+  const report = {
+    valid: errors.length === 0 && warnings.length === 0,
+    errors,
+    warnings,
+  };
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(report, null, 2),
+      },
+    ],
+  };
+}
+
+/**
+ * Text item listing parser warnings, appended to render results
+ *
+ * abcjs parses the ABC again for its warnings, so this runs on the renderer
+ * like the render itself.
+ *
+ * @param {Object} context - Handler context with renderer
+ * @param {string} abcNotation - Rendered ABC notation
+ * @returns {Promise<Array>} Zero or one content items
+ */
+async function warningsContent({ renderer }, abcNotation) {
+  const warnings = await renderer.render('warnings', abcNotation);
+  if (warnings.length === 0) {
+    return [];
+  }
+
+  return [
+    {
+      type: 'text',
+      text: `Warnings (${warnings.length}) - the ABC was rendered but parts of it were not understood:\n${formatAbcWarnings(warnings)}`,
+    },
+  ];
+}
+
+/**
+ * Adds the generation date that PDF page footers print to the render options;
+ * as an option it is part of the cache key, so a cached PDF is only served on
+ * the day it was made
+ * @param {string} kind - Render kind
+ * @param {Object} options - Render options
+ * @returns {Object} Render options, with generatedOn for PDF
+ */
+export function datedRenderOptions(kind, options) {
+  return kind === 'pdf' ? { ...options, generatedOn: new Date().toLocaleDateString() } : options;
+}
+
+/**
+ * Renders through the render cache when one is configured
+ *
+ * The ABC is validated here first, so that refused input never reaches a
+ * render worker and its validation error keeps its reason for metrics.
+ *
+ * @param {Object} context - Handler context with renderer, cache and metrics
+ * @param {string} kind - Render kind ('pdf', 'svg', 'midi', 'audio' or 'musicxml')
+ * @param {string} abcNotation - ABC notation to render
+ * @param {Object} options - Render options
+ * @returns {Promise<{value: *, cache: Object|null, key: string}>} Render result, cache outcome and content address
+ */
+async function render({ renderer, cache, metrics }, kind, abcNotation, options) {
+  validateAbcNotation(abcNotation);
+  options = datedRenderOptions(kind, options);
+  const renderScore = () => metrics.timeRender(kind, () => renderer.render(kind, abcNotation, options));
+  if (!cache) {
+    const value = await renderScore();
+    return { value, cache: null, key: renderCacheKey(kind, abcNotation, options) };
+  }
+  const result = await cache.getOrRender(kind, abcNotation, options, renderScore);
+  return { ...result, key: result.cache.key };
+}
+
+/**
+ * Stores a generated artifact and returns the resource link pointing to it
+ * @param {Object} context - Handler context with artifacts, published and principal
+ * @param {Object} artifact - Artifact (see createArtifactStore put)
+ * @returns {Object} resource_link content item
+ */
+function publish({ artifacts, published, principal }, artifact) {
+  const { uri, name, mimeType, description, size } = artifacts.put({ ...artifact, owner: principal?.id ?? null });
+  published.add(uri);
+  return { type: 'resource_link', uri, name, mimeType, description, size };
+}
+
+/**
+ * Label of one tune in result descriptions
+ * @param {Object} tune - Rendered tune with title and id
+ * @returns {string} Title or X: number
+ */
+function tuneLabel(tune) {
+  return tune.title || (tune.id ? `X:${tune.id}` : 'tune');
+}
+
+/**
+ * Artifact ID of one tune of a multi-tune render
+ * @param {string} key - Content address of the render
+ * @param {number} index - Position of the tune in the result
+ * @returns {string} Artifact ID
+ */
+function tuneArtifactId(key, index) {
+  return `${key.slice(0, 16)}-${index + 1}`;
+}
+
+/**
+ * Maps validated tool arguments to the options of each render kind
+ */
+export const RENDER_OPTIONS = {
+  pdf: args => ({
+    title: args.title,
+    composer: args.composer,
+    tunes: args.tunes,
+    tuneBreak: args.tune_break,
+    paperSize: args.paper_size,
+    orientation: args.orientation,
+    margins: args.margins,
+    staffWidth: args.staff_width,
+    scale: args.scale,
+    staffSpacing: args.staff_spacing,
+    fonts: args.fonts,
+  }),
+  svg: args => ({
+    tunes: args.tunes,
+    staffWidth: args.staff_width,
+    scale: args.scale,
+    responsive: args.responsive,
+  }),
+  midi: args => ({
+    tunes: args.tunes,
+    tempo: args.tempo,
+  }),
+  audio: args => ({
+    tunes: args.tunes,
+    tempo: args.tempo,
+    instrument: args.instrument,
+    sampleRate: args.sample_rate,
+  }),
+  musicxml: args => ({
+    tunes: args.tunes,
+  }),
+};
+
+/**
+ * Sentence reporting the cache outcome, appended to result summaries
+ * @param {Object|null} cache - Cache outcome from render
+ * @returns {string} Sentence, or an empty string without a cache
+ */
+function cacheNote(cache) {
+  if (!cache) {
+    return '';
+  }
+  return cache.status === 'hit' ? ` Cache: hit (${cache.tier}).` : ' Cache: miss.';
+}
+
+/**
+ * Result metadata reporting the cache outcome
+ * @param {Object|null} cache - Cache outcome from render
+ * @returns {Object} Spread into the tool result
+ */
+function cacheMeta(cache) {
+  return cache ? { _meta: { cache } } : {};
+}
+
+/**
+ * Executes abc_to_pdf
+ */
+async function handleAbcToPdf(args, context) {
+  // Validate input using Zod schema
+  const validatedArgs = AbcToPdfSchema.parse(args);
+
+  // Convert ABC to PDF
+  const { value: pdfBuffer, cache, key } = await render(context, 'pdf', validatedArgs.abc_notation, RENDER_OPTIONS.pdf(validatedArgs));
+
+  const id = key.slice(0, 16);
+
+  // Return a link to the stored PDF rather than the PDF itself
+  return {
+    content: [
+      publish(context, {
+        id,
+        format: 'pdf',
+        data: pdfBuffer,
+        name: artifactFileName(validatedArgs.title, id, 'pdf'),
+        description: `Generated PDF from ABC notation${validatedArgs.title ? ` - ${validatedArgs.title}` : ''}`,
+      }),
+      {
+        type: 'text',
+        text: `Successfully generated PDF from ABC notation. Size: ${Math.round(pdfBuffer.length / 1024)}KB.${cacheNote(cache)}`,
+      },
+      ...await warningsContent(context, validatedArgs.abc_notation),
+    ],
+    ...cacheMeta(cache),
+  };
+}
+
+/**
+ * Executes abc_to_svg
+ */
+async function handleAbcToSvg(args, context) {
+  const validatedArgs = AbcToSvgSchema.parse(args);
+
+  const { value: tunes, cache, key } = await render(context, 'svg', validatedArgs.abc_notation, RENDER_OPTIONS.svg(validatedArgs));
+
+  const content = [];
+  tunes.forEach((tune, index) => {
+    const id = tuneArtifactId(key, index);
+    content.push(
+      {
+        type: 'text',
+        text: tune.svg,
+      },
+      publish(context, {
+        id,
+        format: 'svg',
+        data: tune.svg,
+        name: artifactFileName(tune.title, id, 'svg'),
+        description: `Generated SVG from ABC notation - ${tuneLabel(tune)}`,
+      })
+    );
+  });
+
+  content.push({
+    type: 'text',
+    text: `Successfully generated ${tunes.length} SVG document${tunes.length === 1 ? '' : 's'} from ABC notation.${cacheNote(cache)}`,
+  });
+
+  return { content, ...cacheMeta(cache) };
+}
+
+/**
+ * Executes abc_to_midi
+ */
+async function handleAbcToMidi(args, context) {
+  const validatedArgs = AbcToMidiSchema.parse(args);
+
+  const { value: tunes, cache, key } = await render(context, 'midi', validatedArgs.abc_notation, RENDER_OPTIONS.midi(validatedArgs));
+
+  const content = tunes.map((tune, index) => {
+    const id = tuneArtifactId(key, index);
+    return publish(context, {
+      id,
+      format: 'midi',
+      data: tune.midi,
+      name: artifactFileName(tune.title, id, 'midi'),
+      description: `Generated MIDI from ABC notation - ${tuneLabel(tune)}`,
+    });
+  });
+
+  const totalSize = tunes.reduce((sum, tune) => sum + tune.midi.length, 0);
+  content.push({
+    type: 'text',
+    text: `Successfully generated ${tunes.length} MIDI file${tunes.length === 1 ? '' : 's'} from ABC notation. Size: ${Math.max(1, Math.round(totalSize / 1024))}KB.${cacheNote(cache)}`,
+  });
+
+  return { content, ...cacheMeta(cache) };
+}
+
+/**
+ * Executes abc_to_audio
+ */
+async function handleAbcToAudio(args, context) {
+  const validatedArgs = AbcToAudioSchema.parse(args);
+
+  const { value: tunes, cache, key } = await render(context, 'audio', validatedArgs.abc_notation, RENDER_OPTIONS.audio(validatedArgs));
+
+  const content = tunes.map((tune, index) => {
+    const id = tuneArtifactId(key, index);
+    return publish(context, {
+      id,
+      format: 'wav',
+      data: tune.wav,
+      name: artifactFileName(tune.title, id, 'wav'),
+      description: `Generated audio from ABC notation - ${tuneLabel(tune)} (${tune.duration.toFixed(1)}s)`,
+    });
+  });
+
+  const totalSize = tunes.reduce((sum, tune) => sum + tune.wav.length, 0);
+  content.push({
+    type: 'text',
+    text: `Successfully generated ${tunes.length} WAV file${tunes.length === 1 ? '' : 's'} from ABC notation. Size: ${Math.round(totalSize / 1024)}KB.${cacheNote(cache)}`,
+  });
+
+  return { content, ...cacheMeta(cache) };
+}
+
+/**
+ * Executes abc_transpose
+ */
+async function handleAbcTranspose(args, context) {
+  const validatedArgs = AbcTransposeSchema.parse(args);
+
+  const semitones = validatedArgs.interval
+    ? intervalToSemitones(validatedArgs.interval, validatedArgs.direction)
+    : validatedArgs.semitones;
+
+  validateAbcNotation(validatedArgs.abc_notation);
+  const transposed = await context.renderer.render('transpose', validatedArgs.abc_notation, {
+    semitones,
+    tunes: validatedArgs.tunes,
+  });
+
+  const content = [
+    {
+      type: 'text',
+      text: transposed,
+    },
+  ];
+
+  let cache = null;
+  if (validatedArgs.render === 'pdf') {
+    const rendered = await render(context, 'pdf', transposed, {
+      title: validatedArgs.title,
+      composer: validatedArgs.composer,
+    });
+    const id = rendered.key.slice(0, 16);
+    cache = rendered.cache;
+
+    content.push(publish(context, {
+      id,
+      format: 'pdf',
+      data: rendered.value,
+      name: artifactFileName(validatedArgs.title, id, 'pdf'),
+      description: `Generated PDF from transposed ABC notation${validatedArgs.title ? ` - ${validatedArgs.title}` : ''}`,
+    }));
+  }
+
+  content.push({
+    type: 'text',
+    text: `Successfully transposed ABC notation by ${semitones} semitone${Math.abs(semitones) === 1 ? '' : 's'}.${cacheNote(cache)}`,
+  });
+
+  return { content, ...cacheMeta(cache) };
+}
+
+/**
+ * Executes musicxml_to_abc
+ */
+async function handleMusicXmlToAbc(args, context) {
+  const validatedArgs = MusicXmlToAbcSchema.parse(args);
+
+  const { abc, title, parts, voices, measures } = await context.renderer.render(
+    'musicxml-import',
+    validatedArgs.musicxml ?? Buffer.from(validatedArgs.musicxml_base64, 'base64'),
+    {
+      title: validatedArgs.title,
+      composer: validatedArgs.composer,
+      barsPerLine: validatedArgs.bars_per_line,
+    }
+  );
+  // The converted ABC is held to the limits of ABC input before abcjs parses it
+  checkAbcLimits(abc);
+
+  const content = [
+    {
+      type: 'text',
+      text: abc,
+    },
+  ];
+
+  let cache = null;
+  if (validatedArgs.render === 'pdf') {
+    const rendered = await render(context, 'pdf', abc, {});
+    const id = rendered.key.slice(0, 16);
+    cache = rendered.cache;
+
+    content.push(publish(context, {
+      id,
+      format: 'pdf',
+      data: rendered.value,
+      name: artifactFileName(title, id, 'pdf'),
+      description: `Generated PDF from MusicXML${title ? ` - ${title}` : ''}`,
+    }));
+  }
+
+  const count = (number, noun) => `${number} ${noun}${number === 1 ? '' : 's'}`;
+  content.push({
+    type: 'text',
+    text: `Successfully converted MusicXML to ABC notation: ${count(parts, 'part')}, ${count(voices, 'voice')}, ${count(measures, 'bar')}.${cacheNote(cache)}`,
+  });
+
+  return { content: [...content, ...await warningsContent(context, abc)], ...cacheMeta(cache) };
+}
+
+/**
+ * Executes abc_to_musicxml
+ */
+async function handleAbcToMusicXml(args, context) {
+  const validatedArgs = AbcToMusicXmlSchema.parse(args);
+
+  const { value: tunes, cache, key } = await render(context, 'musicxml', validatedArgs.abc_notation, RENDER_OPTIONS.musicxml(validatedArgs));
+
+  const content = tunes.map((tune, index) => {
+    const id = tuneArtifactId(key, index);
+    return publish(context, {
+      id,
+      format: 'musicxml',
+      data: tune.musicxml,
+      name: artifactFileName(tune.title, id, 'musicxml'),
+      description: `Generated MusicXML from ABC notation - ${tuneLabel(tune)}`,
+    });
+  });
+
+  const totalSize = tunes.reduce((sum, tune) => sum + Buffer.byteLength(tune.musicxml), 0);
+  content.push({
+    type: 'text',
+    text: `Successfully generated ${tunes.length} MusicXML file${tunes.length === 1 ? '' : 's'} from ABC notation. Size: ${Math.max(1, Math.round(totalSize / 1024))}KB.${cacheNote(cache)}`,
+  });
+
+  return { content, ...cacheMeta(cache) };
+}
+
+/**
+ * Executes midi_to_abc
+ */
+async function handleMidiToAbc(args, context) {
+  const validatedArgs = MidiToAbcSchema.parse(args);
+
+  const { abc, title, voices, measures, key, meter, keySource, meterSource } = await context.renderer.render(
+    'midi-import',
+    Buffer.from(validatedArgs.midi_base64, 'base64'),
+    {
+      quantize: validatedArgs.quantize,
+      triplets: validatedArgs.triplets,
+      key: validatedArgs.key,
+      meter: validatedArgs.meter,
+      title: validatedArgs.title,
+      composer: validatedArgs.composer,
+      barsPerLine: validatedArgs.bars_per_line,
+    }
+  );
+  // The converted ABC is held to the limits of ABC input before abcjs parses it
+  checkAbcLimits(abc);
+
+  const content = [
+    {
+      type: 'text',
+      text: abc,
+    },
+  ];
+
+  let cache = null;
+  if (validatedArgs.render === 'pdf') {
+    const rendered = await render(context, 'pdf', abc, {});
+    const id = rendered.key.slice(0, 16);
+    cache = rendered.cache;
+
+    content.push(publish(context, {
+      id,
+      format: 'pdf',
+      data: rendered.value,
+      name: artifactFileName(title, id, 'pdf'),
+      description: `Generated PDF from MIDI${title ? ` - ${title}` : ''}`,
+    }));
+  }
+
+  const count = (number, noun) => `${number} ${noun}${number === 1 ? '' : 's'}`;
+  const source = { option: 'given', file: 'from the file', detected: 'detected' };
+  content.push({
+    type: 'text',
+    text: `Successfully converted MIDI to ABC notation: ${count(voices, 'voice')}, ${count(measures, 'bar')}, key ${key} (${source[keySource]}), meter ${meter} (${source[meterSource]}).${cacheNote(cache)}`,
+  });
+
+  return { content: [...content, ...await warningsContent(context, abc)], ...cacheMeta(cache) };
+}
+
+/**
+ * Text item holding a JSON value
+ * @param {*} value - Value to serialize
+ * @returns {Object} Content item
+ */
+function jsonContent(value) {
+  return {
+    type: 'text',
+    text: JSON.stringify(value, null, 2),
+  };
+}
+
+/**
+ * Executes score_save
+ */
+async function handleScoreSave(args, context) {
+  const validatedArgs = ScoreSaveSchema.parse(args);
+
+  const { abc, ...score } = await context.library.save({
+    abc: validatedArgs.abc_notation,
+    id: validatedArgs.id,
+    title: validatedArgs.title,
+    composer: validatedArgs.composer,
+    tags: validatedArgs.tags,
+  });
+
+  return {
+    content: [
+      jsonContent(score),
+      {
+        type: 'text',
+        text: `Successfully ${validatedArgs.id ? 'updated' : 'saved'} "${score.title}" in the score library as ${score.id}.`,
+      },
+      ...await warningsContent(context, abc),
+    ],
+  };
+}
+
+/**
+ * Executes score_list
+ */
+async function handleScoreList(args, { library }) {
+  const validatedArgs = ScoreListSchema.parse(args ?? {});
+  return { content: [jsonContent(await library.list(validatedArgs))] };
+}
+
+/**
+ * Executes score_search
+ */
+async function handleScoreSearch(args, { library }) {
+  const validatedArgs = ScoreSearchSchema.parse(args ?? {});
+  return { content: [jsonContent(await library.search(validatedArgs))] };
+}
+
+/**
+ * Render tools used by score_get, keyed by render kind
+ */
+const LIBRARY_RENDERERS = {
+  pdf: handleAbcToPdf,
+  svg: handleAbcToSvg,
+  midi: handleAbcToMidi,
+  audio: handleAbcToAudio,
+};
+
+/**
+ * Executes score_get
+ */
+async function handleScoreGet(args, context) {
+  const validatedArgs = ScoreGetSchema.parse(args);
+  const { abc, ...score } = await context.library.get(validatedArgs.id);
+
+  const content = [
+    jsonContent(score),
+    {
+      type: 'text',
+      text: abc,
+    },
+  ];
+
+  if (!validatedArgs.render) {
+    return { content };
+  }
+
+  // Library renders are cached next to the library rather than in the shared cache
+  const rendered = await LIBRARY_RENDERERS[validatedArgs.render](
+    { abc_notation: abc, title: score.title, composer: score.composer || undefined },
+    { ...context, cache: context.library.renderCache }
+  );
+  return { ...rendered, content: [...content, ...rendered.content] };
+}
+
+/**
+ * Executes score_delete
+ */
+async function handleScoreDelete(args, { library }) {
+  const validatedArgs = ScoreDeleteSchema.parse(args);
+  const score = await library.remove(validatedArgs.id);
+
+  return {
+    content: [
+      jsonContent(score),
+      {
+        type: 'text',
+        text: `Successfully deleted "${score.title}" (${score.id}) from the score library.`,
+      },
+    ],
+  };
+}
+
+/**
+ * Tool implementations keyed by tool name
+ */
+const TOOL_HANDLERS = {
+  validate_abc: handleValidateAbc,
+  abc_to_pdf: handleAbcToPdf,
+  abc_to_svg: handleAbcToSvg,
+  abc_to_midi: handleAbcToMidi,
+  abc_to_audio: handleAbcToAudio,
+  abc_transpose: handleAbcTranspose,
+  musicxml_to_abc: handleMusicXmlToAbc,
+  abc_to_musicxml: handleAbcToMusicXml,
+  midi_to_abc: handleMidiToAbc,
+  score_save: handleScoreSave,
+  score_list: handleScoreList,
+  score_search: handleScoreSearch,
+  score_get: handleScoreGet,
+  score_delete: handleScoreDelete,
+};
+
+/**
+ * Resource template advertised for generated scores
+ */
+const SCORE_RESOURCE_TEMPLATE = {
+  uriTemplate: SCORE_URI_TEMPLATE,
+  name: 'score',
+  title: 'Generated score',
+  description: `Scores generated by the tools of this server, by artifact ID and format (${Object.keys(ARTIFACT_FORMATS).join(', ')}). ` +
+              'Tool results link to these resources; read a link to download the file.',
+};
+
+/**
+ * Configure MCP server handlers
+ * @param {Server} server - MCP server to register the tools, resources and prompts on
+ * @param {Object} options - Handler options
+ * @param {Object} options.renderer - Renders scores: inlineRenderer (default) or a pool from createRenderPool
+ * @param {Object|null} options.cache - Render cache (default sharedRenderCache, null disables caching)
+ * @param {Object} options.artifacts - Store for generated scores (default sharedArtifactStore)
+ * @param {Object} options.library - Score library (default sharedScoreLibrary)
+ * @param {Object|null} options.principal - Authenticated client whose tool scope applies (see createPrincipal), null for no restriction
+ * @param {Object} options.metrics - Metrics recording tool calls and renders (default sharedMetrics)
+ * @param {Object} options.logger - Logger of tool calls (default sharedLogger)
+ * @param {Object} options.inFlight - Tracker of the calls in progress, which refuses calls once the server drains (default sharedInFlight)
+ */
+export function setupServerHandlers(server, {
+  renderer = inlineRenderer,
+  cache = sharedRenderCache,
+  artifacts = sharedArtifactStore,
+  library = sharedScoreLibrary,
+  principal = null,
+  metrics = sharedMetrics,
+  logger = sharedLogger,
+  inFlight = sharedInFlight,
+} = {}) {
+  const toolAllowed = (name) => !principal || principal.allows(name);
+  const owner = principal?.id ?? null;
+
+  // URIs of the artifacts generated through this server, in the order they were generated
+  const published = new Set();
+
+  /**
+   * Handler for listing available tools
+   */
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return { tools: TOOLS.filter(tool => toolAllowed(tool.name)) };
+  });
+
+  /**
+   * Handler for tool execution
+   */
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+
+    const handler = TOOL_HANDLERS[name];
+    if (!handler) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+    if (!toolAllowed(name)) {
+      throw new McpError(ErrorCode.InvalidRequest, `Tool ${name} is not allowed for these credentials`);
+    }
+    // Calls in progress may finish during shutdown, but no new one starts
+    if (inFlight.draining) {
+      throw new McpError(ErrorCode.InternalError, 'Server is shutting down, retry the call on a new session');
+    }
+
+    // Every line logged during the call, down to the render pipeline, names the tool and the session
+    return inFlight.run(() => withLogContext({ sessionId: extra?.sessionId, rpcId: extra?.requestId, tool: name }, async () => {
+      logger.debug('Tool call started', { arguments: args });
+      const started = process.hrtime.bigint();
+      const elapsed = () => Number(process.hrtime.bigint() - started) / 1e9;
+      try {
+        const result = await handler(args, { renderer, cache, artifacts, published, principal, library, metrics });
+        metrics.toolCalls.inc({ tool: name, status: 'ok' });
+        logger.info('Tool call completed', { outcome: 'ok', durationMs: Math.round(elapsed() * 1000), cache: result._meta?.cache?.status });
+        return result;
+      } catch (error) {
+        metrics.toolCalls.inc({ tool: name, status: 'error' });
+        metrics.recordFailure(error);
+        const reason = validationFailureReason(error);
+        logger[reason ? 'info' : 'warn']('Tool call failed', { outcome: reason ? 'invalid' : 'error', durationMs: Math.round(elapsed() * 1000), error });
+        // Return error message
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      } finally {
+        metrics.toolDuration.observe({ tool: name }, elapsed());
+      }
+    }));
+  });
+
+  /**
+   * Handler for listing the scores generated through this server
+   */
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    const resources = [];
+    for (const uri of published) {
+      if (!artifacts.has(uri)) {
+        // Evicted from the store
+        published.delete(uri);
+        continue;
+      }
+      const { name, mimeType, description, size } = artifacts.get(uri, owner);
+      resources.push({ uri, name, mimeType, description, size });
+    }
+    return { resources };
+  });
+
+  /**
+   * Handler for listing resource templates
+   */
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates: [SCORE_RESOURCE_TEMPLATE] };
+  });
+
+  /**
+   * Handler for reading a generated score
+   */
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+
+    // Scores generated by other principals are not found, whatever their URI
+    const artifact = artifacts.get(uri, owner);
+    if (!artifact) {
+      throw new McpError(
+        RESOURCE_NOT_FOUND,
+        `Resource not found: ${uri}. Generated scores are kept for a limited time; run the tool again to regenerate it.`,
+        { uri }
+      );
+    }
+
+    const body = typeof artifact.data === 'string'
+      ? { text: artifact.data }
+      : { blob: artifact.data.toString('base64') };
+    return { contents: [{ uri, mimeType: artifact.mimeType, ...body }] };
+  });
+
+  /**
+   * Handler for listing prompt templates
+   */
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts: PROMPTS };
+  });
+
+  /**
+   * Handler for filling in a prompt template
+   */
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+
+    try {
+      return getPrompt(name, args);
+    } catch (error) {
+      const message = error instanceof ZodError
+        ? `Invalid arguments for prompt ${name}: ${error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ')}`
+        : error.message;
+      throw new McpError(ErrorCode.InvalidParams, message);
+    }
+  });
+}
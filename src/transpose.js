@@ -0,0 +1,109 @@
+import abcjs from 'abcjs';
+import { z } from 'zod';
+import { validateAbcNotation, selectTunes, AbcToPdfSchema } from './index.js';
+
+/**
+ * Size of each named interval in semitones
+ */
+export const INTERVALS = {
+  P1: 0,
+  m2: 1,
+  M2: 2,
+  m3: 3,
+  M3: 4,
+  P4: 5,
+  A4: 6,
+  d5: 6,
+  P5: 7,
+  m6: 8,
+  M6: 9,
+  m7: 10,
+  M7: 11,
+  P8: 12,
+};
+
+/**
+ * Schema for ABC transposition input
+ */
+export const AbcTransposeSchema = z.object({
+  abc_notation: z.string().min(1, 'ABC notation cannot be empty').describe('The ABC notation string to transpose'),
+  semitones: z.number().int().min(-24).max(24).optional()
+    .describe('Number of semitones to transpose by; negative values transpose down'),
+  interval: z.enum(Object.keys(INTERVALS)).optional()
+    .describe('Named interval to transpose by (e.g. M2 for a tone, m3 for a minor third)'),
+  direction: z.enum(['up', 'down']).optional()
+    .describe('Direction for interval transposition (default up)'),
+  tunes: AbcToPdfSchema.shape.tunes,
+  render: z.enum(['pdf']).optional().describe('Optionally render the transposed ABC straight to PDF'),
+  title: AbcToPdfSchema.shape.title,
+  composer: AbcToPdfSchema.shape.composer
+}).refine(
+  args => (args.semitones === undefined) !== (args.interval === undefined),
+  { message: 'Provide exactly one of semitones or interval' }
+);
+
+/**
+ * Converts a named interval and a direction to a signed number of semitones
+ * @param {string} interval - Interval name, a key of INTERVALS
+ * @param {string} direction - 'up' (default) or 'down'
+ * @returns {number} Signed semitones
+ */
+export function intervalToSemitones(interval, direction = 'up') {
+  const semitones = INTERVALS[interval];
+  if (semitones === undefined) {
+    throw new Error(`Unknown interval: ${interval}`);
+  }
+  return direction === 'down' ? -semitones : semitones;
+}
+
+/**
+ * Transposes ABC notation by a number of semitones
+ *
+ * The K: header (including inline [K:] changes), notes, accidentals and
+ * quoted chord symbols such as "Am" or "G7/B" are all rewritten. Text before
+ * the first tune (file-wide directives and comments) is kept unchanged.
+ *
+ * @param {string} abcNotation - The ABC notation to transpose
+ * @param {number} semitones - Signed number of semitones
+ * @param {Object} options - Transposition options
+ * @param {Array<number|string>} options.tunes - Optional X: numbers or titles to keep
+ * @returns {string} Transposed ABC notation
+ */
+export function transposeAbc(abcNotation, semitones, options = {}) {
+  // Validate input
+  validateAbcNotation(abcNotation);
+
+  const allTunes = selectTunes(abcNotation);
+  const tunes = options.tunes ? selectTunes(abcNotation, options.tunes) : allTunes;
+
+  // A single tune is transposed in place, keeping its exact formatting
+  if (allTunes.length <= 1) {
+    return transposeTune(abcNotation, semitones);
+  }
+
+  // abcjs only transposes one tune at a time reliably, so rebuild the file
+  // from the text before the first tune and each transposed tune
+  const preamble = abcNotation.slice(0, allTunes[0].startPos);
+  const transposed = tunes.map(tune => transposeTune(tune.source, semitones).trimEnd());
+
+  return preamble + transposed.join('\n\n') + '\n';
+}
+
+/**
+ * Transposes the text of a single tune
+ * @param {string} tuneAbc - ABC notation of one tune
+ * @param {number} semitones - Signed number of semitones
+ * @returns {string} Transposed tune
+ */
+function transposeTune(tuneAbc, semitones) {
+  if (semitones === 0) {
+    return tuneAbc;
+  }
+
+  try {
+    const visualObjs = abcjs.parseOnly(tuneAbc);
+    return abcjs.strTranspose(tuneAbc, visualObjs, semitones);
+  } catch (error) {
+    throw new Error(`Failed to transpose ABC notation: ${error.message}`);
+  }
+}
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createArtifactStore, scoreUri, parseScoreUri } from '../src/artifacts.js';
+import { createPrincipal } from '../src/auth.js';
+import { connectClient } from './helpers.js';
+
+const ABC = 'X:1\nT:Scale\nM:4/4\nL:1/4\nK:C\nC D E F | G A B c |';
+
+test('scoreUri and parseScoreUri - round trip', () => {
+  assert.strictEqual(scoreUri('abc123-1', 'midi'), 'partitura://scores/abc123-1/midi');
+  assert.deepStrictEqual(parseScoreUri('partitura://scores/abc123-1/midi'), { id: 'abc123-1', format: 'midi' });
+  assert.strictEqual(parseScoreUri('partitura://scores/abc123/docx'), null);
+  assert.strictEqual(parseScoreUri('data:application/pdf;base64,AAAA'), null);
+});
+
+test('createArtifactStore - replaces identical IDs and evicts the least recently used', () => {
+  const store = createArtifactStore({ maxArtifacts: 2, maxBytes: 100 });
+  const a = store.put({ id: 'a', format: 'pdf', data: Buffer.alloc(10), name: 'a.pdf' });
+  assert.deepStrictEqual([a.uri, a.mimeType, a.size], ['partitura://scores/a/pdf', 'application/pdf', 10]);
+  store.put({ id: 'a', format: 'pdf', data: Buffer.alloc(20), name: 'a.pdf' });
+  assert.deepStrictEqual(store.stats(), { artifacts: 1, bytes: 20 });
+
+  store.put({ id: 'b', format: 'svg', data: '<svg/>', name: 'b.svg' });
+  store.get(a.uri);
+  store.put({ id: 'c', format: 'wav', data: Buffer.alloc(10), name: 'c.wav' }); // evicts b
+  assert(store.has(a.uri));
+  assert(!store.has('partitura://scores/b/svg'));
+
+  store.put({ id: 'd', format: 'midi', data: Buffer.alloc(95), name: 'd.mid' }); // over the size limit with any other artifact
+  assert.deepStrictEqual(store.stats(), { artifacts: 1, bytes: 95 });
+  assert.throws(() => store.put({ id: 'e', format: 'docx', data: '' }), /Unknown artifact format/);
+});
+
+test('createArtifactStore - artifacts are found for the principals that generated them', () => {
+  const store = createArtifactStore();
+  const { uri } = store.put({ id: 'a', format: 'pdf', data: Buffer.alloc(10), name: 'a.pdf', owner: 'api-key:cms' });
+  assert.strictEqual(store.get(uri, 'api-key:cms').size, 10);
+  assert.strictEqual(store.get(uri, 'api-key:blog'), undefined);
+  assert.strictEqual(store.get(uri), undefined);
+
+  store.put({ id: 'a', format: 'pdf', data: Buffer.alloc(10), name: 'a.pdf', owner: 'api-key:blog' });
+  assert.ok(store.get(uri, 'api-key:blog'));
+  assert.ok(store.get(uri, 'api-key:cms'));
+});
+
+test('abc_to_pdf - returns a resource link that resources/read resolves', async () => {
+  const client = await connectClient({ artifacts: createArtifactStore() });
+  const result = await client.callTool({ name: 'abc_to_pdf', arguments: { abc_notation: ABC, title: 'Scale Étude' } });
+
+  const link = result.content.find(item => item.type === 'resource_link');
+  assert.match(link.uri, /^partitura:\/\/scores\/[0-9a-f]{16}\/pdf$/);
+  assert.strictEqual(link.name, 'scale-etude.pdf');
+  assert.strictEqual(link.mimeType, 'application/pdf');
+  assert(!JSON.stringify(result).includes('base64'));
+
+  const { resources } = await client.listResources();
+  assert.deepStrictEqual(resources.map(resource => resource.uri), [link.uri]);
+
+  const { contents } = await client.readResource({ uri: link.uri });
+  assert.strictEqual(contents[0].mimeType, 'application/pdf');
+  assert.strictEqual(Buffer.from(contents[0].blob, 'base64').subarray(0, 4).toString(), '%PDF');
+});
+
+test('abc_to_svg - serves SVG as text, one resource per tune', async () => {
+  const client = await connectClient({ artifacts: createArtifactStore() });
+  const abc = `${ABC}\n\nX:2\nT:Second\nK:G\nG A B c |`;
+  const result = await client.callTool({ name: 'abc_to_svg', arguments: { abc_notation: abc } });
+
+  const links = result.content.filter(item => item.type === 'resource_link');
+  assert.strictEqual(links.length, 2);
+  assert.match(links[1].uri, /^partitura:\/\/scores\/[0-9a-f]{16}-2\/svg$/);
+  assert.strictEqual(links[1].name, 'second.svg');
+
+  const { contents } = await client.readResource({ uri: links[0].uri });
+  assert(contents[0].text.startsWith('<svg'));
+  assert.strictEqual(contents[0].blob, undefined);
+});
+
+test('resources - templates, per-server listing and unknown URIs', async () => {
+  const artifacts = createArtifactStore();
+  const first = await connectClient({ artifacts });
+  const second = await connectClient({ artifacts });
+  await first.callTool({ name: 'abc_to_midi', arguments: { abc_notation: ABC } });
+
+  assert.strictEqual((await first.listResources()).resources.length, 1);
+  assert.strictEqual((await second.listResources()).resources.length, 0);
+
+  const { resourceTemplates } = await first.listResourceTemplates();
+  assert.strictEqual(resourceTemplates[0].uriTemplate, 'partitura://scores/{id}/{format}');
+
+  await assert.rejects(
+    () => first.readResource({ uri: 'partitura://scores/0000000000000000/pdf' }),
+    error => error.code === -32002 && /Resource not found/.test(error.message)
+  );
+});
+
+test('resources/read - scores of other principals are not found', async () => {
+  const artifacts = createArtifactStore();
+  const cms = await connectClient({ artifacts, principal: createPrincipal('api-key:cms') });
+  const validator = await connectClient({ artifacts, principal: createPrincipal('api-key:lint', ['validate_abc']) });
+  const result = await cms.callTool({ name: 'abc_to_pdf', arguments: { abc_notation: ABC } });
+  const { uri } = result.content.find(item => item.type === 'resource_link');
+
+  assert.ok((await cms.readResource({ uri })).contents[0].blob);
+  await assert.rejects(() => validator.readResource({ uri }), error => error.code === -32002);
+});
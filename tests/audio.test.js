@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { abcToWav, encodeWav, instrumentForProgram, AbcToAudioSchema } from '../src/audio.js';
+
+// Four quarter notes at 120 bpm last two seconds
+const ONE_BAR = 'X:1\nT:Bar\nM:4/4\nL:1/4\nQ:1/4=120\nK:C\nC D E F |';
+
+test('encodeWav - writes a 16-bit mono PCM header', () => {
+  const wav = encodeWav(new Float32Array([0, 1, -1, 0.5]), 8000);
+
+  assert.strictEqual(wav.toString('ascii', 0, 4), 'RIFF');
+  assert.strictEqual(wav.toString('ascii', 8, 12), 'WAVE');
+  assert.strictEqual(wav.readUInt16LE(22), 1);
+  assert.strictEqual(wav.readUInt32LE(24), 8000);
+  assert.strictEqual(wav.readUInt16LE(34), 16);
+  assert.strictEqual(wav.readUInt32LE(40), 8);
+  assert.strictEqual(wav.readInt16LE(46), 32767);
+  assert.strictEqual(wav.readInt16LE(48), -32767);
+});
+
+test('instrumentForProgram - maps General MIDI families', () => {
+  assert.strictEqual(instrumentForProgram(0), 'piano');
+  assert.strictEqual(instrumentForProgram(19), 'organ');
+  assert.strictEqual(instrumentForProgram(40), 'strings');
+  assert.strictEqual(instrumentForProgram(73), 'flute');
+  assert.strictEqual(instrumentForProgram(undefined), 'piano');
+});
+
+test('abcToWav - duration follows Q:', async () => {
+  const [tune] = await abcToWav(ONE_BAR, { sampleRate: 8000 });
+
+  assert.strictEqual(tune.title, 'Bar');
+  assert.strictEqual(tune.wav.toString('ascii', 0, 4), 'RIFF');
+  // Two seconds of notes plus release and tail
+  assert(tune.duration > 2 && tune.duration < 3, `unexpected duration ${tune.duration}`);
+});
+
+test('abcToWav - tempo option overrides Q:', async () => {
+  const [tune] = await abcToWav(ONE_BAR, { sampleRate: 8000, tempo: 60 });
+  assert(tune.duration > 4 && tune.duration < 5, `unexpected duration ${tune.duration}`);
+});
+
+test('abcToWav - output is not silent', async () => {
+  const [tune] = await abcToWav(ONE_BAR, { sampleRate: 8000, instrument: 'organ' });
+
+  let peak = 0;
+  for (let offset = 44; offset < tune.wav.length; offset += 2) {
+    peak = Math.max(peak, Math.abs(tune.wav.readInt16LE(offset)));
+  }
+  assert(peak > 1000);
+});
+
+test('abcToWav - unsafe input throws error', async () => {
+  await assert.rejects(
+    () => abcToWav('<iframe src="x"></iframe>'),
+    { message: 'ABC notation contains potentially unsafe content' }
+  );
+});
+
+test('abcToWav - caps the total length of the selected tunes before synthesis', async () => {
+  // Each tune rings for a little over four minutes, under the limit on its own
+  const book = [1, 2, 3].map(n => `X:${n}\nT:Drone ${n}\nM:4/4\nL:1/4\nQ:1/4=20\nK:C\nC80 |`).join('\n\n');
+
+  await assert.rejects(
+    () => abcToWav(book, { sampleRate: 8000 }),
+    { name: 'LimitError', status: 413, reason: 'audio_too_long', message: /too long to render as audio together \(\d+s, maximum 600s\)/ }
+  );
+  const [tune] = await abcToWav(book, { sampleRate: 8000, tunes: [2] });
+  assert.strictEqual(tune.title, 'Drone 2');
+  assert(tune.duration > 240 && tune.duration < 600, `unexpected duration ${tune.duration}`);
+});
+
+test('AbcToAudioSchema - validates instrument and sample rate', () => {
+  assert.throws(() => AbcToAudioSchema.parse({ abc_notation: ONE_BAR, instrument: 'theremin' }));
+  assert.throws(() => AbcToAudioSchema.parse({ abc_notation: ONE_BAR, sample_rate: 1000 }));
+  const result = AbcToAudioSchema.parse({ abc_notation: ONE_BAR, instrument: 'flute', sample_rate: 16000 });
+  assert.strictEqual(result.instrument, 'flute');
+});
@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { generateKeyPairSync, sign, createHash } from 'node:crypto';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  createAuthenticator,
+  createOriginPolicy,
+  createPrincipal,
+  loadAuthConfig,
+  toolAllowed,
+} from '../src/auth.js';
+import { connectClient } from './helpers.js';
+
+const request = (headers) => ({ headers });
+
+/**
+ * Signs a JWT with node:crypto
+ */
+function signJwt(header, payload, privateKey) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode(header)}.${encode(payload)}`;
+  const signature = header.alg === 'ES256'
+    ? sign('sha256', Buffer.from(data), { key: privateKey, dsaEncoding: 'ieee-p1363' })
+    : sign('sha256', Buffer.from(data), privateKey);
+  return `${data}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Writes a JWKS holding an RSA and an EC key to a temporary directory
+ */
+function withJwks(run) {
+  const directory = mkdtempSync(join(tmpdir(), 'partitura-auth-'));
+  try {
+    const rsa = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const ec = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const jwks = join(directory, 'jwks.json');
+    writeFileSync(jwks, JSON.stringify({
+      keys: [
+        { ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', alg: 'RS256' },
+        { ...ec.publicKey.export({ format: 'jwk' }), kid: 'ec-1', alg: 'ES256' },
+      ],
+    }));
+    run({ jwks, rsa: rsa.privateKey, ec: ec.privateKey, directory });
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+test('toolAllowed - names, prefixes and wildcard', () => {
+  assert(toolAllowed(undefined, 'abc_to_pdf'));
+  assert(toolAllowed(['*'], 'abc_to_pdf'));
+  assert(toolAllowed(['score_*', 'validate_abc'], 'score_get'));
+  assert(!toolAllowed(['score_*', 'validate_abc'], 'abc_to_pdf'));
+  assert(!toolAllowed([], 'abc_to_pdf'));
+});
+
+test('createAuthenticator - disabled without credentials', () => {
+  const authenticator = createAuthenticator({});
+  assert.strictEqual(authenticator.enabled, false);
+  assert.strictEqual(authenticator.authenticate(request({})), null);
+});
+
+test('createAuthenticator - API keys and static bearer tokens', () => {
+  const hashed = `sha256:${createHash('sha256').update('ci-secret').digest('hex')}`;
+  const authenticator = createAuthenticator({
+    apiKeys: [{ key: 'cms-secret', name: 'cms', tools: ['abc_to_pdf'] }, 'plain-key'],
+    bearerTokens: [{ token: hashed, name: 'ci' }],
+  });
+
+  const cms = authenticator.authenticate(request({ 'x-api-key': 'cms-secret' }));
+  assert.strictEqual(cms.id, 'api-key:cms');
+  assert(cms.allows('abc_to_pdf'));
+  assert(!cms.allows('abc_to_audio'));
+  assert.strictEqual(authenticator.authenticate(request({ 'x-api-key': 'plain-key' })).id, 'api-key:2');
+  assert.strictEqual(authenticator.authenticate(request({ authorization: 'Bearer ci-secret' })).id, 'bearer:ci');
+
+  assert.throws(() => authenticator.authenticate(request({})), error => error.status === 401 && /Authentication required/.test(error.message));
+  assert.throws(() => authenticator.authenticate(request({ 'x-api-key': 'wrong' })), /Invalid API key/);
+  assert.throws(() => authenticator.authenticate(request({ authorization: 'Bearer wrong' })), /Invalid bearer token/);
+});
+
+test('createAuthenticator - JWTs verified against a JWKS file', () => {
+  withJwks(({ jwks, rsa, ec }) => {
+    const authenticator = createAuthenticator({ jwt: { jwks, issuer: 'https://issuer.example', audience: 'partitura' } });
+    const now = Math.floor(Date.now() / 1000);
+    const claims = { sub: 'ada', iss: 'https://issuer.example', aud: ['partitura'], exp: now + 600, partitura_tools: 'validate_abc abc_to_svg' };
+    const bearer = token => request({ authorization: `Bearer ${token}` });
+
+    const principal = authenticator.authenticate(bearer(signJwt({ alg: 'RS256', kid: 'rsa-1' }, claims, rsa)));
+    assert.strictEqual(principal.id, 'jwt:ada');
+    assert.deepStrictEqual(principal.tools, ['validate_abc', 'abc_to_svg']);
+    assert.strictEqual(authenticator.authenticate(bearer(signJwt({ alg: 'ES256', kid: 'ec-1' }, { ...claims, partitura_tools: undefined }, ec))).tools, undefined);
+
+    const rejects = (token, message) => assert.throws(() => authenticator.authenticate(bearer(token)), error => error.status === 401 && message.test(error.message));
+    rejects(signJwt({ alg: 'RS256', kid: 'rsa-1' }, { ...claims, exp: now - 3600 }, rsa), /expired/);
+    rejects(signJwt({ alg: 'RS256', kid: 'rsa-1' }, { ...claims, iss: 'https://evil.example' }, rsa), /issuer/);
+    rejects(signJwt({ alg: 'RS256', kid: 'rsa-1' }, { ...claims, aud: 'other' }, rsa), /audience/);
+    rejects(signJwt({ alg: 'RS256', kid: 'ec-1' }, claims, rsa), /signature/);
+    rejects(signJwt({ alg: 'RS256', kid: 'rsa-1' }, claims, generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey), /signature/);
+    rejects(`${Buffer.from('{"alg":"none"}').toString('base64url')}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.`, /Unsupported token algorithm: none/);
+  });
+});
+
+test('createAuthenticator - JWTs without exp only with allowMissingExp', () => {
+  withJwks(({ jwks, rsa }) => {
+    const token = signJwt({ alg: 'RS256', kid: 'rsa-1' }, { sub: 'ada' }, rsa);
+    const bearer = request({ authorization: `Bearer ${token}` });
+
+    assert.throws(
+      () => createAuthenticator({ jwt: { jwks } }).authenticate(bearer),
+      error => error.status === 401 && /no expiration time \(exp\)/.test(error.message)
+    );
+    assert.strictEqual(createAuthenticator({ jwt: { jwks, allowMissingExp: true } }).authenticate(bearer).id, 'jwt:ada');
+  });
+});
+
+test('createOriginPolicy - wildcard without allowlist, echo and refusal with one', () => {
+  const open = createOriginPolicy([]);
+  assert(open.allows('https://anywhere.example'));
+  assert.deepStrictEqual(open.headers('https://anywhere.example'), { 'Access-Control-Allow-Origin': '*' });
+
+  const policy = createOriginPolicy(['https://cms.example.com/']);
+  assert(policy.allows('https://CMS.example.com'));
+  assert(policy.allows(undefined));
+  assert(!policy.allows('https://evil.example'));
+  assert.deepStrictEqual(policy.headers('https://cms.example.com'), { 'Access-Control-Allow-Origin': 'https://cms.example.com', Vary: 'Origin' });
+  assert.deepStrictEqual(policy.headers('https://evil.example'), { Vary: 'Origin' });
+});
+
+test('loadAuthConfig - file plus environment shortcuts', () => {
+  withJwks(({ jwks, directory }) => {
+    const file = join(directory, 'auth.json');
+    writeFileSync(file, JSON.stringify({ apiKeys: [{ key: 'k1', name: 'cms', tools: ['abc_to_pdf'] }], allowedOrigins: ['https://cms.example.com'] }));
+    const config = loadAuthConfig({
+      PARTITURA_AUTH_CONFIG: file,
+      PARTITURA_API_KEYS: 'k2, k3',
+      PARTITURA_ALLOWED_ORIGINS: 'https://app.example.com',
+      PARTITURA_JWKS_FILE: jwks,
+      PARTITURA_JWT_AUDIENCE: 'partitura',
+    });
+    assert.strictEqual(config.apiKeys.length, 3);
+    assert.deepStrictEqual(config.allowedOrigins, ['https://cms.example.com', 'https://app.example.com']);
+    assert.deepStrictEqual(config.jwt, { jwks, issuer: undefined, audience: 'partitura' });
+    assert.throws(() => loadAuthConfig({ PARTITURA_AUTH_CONFIG: join(directory, 'missing.json') }), /Cannot read auth config/);
+  });
+});
+
+test('setupServerHandlers - tool scope of the principal', async () => {
+  const client = await connectClient({ principal: createPrincipal('api-key:cms', ['validate_abc', 'abc_transpose']) });
+
+  const { tools } = await client.listTools();
+  assert.deepStrictEqual(tools.map(tool => tool.name), ['validate_abc', 'abc_transpose']);
+  await assert.rejects(
+    () => client.callTool({ name: 'abc_to_pdf', arguments: { abc_notation: 'X:1\nK:C\nCDEF|' } }),
+    /Tool abc_to_pdf is not allowed for these credentials/
+  );
+  const result = await client.callTool({ name: 'validate_abc', arguments: { abc_notation: 'X:1\nK:C\nCDEF|' } });
+  assert.strictEqual(JSON.parse(result.content[0].text).valid, true);
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createRenderCache, renderCacheKey, normalizeAbc } from '../src/cache.js';
+
+const ABC = 'X:1\nT:Scale\nM:4/4\nL:1/4\nK:C\nC D E F | G A B c |';
+
+function counting(value) {
+  const render = async () => {
+    render.calls++;
+    return typeof value === 'function' ? value() : value;
+  };
+  render.calls = 0;
+  return render;
+}
+
+test('renderCacheKey - ignores line endings, trailing spaces and option order', () => {
+  assert.strictEqual(normalizeAbc('X:1 \r\nK:C\r\n\r\n'), 'X:1\nK:C');
+  assert.strictEqual(
+    renderCacheKey('pdf', ABC, { title: 'A', composer: 'B' }),
+    renderCacheKey('pdf', ABC.replace(/\n/g, '  \r\n'), { composer: 'B', title: 'A', tunes: undefined })
+  );
+  assert.notStrictEqual(renderCacheKey('pdf', ABC, {}), renderCacheKey('svg', ABC, {}));
+  assert.notStrictEqual(renderCacheKey('pdf', ABC, { title: 'A' }), renderCacheKey('pdf', ABC, { title: 'B' }));
+});
+
+test('createRenderCache - memory hits and LRU eviction', async () => {
+  const cache = createRenderCache({ maxEntries: 2 });
+  const render = counting(Buffer.from('pdf'));
+
+  assert.strictEqual((await cache.getOrRender('pdf', 'A', {}, render)).cache.status, 'miss');
+  const hit = await cache.getOrRender('pdf', 'A', {}, render);
+  assert.deepStrictEqual([hit.cache.status, hit.cache.tier], ['hit', 'memory']);
+  assert.strictEqual(hit.value.toString(), 'pdf');
+
+  await cache.getOrRender('pdf', 'B', {}, render);
+  await cache.getOrRender('pdf', 'A', {}, render);
+  await cache.getOrRender('pdf', 'C', {}, render); // evicts B, the least recently used
+  assert.strictEqual((await cache.getOrRender('pdf', 'A', {}, render)).cache.status, 'hit');
+  assert.strictEqual((await cache.getOrRender('pdf', 'B', {}, render)).cache.status, 'miss');
+  assert.strictEqual(render.calls, 4);
+  assert.strictEqual(cache.stats().entries, 2);
+});
+
+test('createRenderCache - memory size limit', async () => {
+  const cache = createRenderCache({ maxBytes: 10 });
+  await cache.getOrRender('pdf', 'A', {}, counting(Buffer.alloc(6)));
+  await cache.getOrRender('pdf', 'B', {}, counting(Buffer.alloc(6)));
+  assert.deepStrictEqual([cache.stats().entries, cache.stats().bytes], [1, 6]);
+});
+
+test('createRenderCache - concurrent identical renders run once and failures are not cached', async () => {
+  const cache = createRenderCache();
+  const render = counting(() => new Promise(resolve => setTimeout(() => resolve('svg'), 20)));
+  const results = await Promise.all([1, 2, 3].map(() => cache.getOrRender('svg', ABC, {}, render)));
+  assert.strictEqual(render.calls, 1);
+  assert.deepStrictEqual(results.map(r => r.cache.status), ['miss', 'hit', 'hit']);
+
+  const failing = counting(() => { throw new Error('boom'); });
+  await assert.rejects(() => cache.getOrRender('pdf', 'bad', {}, failing), /boom/);
+  await assert.rejects(() => cache.getOrRender('pdf', 'bad', {}, failing), /boom/);
+  assert.strictEqual(failing.calls, 2);
+});
+
+test('createRenderCache - disk tier is shared between caches and expires', async () => {
+  const directory = mkdtempSync(join(tmpdir(), 'partitura-cache-'));
+  try {
+    const first = createRenderCache({ directory, ttlSeconds: 0.2 });
+    await first.getOrRender('midi', ABC, {}, counting([{ id: '1', midi: Buffer.from('MThd') }]));
+
+    const second = createRenderCache({ directory, ttlSeconds: 0.2 });
+    const render = counting('unused');
+    const hit = await second.getOrRender('midi', ABC, {}, render);
+    assert.deepStrictEqual([hit.cache.status, hit.cache.tier], ['hit', 'disk']);
+    assert(Buffer.isBuffer(hit.value[0].midi));
+    assert.strictEqual(render.calls, 0);
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+    const third = createRenderCache({ directory, ttlSeconds: 0.2 });
+    assert.strictEqual((await third.getOrRender('midi', ABC, {}, render)).cache.status, 'miss');
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('createRenderCache - disk tier size limit', async () => {
+  const directory = mkdtempSync(join(tmpdir(), 'partitura-cache-'));
+  try {
+    const cache = createRenderCache({ directory, maxDiskBytes: 1500 });
+    for (const name of ['A', 'B', 'C']) {
+      await cache.getOrRender('pdf', name, {}, counting(Buffer.alloc(600)));
+    }
+    assert.strictEqual(readdirSync(directory).filter(name => name.endsWith('.render')).length, 2);
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('createRenderCache - disk tier is scanned once the bytes written pass the limit', async () => {
+  const directory = mkdtempSync(join(tmpdir(), 'partitura-cache-'));
+  const files = () => readdirSync(directory).filter(name => name.endsWith('.render')).sort();
+  try {
+    const cache = createRenderCache({ directory, maxDiskBytes: 3000 });
+    await cache.getOrRender('pdf', 'A', {}, counting(Buffer.alloc(600)));
+
+    // Written by another process after the first scan: not counted until the next one
+    await new Promise(resolve => setTimeout(resolve, 20));
+    writeFileSync(join(directory, 'other.render'), Buffer.alloc(2000));
+    for (const name of ['B', 'C', 'D']) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await cache.getOrRender('pdf', name, {}, counting(Buffer.alloc(600)));
+    }
+    assert.strictEqual(files().length, 5);
+
+    // Past the limit, the scan removes the least recently used files down to 90% of it
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await cache.getOrRender('pdf', 'E', {}, counting(Buffer.alloc(600)));
+    assert.strictEqual(files().length, 4);
+    assert(!files().includes('other.render'));
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, copyFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { builtinFamilyFor, fontRoleForClasses, listFonts, resolveFontFamily, BUILTIN_FONTS } from '../src/fonts.js';
+import { abcToPdf, extractSvgElements, AbcToPdfSchema } from '../src/index.js';
+
+function baseFonts(pdfBuffer) {
+  return [...pdfBuffer.toString('latin1').matchAll(/\/BaseFont \/[A-Z]+\+([\w-]+)/g)].map(m => m[1]);
+}
+
+test('builtinFamilyFor - classifies CSS font families', () => {
+  assert.strictEqual(builtinFamilyFor('Times New Roman'), 'serif');
+  assert.strictEqual(builtinFamilyFor('Georgia, serif'), 'serif');
+  assert.strictEqual(builtinFamilyFor('"Courier New", monospace'), 'mono');
+  assert.strictEqual(builtinFamilyFor('Arial, sans-serif'), 'sans');
+  assert.strictEqual(builtinFamilyFor('Helvetica'), 'sans');
+});
+
+test('fontRoleForClasses - maps abcjs classes to roles', () => {
+  assert.strictEqual(fontRoleForClasses(['abcjs-title']), 'title');
+  assert.strictEqual(fontRoleForClasses(['abcjs-lyric', 'abcjs-l1']), 'lyrics');
+  assert.strictEqual(fontRoleForClasses(['abcjs-chord']), 'chords');
+  assert.strictEqual(fontRoleForClasses(['abcjs-annotation']), 'annotations');
+  assert.strictEqual(fontRoleForClasses(['abcjs-composer']), 'default');
+});
+
+test('extractSvgElements - tags text with its font role', () => {
+  const elements = extractSvgElements(
+    '<svg width="100" height="100"><text class="abcjs-lyric abcjs-l1" x="0" y="10">la</text>' +
+    '<text x="0" y="30">plain</text></svg>'
+  );
+  assert.deepStrictEqual(elements.filter(e => e.type === 'text').map(e => e.role), ['lyrics', 'default']);
+});
+
+test('resolveFontFamily - built-in, installed and unknown fonts', () => {
+  const directory = mkdtempSync(join(tmpdir(), 'partitura-fonts-'));
+  const previous = process.env.PARTITURA_FONT_DIR;
+  try {
+    copyFileSync(BUILTIN_FONTS.mono.regular, join(directory, 'MyFont.ttf'));
+    process.env.PARTITURA_FONT_DIR = directory;
+
+    assert.strictEqual(resolveFontFamily('Serif'), BUILTIN_FONTS.serif);
+    assert(listFonts().includes('myfont'));
+    assert.strictEqual(resolveFontFamily('myfont').bold, join(directory, 'MyFont.ttf'));
+    assert.throws(() => resolveFontFamily('missing'), /Unknown font: missing/);
+  } finally {
+    if (previous === undefined) {
+      delete process.env.PARTITURA_FONT_DIR;
+    } else {
+      process.env.PARTITURA_FONT_DIR = previous;
+    }
+    rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('abcToPdf - embeds Unicode titles, lyrics and chord symbols', async () => {
+  const abc = 'X:1\nT:Καλημέρα Москва\nC:José Pérez\nM:4/4\nL:1/4\nK:C\n"Bb"C D "F#m"E F |\nw: שָׁלוֹם ни-ña ça\n';
+  const pdf = await abcToPdf(abc, { title: 'Canción' });
+
+  const fonts = baseFonts(pdf);
+  assert(fonts.includes('DejaVuSerif'));
+  assert(fonts.includes('DejaVuSans'));
+  // The standard fonts cannot encode these scripts
+  assert(!pdf.toString('latin1').includes('/BaseFont /Helvetica'));
+});
+
+test('abcToPdf - uses the font configured for each role', async () => {
+  const abc = 'X:1\nT:Roles\nM:4/4\nL:1/4\nK:C\n"C"C D E F |\nw: la la la la\n';
+  const pdf = await abcToPdf(abc, { fonts: { lyrics: 'mono', chords: BUILTIN_FONTS.serif.bold } });
+
+  const fonts = baseFonts(pdf);
+  assert(fonts.includes('DejaVuSansMono-Bold'));
+  assert(fonts.includes('DejaVuSerif-Bold'));
+});
+
+test('abcToPdf - rejects unknown fonts and roles', async () => {
+  const abc = 'X:1\nT:Roles\nM:4/4\nL:1/4\nK:C\nC D E F |';
+  await assert.rejects(() => abcToPdf(abc, { fonts: { title: 'nope' } }), /Unknown font: nope/);
+  await assert.rejects(() => abcToPdf(abc, { fonts: { footer: 'serif' } }), /Unknown font role: footer/);
+});
+
+test('AbcToPdfSchema - font names only, no paths', () => {
+  const result = AbcToPdfSchema.parse({ abc_notation: 'X:1\nK:C\nC', fonts: { title: 'serif', lyrics: 'my-font' } });
+  assert.deepStrictEqual(result.fonts, { title: 'serif', lyrics: 'my-font' });
+  assert.throws(() => AbcToPdfSchema.parse({ abc_notation: 'X:1\nK:C\nC', fonts: { title: '/etc/passwd' } }));
+});
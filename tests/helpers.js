@@ -0,0 +1,32 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { setupServerHandlers } from '../src/tools.js';
+
+/**
+ * Helpers shared by the test files
+ */
+
+/**
+ * Counts the pages of a PDF produced by pdfkit
+ * @param {Buffer} pdfBuffer - PDF file
+ * @returns {number} Number of pages
+ */
+export function countPages(pdfBuffer) {
+  return (pdfBuffer.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+}
+
+/**
+ * Connects an MCP client to a new server with the tool handlers, in memory
+ * @param {Object} context - Handler options passed to setupServerHandlers;
+ *   the process-wide render cache is left out unless it sets cache
+ * @returns {Promise<Client>} Connected client
+ */
+export async function connectClient(context = {}) {
+  const server = new Server({ name: 'test', version: '1.0.0' }, { capabilities: { tools: {}, resources: {}, prompts: {} } });
+  setupServerHandlers(server, { cache: null, ...context });
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  return client;
+}
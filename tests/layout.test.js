@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { abcToPdf, resolvePageLayout, AbcToPdfSchema } from '../src/index.js';
+
+const SCALE_ABC = 'X:1\nT:Scale\nM:4/4\nL:1/4\nK:C\nC D E F | G A B c |';
+
+function mediaBoxes(pdfBuffer) {
+  return [...pdfBuffer.toString('latin1').matchAll(/\/MediaBox \[([^\]]+)\]/g)].map(m => m[1].trim());
+}
+
+test('resolvePageLayout - defaults to A4 portrait with a 600-unit staff', () => {
+  const layout = resolvePageLayout();
+
+  assert.deepStrictEqual(layout.size, [595.28, 841.89]);
+  assert.deepStrictEqual(layout.margins, { top: 50, right: 50, bottom: 50, left: 50 });
+  assert.strictEqual(layout.staffWidth, 600);
+  assert.strictEqual(layout.staffSpacing, 6);
+});
+
+test('resolvePageLayout - landscape keeps the notation size and widens the staff', () => {
+  const portrait = resolvePageLayout({ paperSize: 'Letter' });
+  const landscape = resolvePageLayout({ paperSize: 'Letter', orientation: 'landscape' });
+
+  assert.deepStrictEqual(landscape.size, [792, 612]);
+  assert.strictEqual(landscape.scale, portrait.scale);
+  assert(landscape.staffWidth > portrait.staffWidth);
+});
+
+test('resolvePageLayout - custom size, per-side margins and explicit scale', () => {
+  const layout = resolvePageLayout({
+    paperSize: { width: 800, height: 400 },
+    margins: { left: 20, right: 30 },
+    scale: 1
+  });
+
+  assert.deepStrictEqual(layout.size, [400, 800]);
+  assert.deepStrictEqual(layout.margins, { top: 50, right: 30, bottom: 50, left: 20 });
+  assert.strictEqual(layout.staffWidth, 320);
+});
+
+test('resolvePageLayout - rejects margins wider than the page', () => {
+  assert.throws(() => resolvePageLayout({ paperSize: 'A4', margins: 300 }), /no printable area/);
+});
+
+test('abcToPdf - honours paper size and orientation', async () => {
+  const pdf = await abcToPdf(SCALE_ABC, { paperSize: 'Letter', orientation: 'landscape', margins: 36 });
+  assert.deepStrictEqual(mediaBoxes(pdf), ['0 0 792 612']);
+});
+
+test('abcToPdf - larger scale and spacing push a long tune onto more pages', async () => {
+  let abc = 'X:1\nT:Long Reel\nM:4/4\nL:1/8\nK:D\n';
+  for (let i = 0; i < 10; i++) {
+    abc += 'ABcd efga|fedc BAGF|\n';
+  }
+
+  const normal = await abcToPdf(abc);
+  const large = await abcToPdf(abc, { scale: 1.2, staffWidth: 380, staffSpacing: 30 });
+  assert(mediaBoxes(large).length > mediaBoxes(normal).length);
+});
+
+test('AbcToPdfSchema - page layout options', () => {
+  const result = AbcToPdfSchema.parse({
+    abc_notation: SCALE_ABC,
+    paper_size: { width: 500, height: 700 },
+    orientation: 'landscape',
+    margins: { top: 20 },
+    staff_width: 700,
+    scale: 0.9,
+    staff_spacing: 12
+  });
+  assert.deepStrictEqual(result.paper_size, { width: 500, height: 700 });
+  assert.deepStrictEqual(result.margins, { top: 20 });
+
+  assert.throws(() => AbcToPdfSchema.parse({ abc_notation: SCALE_ABC, paper_size: 'A5' }));
+  assert.throws(() => AbcToPdfSchema.parse({ abc_notation: SCALE_ABC, orientation: 'sideways' }));
+  assert.throws(() => AbcToPdfSchema.parse({ abc_notation: SCALE_ABC, margins: -5 }));
+});
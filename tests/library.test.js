@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createScoreLibrary, readAbcHeaders, normalizeKey, normalizeMeter } from '../src/library.js';
+import { createArtifactStore } from '../src/artifacts.js';
+import { connectClient } from './helpers.js';
+
+const HORNPIPE = 'X:1\nT:The Harvest Home\nT:Cork Hornpipe\nC:Trad.\nR:hornpipe\nM:C\nL:1/8\nK:Dmaj\n(3AGF|EDFA dAFA|]';
+const JIG = 'X:1\nT:Out on the Ocean\nR:jig\nM:6/8\nL:1/8\nK:G\nDGG GAB|]';
+
+/**
+ * Runs a test against a library in a fresh temporary directory
+ */
+async function withLibrary(run) {
+  const directory = mkdtempSync(join(tmpdir(), 'partitura-library-'));
+  try {
+    await run(createScoreLibrary({ directory }), directory);
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+test('readAbcHeaders - reads the first title and the tune headers', () => {
+  assert.deepStrictEqual(readAbcHeaders(HORNPIPE), {
+    title: 'The Harvest Home', composer: 'Trad.', key: 'Dmaj', meter: 'C', rhythm: 'hornpipe'
+  });
+  assert.strictEqual(normalizeKey('D major'), normalizeKey('Dmaj'));
+  assert.strictEqual(normalizeKey('E minor'), normalizeKey('Em'));
+  assert.notStrictEqual(normalizeKey('D'), normalizeKey('Dm'));
+  assert.strictEqual(normalizeMeter('C'), normalizeMeter('4/4'));
+});
+
+test('createScoreLibrary - save, get, list and delete', async () => {
+  await withLibrary(async (library, directory) => {
+    const hornpipe = await library.save({ abc: HORNPIPE, tags: ['Session', 'session', 'fast'] });
+    assert.match(hornpipe.id, /^the-harvest-home-[0-9a-f]{6}$/);
+    assert.deepStrictEqual(hornpipe.tags, ['session', 'fast']);
+    assert.strictEqual((await library.get(hornpipe.id)).abc, HORNPIPE);
+
+    const jig = await library.save({ abc: JIG, title: 'Ocean Jig' });
+    const { total, scores } = await library.list();
+    assert.strictEqual(total, 2);
+    assert.deepStrictEqual(scores.map(score => score.id), [jig.id, hornpipe.id]);
+    assert.strictEqual(scores[0].abc, undefined);
+
+    const updated = await library.save({ abc: HORNPIPE.replace('K:Dmaj', 'K:G'), id: hornpipe.id });
+    assert.deepStrictEqual([updated.key, updated.created], ['G', hornpipe.created]);
+    assert.strictEqual((await library.list()).total, 2);
+
+    await library.remove(jig.id);
+    await assert.rejects(() => library.get(jig.id), /Score not found/);
+    assert.deepStrictEqual(readdirSync(directory).filter(name => name.endsWith('.json')), [`${hornpipe.id}.json`]);
+  });
+});
+
+test('createScoreLibrary - rejects unsafe IDs, unknown IDs and invalid ABC', async () => {
+  await withLibrary(async (library) => {
+    await assert.rejects(() => library.get('../../etc/passwd'), /Invalid score ID/);
+    await assert.rejects(() => library.save({ abc: JIG, id: 'missing-000000' }), /Score not found/);
+    await assert.rejects(() => library.save({ abc: 'X:1\nK:C\n<script>' }), /unsafe content/);
+    await assert.rejects(() => library.save({ abc: 'just text' }), /no tune: a tune needs a K:/);
+  });
+});
+
+test('createScoreLibrary - search by field, words, tags and date', async () => {
+  await withLibrary(async (library) => {
+    await library.save({ abc: HORNPIPE, tags: ['session'] });
+    await library.save({ abc: JIG, tags: ['session', 'beginner'] });
+
+    const titles = async (criteria) => (await library.search(criteria)).scores.map(score => score.title);
+    assert.deepStrictEqual(await titles({ query: 'hornpipe' }), ['The Harvest Home']);
+    assert.deepStrictEqual(await titles({ query: 'trad hornpipe' }), ['The Harvest Home']);
+    assert.deepStrictEqual(await titles({ key: 'D major' }), ['The Harvest Home']);
+    assert.deepStrictEqual(await titles({ meter: '4/4' }), ['The Harvest Home']);
+    assert.deepStrictEqual(await titles({ rhythm: 'JIG' }), ['Out on the Ocean']);
+    assert.deepStrictEqual(await titles({ composer: 'trad' }), ['The Harvest Home']);
+    assert.deepStrictEqual(await titles({ tags: ['session'] }), ['Out on the Ocean', 'The Harvest Home']);
+    assert.deepStrictEqual(await titles({ tags: ['session', 'beginner'] }), ['Out on the Ocean']);
+    assert.deepStrictEqual(await titles({ saved_after: '2000-01-01', saved_before: '2000-01-02' }), []);
+    assert.strictEqual((await library.search({ query: 'ocean', key: 'D' })).total, 0);
+  });
+});
+
+test('score tools - save, search and render a saved score over MCP', async () => {
+  await withLibrary(async (library) => {
+    const client = await connectClient({ artifacts: createArtifactStore(), library });
+
+    const saved = await client.callTool({ name: 'score_save', arguments: { abc_notation: HORNPIPE, tags: ['session'] } });
+    const { id } = JSON.parse(saved.content[0].text);
+    assert.match(saved.content[1].text, /saved "The Harvest Home"/);
+
+    const found = await client.callTool({ name: 'score_search', arguments: { query: 'hornpipe' } });
+    assert.strictEqual(JSON.parse(found.content[0].text).scores[0].id, id);
+
+    const loaded = await client.callTool({ name: 'score_get', arguments: { id, render: 'pdf' } });
+    assert.strictEqual(loaded.content[1].text, HORNPIPE);
+    assert.strictEqual(loaded.content[2].type, 'resource_link');
+    assert.strictEqual(loaded._meta.cache.status, 'miss');
+    const again = await client.callTool({ name: 'score_get', arguments: { id, render: 'pdf' } });
+    assert.deepStrictEqual([again._meta.cache.status, again._meta.cache.tier], ['hit', 'disk']);
+
+    const missing = await client.callTool({ name: 'score_get', arguments: { id: 'nothing-here' } });
+    assert(missing.isError);
+    assert.match(missing.content[0].text, /Score not found/);
+
+    const deleted = await client.callTool({ name: 'score_delete', arguments: { id } });
+    assert.match(deleted.content[1].text, /deleted "The Harvest Home"/);
+    assert.strictEqual(JSON.parse((await client.callTool({ name: 'score_list', arguments: {} })).content[0].text).total, 0);
+  });
+});
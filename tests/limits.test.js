@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+import { measureAbc, checkAbcLimits, readLimitedBody, createRateLimiter, clientAddress } from '../src/limits.js';
+import { validateAbcNotation } from '../src/index.js';
+
+const LIMITS = { maxLength: 1000, maxTunes: 2, maxVoices: 2, maxBars: 8 };
+
+test('measureAbc - tunes, voices and bars', () => {
+  const abc = [
+    'X:1', 'T:Duet', 'M:4/4', 'K:C',
+    'V:1 name="Flute"', '"C"C D E F | G A B c :|',
+    'V:2 clef=bass', '[V:3] C,4 || C,4 |] % a comment | with bars',
+    'X:2', 'K:G', '|: G A B c :|: d e f g :: g4 [|]'
+  ].join('\n');
+  assert.deepStrictEqual(measureAbc(abc), { length: abc.length, tunes: 2, voices: 3, bars: 8 });
+  assert.deepStrictEqual(measureAbc('K:C\nCDEF'), { length: 8, tunes: 1, voices: 1, bars: 0 });
+});
+
+test('checkAbcLimits - length, tunes, voices and bars', () => {
+  assert.doesNotThrow(() => checkAbcLimits('X:1\nK:C\nC D E F | G A B c |]', LIMITS));
+  const refuses = (abc, message) => assert.throws(() => checkAbcLimits(abc, LIMITS), error => error.status === 413 && message.test(error.message));
+  refuses(`X:1\nK:C\n${'C'.repeat(1000)}`, /too long: 1008 characters \(limit 1000\)/);
+  refuses('X:1\nK:C\nC|\nX:2\nK:C\nC|\nX:3\nK:C\nC|', /too many tunes: 3 \(limit 2\)/);
+  refuses('X:1\nK:C\nV:1\nC|\nV:2\nC|\nV:3\nC|', /too many voices: 3 in one tune \(limit 2\)/);
+  refuses(`X:1\nK:C\n${'C4 | '.repeat(9)}`, /too many bars: 9 \(limit 8\)/);
+  assert.doesNotThrow(() => checkAbcLimits(`X:1\nK:C\n${'C4 | '.repeat(9)}`, { ...LIMITS, maxBars: 0 }));
+});
+
+test('validateAbcNotation - applies the default limits', () => {
+  assert.throws(() => validateAbcNotation(`X:1\nK:C\n${'C'.repeat(200000)}`), /ABC notation is too long/);
+});
+
+test('readLimitedBody - refuses bodies over the limit', async () => {
+  const server = createServer(async (req, res) => {
+    try {
+      const body = await readLimitedBody(req, 100);
+      res.end(`read ${body.length}`);
+    } catch (error) {
+      res.writeHead(error.status);
+      res.end(error.message);
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+  try {
+    const small = await fetch(url, { method: 'POST', body: 'x'.repeat(100) });
+    assert.strictEqual(await small.text(), 'read 100');
+
+    const declared = await fetch(url, { method: 'POST', body: 'x'.repeat(101) });
+    assert.strictEqual(declared.status, 413);
+    assert.strictEqual(await declared.text(), 'Request body is too large (limit 100 bytes)');
+
+    // Chunked upload without Content-Length
+    const stream = new ReadableStream({
+      start(controller) {
+        for (let i = 0; i < 5; i++) {
+          controller.enqueue(new TextEncoder().encode('x'.repeat(50)));
+        }
+        controller.close();
+      }
+    });
+    const streamed = await fetch(url, { method: 'POST', body: stream, duplex: 'half' });
+    assert.strictEqual(streamed.status, 413);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('createRateLimiter - token bucket per key', () => {
+  let time = 0;
+  const limiter = createRateLimiter({ perMinute: 60, burst: 3, maxKeys: 2, now: () => time });
+  for (let i = 0; i < 3; i++) {
+    limiter.take('a');
+  }
+  assert.throws(() => limiter.take('a'), error => error.status === 429 && error.retryAfter === 1 && /retry in 1 second$/.test(error.message));
+  limiter.take('b');
+
+  // One token per second
+  time = 1000;
+  limiter.take('a');
+  assert.throws(() => limiter.take('a'), /Rate limit exceeded/);
+
+  // Past maxKeys the least recently used client is forgotten
+  limiter.take('c');
+  assert.strictEqual(limiter.size(), 2);
+  limiter.remove('c');
+  assert.strictEqual(limiter.size(), 1);
+
+  const disabled = createRateLimiter({ perMinute: 0 });
+  assert.strictEqual(disabled.enabled, false);
+  for (let i = 0; i < 100; i++) {
+    disabled.take('a');
+  }
+});
+
+test('clientAddress - X-Forwarded-For only behind a trusted proxy', () => {
+  const req = { headers: { 'x-forwarded-for': '203.0.113.7, 10.0.0.1' }, socket: { remoteAddress: '10.0.0.1' } };
+  assert.strictEqual(clientAddress(req, false), '10.0.0.1');
+  assert.strictEqual(clientAddress(req, true), '203.0.113.7');
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createLogger, redact, withLogContext, currentLogContext } from '../src/logger.js';
+import { AbcValidationError } from '../src/index.js';
+import { connectClient } from './helpers.js';
+
+const ABC = 'X:1\nT:Scale\nM:4/4\nL:1/4\nK:C\nC D E F | G A B c |';
+
+/**
+ * Creates a logger writing parsed lines to an array
+ */
+function memoryLogger(options = {}) {
+  const lines = [];
+  const logger = createLogger({
+    stream: { write: line => lines.push(JSON.parse(line)) },
+    now: () => new Date('2026-01-01T00:00:00Z'),
+    ...options
+  });
+  return { logger, lines };
+}
+
+test('createLogger - JSON lines filtered by level', () => {
+  const { logger, lines } = memoryLogger({ level: 'info', fields: { service: 'partitura' } });
+  logger.debug('Hidden');
+  logger.info('Shown', { durationMs: 12 });
+  logger.child({ component: 'cache' }).warn('Child');
+
+  assert.deepStrictEqual(lines, [
+    { time: '2026-01-01T00:00:00.000Z', level: 'info', msg: 'Shown', service: 'partitura', durationMs: 12 },
+    { time: '2026-01-01T00:00:00.000Z', level: 'warn', msg: 'Child', service: 'partitura', component: 'cache' }
+  ]);
+  assert.strictEqual(logger.enabled('debug'), false);
+
+  const silent = memoryLogger({ level: 'silent' });
+  silent.logger.error('Nothing');
+  assert.strictEqual(silent.lines.length, 0);
+  // Unknown levels fall back to info
+  assert.strictEqual(createLogger({ level: 'verbose' }).level, 'info');
+});
+
+test('redact - ABC payloads, errors and buffers', () => {
+  const error = new AbcValidationError('ABC notation cannot be empty', 'empty');
+  assert.deepStrictEqual(redact({ abc_notation: ABC, transpose: 2, error, data: Buffer.alloc(10) }), {
+    abc_notation: `[redacted ABC, ${ABC.length} characters]`,
+    transpose: 2,
+    error: { name: 'AbcValidationError', message: 'ABC notation cannot be empty', reason: 'empty' },
+    data: '[10 bytes]'
+  });
+  assert.deepStrictEqual(redact({ abcNotation: ABC }, { redactAbc: false }), { abcNotation: ABC });
+  assert.deepStrictEqual(redact({ musicxml: '<score-partwise/>', musicxml_base64: 'UEsDBA==', midi_base64: 'TVRoZA==' }), {
+    musicxml: '[redacted MusicXML, 17 characters]',
+    musicxml_base64: '[redacted MusicXML, 8 characters]',
+    midi_base64: '[redacted MIDI, 8 characters]'
+  });
+  assert.match(redact(error, { stack: true }).stack, /AbcValidationError/);
+});
+
+test('withLogContext - correlation fields follow awaits', async () => {
+  const { logger, lines } = memoryLogger();
+  await withLogContext({ requestId: 'req-1' }, async () => {
+    await new Promise(resolve => setTimeout(resolve, 1));
+    await withLogContext({ tool: 'abc_to_svg' }, async () => {
+      assert.deepStrictEqual(currentLogContext(), { requestId: 'req-1', tool: 'abc_to_svg' });
+      logger.info('Inside');
+    });
+    logger.info('Outside');
+  });
+  logger.info('None');
+
+  assert.deepStrictEqual(lines.map(({ msg, requestId, tool }) => ({ msg, requestId, tool })), [
+    { msg: 'Inside', requestId: 'req-1', tool: 'abc_to_svg' },
+    { msg: 'Outside', requestId: 'req-1', tool: undefined },
+    { msg: 'None', requestId: undefined, tool: undefined }
+  ]);
+});
+
+test('setupServerHandlers - logs tool calls with outcome and duration', async () => {
+  const { logger, lines } = memoryLogger({ level: 'debug' });
+  const client = await connectClient({ logger });
+
+  await client.callTool({ name: 'abc_to_svg', arguments: { abc_notation: ABC } });
+  await client.callTool({ name: 'abc_to_pdf', arguments: { abc_notation: '' } });
+
+  const started = lines.find(line => line.msg === 'Tool call started');
+  assert.strictEqual(started.tool, 'abc_to_svg');
+  assert.strictEqual(started.arguments.abc_notation, `[redacted ABC, ${ABC.length} characters]`);
+
+  const completed = lines.find(line => line.msg === 'Tool call completed');
+  assert.strictEqual(completed.level, 'info');
+  assert.strictEqual(completed.tool, 'abc_to_svg');
+  assert.strictEqual(completed.outcome, 'ok');
+  assert.strictEqual(typeof completed.durationMs, 'number');
+  assert.strictEqual(typeof completed.rpcId, 'number');
+
+  const failed = lines.find(line => line.msg === 'Tool call failed');
+  assert.strictEqual(failed.tool, 'abc_to_pdf');
+  assert.strictEqual(failed.outcome, 'invalid');
+  // No line carries the score itself
+  assert.ok(lines.every(line => !JSON.stringify(line).includes('G A B c')));
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { LruMap } from '../src/lru.js';
+
+test('LruMap - get and set move entries to the most recently used end', () => {
+  const map = new LruMap([['a', 1], ['b', 2], ['c', 3]]);
+
+  assert.strictEqual(map.get('a'), 1);
+  assert.deepStrictEqual([...map.keys()], ['b', 'c', 'a']);
+  map.set('b', 20);
+  assert.deepStrictEqual([...map.keys()], ['c', 'a', 'b']);
+  assert.deepStrictEqual(map.oldest(), ['c', 3]);
+  assert.strictEqual(map.get('missing'), undefined);
+});
+
+test('LruMap - peek leaves the order unchanged', () => {
+  const map = new LruMap([['a', 1], ['b', 2]]);
+
+  assert.strictEqual(map.peek('a'), 1);
+  assert.deepStrictEqual(map.oldest(), ['a', 1]);
+  assert.strictEqual(new LruMap().oldest(), undefined);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createMetricsRegistry, createServerMetrics, validationFailureReason } from '../src/metrics.js';
+import { AbcToPdfSchema } from '../src/index.js';
+import { LimitError } from '../src/limits.js';
+import { connectClient } from './helpers.js';
+
+const ABC = 'X:1\nT:Scale\nM:4/4\nL:1/4\nK:C\nC D E F | G A B c |';
+
+test('createMetricsRegistry - Prometheus text format', () => {
+  const registry = createMetricsRegistry();
+  const calls = registry.counter('test_calls_total', 'Calls');
+  calls.inc({ tool: 'abc_to_pdf', status: 'ok' });
+  calls.inc({ tool: 'abc_to_pdf', status: 'ok' }, 2);
+  calls.inc({ tool: 'say "hi"\\\n' });
+  registry.gauge('test_active', 'Active things', { collect: () => 4 });
+  const latency = registry.histogram('test_seconds', 'Latency', { buckets: [0.1, 1] });
+  latency.observe({ format: 'pdf' }, 0.05);
+  latency.observe({ format: 'pdf' }, 0.5);
+  latency.observe({ format: 'pdf' }, 3);
+
+  assert.strictEqual(registry.render(), [
+    '# HELP test_calls_total Calls',
+    '# TYPE test_calls_total counter',
+    'test_calls_total{tool="abc_to_pdf",status="ok"} 3',
+    'test_calls_total{tool="say \\"hi\\"\\\\\\n"} 1',
+    '# HELP test_active Active things',
+    '# TYPE test_active gauge',
+    'test_active 4',
+    '# HELP test_seconds Latency',
+    '# TYPE test_seconds histogram',
+    'test_seconds_bucket{format="pdf",le="0.1"} 1',
+    'test_seconds_bucket{format="pdf",le="1"} 2',
+    'test_seconds_bucket{format="pdf",le="+Inf"} 3',
+    'test_seconds_sum{format="pdf"} 3.55',
+    'test_seconds_count{format="pdf"} 3',
+    ''
+  ].join('\n'));
+});
+
+test('createServerMetrics - timeRender records outcome, latency and file sizes', async () => {
+  const metrics = createServerMetrics();
+  await metrics.timeRender('pdf', async () => Buffer.alloc(2000));
+  await metrics.timeRender('svg', async () => [{ svg: '<svg/>' }, { svg: '<svg></svg>' }]);
+  await assert.rejects(() => metrics.timeRender('midi', async () => { throw new Error('boom'); }), /boom/);
+
+  const text = metrics.registry.render();
+  assert.match(text, /^partitura_renders_total\{format="pdf",status="ok"\} 1$/m);
+  assert.match(text, /^partitura_renders_total\{format="midi",status="error"\} 1$/m);
+  assert.match(text, /^partitura_render_duration_seconds_count\{format="midi"\} 1$/m);
+  assert.match(text, /^partitura_output_size_bytes_bucket\{format="pdf",le="10240"\} 1$/m);
+  assert.match(text, /^partitura_output_size_bytes_count\{format="svg"\} 2$/m);
+  assert.match(text, /^partitura_output_size_bytes_sum\{format="svg"\} 17$/m);
+});
+
+test('validationFailureReason - schema, ABC and limit errors', () => {
+  assert.strictEqual(validationFailureReason(AbcToPdfSchema.safeParse({}).error), 'invalid_arguments');
+  assert.strictEqual(validationFailureReason(new LimitError(413, 'too big', { reason: 'too_many_bars' })), 'too_many_bars');
+  assert.strictEqual(validationFailureReason(new Error('render failed')), null);
+});
+
+test('setupServerHandlers - records tool calls, renders and validation failures', async () => {
+  const metrics = createServerMetrics();
+  const client = await connectClient({ metrics });
+
+  await client.callTool({ name: 'abc_to_svg', arguments: { abc_notation: ABC } });
+  await client.callTool({ name: 'abc_to_pdf', arguments: { abc_notation: '<script>alert(1)</script>K:C\nC|' } });
+  await client.callTool({ name: 'abc_to_midi', arguments: {} });
+  await client.callTool({ name: 'validate_abc', arguments: { abc_notation: 'X:1\nK:C\nC D E F | G A B c |' } });
+
+  const text = metrics.registry.render();
+  assert.match(text, /^partitura_tool_calls_total\{tool="abc_to_svg",status="ok"\} 1$/m);
+  assert.match(text, /^partitura_tool_calls_total\{tool="abc_to_pdf",status="error"\} 1$/m);
+  assert.match(text, /^partitura_tool_duration_seconds_count\{tool="abc_to_midi"\} 1$/m);
+  assert.match(text, /^partitura_renders_total\{format="svg",status="ok"\} 1$/m);
+  // Refused input is never rendered
+  assert.doesNotMatch(text, /partitura_renders_total\{format="pdf"/);
+  assert.match(text, /^partitura_validation_failures_total\{reason="unsafe_content"\} 1$/m);
+  assert.match(text, /^partitura_validation_failures_total\{reason="invalid_arguments"\} 1$/m);
+});
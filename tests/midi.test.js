@@ -0,0 +1,226 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { abcToMidi, AbcToMidiSchema, midiToAbc, MidiToAbcSchema } from '../src/midi.js';
+import { collectAbcWarnings } from '../src/index.js';
+import { connectClient } from './helpers.js';
+
+const TWO_VOICES = `X:1
+T:Duet
+M:3/4
+L:1/8
+Q:1/4=90
+K:G
+%%MIDI program 41
+V:1
+|:GABc d2:|
+V:2
+%%MIDI program 33
+|:G,2 B,2 D2:|
+`;
+
+/**
+ * Reads the first tempo meta event of a MIDI file, in beats per minute
+ */
+function readTempo(midi) {
+  const index = midi.indexOf(Buffer.from([0xff, 0x51, 0x03]));
+  return Math.round(60000000 / midi.readUIntBE(index + 3, 3));
+}
+
+test('abcToMidi - produces a Standard MIDI File', async () => {
+  const [tune] = await abcToMidi(TWO_VOICES);
+
+  assert.strictEqual(tune.id, '1');
+  assert.strictEqual(tune.title, 'Duet');
+  assert.strictEqual(tune.midi.toString('latin1', 0, 4), 'MThd');
+});
+
+test('abcToMidi - one track per voice plus the tempo track', async () => {
+  const [tune] = await abcToMidi(TWO_VOICES);
+  const trackCount = tune.midi.toString('latin1').split('MTrk').length - 1;
+
+  assert.strictEqual(trackCount, 3);
+});
+
+test('abcToMidi - honours Q: and %%MIDI program', async () => {
+  const [tune] = await abcToMidi(TWO_VOICES);
+
+  assert.strictEqual(readTempo(tune.midi), 90);
+  // Program changes to violin (41) and acoustic bass (33)
+  const programs = [...tune.midi.toString('hex').matchAll(/00(c[0-9a-f])([0-9a-f]{2})/g)]
+    .map(match => parseInt(match[2], 16));
+  assert.deepStrictEqual(programs, [41, 33]);
+});
+
+test('abcToMidi - tempo option overrides Q:', async () => {
+  const [tune] = await abcToMidi(TWO_VOICES, { tempo: 120 });
+  assert.strictEqual(readTempo(tune.midi), 120);
+});
+
+test('abcToMidi - one file per selected tune', async () => {
+  const tunes = await abcToMidi('X:1\nT:A\nK:C\nCDEF|\n\nX:2\nT:B\nK:G\nGABc|\n\nX:3\nT:C\nK:D\nDEFG|', { tunes: [1, 3] });
+  assert.deepStrictEqual(tunes.map(t => t.title), ['A', 'C']);
+});
+
+test('abcToMidi - unsafe input throws error', async () => {
+  await assert.rejects(
+    () => abcToMidi('javascript:alert(1)'),
+    { message: 'ABC notation contains potentially unsafe content' }
+  );
+});
+
+test('AbcToMidiSchema - rejects non-positive tempo', () => {
+  assert.throws(() => AbcToMidiSchema.parse({ abc_notation: TWO_VOICES, tempo: 0 }));
+  assert.strictEqual(AbcToMidiSchema.parse({ abc_notation: TWO_VOICES, tempo: 100 }).tempo, 100);
+});
+
+const REEL = `X:1
+T:Reel
+M:4/4
+L:1/16
+Q:1/4=100
+K:Dm
+V:1 name="Fiddle"
+%%MIDI program 40
+d4 ^c2d2 e3f g2a2|(3b2a2g2 (3f2e2d2 ^c4 z4|(3d4e4f4 g8-|g8 _B4 A2G2|
+V:2
+%%MIDI program 32
+[D,8F,8] [A,,8E,8]|D,16|D,8 G,,8|[G,,16D,16]|
+`;
+
+/**
+ * Encodes a number as a MIDI variable-length quantity
+ */
+function varLength(value) {
+  const bytes = [value & 0x7f];
+  while ((value >>= 7) > 0) {
+    bytes.unshift((value & 0x7f) | 0x80);
+  }
+  return bytes;
+}
+
+/**
+ * Builds a Standard MIDI File from tracks of [tick, ...event bytes]
+ */
+function smf(tracks, { format = 1, ticksPerQuarter = 96 } = {}) {
+  const chunks = [Buffer.from([0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, format, 0, tracks.length, ticksPerQuarter >> 8, ticksPerQuarter & 0xff])];
+  for (const events of tracks) {
+    const bytes = [];
+    let tick = 0;
+    for (const [at, ...data] of [...events].sort((a, b) => a[0] - b[0])) {
+      bytes.push(...varLength(at - tick), ...data);
+      tick = at;
+    }
+    bytes.push(0, 0xff, 0x2f, 0);
+    const header = Buffer.alloc(8);
+    header.write('MTrk');
+    header.writeUInt32BE(bytes.length, 4);
+    chunks.push(header, Buffer.from(bytes));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Plays notes given as [pitch, start beat, beats] on a channel, a few ticks off the beat
+ */
+function play(notes, channel, { legato = 0 } = {}) {
+  const jitter = [3, -4, 2, -2, 5, -3, 1, 4, -5, 2];
+  return notes.flatMap(([pitch, beat, beats], index) => [
+    [Math.round(beat * 96) + jitter[index % jitter.length], 0x90 | channel, pitch, beat % 3 === 0 ? 90 : 70],
+    [Math.round((beat + beats) * 96) + legato, 0x80 | channel, pitch, 0]
+  ]);
+}
+
+// A waltz in E minor, with a triplet, played legato over a detached bass on one track
+const WALTZ = smf([[
+  ...play([[64, 0, 1], [67, 1, 1], [71, 2, 1], [72, 3, 2], [71, 5, 1], [69, 6, 1.5], [67, 7.5, 0.5], [66, 8, 1], [67, 9, 1 / 3], [69, 9 + 1 / 3, 1 / 3], [71, 9 + 2 / 3, 1 / 3], [64, 10, 2]], 0, { legato: 8 }),
+  ...play([[40, 0, 2.9], [45, 3, 2.9], [47, 6, 2.9], [40, 9, 2.9]], 1),
+  [0, 0xc1, 32]
+]], { format: 0 });
+
+test('midiToAbc - voices, programs, key and meter from the file, triplets and ties', async () => {
+  const [tune] = await abcToMidi(REEL);
+  const { abc, title, voices, measures, key, meter, keySource, meterSource } = midiToAbc(tune.midi);
+
+  assert.deepStrictEqual({ title, voices, measures, key, meter, keySource, meterSource }, {
+    title: 'Reel', voices: 2, measures: 4, key: 'Dm', meter: '4/4', keySource: 'file', meterSource: 'file'
+  });
+  assert.match(abc, /^T:Reel\nM:4\/4\nL:1\/8\nQ:1\/4=100\nK:Dm\nV:1 clef=treble name="Fiddle"\nV:2 clef=bass\n/m);
+  // Eighth-note and quarter-note triplets, a tie across the bar line and a flat in the key
+  assert.match(abc, /^V:1\n%%MIDI program 40\nd2 \^cd e3\/2f\/2 ga \| \(3bag \(3fed \^c2 z2 \| \(3d2 e2 f2 g4- \| g4 B2 AG \|\]$/m);
+  assert.match(abc, /^V:2\n%%MIDI program 32\n\[D,F,\]4 \[A,,E,\]4 \| D,8 \| D,4 G,,4 \| \[G,,D,\]8 \|\]$/m);
+  assert.deepStrictEqual(collectAbcWarnings(abc), []);
+});
+
+test('midiToAbc - quantizes a played file and detects its key and meter', () => {
+  const { abc, voices, key, meter, keySource, meterSource } = midiToAbc(WALTZ);
+
+  assert.deepStrictEqual({ voices, key, meter, keySource, meterSource }, { voices: 2, key: 'Em', meter: '3/4', keySource: 'detected', meterSource: 'detected' });
+  // Channels of one track become voices; legato overlaps are trimmed and the triplet found
+  assert.match(abc, /^V:1\nE2 G2 B2 \| c4 B2 \| A3 G F2 \| \(3GAB E4 \|\]$/m);
+  assert.match(abc, /^V:2\n%%MIDI program 32\nE,,6 \| A,,6 \| B,,6 \| E,,6 \|\]$/m);
+});
+
+test('midiToAbc - grid, triplet, key and meter options', async () => {
+  const straight = midiToAbc(WALTZ, { triplets: false, key: 'G', meter: '6/8', barsPerLine: 2 });
+  assert.strictEqual(straight.keySource, 'option');
+  assert.match(straight.abc, /^M:6\/8$/m);
+  assert.match(straight.abc, /^K:G$/m);
+  assert.match(straight.abc, /^V:1\nA3 G F2 \| G\/2AB\/2 E4 \|\]$/m);
+
+  // The dotted rhythm of the first bar fits an eighth-note grid best as a triplet
+  const [tune] = await abcToMidi(REEL);
+  assert.match(midiToAbc(tune.midi, { quantize: '1/8' }).abc, /^d2 \^cd \(3:2:2e2 f ga \| \(3bag/m);
+});
+
+test('midiToAbc - refuses files that are not readable MIDI', () => {
+  assert.throws(() => midiToAbc(Buffer.from('RIFF....WAVE')), { name: 'MidiError', reason: 'invalid_midi', message: /MThd header is missing/ });
+  assert.throws(() => midiToAbc(WALTZ.subarray(0, 40)), { message: /ends in the middle of an event/ });
+  const smpte = Buffer.from(WALTZ);
+  smpte.writeUInt16BE(0xe728, 12);
+  assert.throws(() => midiToAbc(smpte), { message: /SMPTE/ });
+  assert.throws(() => midiToAbc(smf([[[0, 0x99, 36, 100], [96, 0x89, 36, 0]]])), { message: /no notes/ });
+
+  assert.throws(() => MidiToAbcSchema.parse({ midi_base64: 'AA==', key: 'H' }), /Unknown key/);
+  assert.throws(() => MidiToAbcSchema.parse({ midi_base64: 'AA==', meter: '3/5' }), /Meter must be/);
+  assert.throws(() => MidiToAbcSchema.parse({ midi_base64: 'A'.repeat(6 * 1024 * 1024) }), /MIDI file is too large/);
+  assert.strictEqual(MidiToAbcSchema.parse({ midi_base64: 'AA==', key: 'F# minor' }).key, 'F# minor');
+});
+
+test('midiToAbc - holds the ABC to the limits and refuses unusable meters and tempos', () => {
+  // One whole note 2000 bars long in each of eight tracks
+  const long = smf(Array.from({ length: 8 }, (_, track) => [[0, 0x90 | track, 60 + track, 80], [2000 * 384, 0x80 | track, 60 + track, 0]]));
+  assert.throws(() => midiToAbc(long), { name: 'LimitError', status: 413, reason: 'too_many_bars', message: /16000 bars of ABC \(limit 5000\)/ });
+  assert.throws(() => midiToAbc(long, { limits: { maxVoices: 4 } }), { reason: 'too_many_voices' });
+
+  assert.throws(() => midiToAbc(WALTZ, { meter: '0/4' }), { name: 'MidiError', message: /Invalid meter: 0\/4/ });
+  assert.throws(() => midiToAbc(WALTZ, { meter: '3/5' }), { name: 'MidiError' });
+
+  // A tempo of 0 microseconds per quarter note is ignored
+  const stopped = smf([[[0, 0xff, 0x51, 3, 0, 0, 0], [0, 0x90, 60, 80], [384, 0x80, 60, 0]]]);
+  assert.match(midiToAbc(stopped).abc, /^Q:1\/4=120$/m);
+});
+
+test('midi_to_abc tool - converts a base64 file and renders it to PDF', async () => {
+  const client = await connectClient();
+
+  const result = await client.callTool({
+    name: 'midi_to_abc',
+    arguments: { midi_base64: WALTZ.toString('base64'), title: 'Sketch', render: 'pdf' }
+  });
+
+  assert.ok(!result.isError);
+  assert.match(result.content[0].text, /^T:Sketch$/m);
+  const link = result.content.find(item => item.type === 'resource_link');
+  assert.strictEqual(link.mimeType, 'application/pdf');
+  assert.strictEqual(link.name, 'sketch.pdf');
+  assert.match(result.content.at(-1).text, /2 voices, 4 bars, key Em \(detected\), meter 3\/4 \(detected\)/);
+
+  const invalid = await client.callTool({ name: 'midi_to_abc', arguments: { midi_base64: Buffer.from('not midi').toString('base64') } });
+  assert.ok(invalid.isError);
+  assert.match(invalid.content[0].text, /Not a Standard MIDI File/);
+
+  const long = smf([[[0, 0x90, 60, 80], [6000 * 384, 0x80, 60, 0]]]);
+  const tooLong = await client.callTool({ name: 'midi_to_abc', arguments: { midi_base64: long.toString('base64') } });
+  assert.ok(tooLong.isError);
+  assert.match(tooLong.content[0].text, /too long: 6000 bars/);
+});
@@ -0,0 +1,296 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { deflateRawSync, crc32 } from 'node:zlib';
+import { JSDOM } from 'jsdom';
+import { musicXmlToAbc, abcToMusicXml, MusicXmlError, MusicXmlToAbcSchema } from '../src/musicxml.js';
+import { collectAbcWarnings } from '../src/index.js';
+import { connectClient } from './helpers.js';
+
+// Soprano with two verses, and a piano part with two voices on the upper staff
+const CHOIR = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">
+<score-partwise version="4.0">
+  <work><work-title>Evening Hymn</work-title></work>
+  <identification><creator type="composer">J. Doe</creator></identification>
+  <part-list>
+    <score-part id="P1"><part-name>Soprano</part-name><part-abbreviation>S.</part-abbreviation></score-part>
+    <score-part id="P2"><part-name>Piano</part-name></score-part>
+  </part-list>
+  <part id="P1">
+    <measure number="1">
+      <barline location="left"><bar-style>heavy-light</bar-style><repeat direction="forward"/></barline>
+      <attributes><divisions>6</divisions><key><fifths>1</fifths><mode>major</mode></key><time><beats>4</beats><beat-type>4</beat-type></time><clef><sign>G</sign><line>2</line></clef></attributes>
+      <direction placement="above"><direction-type><metronome><beat-unit>quarter</beat-unit><per-minute>96</per-minute></metronome></direction-type><sound tempo="96"/></direction>
+      <direction placement="below"><direction-type><dynamics><mf/></dynamics></direction-type></direction>
+      <note><pitch><step>G</step><octave>4</octave></pitch><duration>12</duration><voice>1</voice><type>half</type><lyric number="1"><syllabic>begin</syllabic><text>Glo</text></lyric><lyric number="2"><syllabic>single</syllabic><text>Now</text></lyric></note>
+      <note><pitch><step>A</step><octave>4</octave></pitch><duration>6</duration><voice>1</voice><type>quarter</type><tie type="start"/><notations><tied type="start"/></notations><lyric number="1"><syllabic>end</syllabic><text>ry</text><extend/></lyric><lyric number="2"><syllabic>single</syllabic><text>the</text></lyric></note>
+      <note><pitch><step>A</step><octave>4</octave></pitch><duration>6</duration><voice>1</voice><type>quarter</type><tie type="stop"/><notations><tied type="stop"/></notations></note>
+    </measure>
+    <measure number="2">
+      <note><pitch><step>B</step><octave>4</octave></pitch><duration>2</duration><voice>1</voice><type>eighth</type><time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification><beam number="1">begin</beam><notations><tuplet type="start"/><slur type="start"/></notations><lyric number="1"><syllabic>single</syllabic><text>to</text></lyric></note>
+      <note><pitch><step>C</step><alter>1</alter><octave>5</octave></pitch><duration>2</duration><voice>1</voice><type>eighth</type><time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification><beam number="1">continue</beam></note>
+      <note><pitch><step>D</step><octave>5</octave></pitch><duration>2</duration><voice>1</voice><type>eighth</type><time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification><beam number="1">end</beam><notations><tuplet type="stop"/><slur type="stop"/></notations></note>
+      <note><pitch><step>C</step><octave>5</octave></pitch><duration>6</duration><voice>1</voice><type>quarter</type><lyric number="1"><syllabic>single</syllabic><text>God</text></lyric></note>
+      <note><rest/><duration>12</duration><voice>1</voice><type>half</type></note>
+      <barline location="right"><bar-style>light-heavy</bar-style><ending number="1" type="stop"/><repeat direction="backward"/></barline>
+    </measure>
+    <measure number="3">
+      <barline location="left"><ending number="2" type="start"/></barline>
+      <attributes><key><fifths>-1</fifths><mode>minor</mode></key><time><beats>3</beats><beat-type>4</beat-type></time></attributes>
+      <note><pitch><step>D</step><octave>5</octave></pitch><duration>18</duration><voice>1</voice><type>half</type><dot/><notations><fermata/></notations></note>
+      <barline location="right"><bar-style>light-heavy</bar-style><ending number="2" type="discontinue"/></barline>
+    </measure>
+  </part>
+  <part id="P2">
+    <measure number="1">
+      <barline location="left"><repeat direction="forward"/></barline>
+      <attributes><divisions>2</divisions><key><fifths>1</fifths></key><time><beats>4</beats><beat-type>4</beat-type></time><staves>2</staves><clef number="1"><sign>G</sign><line>2</line></clef><clef number="2"><sign>F</sign><line>4</line></clef></attributes>
+      <harmony><root><root-step>G</root-step></root><kind>major</kind></harmony>
+      <note><pitch><step>B</step><octave>4</octave></pitch><duration>4</duration><voice>1</voice><type>half</type><staff>1</staff></note>
+      <note><chord/><pitch><step>D</step><octave>5</octave></pitch><duration>4</duration><voice>1</voice><type>half</type><staff>1</staff></note>
+      <harmony><root><root-step>D</root-step></root><kind>dominant</kind><bass><bass-step>F</bass-step><bass-alter>1</bass-alter></bass></harmony>
+      <note><pitch><step>C</step><octave>5</octave></pitch><duration>4</duration><voice>1</voice><type>half</type><staff>1</staff></note>
+      <backup><duration>8</duration></backup>
+      <note><pitch><step>G</step><octave>4</octave></pitch><duration>8</duration><voice>2</voice><type>whole</type><staff>1</staff></note>
+      <backup><duration>8</duration></backup>
+      <note><pitch><step>G</step><octave>2</octave></pitch><duration>4</duration><voice>5</voice><type>half</type><staff>2</staff></note>
+      <note><pitch><step>F</step><alter>1</alter><octave>2</octave></pitch><duration>4</duration><voice>5</voice><type>half</type><staff>2</staff></note>
+    </measure>
+    <measure number="2">
+      <note><pitch><step>D</step><octave>5</octave></pitch><duration>8</duration><voice>1</voice><type>whole</type><staff>1</staff></note>
+      <backup><duration>8</duration></backup>
+      <note><pitch><step>G</step><octave>2</octave></pitch><duration>8</duration><voice>5</voice><type>whole</type><staff>2</staff></note>
+      <barline location="right"><repeat direction="backward"/></barline>
+    </measure>
+    <measure number="3">
+      <attributes><key><fifths>-1</fifths><mode>minor</mode></key><time><beats>3</beats><beat-type>4</beat-type></time><clef number="2"><sign>G</sign><line>2</line></clef></attributes>
+      <note><pitch><step>F</step><octave>4</octave></pitch><duration>6</duration><voice>1</voice><type>half</type><dot/><staff>1</staff></note>
+      <backup><duration>6</duration></backup>
+      <note><pitch><step>D</step><octave>4</octave></pitch><duration>6</duration><voice>5</voice><type>half</type><dot/><staff>2</staff></note>
+    </measure>
+  </part>
+</score-partwise>`;
+
+/**
+ * Builds a ZIP archive of deflated entries, the way MuseScore writes .mxl files
+ */
+function zip(files) {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const data = Buffer.from(text);
+    const compressed = deflateRawSync(data);
+    const nameBytes = Buffer.from(name);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt32LE(crc32(data), 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(crc32(data), 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    locals.push(header, nameBytes, compressed);
+    directory.push(entry, nameBytes);
+    offset += header.length + nameBytes.length + compressed.length;
+  }
+  const size = directory.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(size, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...directory, end]);
+}
+
+const CONTAINER = '<?xml version="1.0"?><container><rootfiles><rootfile full-path="score/hymn.musicxml" media-type="application/vnd.recordare.musicxml+xml"/></rootfiles></container>';
+
+test('musicXmlToAbc - parts, voices, lyrics, chord symbols, repeats and key changes', () => {
+  const { abc, title, parts, voices, measures } = musicXmlToAbc(CHOIR);
+
+  assert.deepStrictEqual({ title, parts, voices, measures }, { title: 'Evening Hymn', parts: 2, voices: 4, measures: 3 });
+  assert.match(abc, /^T:Evening Hymn\nC:J\. Doe\nM:4\/4\nL:1\/8\nQ:1\/4=96\n%%score 1 \{\(2 3\) 4\}\nK:G\n/m);
+  assert.match(abc, /^V:1 clef=treble name="Soprano" snm="S\."$/m);
+  assert.match(abc, /^V:4 clef=bass$/m);
+  // Tie, triplet under a slur, accidental cancelled within the bar, repeat, second ending, key and meter change
+  assert.match(abc, /^\|:!mf!G4 A2- A2 \| \(3\(B\^cd\) =c2 z4 :\| \[2 \[K:Dm\] \[M:3\/4\] !fermata!d6 \|\]$/m);
+  assert.match(abc, /^w:Glo- ry _ \| to \* \* God$/m);
+  assert.match(abc, /^w:Now the$/m);
+  // Chord symbols and chords on the upper staff, the second voice filled with an invisible rest
+  assert.match(abc, /^\|:"G"\[Bd\]4 "D7\/F#"c4 \| d8 :\|/m);
+  assert.match(abc, /^\|:G8 \| x8 :\|/m);
+  // Clef change on the lower staff
+  assert.match(abc, /^\|:G,,4 F,,4 \| G,,8 :\| \[K:Dm\] \[M:3\/4\] \[K:clef=treble\] D6 \|$/m);
+  assert.deepStrictEqual(collectAbcWarnings(abc), []);
+});
+
+test('musicXmlToAbc - compressed .mxl and UTF-16 files', () => {
+  const expected = musicXmlToAbc(CHOIR).abc;
+  const mxl = zip({ 'META-INF/container.xml': CONTAINER, 'score/hymn.musicxml': CHOIR });
+  assert.strictEqual(musicXmlToAbc(mxl).abc, expected);
+
+  const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(CHOIR.replace('UTF-8', 'UTF-16'), 'utf16le')]);
+  assert.strictEqual(musicXmlToAbc(utf16).abc, expected);
+});
+
+test('musicXmlToAbc - timewise scores, grace notes and tuplets without tuplet marks', () => {
+  const triplet = '<time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification>';
+  const note = (step, alter, duration, extra = '') =>
+    `<note>${extra}<pitch><step>${step}</step><alter>${alter}</alter><octave>5</octave></pitch>${duration ? `<duration>${duration}</duration>` : ''}${duration === 1 ? triplet : ''}</note>`;
+  const xml = `<score-timewise version="4.0">
+    <part-list><score-part id="P1"><part-name>Flute</part-name></score-part></part-list>
+    <measure number="1"><part id="P1">
+      <attributes><divisions>3</divisions><key><fifths>-3</fifths><mode>minor</mode></key><time><beats>2</beats><beat-type>4</beat-type></time></attributes>
+      ${note('D', 0, 0, '<grace slash="yes"/>')}${note('C', 0, 3)}${note('D', 0, 1)}${note('E', -1, 1)}${note('F', 1, 1)}
+    </part></measure>
+  </score-timewise>`;
+
+  const { abc, voices } = musicXmlToAbc(xml);
+  assert.strictEqual(voices, 1);
+  assert.match(abc, /^K:Cm\n\{\/d\}c2 \(3d e \^f \|$/m);
+});
+
+test('musicXmlToAbc - refuses input that is not MusicXML', () => {
+  assert.throws(() => musicXmlToAbc('<html><body/></html>'), { name: 'MusicXmlError', reason: 'invalid_musicxml', message: /root element is <html>/ });
+  assert.throws(() => musicXmlToAbc('<score-partwise><part-list>'), MusicXmlError);
+  assert.throws(() => musicXmlToAbc(zip({ 'readme.txt': 'no score' })), { message: /no MusicXML score inside/ });
+  assert.throws(() => MusicXmlToAbcSchema.parse({ musicxml: CHOIR, musicxml_base64: 'AA==' }), /exactly one of musicxml or musicxml_base64/);
+  assert.throws(() => MusicXmlToAbcSchema.parse({ musicxml: 'x'.repeat(8 * 1024 * 1024 + 1) }), /MusicXML is too large/);
+  assert.throws(() => MusicXmlToAbcSchema.parse({ musicxml_base64: 'A'.repeat(12 * 1024 * 1024) }), /MusicXML file is too large/);
+  // Files too short for a ZIP header, and UTF-16 with an odd byte count
+  for (const bytes of [[0], [0x50, 0x4b], [0xfe, 0xff, 0x3c]]) {
+    assert.throws(() => musicXmlToAbc(Buffer.from(bytes)), MusicXmlError);
+  }
+});
+
+test('musicxml_to_abc tool - converts a base64 .mxl file and renders it to PDF', async () => {
+  const client = await connectClient();
+
+  const mxl = zip({ 'META-INF/container.xml': CONTAINER, 'score/hymn.musicxml': CHOIR });
+  const result = await client.callTool({
+    name: 'musicxml_to_abc',
+    arguments: { musicxml_base64: mxl.toString('base64'), title: 'Vespers', render: 'pdf' }
+  });
+
+  assert.ok(!result.isError);
+  assert.match(result.content[0].text, /^T:Vespers$/m);
+  const link = result.content.find(item => item.type === 'resource_link');
+  assert.strictEqual(link.mimeType, 'application/pdf');
+  assert.strictEqual(link.name, 'vespers.pdf');
+  assert.match(result.content.at(-1).text, /2 parts, 4 voices, 3 bars/);
+
+  const invalid = await client.callTool({ name: 'musicxml_to_abc', arguments: { musicxml: '<html/>' } });
+  assert.ok(invalid.isError);
+  assert.match(invalid.content[0].text, /Not a MusicXML score/);
+
+  const measures = Array.from({ length: 5001 }, (_, index) => `<measure number="${index + 1}"><note><rest measure="yes"/><duration>4</duration></note></measure>`);
+  const long = `<score-partwise><part-list><score-part id="P1"><part-name>Flute</part-name></score-part></part-list><part id="P1">${measures.join('')}</part></score-partwise>`;
+  const tooLong = await client.callTool({ name: 'musicxml_to_abc', arguments: { musicxml: long } });
+  assert.ok(tooLong.isError);
+  assert.match(tooLong.content[0].text, /too many bars: 5001 \(limit 5000\)/);
+});
+
+// Soprano and alto on one staff, and a piano on two braced staves
+const NIGHT_SONG = `X:1
+T:Night Song
+C:A. Writer
+M:3/4
+L:1/8
+Q:1/4=100
+%%score (S A) {RH | LH}
+K:G
+V:S clef=treble name="Soprano"
+V:A
+V:RH name="Piano"
+V:LH clef=bass
+[V:S] !p!"G"(3GAB c2- c2 | [M:2/4][K:D] "D7"(de) !crescendo(!f>!crescendo)!g |]
+w:la-la la li_ lo
+[V:A] G6 | z4 |]
+[V:RH] [B,DG]6 | [A,D]4 |]
+[V:LH] G,,6 | D,,4 |]
+`;
+
+test('abcToMusicXml - voices, staves, key and meter changes, ties, slurs, tuplets, dynamics, lyrics and chord symbols', async () => {
+  const [tune] = await abcToMusicXml(NIGHT_SONG);
+  assert.strictEqual(tune.title, 'Night Song');
+  assert.match(tune.musicxml, /^<\?xml version="1\.0" encoding="UTF-8"[^>]*\?>\n<!DOCTYPE score-partwise PUBLIC "-\/\/Recordare\/\/DTD MusicXML 4\.0 Partwise\/\/EN"/);
+  const { document } = new JSDOM(tune.musicxml, { contentType: 'application/xml' }).window;
+  const all = (element, selector) => Array.from(element.querySelectorAll(selector));
+  const text = (element, selector) => element.querySelector(selector)?.textContent;
+
+  assert.strictEqual(text(document, 'work-title'), 'Night Song');
+  assert.strictEqual(text(document, 'creator[type="composer"]'), 'A. Writer');
+  assert.deepStrictEqual(all(document, 'score-part part-name').map(name => name.textContent), ['Soprano', 'Piano']);
+
+  const [voices, piano] = all(document, 'part');
+  const [first, second] = all(voices, 'measure');
+  assert.strictEqual(text(first, 'key fifths'), '1');
+  assert.strictEqual(text(first, 'time beats') + '/' + text(first, 'time beat-type'), '3/4');
+  assert.strictEqual(first.querySelector('sound').getAttribute('tempo'), '100');
+  assert.ok(first.querySelector('dynamics p'));
+  assert.strictEqual(text(first, 'harmony root-step'), 'G');
+  assert.strictEqual(text(first, 'harmony kind'), 'major');
+
+  // Triplet eighths and the sixteenth of f>g share 12 divisions per quarter note
+  const notes = all(first, 'note');
+  assert.strictEqual(text(first, 'divisions'), '12');
+  assert.strictEqual(text(notes[0], 'duration'), '4');
+  assert.strictEqual(text(notes[0], 'actual-notes') + ':' + text(notes[0], 'normal-notes'), '3:2');
+  assert.strictEqual(notes[0].querySelector('tuplet').getAttribute('type'), 'start');
+  assert.deepStrictEqual(all(first, 'lyric').map(lyric => `${text(lyric, 'syllabic')} ${text(lyric, 'text')}`), ['begin la', 'end la', 'single la', 'single li']);
+  assert.ok(all(first, 'lyric').at(-1).querySelector('extend'));
+  assert.deepStrictEqual(all(first, 'tie').map(tie => tie.getAttribute('type')), ['start', 'stop']);
+  // The alto follows the soprano on the same staff
+  assert.strictEqual(text(first, 'backup duration'), '36');
+  assert.strictEqual(text(notes.at(-1), 'voice'), '2');
+
+  assert.strictEqual(text(second, 'key fifths'), '2');
+  assert.strictEqual(text(second, 'time beats') + '/' + text(second, 'time beat-type'), '2/4');
+  assert.strictEqual(text(second, 'harmony kind'), 'dominant');
+  assert.deepStrictEqual(all(second, 'slur').map(slur => slur.getAttribute('type')), ['start', 'stop']);
+  assert.deepStrictEqual(all(second, 'wedge').map(wedge => wedge.getAttribute('type')), ['crescendo', 'stop']);
+  assert.strictEqual(text(second, 'note:nth-of-type(3) pitch alter'), '1');
+  assert.strictEqual(text(second, 'barline[location="right"] bar-style'), 'light-heavy');
+
+  // Braced staves are one part with two staves
+  const pianoStart = piano.querySelector('measure');
+  assert.strictEqual(text(pianoStart, 'staves'), '2');
+  assert.deepStrictEqual(all(pianoStart, 'clef').map(clef => `${clef.getAttribute('number')}:${text(clef, 'sign')}${text(clef, 'line')}`), ['1:G2', '2:F4']);
+  assert.strictEqual(all(pianoStart, 'note chord').length, 2);
+  assert.deepStrictEqual(all(pianoStart, 'note').map(note => text(note, 'staff')), ['1', '1', '1', '2']);
+});
+
+test('abcToMusicXml - MusicXML read back gives the same music', async () => {
+  const abc = musicXmlToAbc(CHOIR).abc;
+  const [tune] = await abcToMusicXml(abc);
+  const music = text => text.split('\n').filter(line => !/^(w:|V:\d+ )/.test(line));
+  assert.deepStrictEqual(music(musicXmlToAbc(tune.musicxml).abc), music(abc));
+});
+
+test('abc_to_musicxml tool - links one MusicXML file per tune', async () => {
+  const client = await connectClient();
+
+  const result = await client.callTool({
+    name: 'abc_to_musicxml',
+    arguments: { abc_notation: `${NIGHT_SONG}\nX:2\nT:Scale\nK:C\nCDEF GABc|\n` }
+  });
+  assert.ok(!result.isError);
+  const links = result.content.filter(item => item.type === 'resource_link');
+  assert.deepStrictEqual(links.map(link => link.name), ['night-song.musicxml', 'scale.musicxml']);
+  assert.strictEqual(links[0].mimeType, 'application/vnd.recordare.musicxml+xml');
+  assert.match(result.content.at(-1).text, /^Successfully generated 2 MusicXML files from ABC notation/);
+
+  const { contents: [file] } = await client.readResource({ uri: links[1].uri });
+  assert.match(file.text, /<score-partwise version="4\.0">/);
+  assert.match(file.text, /<work-title>Scale<\/work-title>/);
+});
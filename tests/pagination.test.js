@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { abcToPdf, pathBounds, splitIntoSystems } from '../src/index.js';
+import { countPages } from './helpers.js';
+
+test('pathBounds - absolute lines', () => {
+  const bounds = pathBounds('M 15 278.9 L 615 278.9 L 615 279.6 L 15 279.6 z');
+  assert.deepStrictEqual(bounds, { top: 278.9, bottom: 279.6 });
+});
+
+test('pathBounds - relative curves include control points', () => {
+  const bounds = pathBounds('M 10 100c 0 -5 10 -5 10 0l 0 8z');
+  assert.strictEqual(bounds.top, 95);
+  assert.strictEqual(bounds.bottom, 108);
+});
+
+test('pathBounds - empty path returns null', () => {
+  assert.strictEqual(pathBounds(''), null);
+});
+
+test('splitIntoSystems - groups elements by top-level group in order', () => {
+  const elements = [
+    { type: 'metadata', width: 630, height: 400 },
+    { type: 'path', d: 'M 0 200 L 10 210', group: 3 },
+    { type: 'text', content: 'Title', x: 0, y: 40, fontSize: 20, group: 2 },
+    { type: 'path', d: 'M 0 100 L 10 120', group: 2 }
+  ];
+
+  const systems = splitIntoSystems(elements);
+  assert.strictEqual(systems.length, 2);
+  assert.strictEqual(systems[0].elements.length, 2);
+  assert.strictEqual(systems[0].top, 20);
+  assert.strictEqual(systems[0].bottom, 120);
+  assert.deepStrictEqual([systems[1].top, systems[1].bottom], [200, 210]);
+});
+
+test('abcToPdf - short tune fits on one page', async () => {
+  const pdf = await abcToPdf('X:1\nT:Test\nM:4/4\nL:1/4\nK:C\nC D E F | G A B c |');
+  assert.strictEqual(countPages(pdf), 1);
+});
+
+test('abcToPdf - long tune flows across several pages', async () => {
+  let abc = 'X:1\nT:Long Reel\nM:4/4\nL:1/8\nK:D\n';
+  for (let i = 0; i < 30; i++) {
+    abc += 'ABcd efga|fedc BAGF|ABcd efga|fedc BAGF|\n';
+  }
+
+  const pdf = await abcToPdf(abc, { title: 'Long Reel' });
+  assert(countPages(pdf) > 1);
+});
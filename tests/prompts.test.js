@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { PROMPTS, getPrompt } from '../src/prompts.js';
+import { connectClient } from './helpers.js';
+
+const MELODY = 'X:1\nT:Scale\nM:4/4\nL:1/4\nK:C\nC D E F | G A B c |]';
+
+const text = (result) => result.messages[0].content.text;
+
+test('getPrompt - compose_tune fills in the brief and the ABC conventions', () => {
+  const result = getPrompt('compose_tune', { style: 'Irish reel', key: 'D', meter: '4/4', bars: '16' });
+  assert.strictEqual(result.messages[0].role, 'user');
+  assert.match(text(result), /Style: Irish reel/);
+  assert.match(text(result), /Key: D\n/);
+  assert.match(text(result), /Length: 16 bars/);
+  assert.match(text(result), /K: is always the last header line/);
+  assert.match(text(result), /validate_abc/);
+  assert.match(text(result), /abc_to_pdf/);
+
+  assert.match(text(getPrompt('compose_tune', { style: 'waltz' })), /Meter: a meter typical of waltz/);
+});
+
+test('getPrompt - harmonize_melody and second_voice embed the melody', () => {
+  const harmonized = text(getPrompt('harmonize_melody', { abc_notation: MELODY, chords_per_bar: '2' }));
+  assert(harmonized.includes('```abc\nX:1\nT:Scale'));
+  assert.match(harmonized, /two chords per bar/);
+
+  const voiced = text(getPrompt('second_voice', { abc_notation: MELODY, voice: 'bass line', instrument: 'cello' }));
+  assert.match(voiced, /a bass line/);
+  assert.match(voiced, /V:2 name="cello"/);
+  assert.match(voiced, /%%MIDI program/);
+});
+
+test('getPrompt - fix_abc includes the validation report', () => {
+  const broken = text(getPrompt('fix_abc', { abc_notation: 'X:1\nT:Broken\nM:4/4\nL:1/4\nK:C\nC D [CEG | F |', error: 'chord is missing' }));
+  assert.match(broken, /Problem reported: chord is missing/);
+  assert.match(broken, /validate_abc reports 1 warning:\n- line 6/);
+
+  assert.match(text(getPrompt('fix_abc', { abc_notation: MELODY })), /reports no warnings/);
+  assert.match(text(getPrompt('fix_abc', { abc_notation: 'X:1\nK:C\n<script>' })), /rejects the input: .*unsafe content/);
+});
+
+test('getPrompt - rejects unknown prompts and invalid arguments', () => {
+  assert.throws(() => getPrompt('write_symphony', {}), /Unknown prompt: write_symphony/);
+  assert.throws(() => getPrompt('compose_tune', {}));
+  assert.throws(() => getPrompt('compose_tune', { style: 'jig', bars: 'many' }), /whole number/);
+});
+
+test('prompts - listed and served over MCP', async () => {
+  const client = await connectClient();
+
+  const { prompts } = await client.listPrompts();
+  assert.deepStrictEqual(prompts.map(prompt => prompt.name), PROMPTS.map(prompt => prompt.name));
+  assert(prompts.every(prompt => prompt.arguments.some(argument => argument.required)));
+
+  const result = await client.getPrompt({ name: 'harmonize_melody', arguments: { abc_notation: MELODY } });
+  assert.match(text(result), /chord symbols/);
+
+  await assert.rejects(
+    () => client.getPrompt({ name: 'harmonize_melody', arguments: {} }),
+    error => error.code === -32602 && /Invalid arguments for prompt harmonize_melody: abc_notation/.test(error.message)
+  );
+});
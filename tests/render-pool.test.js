@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createRenderPool, inlineRenderer } from '../src/render-pool.js';
+import { connectClient } from './helpers.js';
+
+const tune = (n) => `X:${n}\nT:Tune ${n}\nM:4/4\nL:1/4\nK:C\nC D E F | G A B c |`;
+
+test('createRenderPool - renders concurrently on isolated workers', async () => {
+  const pool = createRenderPool({ size: 2 });
+  try {
+    const results = await Promise.all([
+      pool.render('pdf', tune(1), { title: 'One' }),
+      pool.render('svg', tune(2)),
+      pool.render('pdf', tune(3)),
+      pool.render('midi', tune(4))
+    ]);
+
+    assert(Buffer.isBuffer(results[0]));
+    assert.strictEqual(results[0].subarray(0, 4).toString(), '%PDF');
+    assert.strictEqual(results[1][0].title, 'Tune 2');
+    assert(results[1][0].svg.startsWith('<svg'));
+    assert.strictEqual(results[2].subarray(0, 4).toString(), '%PDF');
+    assert(Buffer.isBuffer(results[3][0].midi));
+    assert.strictEqual(results[3][0].midi.subarray(0, 4).toString(), 'MThd');
+
+    const stats = pool.stats();
+    assert.strictEqual(stats.size, 2);
+    assert(stats.workers <= 2);
+    assert.strictEqual(stats.queued, 0);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('createRenderPool - reports render errors and keeps working', async () => {
+  const pool = createRenderPool({ size: 1 });
+  try {
+    await assert.rejects(() => pool.render('pdf', '<script>alert(1)</script>'), /potentially unsafe content/);
+    await assert.rejects(() => pool.render('gif', tune(1)), /Unknown render kind/);
+
+    const pdf = await pool.render('pdf', tune(1));
+    assert.strictEqual(pdf.subarray(0, 4).toString(), '%PDF');
+  } finally {
+    await pool.close();
+  }
+  await assert.rejects(() => pool.render('pdf', tune(1)), /closed/);
+});
+
+test('createRenderPool - parses, transposes and imports scores on workers', async () => {
+  const pool = createRenderPool({ size: 1 });
+  try {
+    const [warning] = await pool.render('warnings', `${tune(1)} [CEG |`);
+    assert.strictEqual(warning.message, "Expected ']' to end the chords");
+    assert.match(await pool.render('transpose', tune(1), { semitones: 2 }), /^K:D$/m);
+
+    const { abc } = await pool.render('musicxml-import', '<score-partwise><part-list><score-part id="P1"/></part-list><part id="P1"><measure number="1"><note><pitch><step>G</step><octave>4</octave></pitch><duration>4</duration><type>whole</type></note></measure></part></score-partwise>');
+    assert.match(abc, /^K:C\nG8 \|$/m);
+    const [midi] = await pool.render('midi', tune(1));
+    assert.match((await pool.render('midi-import', midi.midi)).abc, /^C2 D2 E2 F2 \| G2 A2 B2 c2 \|\]$/m);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('createRenderPool - stops a render past the timeout and replaces its worker', async () => {
+  const pool = createRenderPool({ size: 1, timeout: 1000 });
+  try {
+    // Eight minutes of held four-note chords take far longer than a second to synthesize
+    const drone = `X:1\nL:1/4\nQ:1/4=20\nK:C\n${'[CEGc]40 |'.repeat(4)}`;
+    await assert.rejects(
+      () => pool.render('audio', drone, { sampleRate: 48000 }),
+      { name: 'RenderTimeoutError', message: 'Render did not finish within 1s' }
+    );
+    assert.strictEqual(pool.stats().workers, 0);
+
+    const svgs = await pool.render('svg', tune(1));
+    assert.strictEqual(svgs.length, 1);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('createRenderPool - errors keep their name, reason and status', async () => {
+  const pool = createRenderPool({ size: 1 });
+  try {
+    await assert.rejects(() => pool.render('pdf', '<script>alert(1)</script>'), { name: 'AbcValidationError', reason: 'unsafe_content' });
+    await assert.rejects(() => pool.render('musicxml-import', '<html/>'), { name: 'MusicXmlError', reason: 'invalid_musicxml' });
+    await assert.rejects(() => pool.render('midi-import', Buffer.from('not midi')), { name: 'MidiError', reason: 'invalid_midi' });
+    await assert.rejects(() => pool.render('midi', `X:1\nK:C\n${'C|'.repeat(5001)}`), { name: 'LimitError', reason: 'too_many_bars', status: 413 });
+  } finally {
+    await pool.close();
+  }
+});
+
+test('createRenderPool - rejects invalid sizes', () => {
+  assert.throws(() => createRenderPool({ size: 1.5 }), /positive integer/);
+  assert.throws(() => createRenderPool({ timeout: -1 }), /positive number/);
+});
+
+test('inlineRenderer - renders on the calling thread', async () => {
+  const svgs = await inlineRenderer.render('svg', tune(1));
+  assert.strictEqual(svgs.length, 1);
+  await assert.rejects(() => inlineRenderer.render('gif', tune(1)), /Unknown render kind/);
+});
+
+test('setupServerHandlers - parsing, transposition and imports run on the renderer', async () => {
+  const kinds = [];
+  const renderer = {
+    render(kind, input, options) {
+      kinds.push(kind);
+      return inlineRenderer.render(kind, input, options);
+    }
+  };
+  const client = await connectClient({ renderer });
+
+  const [midi] = await inlineRenderer.render('midi', tune(1));
+  const calls = [
+    ['validate_abc', { abc_notation: tune(1) }],
+    ['abc_transpose', { abc_notation: tune(1), semitones: 2 }],
+    ['musicxml_to_abc', { musicxml: '<score-partwise><part-list><score-part id="P1"/></part-list><part id="P1"><measure number="1"/></part></score-partwise>' }],
+    ['midi_to_abc', { midi_base64: midi.midi.toString('base64') }]
+  ];
+  for (const [name, args] of calls) {
+    assert.ok(!(await client.callTool({ name, arguments: args })).isError, name);
+  }
+  assert.deepStrictEqual(kinds, ['warnings', 'transpose', 'musicxml-import', 'warnings', 'midi-import', 'warnings']);
+});
+
+test('abcToPdf - overlapping renders leave no DOM globals behind', async () => {
+  const { abcToPdf } = await import('../src/index.js');
+  await Promise.all([abcToPdf(tune(1)), abcToPdf(tune(2)), abcToPdf(tune(3))]);
+  assert.strictEqual(global.document, undefined);
+  assert.strictEqual(global.window, undefined);
+});
@@ -0,0 +1,165 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+import { handleRenderRequest } from '../src/rest.js';
+import { createRenderCache } from '../src/cache.js';
+import { createPrincipal } from '../src/auth.js';
+import { createServerMetrics } from '../src/metrics.js';
+
+const ABC = 'X:1\nT:Scale Étude\nM:4/4\nL:1/4\nK:C\nC D E F | G A B c |';
+const TUNEBOOK = `${ABC}\n\nX:2\nT:Second\nK:G\nG A B c |`;
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const cache = createRenderCache();
+  server = createServer((req, res) => handleRenderRequest(req, res, { cache }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const post = (path, body, contentType = 'text/plain') =>
+  fetch(`${baseUrl}${path}`, { method: 'POST', headers: { 'Content-Type': contentType }, body });
+
+test('POST /render/pdf - raw ABC with query options', async () => {
+  const response = await post('/render/pdf?title=Scale%20%C3%89tude&paper_size=Letter&margins=30', ABC);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('content-type'), 'application/pdf');
+  assert.strictEqual(response.headers.get('content-disposition'), 'attachment; filename="scale-etude.pdf"');
+  assert.strictEqual(response.headers.get('x-cache'), 'miss');
+  const pdf = Buffer.from(await response.arrayBuffer());
+  assert.strictEqual(pdf.subarray(0, 4).toString(), '%PDF');
+  assert(pdf.toString('latin1').includes('/MediaBox [0 0 612 792]'));
+
+  const again = await post('/render/pdf?title=Scale%20%C3%89tude&paper_size=Letter&margins=30', ABC);
+  assert.strictEqual(again.headers.get('x-cache'), 'hit (memory)');
+});
+
+test('POST /render/svg and /render/midi - JSON body selecting one tune', async () => {
+  const svg = await post('/render/svg', JSON.stringify({ abc_notation: TUNEBOOK, tunes: [2], responsive: false }), 'application/json');
+  assert.strictEqual(svg.status, 200);
+  assert.strictEqual(svg.headers.get('content-type'), 'image/svg+xml; charset=utf-8');
+  assert.strictEqual(svg.headers.get('content-disposition'), 'attachment; filename="second.svg"');
+  assert((await svg.text()).startsWith('<svg'));
+
+  const midi = await post('/render/midi?tunes=1&tempo=90', TUNEBOOK);
+  assert.strictEqual(midi.status, 200);
+  assert.strictEqual(midi.headers.get('content-type'), 'audio/midi');
+  assert.strictEqual(Buffer.from(await midi.arrayBuffer()).subarray(0, 4).toString(), 'MThd');
+});
+
+test('POST /render - errors', async () => {
+  const cases = [
+    [await post('/render/midi', TUNEBOOK), 422, /holds 2 tunes/],
+    [await post('/render/pdf?colour=red', ABC), 400, /Unknown option: colour/],
+    [await post('/render/pdf?scale=huge', ABC), 400, /scale/],
+    [await post('/render/pdf', '{"abc_notation":', 'application/json'), 400, /Invalid JSON body/],
+    [await post('/render/pdf', '', 'text/plain'), 400, /cannot be empty/],
+    [await post('/render/pdf', 'X:1\nK:C\n<script>', 'text/plain'), 400, /unsafe content/],
+    [await post('/render/pdf', ABC, 'application/xml'), 415, /Unsupported Content-Type/],
+    [await post('/render/docx', ABC), 404, /Unknown render format/],
+    [await fetch(`${baseUrl}/render/pdf`), 405, /Method Not Allowed/],
+  ];
+  for (const [response, status, message] of cases) {
+    assert.strictEqual(response.status, status);
+    assert.match((await response.json()).error, message);
+  }
+});
+
+test('POST /render - unsafe scores are refused before any render', async () => {
+  const metrics = createServerMetrics();
+  const kinds = [];
+  const renderer = {
+    async render(kind) {
+      kinds.push(kind);
+      throw new Error('not rendered');
+    }
+  };
+  const guarded = createServer((req, res) => handleRenderRequest(req, res, { renderer, cache: null, metrics }));
+  await new Promise(resolve => guarded.listen(0, '127.0.0.1', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${guarded.address().port}/render/svg`, { method: 'POST', body: 'X:1\nK:C\n<iframe src="x">' });
+    assert.strictEqual(response.status, 400);
+    assert.match((await response.json()).error, /unsafe content/);
+  } finally {
+    await new Promise(resolve => guarded.close(resolve));
+  }
+  assert.deepStrictEqual(kinds, []);
+  assert.match(metrics.registry.render(), /^partitura_validation_failures_total\{reason="unsafe_content"\} 1$/m);
+});
+
+test('POST /render - errors from a render worker keep their status and reason', async () => {
+  const metrics = createServerMetrics();
+  // Errors rebuilt by the render pool are plain Errors carrying the fields of the original
+  const renderer = {
+    async render() {
+      throw Object.assign(new Error('ABC notation has too many bars: 9 (limit 8)'), { name: 'LimitError', status: 413, reason: 'too_many_bars' });
+    }
+  };
+  const strict = createServer((req, res) => handleRenderRequest(req, res, { renderer, cache: null, metrics }));
+  await new Promise(resolve => strict.listen(0, '127.0.0.1', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${strict.address().port}/render/pdf`, { method: 'POST', body: ABC });
+    assert.strictEqual(response.status, 413);
+    assert.match((await response.json()).error, /too many bars: 9 \(limit 8\)/);
+  } finally {
+    await new Promise(resolve => strict.close(resolve));
+  }
+  assert.match(metrics.registry.render(), /^partitura_validation_failures_total\{reason="too_many_bars"\} 1$/m);
+});
+
+test('POST /render - formats outside the credential scope are refused', async () => {
+  const scoped = createServer((req, res) => handleRenderRequest(req, res, {
+    cache: null,
+    principal: createPrincipal('api-key:cms', ['abc_to_svg']),
+  }));
+  await new Promise(resolve => scoped.listen(0, '127.0.0.1', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${scoped.address().port}/render/pdf`, { method: 'POST', body: ABC });
+    assert.strictEqual(response.status, 403);
+    assert.match((await response.json()).error, /abc_to_pdf\) is not allowed/);
+  } finally {
+    await new Promise(resolve => scoped.close(resolve));
+  }
+});
+
+test('POST /render - oversized bodies and scores are refused with 413', async () => {
+  const small = createServer((req, res) => handleRenderRequest(req, res, { cache: null, maxBodyBytes: 64 }));
+  await new Promise(resolve => small.listen(0, '127.0.0.1', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${small.address().port}/render/svg`, { method: 'POST', body: `${ABC}\n${'C D E F |'.repeat(10)}` });
+    assert.strictEqual(response.status, 413);
+    assert.match((await response.json()).error, /Request body is too large/);
+  } finally {
+    await new Promise(resolve => small.close(resolve));
+  }
+
+  const tooManyTunes = Array.from({ length: 101 }, (_, i) => `X:${i + 1}\nK:C\nC|`).join('\n\n');
+  const response = await post('/render/pdf', tooManyTunes);
+  assert.strictEqual(response.status, 413);
+  assert.match((await response.json()).error, /too many tunes: 101 \(limit 100\)/);
+});
+
+test('POST /render - records requests, renders and validation failures', async () => {
+  const metrics = createServerMetrics();
+  const measured = createServer((req, res) => handleRenderRequest(req, res, { cache: null, metrics }));
+  await new Promise(resolve => measured.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${measured.address().port}`;
+  try {
+    await (await fetch(`${url}/render/svg`, { method: 'POST', body: ABC })).arrayBuffer();
+    await (await fetch(`${url}/render/svg?scale=abc`, { method: 'POST', body: ABC })).arrayBuffer();
+    await (await fetch(`${url}/render/nope`, { method: 'POST', body: ABC })).arrayBuffer();
+  } finally {
+    await new Promise(resolve => measured.close(resolve));
+  }
+
+  const text = metrics.registry.render();
+  assert.match(text, /^partitura_rest_requests_total\{format="svg",status="200"\} 1$/m);
+  assert.match(text, /^partitura_rest_requests_total\{format="svg",status="400"\} 1$/m);
+  assert.match(text, /^partitura_rest_requests_total\{format="unknown",status="404"\} 1$/m);
+  assert.match(text, /^partitura_renders_total\{format="svg",status="ok"\} 1$/m);
+  assert.match(text, /^partitura_validation_failures_total\{reason="invalid_arguments"\} 1$/m);
+});
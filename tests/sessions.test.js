@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createSessionRegistry } from '../src/sessions.js';
+
+/**
+ * Transport double recording whether it was closed
+ */
+function fakeTransport() {
+  return {
+    closed: false,
+    async close() {
+      this.closed = true;
+    }
+  };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('createSessionRegistry - add, get and remove', () => {
+  let time = 0;
+  const sessions = createSessionRegistry({ now: () => time });
+  const transport = fakeTransport();
+  sessions.add('a', transport, 'api-key:cms');
+
+  time = 5000;
+  const session = sessions.get('a');
+  assert.strictEqual(session.transport, transport);
+  assert.strictEqual(session.principalId, 'api-key:cms');
+  assert.strictEqual(session.lastUsed, 5000);
+  assert.strictEqual(sessions.get(undefined), undefined);
+  assert(sessions.has('a'));
+
+  sessions.remove('a');
+  assert(!sessions.has('a'));
+  assert.strictEqual(sessions.get('a'), undefined);
+});
+
+test('createSessionRegistry - peek leaves the session idle and in place', async () => {
+  let time = 0;
+  const sessions = createSessionRegistry({ maxSessions: 2, idleTtlSeconds: 60, now: () => time });
+  const transports = { a: fakeTransport(), b: fakeTransport(), c: fakeTransport() };
+  sessions.add('a', transports.a, 'api-key:cms');
+  sessions.add('b', transports.b, 'api-key:blog');
+
+  time = 50000;
+  assert.strictEqual(sessions.peek('a').principalId, 'api-key:cms');
+  assert.strictEqual(sessions.peek('a').lastUsed, 0);
+  assert.strictEqual(sessions.peek(undefined), undefined);
+
+  // Still the least recently used session
+  sessions.add('c', transports.c);
+  await settle();
+  assert.strictEqual(transports.a.closed, true);
+});
+
+test('createSessionRegistry - closes the least recently used session past the limit', async () => {
+  let time = 0;
+  const sessions = createSessionRegistry({ maxSessions: 2, now: () => time });
+  const transports = { a: fakeTransport(), b: fakeTransport(), c: fakeTransport() };
+  sessions.add('a', transports.a);
+  sessions.add('b', transports.b);
+  time = 1000;
+  sessions.get('a');
+  sessions.add('c', transports.c);
+  await settle();
+
+  assert.deepStrictEqual(sessions.entries().map(([id]) => id), ['a', 'c']);
+  assert.strictEqual(transports.b.closed, true);
+  assert.strictEqual(transports.a.closed, false);
+  assert.deepStrictEqual(sessions.stats().evicted, { idle: 0, capacity: 1 });
+});
+
+test('createSessionRegistry - sweeps idle sessions', async () => {
+  let time = 0;
+  const sessions = createSessionRegistry({ idleTtlSeconds: 60, now: () => time });
+  const transports = { a: fakeTransport(), b: fakeTransport() };
+  sessions.add('a', transports.a);
+  sessions.add('b', transports.b);
+
+  time = 50000;
+  sessions.get('b');
+  time = 61000;
+  assert.strictEqual(sessions.sweep(), 1);
+  await settle();
+  assert.strictEqual(transports.a.closed, true);
+  assert.strictEqual(transports.b.closed, false);
+
+  const stats = sessions.stats();
+  assert.deepStrictEqual(stats, {
+    active: 1,
+    max: 1000,
+    idleTtlSeconds: 60,
+    evicted: { idle: 1, capacity: 0 },
+    oldestAgeSeconds: 61,
+    averageAgeSeconds: 61,
+    longestIdleSeconds: 11
+  });
+
+  const forever = createSessionRegistry({ idleTtlSeconds: 0, now: () => time });
+  forever.add('a', fakeTransport());
+  time = 1e9;
+  assert.strictEqual(forever.sweep(), 0);
+});
+
+test('createSessionRegistry - periodic sweeper', async () => {
+  const sessions = createSessionRegistry({ idleTtlSeconds: 0.01, sweepIntervalSeconds: 0.02 });
+  const transport = fakeTransport();
+  sessions.add('a', transport);
+  sessions.start();
+  try {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(sessions.has('a'), false);
+    assert.strictEqual(transport.closed, true);
+  } finally {
+    sessions.stop();
+  }
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'node:events';
+import { createInFlightTracker, handleShutdownSignals, ShutdownError } from '../src/shutdown.js';
+import { createLogger } from '../src/logger.js';
+import { inlineRenderer } from '../src/render-pool.js';
+import { connectClient } from './helpers.js';
+
+const ABC = 'X:1\nT:Scale\nM:4/4\nL:1/4\nK:C\nC D E F | G A B c |';
+const silent = createLogger({ level: 'silent' });
+
+test('createInFlightTracker - drain waits for work in progress and refuses new work', async () => {
+  const tracker = createInFlightTracker();
+  let finish;
+  const running = tracker.run(() => new Promise(resolve => { finish = resolve; }));
+  assert.strictEqual(tracker.size(), 1);
+
+  const drained = tracker.drain(5000);
+  assert.strictEqual(tracker.draining, true);
+  await assert.rejects(() => tracker.run(async () => 'late'), ShutdownError);
+
+  finish('done');
+  assert.strictEqual(await running, 'done');
+  assert.strictEqual(await drained, true);
+  assert.strictEqual(tracker.size(), 0);
+});
+
+test('createInFlightTracker - drain gives up at the deadline', async () => {
+  const tracker = createInFlightTracker();
+  let finish;
+  const running = tracker.run(() => new Promise(resolve => { finish = resolve; }));
+  assert.strictEqual(await tracker.drain(20), false);
+  assert.strictEqual(tracker.size(), 1);
+  finish();
+  await running;
+  // Nothing left: resolves at once
+  assert.strictEqual(await tracker.drain(20), true);
+});
+
+test('handleShutdownSignals - SIGTERM runs the shutdown once, a second signal forces the exit', async () => {
+  const target = new EventEmitter();
+  const exits = [];
+  let finish;
+  const signals = [];
+  handleShutdownSignals((signal) => {
+    signals.push(signal);
+    return new Promise(resolve => { finish = resolve; });
+  }, { target, exit: code => exits.push(code), logger: silent });
+
+  target.emit('SIGTERM', 'SIGTERM');
+  target.emit('SIGINT', 'SIGINT');
+  assert.deepStrictEqual(signals, ['SIGTERM']);
+  assert.deepStrictEqual(exits, [1]);
+
+  finish(true);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(exits, [1, 0]);
+});
+
+test('setupServerHandlers - tool calls in progress finish while new ones are refused', async () => {
+  const inFlight = createInFlightTracker();
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const renderer = {
+    async render(kind, abcNotation, options) {
+      await gate;
+      return inlineRenderer.render(kind, abcNotation, options);
+    }
+  };
+  const client = await connectClient({ renderer, inFlight, logger: silent });
+
+  const call = client.callTool({ name: 'abc_to_pdf', arguments: { abc_notation: ABC } });
+  while (inFlight.size() === 0) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  const drained = inFlight.drain(30000);
+
+  await assert.rejects(
+    () => client.callTool({ name: 'abc_to_svg', arguments: { abc_notation: ABC } }),
+    /shutting down/
+  );
+
+  release();
+  const result = await call;
+  assert.ok(!result.isError);
+  assert.strictEqual(result.content.find(item => item.type === 'resource_link').mimeType, 'application/pdf');
+  assert.strictEqual(await drained, true);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { parseTransform, pathBBox } from '../src/svg-pdf.js';
+import { extractSvgElements, splitIntoSystems, abcToPdf } from '../src/index.js';
+
+const close = (actual, expected) => assert.deepStrictEqual(actual.map(n => Math.round(n * 1000) / 1000 + 0), expected);
+
+test('parseTransform - composes transform lists left to right', () => {
+  close(parseTransform('translate(10 20) scale(2)'), [2, 0, 0, 2, 10, 20]);
+  // abcjs scales annotations around a point this way
+  close(parseTransform('translate(5 5) scale(2,2) translate(-5 -5)'), [2, 0, 0, 2, -5, -5]);
+  close(parseTransform('rotate(90 10 10)'), [0, 1, -1, 0, 20, 0]);
+  close(parseTransform(null), [1, 0, 0, 1, 0, 0]);
+});
+
+test('pathBBox - covers both axes', () => {
+  assert.deepStrictEqual(pathBBox('M 10 10 h 20 v 5 H 5 z'), { left: 5, top: 10, right: 30, bottom: 15 });
+});
+
+test('extractSvgElements - inherits group paint and nests transforms', () => {
+  const elements = extractSvgElements(
+    '<svg width="100" height="100"><g fill="currentColor" stroke="none" transform="translate(10 0)">' +
+    '<g transform="scale(2)"><path d="M 0 0 L 1 1 L 0 1 z"/></g></g></svg>'
+  );
+  const path = elements.find(e => e.type === 'path');
+
+  assert.strictEqual(path.fill, '#000000');
+  assert.strictEqual(path.stroke, 'none');
+  close(path.matrix, [2, 0, 0, 2, 10, 0]);
+});
+
+test('extractSvgElements - converts basic shapes to paths', () => {
+  const elements = extractSvgElements(
+    '<svg width="100" height="100">' +
+    '<rect x="1" y="2" width="3" height="4"/>' +
+    '<ellipse cx="10" cy="10" rx="4" ry="2"/>' +
+    '<polygon points="0,0 5,0 5,5"/>' +
+    '<line x1="0" y1="0" x2="9" y2="9" stroke="#f00" stroke-dasharray="2 1"/></svg>'
+  );
+  const paths = elements.filter(e => e.type === 'path');
+
+  assert.strictEqual(paths.length, 4);
+  assert.strictEqual(paths[0].d, 'M 1 2 H 4 V 6 H 1 Z');
+  const ellipse = pathBBox(paths[1].d);
+  assert.deepStrictEqual([ellipse.top, ellipse.bottom], [8, 12]);
+  assert.strictEqual(paths[2].d, 'M 0 0 L 5 0 L 5 5 Z');
+  assert.strictEqual(paths[3].fill, 'none');
+  assert.strictEqual(paths[3].stroke, '#f00');
+  assert.deepStrictEqual(paths[3].strokeDasharray, [2, 1]);
+});
+
+test('extractSvgElements - applies class rules before inline styles', () => {
+  const elements = extractSvgElements(
+    '<svg width="100" height="100"><style>.red { fill: #ff0000 } .big text { fill: blue }</style>' +
+    '<path class="red" d="M 0 0 L 1 1"/><path class="red" style="fill: #00ff00" d="M 0 0 L 1 1"/></svg>'
+  );
+  const paths = elements.filter(e => e.type === 'path');
+
+  assert.strictEqual(paths[0].fill, '#ff0000');
+  assert.strictEqual(paths[1].fill, '#00ff00');
+});
+
+test('extractSvgElements - splits text into positioned runs with fonts', () => {
+  const elements = extractSvgElements(
+    '<svg width="100" height="100"><text x="50" y="20" font-size="10" font-family="Times New Roman" ' +
+    'font-weight="bold" text-anchor="middle"><tspan x="50">la-</tspan><tspan x="50" dy="1.2em">lo</tspan>' +
+    '<tspan font-size="0.5em" dy="-0.3em">2</tspan></text></svg>'
+  );
+  const text = elements.find(e => e.type === 'text');
+
+  assert.strictEqual(text.content, 'la-lo2');
+  assert.strictEqual(text.anchor, 'middle');
+  assert.deepStrictEqual(text.runs.map(run => [run.x, run.y, run.fontSize]), [[50, 20, 10], [50, 32, 10], [null, 30.5, 5]]);
+  assert.deepStrictEqual([text.runs[0].fontFamily, text.runs[0].fontWeight], ['Times New Roman', 'bold']);
+});
+
+test('splitIntoSystems - measures transformed elements', () => {
+  const systems = splitIntoSystems([
+    { type: 'path', d: 'M 0 10 L 0 20', matrix: [1, 0, 0, 2, 0, 100], group: 0 }
+  ]);
+
+  assert.deepStrictEqual([systems[0].top, systems[0].bottom], [120, 140]);
+});
+
+test('abcToPdf - draws abcjs text in the fonts it asks for', async () => {
+  const pdf = await abcToPdf('X:1\nT:Fonts\nC:Someone\nQ:"Allegro" 1/4=120\nM:4/4\nL:1/4\nK:C\n"C"C D E F |\nw: la la la la\n');
+  const text = pdf.toString('latin1');
+
+  assert(/\/BaseFont \/[A-Z]+\+DejaVuSerif\b/.test(text));
+  assert(/\/BaseFont \/[A-Z]+\+DejaVuSerif-Italic\b/.test(text));
+  assert(/\/BaseFont \/[A-Z]+\+DejaVuSerif-Bold\b/.test(text));
+  assert(/\/BaseFont \/[A-Z]+\+DejaVuSans\b/.test(text));
+});
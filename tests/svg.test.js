@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { sanitizeSvg, abcToSvgDocuments, AbcToSvgSchema } from '../src/index.js';
+
+const SCALE_ABC = 'X:1\nT:Scale\nM:4/4\nL:1/4\nK:C\nC D E F | G A B c |';
+
+test('sanitizeSvg - strips scripts, event handlers and external links', () => {
+  const svg = sanitizeSvg(
+    '<svg width="100" height="50" onload="alert(1)"><script>alert(2)</script>' +
+    '<a href="https://evil.example"><path d="M 0 0 L 1 1"/></a>' +
+    '<path d="M 0 0 L 5 5" onclick="alert(3)"/></svg>'
+  );
+
+  assert(!svg.includes('script'));
+  assert(!svg.includes('onload'));
+  assert(!svg.includes('onclick'));
+  assert(!svg.includes('evil.example'));
+  assert(svg.includes('d="M 0 0 L 5 5"'));
+  assert(svg.includes('xmlns="http://www.w3.org/2000/svg"'));
+});
+
+test('sanitizeSvg - bakes the abcjs CSS scale into the SVG size', () => {
+  const svg = sanitizeSvg('<svg width="100" height="50" style="transform: scale(2,2);"></svg>');
+
+  assert(svg.includes('viewBox="0 0 100 50"'));
+  assert(svg.includes('width="200"'));
+  assert(svg.includes('height="100"'));
+  assert(!svg.includes('style='));
+});
+
+test('abcToSvgDocuments - responsive output only has a viewBox', async () => {
+  const [tune] = await abcToSvgDocuments(SCALE_ABC);
+
+  assert.strictEqual(tune.id, '1');
+  assert.strictEqual(tune.title, 'Scale');
+  assert.match(tune.svg, /^<svg[^>]* viewBox="0 0 [\d.]+ [\d.]+"/);
+  assert.doesNotMatch(tune.svg, /^<svg[^>]* width=/);
+});
+
+test('abcToSvgDocuments - fixed size output honours staff width and scale', async () => {
+  const [tune] = await abcToSvgDocuments(SCALE_ABC, { responsive: false, staffWidth: 400, scale: 2 });
+
+  const width = parseFloat(tune.svg.match(/^<svg[^>]* width="([\d.]+)"/)[1]);
+  const viewBoxWidth = parseFloat(tune.svg.match(/viewBox="0 0 ([\d.]+)/)[1]);
+  assert.strictEqual(width, viewBoxWidth * 2);
+  assert(viewBoxWidth < 600);
+});
+
+test('abcToSvgDocuments - unsafe input throws error', async () => {
+  await assert.rejects(
+    () => abcToSvgDocuments('<script>alert(1)</script>X:1\nK:C\nC'),
+    { message: 'ABC notation contains potentially unsafe content' }
+  );
+});
+
+test('AbcToSvgSchema - rejects non-positive scale', () => {
+  assert.throws(() => AbcToSvgSchema.parse({ abc_notation: SCALE_ABC, scale: 0 }));
+  const result = AbcToSvgSchema.parse({ abc_notation: SCALE_ABC, staff_width: 800, responsive: false });
+  assert.strictEqual(result.staff_width, 800);
+  assert.strictEqual(result.responsive, false);
+});
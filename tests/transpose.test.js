@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { transposeAbc, intervalToSemitones, AbcTransposeSchema } from '../src/transpose.js';
+
+const TUNE = 'X:1\nT:Test\nM:4/4\nL:1/4\nK:G\n"Am"A ^c _B =F | "G7/B"[GBd]2 "D"d2 |\n';
+
+test('transposeAbc - rewrites key, notes, accidentals and chord symbols', () => {
+  const result = transposeAbc(TUNE, -2);
+
+  assert.match(result, /^K:F$/m);
+  assert.match(result, /"Gm"G =B _A _E \| "F7\/A"\[FAc\]2 "C"c2 \|/);
+});
+
+test('transposeAbc - zero semitones returns the input unchanged', () => {
+  assert.strictEqual(transposeAbc(TUNE, 0), TUNE);
+});
+
+test('transposeAbc - transposes every tune of a multi-tune file', () => {
+  const book = '%%scale 0.8\n\nX:1\nT:One\nK:G\nGABc|\n\nX:2\nT:Two\nK:Dm\n"Dm"DEF|\n';
+  const result = transposeAbc(book, 2);
+
+  assert(result.startsWith('%%scale 0.8\n\nX:1\n'));
+  assert.match(result, /T:One\nK:A\nABcd\|/);
+  assert.match(result, /T:Two\nK:Em\n"Em"EFG\|/);
+});
+
+test('transposeAbc - keeps only the selected tunes', () => {
+  const book = 'X:1\nT:One\nK:G\nGABc|\n\nX:2\nT:Two\nK:D\nDEF|\n';
+  const result = transposeAbc(book, 5, { tunes: ['Two'] });
+
+  assert(!result.includes('T:One'));
+  assert.match(result, /K:G\nGAB\|/);
+});
+
+test('intervalToSemitones - named intervals and direction', () => {
+  assert.strictEqual(intervalToSemitones('M2', 'down'), -2);
+  assert.strictEqual(intervalToSemitones('P5'), 7);
+  assert.throws(() => intervalToSemitones('X9'), { message: 'Unknown interval: X9' });
+});
+
+test('AbcTransposeSchema - requires exactly one of semitones or interval', () => {
+  assert.throws(() => AbcTransposeSchema.parse({ abc_notation: TUNE }));
+  assert.throws(() => AbcTransposeSchema.parse({ abc_notation: TUNE, semitones: 2, interval: 'M2' }));
+  assert.strictEqual(AbcTransposeSchema.parse({ abc_notation: TUNE, semitones: -3 }).semitones, -3);
+  assert.strictEqual(AbcTransposeSchema.parse({ abc_notation: TUNE, interval: 'm3', render: 'pdf' }).render, 'pdf');
+});
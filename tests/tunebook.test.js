@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { JSDOM } from 'jsdom';
+import { selectTunes, abcToSvgs, abcToPdf, AbcToPdfSchema } from '../src/index.js';
+import { countPages } from './helpers.js';
+
+const TUNEBOOK = `X:1
+T:The Kesh
+M:6/8
+L:1/8
+K:G
+GAG GAB | ABA ABd |
+
+X:2
+T:Morrison's Jig
+M:6/8
+L:1/8
+K:Edor
+EBE EBE | FDF AFD |
+
+X:7
+T:Drowsy Maggie
+M:4/4
+L:1/8
+K:Edor
+E2BE dEBE | E2BE AFDF |
+`;
+
+test('selectTunes - returns every tune in file order', () => {
+  const tunes = selectTunes(TUNEBOOK);
+  assert.deepStrictEqual(tunes.map(t => t.id), ['1', '2', '7']);
+  assert.strictEqual(tunes[1].title, "Morrison's Jig");
+});
+
+test('selectTunes - selects by X: number and by title', () => {
+  const tunes = selectTunes(TUNEBOOK, [7, 'the kesh']);
+  assert.deepStrictEqual(tunes.map(t => t.id), ['1', '7']);
+});
+
+test('selectTunes - unmatched selection throws error', () => {
+  assert.throws(
+    () => selectTunes(TUNEBOOK, [42]),
+    { message: 'No tunes match the selection: 42' }
+  );
+});
+
+test('abcToSvgs - renders one SVG per tune', () => {
+  const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', { pretendToBeVisual: true });
+  const originals = [global.document, global.window, global.navigator];
+  global.document = dom.window.document;
+  global.window = dom.window;
+  global.navigator = dom.window.navigator;
+
+  try {
+    const svgs = abcToSvgs(TUNEBOOK, dom);
+    assert.strictEqual(svgs.length, 3);
+    svgs.forEach(entry => assert(entry.svg.startsWith('<svg')));
+  } finally {
+    [global.document, global.window, global.navigator] = originals;
+  }
+});
+
+test('abcToPdf - page tune break starts each tune on its own page', async () => {
+  const pdf = await abcToPdf(TUNEBOOK, { tuneBreak: 'page' });
+  assert.strictEqual(countPages(pdf), 3);
+});
+
+test('abcToPdf - system tune break keeps short tunes on one page', async () => {
+  const pdf = await abcToPdf(TUNEBOOK, { tunes: [1, 2] });
+  assert.strictEqual(countPages(pdf), 1);
+});
+
+test('AbcToPdfSchema - tune selection and break', () => {
+  const result = AbcToPdfSchema.parse({
+    abc_notation: TUNEBOOK,
+    tunes: [1, 'Drowsy Maggie'],
+    tune_break: 'page'
+  });
+  assert.deepStrictEqual(result.tunes, [1, 'Drowsy Maggie']);
+  assert.strictEqual(result.tune_break, 'page');
+  assert.throws(() => AbcToPdfSchema.parse({ abc_notation: TUNEBOOK, tune_break: 'column' }));
+});
@@ -1,6 +1,6 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { validateAbcNotation, AbcToPdfSchema } from '../src/index.js';
+import { validateAbcNotation, collectAbcWarnings, formatAbcWarnings, AbcToPdfSchema } from '../src/index.js';
 
 test('validateAbcNotation - valid notation', () => {
   const validAbc = 'X:1\nT:Test\nM:4/4\nK:C\nC D E F |';
@@ -103,3 +103,41 @@ test('AbcToPdfSchema - optional fields', () => {
   assert.strictEqual(result.title, 'Only Title');
   assert.strictEqual(result.composer, undefined);
 });
+
+test('collectAbcWarnings - valid notation has no warnings', () => {
+  const validAbc = 'X:1\nT:Test\nM:4/4\nK:C\nC D E F |';
+  assert.deepStrictEqual(collectAbcWarnings(validAbc), []);
+});
+
+test('collectAbcWarnings - reports line, column, message and snippet', () => {
+  const badAbc = 'X:1\nT:Test\nK:C\nC D [CEG | F |';
+  const warnings = collectAbcWarnings(badAbc);
+
+  assert.strictEqual(warnings.length, 1);
+  assert.deepStrictEqual(warnings[0], {
+    tune: '1',
+    line: 4,
+    column: 10,
+    message: "Expected ']' to end the chords",
+    snippet: 'C D [CEG | F |'
+  });
+});
+
+test('collectAbcWarnings - line numbers are relative to the whole file', () => {
+  const book = 'X:1\nT:Good\nK:C\nCDEF|\n\nX:2\nT:Bad\nK:C\nC D # E|';
+  const warnings = collectAbcWarnings(book);
+
+  assert.strictEqual(warnings.length, 1);
+  assert.strictEqual(warnings[0].tune, '2');
+  assert.strictEqual(warnings[0].line, 9);
+  assert.strictEqual(warnings[0].column, 5);
+});
+
+test('formatAbcWarnings - one readable line per warning', () => {
+  const text = formatAbcWarnings([
+    { tune: '1', line: 4, column: 5, message: 'Unknown character ignored', snippet: 'C D y E|' },
+    { tune: '1', line: null, column: null, message: 'Something else', snippet: '' }
+  ]);
+
+  assert.strictEqual(text, '- line 4, column 5: Unknown character ignored (near: C D y E|)\n- Something else');
+});